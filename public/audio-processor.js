@@ -1,25 +1,63 @@
 // AudioWorklet processor for real-time audio capture with robust VAD
 // This runs in a separate thread from the main UI thread
+//
+// A frame counts as speech when it is clearly louder than the running noise floor
+// AND its zero-crossing rate looks like a voice (hum and fans cross zero too rarely,
+// hiss and keyboard clicks too often). An utterance starts after a short run of
+// speech frames, and the audio just before it (pre-roll) is sent with `speechStart`
+// so the first syllable isn't lost.
+//
+// processorOptions (all optional):
+// - speechThreshold: minimum RMS that can ever count as speech (default 0.008)
+// - noiseFloorRatio: how far above the noise floor speech must be (default 3)
+// - noiseWindowMs: the noise floor is the quietest level heard in this window, so
+//   it follows a louder room within a couple of seconds but ignores speech (default 2000ms)
+// - minZeroCrossingRate / maxZeroCrossingRate: voice-like range, crossings per sample
+// - minSpeechMs: speech needed before an utterance starts (default 40ms)
+// - silenceMs: silence needed to end an utterance (default 1500ms)
+// - preRollMs: audio kept from before the utterance start (default 300ms)
+// - calibrationMs: how long `calibrate` listens to the room (default 1500ms)
+// - initialNoiseFloor: starting floor estimate, e.g. from an earlier calibration
+
+const msToSamples = (ms) => Math.round(ms * sampleRate / 1000);
+
+// The noise window is tracked as the minimum of a few blocks, so old blocks can be dropped cheaply
+const NOISE_BLOCKS = 8;
 
 class AudioCaptureProcessor extends AudioWorkletProcessor {
     constructor(options) {
         super();
-        
+        const opts = options.processorOptions || {};
+
         // VAD Parameters
-        this.speechThreshold = options.processorOptions?.speechThreshold || 0.015;
-        
-            // We will require roughly 1.5 seconds of silence for natural speech pauses.
-    // The browser gives us audio in 128-sample frames. At a 16000Hz sample rate,
-    // 1.5 seconds of audio is 24000 samples.
-    // 24000 samples / 128 samples/frame = 187.5 frames ≈ 188 frames.
-    this.requiredSilenceFrames = options.processorOptions?.silenceFrames || 188;
+        this.speechThreshold = opts.speechThreshold ?? 0.008;
+        this.noiseFloorRatio = opts.noiseFloorRatio ?? 3;
+        this.noiseBlockSamples = msToSamples(opts.noiseWindowMs ?? 2000) / NOISE_BLOCKS;
+        this.minZeroCrossingRate = opts.minZeroCrossingRate ?? 0.01;
+        this.maxZeroCrossingRate = opts.maxZeroCrossingRate ?? 0.35;
+        this.minSpeechSamples = msToSamples(opts.minSpeechMs ?? 40);
+        this.silenceSamples = msToSamples(opts.silenceMs ?? 1500);
+        this.calibrationSamples = msToSamples(opts.calibrationMs ?? 1500);
+
+        // Pre-roll ring buffer - always holds the most recent audio
+        this.preRoll = new Float32Array(msToSamples(opts.preRollMs ?? 300));
+        this.preRollWrite = 0;
+        this.preRollFilled = 0;
 
         // VAD State
+        this.noiseFloor = opts.initialNoiseFloor ?? this.speechThreshold / this.noiseFloorRatio;
+        this.noiseBlockMins = [];
+        this.noiseBlockMin = Infinity;
+        this.noiseBlockCount = 0;
+        this.smoothedRms = this.noiseFloor;
+        this.zeroCrossingRate = 0;
         this.isSpeaking = false;
         this.isPaused = false;
-        this.silentFrameCount = 0;
+        this.speechSampleCount = 0;
+        this.silentSampleCount = 0;
+        this.calibration = null;
 
-        console.log('🎙️ Robust VAD initialized - threshold:', this.speechThreshold, 'silence frames:', this.requiredSilenceFrames);
+        console.log('🎙️ Adaptive VAD initialized - min threshold:', this.speechThreshold, 'silence samples:', this.silenceSamples);
 
         this.port.onmessage = (event) => {
             if (event.data.type === 'pause') {
@@ -31,71 +69,135 @@ class AudioCaptureProcessor extends AudioWorkletProcessor {
             } else if (event.data.type === 'forceEnd') {
                 // Manual override for testing
                 if (this.isSpeaking) {
-                    this.isSpeaking = false;
                     console.log('🔇 Speech FORCE ENDED (manual override)');
-                    this.port.postMessage({ type: 'speechEnd' });
-                    this.silentFrameCount = 0;
+                    this.endSpeech();
                 }
+            } else if (event.data.type === 'calibrate') {
+                // Listen to the room for a moment and use it as the noise floor
+                if (this.isSpeaking) this.endSpeech();
+                this.calibration = { remaining: this.calibrationSamples, sumSquares: 0, count: 0 };
+                console.log('🎚️ Calibrating noise floor...');
             }
         };
     }
 
+    get threshold() {
+        return Math.max(this.speechThreshold, this.noiseFloor * this.noiseFloorRatio);
+    }
+
+    endSpeech() {
+        this.isSpeaking = false;
+        this.speechSampleCount = 0;
+        this.silentSampleCount = 0;
+        this.port.postMessage({ type: 'speechEnd' });
+    }
+
+    pushPreRoll(frame) {
+        for (let i = 0; i < frame.length; i++) {
+            this.preRoll[this.preRollWrite] = frame[i];
+            this.preRollWrite = (this.preRollWrite + 1) % this.preRoll.length;
+        }
+        this.preRollFilled = Math.min(this.preRollFilled + frame.length, this.preRoll.length);
+    }
+
+    takePreRoll() {
+        const audio = new Float32Array(this.preRollFilled);
+        const start = (this.preRollWrite - this.preRollFilled + this.preRoll.length) % this.preRoll.length;
+        for (let i = 0; i < this.preRollFilled; i++) {
+            audio[i] = this.preRoll[(start + i) % this.preRoll.length];
+        }
+        this.preRollFilled = 0;
+        return audio;
+    }
+
+    finishCalibration() {
+        const rms = Math.sqrt(this.calibration.sumSquares / Math.max(this.calibration.count, 1));
+        this.calibration = null;
+        this.noiseFloor = rms;
+        this.smoothedRms = rms;
+        this.noiseBlockMins = new Array(NOISE_BLOCKS).fill(rms);
+        this.noiseBlockMin = Infinity;
+        this.noiseBlockCount = 0;
+        console.log('🎚️ Calibrated noise floor:', rms.toFixed(4), 'threshold:', this.threshold.toFixed(4));
+        this.port.postMessage({ type: 'calibrated', noiseFloor: rms, threshold: this.threshold });
+    }
+
+    // Minimum statistics: the floor is the quietest smoothed level over the last noise window
+    updateNoiseFloor(rms, frameLength) {
+        this.smoothedRms += 0.2 * (rms - this.smoothedRms);
+        this.noiseBlockMin = Math.min(this.noiseBlockMin, this.smoothedRms);
+        this.noiseBlockCount += frameLength;
+        if (this.noiseBlockCount < this.noiseBlockSamples) return;
+
+        this.noiseBlockMins.push(this.noiseBlockMin);
+        if (this.noiseBlockMins.length > NOISE_BLOCKS) this.noiseBlockMins.shift();
+        this.noiseBlockMin = Infinity;
+        this.noiseBlockCount = 0;
+        this.noiseFloor = Math.min(...this.noiseBlockMins);
+    }
+
     process(inputs) {
         if (this.isPaused) {
             return true; // If paused (AI is talking), do nothing.
         }
 
         const input = inputs[0];
-        if (input.length > 0) {
-            const inputData = input[0];
+        if (input.length === 0) return true;
+        const inputData = input[0];
+
+        // Frame features: volume (RMS) and zero-crossing rate
+        let sum = 0.0;
+        let crossings = 0;
+        for (let i = 0; i < inputData.length; i++) {
+            sum += inputData[i] * inputData[i];
+            if (i > 0 && (inputData[i] >= 0) !== (inputData[i - 1] >= 0)) crossings++;
+        }
+        const rms = Math.sqrt(sum / inputData.length);
+        // Smooth over a few frames - one 128-sample frame is too short to judge pitch
+        this.zeroCrossingRate += 0.3 * (crossings / inputData.length - this.zeroCrossingRate);
+
+        if (this.calibration) {
+            this.calibration.sumSquares += sum;
+            this.calibration.count += inputData.length;
+            this.calibration.remaining -= inputData.length;
+            if (this.calibration.remaining <= 0) this.finishCalibration();
+            this.pushPreRoll(inputData);
+            return true;
+        }
 
-            // Calculate volume (RMS)
-            let sum = 0.0;
-            for (let i = 0; i < inputData.length; i++) {
-                sum += inputData[i] * inputData[i];
+        const isVoiceLike = this.zeroCrossingRate >= this.minZeroCrossingRate && this.zeroCrossingRate <= this.maxZeroCrossingRate;
+        const isSpeechFrame = rms > this.threshold && isVoiceLike;
+
+        this.updateNoiseFloor(rms, inputData.length);
+
+        if (this.isSpeaking) {
+            this.port.postMessage({ type: 'audioData', data: inputData.slice() });
+            if (isSpeechFrame) {
+                this.silentSampleCount = 0;
+                return true;
             }
-            const rms = Math.sqrt(sum / inputData.length);
-
-            if (rms > this.speechThreshold) {
-                // --- Speech Frame Detected ---
-                this.silentFrameCount = 0; // Reset silence counter
-                if (!this.isSpeaking) {
-                    this.isSpeaking = true;
-                    console.log('🎤 Speech started (RMS:', rms.toFixed(4), ')');
-                    this.port.postMessage({ type: 'speechStart' });
-                }
-                this.port.postMessage({ type: 'audioData', data: inputData.slice() });
-            } else {
-                // --- Silence Frame Detected ---
-                if (this.isSpeaking) {
-                    this.silentFrameCount++;
-                    
-                    // Debug logging for silence detection
-                    if (this.silentFrameCount % 50 === 0) {
-                        console.log('🔇 Silence frames:', this.silentFrameCount, '/', this.requiredSilenceFrames, 'RMS:', rms.toFixed(4));
-                    }
-                    
-                    // Continue sending audio data during silence (for complete capture)
-                    this.port.postMessage({ type: 'audioData', data: inputData.slice() });
-                    
-                    if (this.silentFrameCount >= this.requiredSilenceFrames) {
-                        // --- Utterance has ended ---
-                        this.isSpeaking = false;
-                        console.log('🔇 Speech ended after', this.silentFrameCount, 'silent frames');
-                        this.port.postMessage({ type: 'speechEnd' });
-                        this.silentFrameCount = 0;
-                    }
-                } else {
-                    // Debug: Show background noise levels occasionally
-                    if (Math.random() < 0.001) { // ~0.1% of frames
-                        console.log('🔇 Background RMS:', rms.toFixed(4), 'threshold:', this.speechThreshold);
-                    }
-                }
+
+            this.silentSampleCount += inputData.length;
+            if (this.silentSampleCount >= this.silenceSamples) {
+                // --- Utterance has ended ---
+                console.log('🔇 Speech ended - noise floor:', this.noiseFloor.toFixed(4));
+                this.endSpeech();
             }
+            return true;
+        }
+
+        // Not speaking yet: keep recent audio for the pre-roll and wait for a run of speech frames
+        this.pushPreRoll(inputData);
+        this.speechSampleCount = isSpeechFrame ? this.speechSampleCount + inputData.length : 0;
+        if (this.speechSampleCount >= this.minSpeechSamples) {
+            this.isSpeaking = true;
+            this.silentSampleCount = 0;
+            console.log('🎤 Speech started (RMS:', rms.toFixed(4), 'threshold:', this.threshold.toFixed(4), ')');
+            this.port.postMessage({ type: 'speechStart', preRoll: this.takePreRoll() });
         }
         return true;
     }
 }
 
 // Register the processor
-registerProcessor('audio-capture-processor', AudioCaptureProcessor); 
\ No newline at end of file
+registerProcessor('audio-capture-processor', AudioCaptureProcessor);
@@ -0,0 +1,156 @@
+// AudioWorklet processor for the tutor's voice
+// Tutor audio arrives in bursts of 24kHz PCM, usually faster than real time. This
+// node resamples it to the AudioContext rate, queues it in a ring buffer and plays
+// it sample-accurately, so consecutive chunks join without gaps. Playback starts
+// once a small jitter buffer has filled, and `clear` silences it within one render
+// quantum (~8ms) for barge-in.
+//
+// processorOptions (all optional):
+// - inputSampleRate: rate of the PCM sent in `audio` messages (default 24000)
+// - jitterBufferMs: audio to queue before starting, to ride out network jitter (default 80ms)
+// - capacitySeconds: ring buffer size; older audio is dropped on overflow (default 120)
+//
+// Messages in:  { type: 'audio', samples: Float32Array }, { type: 'endOfTurn' }, { type: 'clear' }
+// Messages out: { type: 'playing' }, { type: 'drained' }, { type: 'overflow', droppedSamples }
+
+// Half-width of the windowed-sinc interpolation kernel, in output samples
+const KERNEL_HALF_WIDTH = 8;
+
+/**
+ * Band-limited resampler (Hann-windowed sinc) that keeps its state between chunks
+ */
+class Resampler {
+    constructor(inputRate, outputRate) {
+        this.step = inputRate / outputRate;
+        // When downsampling, cut off below the new Nyquist frequency to avoid aliasing
+        this.cutoff = Math.min(1, outputRate / inputRate);
+        this.halfWidth = Math.ceil(KERNEL_HALF_WIDTH / this.cutoff);
+        this.reset();
+    }
+
+    reset() {
+        // Pad with silence so the first samples have a full kernel behind them
+        this.history = new Float32Array(this.halfWidth);
+        this.position = this.halfWidth;
+    }
+
+    kernel(distance) {
+        const x = distance * this.cutoff;
+        const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+        const window = 0.5 + 0.5 * Math.cos(Math.PI * distance / this.halfWidth);
+        return this.cutoff * sinc * window;
+    }
+
+    process(chunk) {
+        if (this.step === 1) return chunk;
+
+        const input = new Float32Array(this.history.length + chunk.length);
+        input.set(this.history);
+        input.set(chunk, this.history.length);
+
+        const output = [];
+        while (this.position + this.halfWidth < input.length) {
+            const center = Math.floor(this.position);
+            let sample = 0;
+            for (let k = center - this.halfWidth + 1; k <= center + this.halfWidth; k++) {
+                const distance = this.position - k;
+                if (Math.abs(distance) < this.halfWidth) sample += input[k] * this.kernel(distance);
+            }
+            output.push(sample);
+            this.position += this.step;
+        }
+
+        // Keep only the samples the next chunk's kernels still need
+        const keepFrom = Math.max(0, Math.floor(this.position) - this.halfWidth);
+        this.history = input.slice(keepFrom);
+        this.position -= keepFrom;
+        return Float32Array.from(output);
+    }
+}
+
+class AudioPlaybackProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const opts = options.processorOptions || {};
+
+        this.resampler = new Resampler(opts.inputSampleRate ?? 24000, sampleRate);
+        this.jitterBufferSamples = Math.round((opts.jitterBufferMs ?? 80) * sampleRate / 1000);
+        this.buffer = new Float32Array(Math.round((opts.capacitySeconds ?? 120) * sampleRate));
+        this.readIndex = 0;
+        this.available = 0;
+        this.isPlaying = false;
+        this.turnEnded = false;
+
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'audio') {
+                this.turnEnded = false;
+                this.write(this.resampler.process(event.data.samples));
+            } else if (event.data.type === 'endOfTurn') {
+                // Nothing more is coming, so play whatever is queued even if it's short
+                this.turnEnded = true;
+            } else if (event.data.type === 'clear') {
+                this.clear();
+            }
+        };
+    }
+
+    write(samples) {
+        const capacity = this.buffer.length;
+        const overflow = this.available + samples.length - capacity;
+        if (overflow > 0) {
+            // Drop the oldest audio rather than what the tutor is about to say
+            this.readIndex = (this.readIndex + overflow) % capacity;
+            this.available -= overflow;
+            this.port.postMessage({ type: 'overflow', droppedSamples: overflow });
+        }
+
+        let writeIndex = (this.readIndex + this.available) % capacity;
+        for (let i = 0; i < samples.length; i++) {
+            this.buffer[writeIndex] = samples[i];
+            writeIndex = writeIndex + 1 === capacity ? 0 : writeIndex + 1;
+        }
+        this.available += samples.length;
+    }
+
+    clear() {
+        const wasPlaying = this.isPlaying || this.available > 0;
+        this.readIndex = 0;
+        this.available = 0;
+        this.isPlaying = false;
+        this.turnEnded = false;
+        this.resampler.reset();
+        if (wasPlaying) this.port.postMessage({ type: 'drained' });
+    }
+
+    process(inputs, outputs) {
+        const output = outputs[0][0];
+
+        if (!this.isPlaying && this.available > 0 && (this.available >= this.jitterBufferSamples || this.turnEnded)) {
+            this.isPlaying = true;
+            this.port.postMessage({ type: 'playing' });
+        }
+
+        if (!this.isPlaying) {
+            output.fill(0);
+            return true;
+        }
+
+        const count = Math.min(output.length, this.available);
+        for (let i = 0; i < count; i++) {
+            output[i] = this.buffer[this.readIndex];
+            this.readIndex = this.readIndex + 1 === this.buffer.length ? 0 : this.readIndex + 1;
+        }
+        output.fill(0, count);
+        this.available -= count;
+
+        if (this.available === 0) {
+            // Underrun or end of the reply - wait for the jitter buffer to refill before resuming
+            this.isPlaying = false;
+            this.port.postMessage({ type: 'drained' });
+        }
+        return true;
+    }
+}
+
+// Register the processor
+registerProcessor('audio-playback-processor', AudioPlaybackProcessor);
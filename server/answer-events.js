@@ -0,0 +1,126 @@
+// Answers the student submits on supported practice sites (Khan Academy, IXL, DeltaMath -
+// see src/siteAdapters.ts), and whether the site marked them right or wrong. Each
+// conversation keeps an AnswerTracker that counts wrong answers per problem, so after a few
+// misses on the same problem the tutor can offer a hint about it without being asked.
+// The payload comes from the page DOM: { site, url, problemText, answer, result }.
+
+import { ANSWER_RESULTS } from '../shared/protocol.js';
+
+const MAX_FIELD_LENGTH = 1500;
+const MAX_ANSWER_LENGTH = 300;
+
+// Wrong answers in a row on one problem before the tutor offers a hint, and again after
+// that many more. PROACTIVE_HINT_AFTER=0 turns the spoken hints off; a value that isn't a
+// number keeps the default rather than turning them off by accident.
+const HINT_AFTER_WRONG = envCount('PROACTIVE_HINT_AFTER', 2);
+
+// At most one offered hint this often, however many problems go wrong
+const HINT_COOLDOWN_MS = 60 * 1000;
+
+// Problems remembered per conversation
+const MAX_PROBLEMS = 50;
+
+function envCount(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function text(value, limit) {
+  if (typeof value !== 'string') return '';
+  const trimmed = value.replace(/\s+/g, ' ').trim();
+  return trimmed.length > limit ? `${trimmed.slice(0, limit)}…` : trimmed;
+}
+
+/**
+ * Validate and cap an `answer_event` payload, or throw if it can't be used
+ */
+export function normalizeAnswerEvent(payload) {
+  const event = {
+    site: text(payload?.site, 60),
+    url: text(payload?.url, 500) || null,
+    problemText: text(payload?.problemText, MAX_FIELD_LENGTH),
+    answer: text(payload?.answer, MAX_ANSWER_LENGTH) || null,
+    result: payload?.result
+  };
+  if (!ANSWER_RESULTS.includes(event.result)) throw new Error(`result must be one of: ${ANSWER_RESULTS.join(', ')}`);
+  if (!event.site) throw new Error('answer_event needs the site');
+  if (!event.problemText) throw new Error('answer_event needs the problem text');
+  return event;
+}
+
+// The same problem, however the page spaced or capitalized it this time
+const problemKey = (event) => `${event.site}\n${event.problemText.toLowerCase().replace(/[^a-z0-9+\-*/^=<>.]+/g, ' ').trim()}`;
+
+/**
+ * Wrong answers per problem for one conversation
+ */
+export class AnswerTracker {
+  constructor({ hintAfterWrong = HINT_AFTER_WRONG, cooldownMs = HINT_COOLDOWN_MS } = {}) {
+    this.hintAfterWrong = hintAfterWrong;
+    this.cooldownMs = cooldownMs;
+    this.problems = new Map(); // key -> { attempts, wrongInARow, hintedAt }
+    this.lastHintAt = null;
+  }
+
+  /**
+   * Count a submitted answer. Returns how the problem is going, and whether the tutor
+   * should offer a hint now: { attempts, wrongInARow, offerHint }
+   */
+  record(event, now = Date.now()) {
+    const key = problemKey(event);
+    const problem = this.problems.get(key) || { attempts: 0, wrongInARow: 0, hintedAt: 0 };
+    this.problems.delete(key); // Most recent last, so the oldest is dropped first
+    this.problems.set(key, problem);
+    if (this.problems.size > MAX_PROBLEMS) this.problems.delete(this.problems.keys().next().value);
+
+    problem.attempts++;
+    if (event.result === 'correct') {
+      problem.wrongInARow = 0;
+      problem.hintedAt = 0;
+      return { attempts: problem.attempts, wrongInARow: 0, offerHint: false };
+    }
+
+    problem.wrongInARow++;
+    const offerHint = this.hintAfterWrong > 0
+      && problem.wrongInARow - problem.hintedAt >= this.hintAfterWrong
+      && (this.lastHintAt === null || now - this.lastHintAt >= this.cooldownMs);
+    return { attempts: problem.attempts, wrongInARow: problem.wrongInARow, offerHint };
+  }
+
+  /**
+   * The tutor offered a hint for this event's problem
+   */
+  hinted(event, now = Date.now()) {
+    const problem = this.problems.get(problemKey(event));
+    if (problem) problem.hintedAt = problem.wrongInARow;
+    this.lastHintAt = now;
+  }
+}
+
+const problemLines = (event) => [
+  `Problem: ${event.problemText}`,
+  `Their answer: ${event.answer ? `"${event.answer}"` : '(not readable from the page)'}`
+].join('\n');
+
+/**
+ * A quiet note for the model's context about an answer the site checked
+ */
+export function formatAnswerNote(event, { wrongInARow }) {
+  const verdict = event.result === 'correct'
+    ? 'The site marked it correct.'
+    : `The site marked it wrong${wrongInARow > 1 ? ` (${wrongInARow} wrong answers in a row on this problem)` : ''}.`;
+  return [
+    `[Practice site] The student submitted an answer on ${event.site}. ${verdict} This came from the page, not from the student talking to you - don't respond to it unless they ask.`,
+    problemLines(event)
+  ].join('\n');
+}
+
+/**
+ * What the tutor is asked to do when it steps in after repeated wrong answers
+ */
+export function proactiveHintInstruction(event, { wrongInARow }) {
+  return [
+    `[Practice site] The student has answered this problem on ${event.site} wrong ${wrongInARow} times in a row. They haven't asked you for help, so speak up gently: say you noticed they're working on it, then give one short hint about this exact problem - where their answer goes wrong, or the next step to try. Don't give the answer, and ask if they'd like to work through it together.`,
+    problemLines(event)
+  ].join('\n');
+}
@@ -0,0 +1,277 @@
+// Long-lived live audio session for a single WebSocket client.
+// Keeps conversation context across turns and transparently reconnects
+// (with session resumption) when the upstream connection drops.
+
+import { logger, startSpan, tutorMetrics, upstreamHealth } from './observability/index.js';
+
+// How long to wait for the live model to open a session (LIVE_CONNECT_TIMEOUT_MS overrides it, e.g. in tests)
+export const CONNECT_TIMEOUT_MS = Number(process.env.LIVE_CONNECT_TIMEOUT_MS) || 10000;
+const RECONNECT_BASE_DELAY_MS = 500;
+const MAX_RECONNECT_ATTEMPTS = 5;
+const MAX_PENDING_AUDIO_CHUNKS = 500; // ~4 seconds of 128-sample frames at 16kHz
+// Marks where the student's mic paused in pendingAudio
+const AUDIO_STREAM_END = Symbol('audioStreamEnd');
+
+export class PersistentAudioSession {
+  /**
+   * @param {object} options
+   * @param {object} options.provider - Model provider (see providers/index.js)
+   * @param {string} options.model - Live model name
+   * @param {object} options.config - Live connect config (modalities, voice, system instruction)
+   * @param {(response: object) => void} options.onMessage - Called for every model message
+   * @param {(error: Error) => void} [options.onFatalError] - Called when reconnecting gives up
+   * @param {import('./observability/logger.js').Logger} [options.log] - Logger for this conversation
+   */
+  constructor({ provider, model, config, onMessage, onFatalError, log = logger }) {
+    this.provider = provider;
+    this.model = model;
+    this.config = config;
+    this.onMessage = onMessage;
+    this.onFatalError = onFatalError;
+    this.log = log;
+
+    this.session = null;
+    this.connecting = null;
+    this.resumptionHandle = null;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.pendingAudio = [];
+    this.closed = false;
+  }
+
+  /**
+   * Resolve with an open upstream session, connecting (or resuming) if needed.
+   */
+  async ensureOpen() {
+    if (this.closed) throw new Error('Audio session already closed');
+    if (this.session) return this.session;
+    if (!this.connecting) {
+      this.connecting = this.connect().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  async connect() {
+    const resuming = !!this.resumptionHandle;
+    this.log.info(resuming ? 'Resuming audio model session' : 'Connecting to audio model');
+    const span = startSpan(this.log, 'Audio model connect finished', {
+      histogram: tutorMetrics.upstreamConnect,
+      labels: { resumed: resuming }
+    });
+
+    let session = null;
+    const connectionPromise = this.provider.connectLive({
+      model: this.model,
+      config: {
+        ...this.config,
+        // Ask for resumption handles so a dropped connection doesn't wipe the lesson
+        sessionResumption: resuming ? { handle: this.resumptionHandle } : {},
+        // Let long lessons slide past the context window limit instead of ending
+        contextWindowCompression: { slidingWindow: {} }
+      },
+      callbacks: {
+        onopen: () => {
+          this.log.debug('Audio model session opened');
+        },
+
+        onmessage: (response) => {
+          if (response.sessionResumptionUpdate?.resumable && response.sessionResumptionUpdate.newHandle) {
+            this.resumptionHandle = response.sessionResumptionUpdate.newHandle;
+          }
+
+          if (response.goAway) {
+            this.log.info('Audio model will disconnect soon', { timeLeft: response.goAway.timeLeft });
+            this.handleDrop(session);
+            return;
+          }
+
+          this.onMessage(response);
+        },
+
+        onerror: (error) => {
+          tutorMetrics.errors.inc({ kind: 'upstream_session' });
+          this.log.error('Audio model session error', { error: error?.message || String(error) });
+          this.handleDrop(session);
+        },
+
+        onclose: (event) => {
+          this.log.info('Audio model session closed', { reason: event?.reason || undefined });
+          this.handleDrop(session);
+        }
+      }
+    });
+
+    let timeoutId;
+    const timeoutPromise = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => reject(new Error(`Connection timeout after ${CONNECT_TIMEOUT_MS / 1000} seconds`)), CONNECT_TIMEOUT_MS);
+    });
+
+    try {
+      session = await Promise.race([connectionPromise, timeoutPromise]);
+    } catch (error) {
+      // Don't leak a session that opens after we stopped waiting for it
+      connectionPromise.then(lateSession => lateSession.close()).catch(() => {});
+      upstreamHealth.failed(error);
+      tutorMetrics.errors.inc({ kind: 'upstream_connect' });
+      span.end({ outcome: 'error' }, { error: error.message });
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    upstreamHealth.connected();
+    span.end({ outcome: 'ok' });
+    if (this.closed) {
+      session.close();
+      throw new Error('Audio session closed while connecting');
+    }
+
+    this.session = session;
+    this.reconnectAttempts = 0;
+    this.flushPendingAudio();
+    return session;
+  }
+
+  /**
+   * Forget a dropped upstream session and schedule a resume.
+   * Ignores stale callbacks from sessions that were already replaced.
+   */
+  handleDrop(droppedSession) {
+    if (this.closed || !droppedSession || this.session !== droppedSession) return;
+
+    this.session = null;
+    try {
+      droppedSession.close();
+    } catch (e) {
+      // Already closed
+    }
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect() {
+    if (this.closed || this.reconnectTimer) return;
+
+    if (this.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+      this.log.error('Giving up on audio model session', { attempts: this.reconnectAttempts });
+      this.pendingAudio = [];
+      this.onFatalError?.(new Error('Audio model session could not be restored'));
+      return;
+    }
+
+    const delay = RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempts;
+    this.reconnectAttempts++;
+    this.log.warn('Reconnecting audio model session', { delayMs: delay, attempt: this.reconnectAttempts });
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      try {
+        await this.ensureOpen();
+      } catch (error) {
+        this.log.error('Audio model reconnect failed', { error });
+        this.scheduleReconnect();
+      }
+    }, delay);
+  }
+
+  /**
+   * Stream a base64 PCM chunk straight into the live session.
+   * Chunks arriving while (re)connecting are held briefly and flushed on open.
+   */
+  sendAudio(base64Chunk) {
+    if (this.closed) return;
+
+    if (!this.session) {
+      this.pendingAudio.push(base64Chunk);
+      if (this.pendingAudio.length > MAX_PENDING_AUDIO_CHUNKS) {
+        // Drop the oldest audio, never an end-of-stream marker - the model only answers after one
+        this.pendingAudio.splice(this.pendingAudio.findIndex(chunk => chunk !== AUDIO_STREAM_END), 1);
+      }
+      return;
+    }
+
+    this.session.sendRealtimeInput({
+      audio: {
+        data: base64Chunk,
+        mimeType: 'audio/pcm;rate=16000'
+      }
+    });
+  }
+
+  /**
+   * Tell the model the student's mic stream paused so it can respond now.
+   */
+  endAudioStream() {
+    if (this.closed) return;
+
+    if (!this.session) {
+      // Goes after the buffered audio, so the model still answers once it is back
+      if (this.pendingAudio[this.pendingAudio.length - 1] !== AUDIO_STREAM_END) this.pendingAudio.push(AUDIO_STREAM_END);
+      return;
+    }
+
+    this.session.sendRealtimeInput({ audioStreamEnd: true });
+  }
+
+  /**
+   * Send a typed student message as a complete turn
+   */
+  sendText(text) {
+    if (!this.session) {
+      this.log.warn('Dropping text message - audio model session is not open');
+      return;
+    }
+    this.session.sendClientContent({
+      turns: [{ role: 'user', parts: [{ text }] }],
+      turnComplete: true
+    });
+  }
+
+  /**
+   * Add background context to the conversation without asking the model to respond
+   */
+  sendContext(text) {
+    if (!this.session) {
+      this.log.warn('Dropping context - audio model session is not open');
+      return;
+    }
+    this.session.sendClientContent({
+      turns: [{ role: 'user', parts: [{ text }] }],
+      turnComplete: false
+    });
+  }
+
+  /**
+   * Return tool results for a `toolCall` the model sent
+   */
+  sendToolResponse(functionResponses) {
+    if (!this.session) {
+      this.log.warn('Dropping tool response - audio model session is not open');
+      return;
+    }
+    this.session.sendToolResponse({ functionResponses });
+  }
+
+  flushPendingAudio() {
+    if (this.pendingAudio.length === 0) return;
+    this.log.debug('Flushing buffered audio chunks', { chunks: this.pendingAudio.length });
+    const chunks = this.pendingAudio;
+    this.pendingAudio = [];
+    chunks.forEach(chunk => chunk === AUDIO_STREAM_END ? this.endAudioStream() : this.sendAudio(chunk));
+  }
+
+  close() {
+    this.closed = true;
+    this.pendingAudio = [];
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.session) {
+      const session = this.session;
+      this.session = null;
+      session.close();
+    }
+  }
+}
@@ -0,0 +1,175 @@
+// API-token authentication for the WebSocket and REST endpoints.
+// Each student gets their own token from the admin routes (routes/admin.js). Clients
+// send it as an `Authorization: Bearer` header or, where headers can't be set
+// (browser WebSockets, <img> tags), as a `?token=` query parameter. Only a SHA-256
+// hash of each token is stored, so data/tokens.json can't be used to sign in.
+// A token may put its holder in a class (`classId`); teacher tokens open the classroom
+// dashboard for their class (routes/classroom.js) instead of a student's own data.
+//
+// AUTH_REQUIRED=false turns authentication off for local development: every client
+// is then the student "local". ADMIN_TOKEN enables the admin routes.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { logger } from './observability/index.js';
+
+const DEFAULT_TOKENS_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'tokens.json');
+const TOKEN_PREFIX = 'vt_';
+const STUDENT_ID = /^[a-zA-Z0-9._@-]{1,64}$/;
+const CLASS_ID = /^[a-zA-Z0-9._-]{1,64}$/;
+
+export const TOKEN_ROLES = ['student', 'teacher'];
+
+/**
+ * Who is on the other end of a request:
+ * - student: a client with a student token, limited to their own sessions
+ * - teacher: a client with a teacher token, who also sees their class on the dashboard
+ * - admin:   the ADMIN_TOKEN holder, who can manage tokens and see everything
+ * - local:   anyone, when AUTH_REQUIRED=false
+ */
+const LOCAL_IDENTITY = Object.freeze({ role: 'local', studentId: 'local', tokenId: null, name: null, classId: null });
+const ADMIN_IDENTITY = Object.freeze({ role: 'admin', studentId: 'admin', tokenId: null, name: null, classId: null });
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+export function isValidStudentId(studentId) {
+  return typeof studentId === 'string' && STUDENT_ID.test(studentId);
+}
+
+export function isValidClassId(classId) {
+  return typeof classId === 'string' && CLASS_ID.test(classId);
+}
+
+export function isReservedStudentId(studentId) {
+  return studentId === ADMIN_IDENTITY.studentId || studentId === LOCAL_IDENTITY.studentId;
+}
+
+/**
+ * The token a request carries, from the Authorization header or the query string
+ */
+export function readRequestToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (match) return match[1];
+  return new URL(req.url, 'http://localhost').searchParams.get('token');
+}
+
+/**
+ * Student tokens, kept in memory and saved to a JSON file
+ */
+export class TokenStore {
+  constructor(filePath = process.env.TOKENS_FILE || DEFAULT_TOKENS_FILE) {
+    this.filePath = filePath;
+    this.records = [];
+    this.writes = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      this.records = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.records = [];
+    }
+    return this;
+  }
+
+  save() {
+    const content = JSON.stringify(this.records, null, 2);
+    this.writes = this.writes
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(this.filePath, content);
+      })
+      .catch(error => logger.error('Failed to save API tokens', { error }));
+    return this.writes;
+  }
+
+  /**
+   * Create a token for a student (or a teacher, with their `studentId` as their login).
+   * The plain token is only ever returned here.
+   */
+  async issue({ studentId, name = null, role = 'student', classId = null }) {
+    const token = TOKEN_PREFIX + randomBytes(24).toString('base64url');
+    const record = {
+      id: randomUUID().slice(0, 8),
+      studentId,
+      name,
+      role,
+      classId,
+      tokenHash: hashToken(token),
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+    this.records.push(record);
+    await this.save();
+    return { token, record: this.describe(record) };
+  }
+
+  /**
+   * Revoke a token by id. Resolves to the revoked record, or null if there is no such token.
+   */
+  async revoke(id) {
+    const record = this.records.find(candidate => candidate.id === id);
+    if (!record) return null;
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      await this.save();
+    }
+    return this.describe(record);
+  }
+
+  list() {
+    return this.records.map(record => this.describe(record));
+  }
+
+  /**
+   * The active token record matching a plain token, or null
+   */
+  verify(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+    const tokenHash = hashToken(token);
+    const record = this.records.find(candidate => !candidate.revokedAt && safeEqual(candidate.tokenHash, tokenHash));
+    return record ? this.describe(record) : null;
+  }
+
+  describe({ tokenHash, ...record }) {
+    return record;
+  }
+}
+
+export class Authenticator {
+  constructor({
+    tokenStore,
+    required = process.env.AUTH_REQUIRED !== 'false',
+    adminToken = process.env.ADMIN_TOKEN || null
+  }) {
+    this.tokenStore = tokenStore;
+    this.required = required;
+    this.adminToken = adminToken;
+  }
+
+  /**
+   * The identity behind a request, or null when its token is missing, unknown or revoked
+   */
+  identify(req) {
+    const token = readRequestToken(req);
+    if (token && this.adminToken && safeEqual(token, this.adminToken)) return ADMIN_IDENTITY;
+
+    const record = this.tokenStore.verify(token);
+    if (record) {
+      // Tokens issued before classes existed have neither field
+      return { role: record.role || 'student', studentId: record.studentId, tokenId: record.id, name: record.name, classId: record.classId || null };
+    }
+    return this.required ? null : LOCAL_IDENTITY;
+  }
+}
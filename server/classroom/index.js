@@ -0,0 +1,233 @@
+// Classroom mode: a live roster of the students being tutored, for the teacher dashboard
+// (./dashboard.html, served by ../routes/classroom.js). Students are grouped into classes
+// by the classId on their API token. Each conversation reports what the student is working
+// on, and the roster flags students who look stuck: asking the same question over and over,
+// answering wrong again and again on a practice site (../answer-events.js), or gone quiet in
+// the middle of a session, and the last thing a guardrail caught (see ../guardrails/). Students can raise a hand from the panel, and the teacher can send a
+// message or a hint to one student's session.
+
+import { SKILLS, classifySkill } from '../mastery.js';
+
+// A connected student with no questions for this long is flagged as quiet
+const SILENCE_MS = 3 * 60 * 1000;
+
+// Repeated questions: how many recent questions are compared, how much two must share to
+// count as the same question, and how many times it must be asked to flag the student
+const RECENT_QUESTIONS = 6;
+const SIMILAR_QUESTION_OVERLAP = 0.7;
+const REPEATED_QUESTION_TIMES = 3;
+
+// Wrong answers in a row on a practice site before the student is flagged
+const REPEATED_WRONG_ANSWERS = 3;
+
+export const TEACHER_MESSAGE_KINDS = ['message', 'hint'];
+export const MAX_TEACHER_MESSAGE_CHARS = 500;
+
+// Lower-case words and numbers, so rewording the punctuation doesn't make a new question
+function questionWords(text) {
+  return new Set(text.toLowerCase().split(/[^a-z0-9+\-*/^=]+/).filter(Boolean));
+}
+
+function overlap(left, right) {
+  if (left.size === 0 || right.size === 0) return 0;
+  const shared = [...left].filter(word => right.has(word)).length;
+  return shared / (left.size + right.size - shared);
+}
+
+// Math-looking words: numbers, operators, single-letter variables ("2x", "+", "=", "11?")
+const isMathWord = (word) => /[\d=+\-*/^()]/.test(word) || /^[a-z]$/i.test(word);
+
+/**
+ * Best guess at the skill a question is about, from the math in it:
+ * "How do I solve 2x + 3 = 11?" is about linear equations. Null when there's no math to go on.
+ */
+export function questionSkill(text) {
+  const runs = [[]];
+  for (const word of String(text || '').split(/\s+/)) {
+    const bare = word.replace(/[?!,.:;]+$/, '');
+    if (bare && isMathWord(bare)) runs[runs.length - 1].push(bare);
+    else if (runs[runs.length - 1].length > 0) runs.push([]);
+  }
+  // A lone letter ("I", "a") is just a word
+  const candidates = runs.map(run => run.join(' ')).filter(run => /[\d=+\-*/^]/.test(run)).sort((a, b) => b.length - a.length);
+  for (const candidate of candidates) {
+    const skill = classifySkill(candidate);
+    if (skill) return skill;
+  }
+  return null;
+}
+
+/**
+ * What the dashboard knows about one student's conversation
+ */
+export class StudentActivity {
+  /**
+   * @param {object} options
+   * @param {string} options.conversationId
+   * @param {string} options.studentId
+   * @param {string|null} options.name - from the student's token
+   * @param {string|null} options.classId
+   * @param {object} options.controls - { message({ kind, text, from }), lowerHand() } on the conversation;
+   *   message() returns false when the student isn't connected
+   */
+  constructor({ conversationId, studentId, name = null, classId = null, controls, now = Date.now() }) {
+    this.conversationId = conversationId;
+    this.studentId = studentId;
+    this.name = name;
+    this.classId = classId;
+    this.controls = controls;
+    this.joinedAt = now;
+    this.lastActivityAt = now;
+    this.isConnected = true;
+    this.turns = 0;
+    this.turnInProgress = false;
+    this.topic = null;
+    this.questions = []; // The most recent student questions, oldest first
+    this.handRaisedAt = null;
+    this.lastFlag = null;
+    this.wrongAnswers = null; // { site, count } - wrong answers in a row on a practice site
+  }
+
+  connected(isConnected, now = Date.now()) {
+    this.isConnected = isConnected;
+    this.lastActivityAt = now;
+  }
+
+  turnStarted(now = Date.now()) {
+    this.turns++;
+    this.turnInProgress = true;
+    this.lastActivityAt = now;
+  }
+
+  turnFinished(now = Date.now()) {
+    this.turnInProgress = false;
+    this.lastActivityAt = now;
+  }
+
+  /**
+   * A finished student utterance, spoken or typed. Math in it updates the topic.
+   */
+  question(text) {
+    const trimmed = text.trim();
+    if (!trimmed) return;
+    this.questions.push({ text: trimmed, words: questionWords(trimmed) });
+    if (this.questions.length > RECENT_QUESTIONS) this.questions.shift();
+    const skill = questionSkill(trimmed);
+    if (skill) this.topic = skill;
+  }
+
+  /**
+   * The skill the student is practising (a key of SKILLS in ../mastery.js)
+   */
+  practising(skill) {
+    if (Object.hasOwn(SKILLS, skill)) this.topic = skill;
+  }
+
+  /**
+   * An answer the student submitted on a practice site, marked right or wrong by the site
+   */
+  answered({ site, problemText, result }, now = Date.now()) {
+    this.lastActivityAt = now;
+    this.wrongAnswers = result === 'incorrect' ? { site, count: (this.wrongAnswers?.count || 0) + 1 } : null;
+    const skill = questionSkill(problemText);
+    if (skill) this.topic = skill;
+  }
+
+  raiseHand(raised, now = Date.now()) {
+    if (raised && !this.handRaisedAt) this.handRaisedAt = now;
+    if (!raised) this.handRaisedAt = null;
+    this.lastActivityAt = now;
+  }
+
+  /**
+   * A guardrail caught something the student or the tutor said
+   */
+  flagged({ policy, label, severity, action }, now = Date.now()) {
+    this.lastFlag = { policy, label, severity, action, at: now };
+  }
+
+  /**
+   * Why the student may be stuck, as [{ type, message }]
+   */
+  signals(now = Date.now()) {
+    const signals = [];
+    const latest = this.questions[this.questions.length - 1];
+    if (latest) {
+      const times = this.questions.filter(question => overlap(question.words, latest.words) >= SIMILAR_QUESTION_OVERLAP).length;
+      if (times >= REPEATED_QUESTION_TIMES) {
+        signals.push({ type: 'repeated_question', message: `Asked the same question ${times} times` });
+      }
+    }
+    if (this.wrongAnswers?.count >= REPEATED_WRONG_ANSWERS) {
+      signals.push({ type: 'wrong_answers', message: `${this.wrongAnswers.count} wrong answers in a row on ${this.wrongAnswers.site}` });
+    }
+    const quietMs = now - this.lastActivityAt;
+    if (this.isConnected && !this.turnInProgress && quietMs >= SILENCE_MS) {
+      signals.push({ type: 'silence', message: `Quiet for ${Math.floor(quietMs / 60000)} min` });
+    }
+    return signals;
+  }
+
+  snapshot(now = Date.now()) {
+    const signals = this.signals(now);
+    return {
+      conversationId: this.conversationId,
+      studentId: this.studentId,
+      name: this.name,
+      classId: this.classId,
+      connected: this.isConnected,
+      joinedAt: new Date(this.joinedAt).toISOString(),
+      lastActivityAt: new Date(this.lastActivityAt).toISOString(),
+      turns: this.turns,
+      topic: this.topic && { skill: this.topic, label: SKILLS[this.topic] },
+      lastQuestion: this.questions[this.questions.length - 1]?.text || null,
+      handRaisedAt: this.handRaisedAt && new Date(this.handRaisedAt).toISOString(),
+      lastFlag: this.lastFlag && { ...this.lastFlag, at: new Date(this.lastFlag.at).toISOString() },
+      stuck: signals.length > 0,
+      signals
+    };
+  }
+}
+
+/**
+ * Every student conversation on this server, by conversation id
+ */
+export class Classroom {
+  constructor() {
+    this.students = new Map();
+  }
+
+  join(details) {
+    const activity = new StudentActivity(details);
+    this.students.set(activity.conversationId, activity);
+    return activity;
+  }
+
+  leave(conversationId) {
+    this.students.delete(conversationId);
+  }
+
+  /**
+   * One student's activity, as long as it is in `classId` (null: any class)
+   */
+  find(conversationId, classId = null) {
+    const activity = this.students.get(conversationId);
+    return activity && (!classId || activity.classId === classId) ? activity : null;
+  }
+
+  /**
+   * The students in `classId` (null: everyone): raised hands first, oldest first,
+   * then students who look stuck, then by name
+   */
+  list(classId = null, now = Date.now()) {
+    return [...this.students.values()]
+      .filter(activity => !classId || activity.classId === classId)
+      .map(activity => activity.snapshot(now))
+      .sort((a, b) => {
+        if (Boolean(a.handRaisedAt) !== Boolean(b.handRaisedAt)) return a.handRaisedAt ? -1 : 1;
+        if (a.handRaisedAt) return a.handRaisedAt.localeCompare(b.handRaisedAt);
+        if (a.stuck !== b.stuck) return a.stuck ? -1 : 1;
+        return (a.name || a.studentId).localeCompare(b.name || b.studentId);
+      });
+  }
+}
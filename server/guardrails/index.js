@@ -0,0 +1,212 @@
+// Content-safety and on-topic guardrails for student conversations.
+// Everything the student says or types, and everything the tutor says, is checked against
+// the policies in ./policies.js: off-topic drift, personal information, unsafe content and,
+// in Socratic mode, asking for the homework answer outright. index.js decides what a match
+// does to the conversation; this module only matches text, so the rules can be tested
+// offline (test/guardrails.test.js). Matches are kept for parent and teacher review in
+// data/guardrail-flags.jsonl, one flag per line.
+//
+// Policies can be changed without editing code: GUARDRAILS_FILE points at a JSON object
+// keyed by policy id, merged over the defaults - { "off_topic": { "enabled": false } },
+// { "unsafe": { "student": { "patterns": [...] } } }, or a whole new policy.
+
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_POLICIES } from './policies.js';
+import { logger } from '../observability/index.js';
+
+const DEFAULT_FLAGS_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'guardrail-flags.jsonl');
+
+export const GUARDRAIL_ACTIONS = ['block', 'redirect', 'flag'];
+export const GUARDRAIL_ROLES = ['student', 'tutor'];
+const SEVERITIES = ['low', 'medium', 'high'];
+
+// Flags keep this much of the text around a match, and the server keeps this many in memory
+const FLAG_EXCERPT_CHARS = 300;
+const MAX_FLAGS_IN_MEMORY = 1000;
+
+const REDACTED = '[redacted]';
+
+function compilePatterns(id, where, patterns) {
+  if (!Array.isArray(patterns)) throw new Error(`Guardrail policy "${id}": ${where} patterns must be an array`);
+  return patterns.map(pattern => {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`Guardrail policy "${id}": invalid ${where} pattern ${JSON.stringify(pattern)} (${error.message})`);
+    }
+  });
+}
+
+function compileRule(id, role, rule) {
+  if (!rule) return null;
+  if (!GUARDRAIL_ACTIONS.includes(rule.action)) {
+    throw new Error(`Guardrail policy "${id}": ${role} action must be one of: ${GUARDRAIL_ACTIONS.join(', ')}`);
+  }
+  return { action: rule.action, patterns: compilePatterns(id, role, rule.patterns) };
+}
+
+function compilePolicy(id, policy) {
+  const compiled = {
+    id,
+    label: policy.label || id,
+    severity: SEVERITIES.includes(policy.severity) ? policy.severity : 'medium',
+    modes: policy.modes || null,
+    redact: Boolean(policy.redact),
+    message: policy.message || null,
+    instruction: policy.instruction || null,
+    unless: compilePatterns(id, 'unless', policy.unless || []),
+    student: compileRule(id, 'student', policy.student),
+    tutor: compileRule(id, 'tutor', policy.tutor)
+  };
+  const actions = [compiled.student?.action, compiled.tutor?.action];
+  if (actions.includes('block') && !compiled.message) throw new Error(`Guardrail policy "${id}": a block action needs a message`);
+  if (compiled.student?.action === 'redirect' && !compiled.instruction) {
+    throw new Error(`Guardrail policy "${id}": a student redirect action needs an instruction`);
+  }
+  return compiled;
+}
+
+/**
+ * The default policies with `overrides` merged over them, by policy id. An override's
+ * student and tutor rules are merged field by field; `enabled: false` drops a policy.
+ */
+export function mergePolicies(defaults, overrides = {}) {
+  const merged = {};
+  for (const id of new Set([...Object.keys(defaults), ...Object.keys(overrides)])) {
+    const base = defaults[id] || {};
+    const override = overrides[id] || {};
+    const policy = { ...base, ...override };
+    for (const role of GUARDRAIL_ROLES) {
+      if (override[role] === null) policy[role] = null;
+      else if (override[role]) policy[role] = { ...base[role], ...override[role] };
+    }
+    if (policy.enabled === false) continue;
+    merged[id] = policy;
+  }
+  return merged;
+}
+
+/**
+ * Read the GUARDRAILS_FILE overrides; a missing or broken file stops the server from starting
+ */
+export function loadPolicyOverrides(filePath = process.env.GUARDRAILS_FILE) {
+  if (!filePath) return {};
+  const overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error(`${filePath} must contain a JSON object keyed by guardrail policy id`);
+  }
+  return overrides;
+}
+
+/**
+ * Checks text against the guardrail policies
+ */
+export class Guardrails {
+  /**
+   * @param {object} [policies] - policies keyed by id, in the shape of ./policies.js
+   */
+  constructor(policies = DEFAULT_POLICIES) {
+    this.policies = Object.entries(policies).map(([id, policy]) => compilePolicy(id, policy));
+  }
+
+  static fromEnvironment() {
+    return new Guardrails(mergePolicies(DEFAULT_POLICIES, loadPolicyOverrides()));
+  }
+
+  /**
+   * The first policy `text` breaks, or null.
+   *
+   * @param {object} input
+   * @param {'student'|'tutor'} input.role - who said it
+   * @param {string} input.text
+   * @param {string} [input.mode] - the session's teaching mode
+   * @returns {{ policy, label, severity, action, match, message, instruction, redact }|null}
+   *   `redact` is the rule's patterns for policies that catch personal information, else null
+   */
+  check({ role, text, mode }) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) return null;
+    for (const policy of this.policies) {
+      const rule = policy[role];
+      if (!rule) continue;
+      if (policy.modes && !policy.modes.includes(mode)) continue;
+      const pattern = rule.patterns.find(candidate => candidate.test(trimmed));
+      if (!pattern) continue;
+      if (policy.unless.some(candidate => candidate.test(trimmed))) continue;
+      return {
+        policy: policy.id,
+        label: policy.label,
+        severity: policy.severity,
+        action: rule.action,
+        match: pattern.exec(trimmed)[0],
+        message: policy.message,
+        instruction: policy.instruction && policy.instruction.replaceAll('{text}', trimmed),
+        redact: policy.redact ? rule.patterns : null
+      };
+    }
+    return null;
+  }
+}
+
+/**
+ * The text to keep with a flag: shortened, and for policies that catch personal
+ * information with every match of the policy's patterns masked, not just the first
+ */
+export function flagExcerpt(text, violation) {
+  let excerpt = String(text || '').trim();
+  for (const pattern of violation.redact || []) {
+    excerpt = excerpt.replace(new RegExp(pattern.source, `${pattern.flags}g`), REDACTED);
+  }
+  return excerpt.length > FLAG_EXCERPT_CHARS ? `${excerpt.slice(0, FLAG_EXCERPT_CHARS)}…` : excerpt;
+}
+
+/**
+ * Guardrail flags for review, appended to a JSON Lines file and kept in memory
+ */
+export class FlagStore {
+  constructor(filePath = process.env.GUARDRAIL_FLAGS_FILE || DEFAULT_FLAGS_FILE) {
+    this.filePath = filePath;
+    this.flags = [];
+    this.writes = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const lines = (await fsPromises.readFile(this.filePath, 'utf8')).split('\n').filter(Boolean);
+      this.flags = lines.slice(-MAX_FLAGS_IN_MEMORY).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.flags = [];
+    }
+    return this;
+  }
+
+  /**
+   * Keep a flag: { conversationId, studentId, classId, policy, label, severity, role, action, text }
+   */
+  add(details) {
+    const flag = { at: new Date().toISOString(), ...details };
+    this.flags.push(flag);
+    if (this.flags.length > MAX_FLAGS_IN_MEMORY) this.flags.shift();
+    this.writes = this.writes
+      .then(async () => {
+        await fsPromises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fsPromises.appendFile(this.filePath, JSON.stringify(flag) + '\n');
+      })
+      .catch(error => logger.error('Failed to save guardrail flag', { error }));
+    return flag;
+  }
+
+  /**
+   * The most recent flags first, optionally for one class or one student
+   */
+  list({ classId = null, studentId = null, limit = 100 } = {}) {
+    return this.flags
+      .filter(flag => (!classId || flag.classId === classId) && (!studentId || flag.studentId === studentId))
+      .slice(-limit)
+      .reverse();
+  }
+}
@@ -0,0 +1,140 @@
+// Default guardrail policies (see ./index.js for how they are applied and overridden).
+//
+// A policy checks what the student says, what the tutor says, or both:
+//   label        shown in the session history and on the teacher dashboard
+//   severity     'low' | 'medium' | 'high', for whoever reviews the flags
+//   student      { action, patterns } for the student's words, or null to skip them
+//   tutor        { action, patterns } for the tutor's words, or null to skip them
+//   unless       patterns that clear a match (e.g. math in an "off-topic" word problem)
+//   modes        teaching modes the policy applies in (profiles.js), or null for all
+//   redact       store flags with the matched text masked
+//   message      what the student hears when the action is 'block'
+//   instruction  what the tutor is asked to do instead when the action is 'redirect';
+//                {text} is replaced with what the student said
+// Actions: 'block' drops the reply and speaks `message`, 'redirect' drops the reply and
+// has the tutor answer `instruction` in its own voice, 'flag' only records it for review.
+// Patterns are case-insensitive regular expressions. Policies are checked in order and
+// the first match wins, so the most serious come first.
+
+export const DEFAULT_POLICIES = {
+  self_harm: {
+    label: 'Self-harm',
+    severity: 'high',
+    student: {
+      action: 'block',
+      patterns: [
+        '\\b(kill|hurt|cut|harm)\\s+myself\\b',
+        '\\bsuicid\\w*',
+        '\\bwant(ed)? to die\\b',
+        '\\bend my life\\b'
+      ]
+    },
+    tutor: null,
+    message: "I'm really glad you told me. I'm only a math tutor, so please talk to a teacher, a parent or another adult you trust about how you're feeling, right now if you can. You can come back to math whenever you're ready."
+  },
+
+  unsafe: {
+    label: 'Unsafe content',
+    severity: 'high',
+    student: {
+      action: 'block',
+      patterns: [
+        '\\b(kill|shoot|stab)\\s+(him|her|them|you|someone|somebody|people)\\b',
+        '\\b(gun|knife|bomb)s?\\b.*\\bschool\\b',
+        '\\bporn\\w*',
+        '\\bnudes?\\b',
+        '\\bsex(ual|y)?\\b',
+        '\\b(cocaine|heroin|meth|weed|marijuana|vap(e|ing))\\b',
+        '\\bf+u+c+k\\w*',
+        '\\bshit\\w*',
+        '\\bbitch\\w*'
+      ]
+    },
+    tutor: {
+      action: 'block',
+      patterns: [
+        '\\bporn\\w*',
+        '\\bnudes?\\b',
+        '\\bsex(ual|y)?\\b',
+        '\\b(cocaine|heroin|meth|weed|marijuana)\\b',
+        '\\bf+u+c+k\\w*',
+        '\\bshit\\w*',
+        '\\bbitch\\w*'
+      ]
+    },
+    message: "That's not something I can talk about. Let's get back to math - what problem are you working on?"
+  },
+
+  personal_info: {
+    label: 'Personal information',
+    severity: 'medium',
+    redact: true,
+    student: {
+      action: 'block',
+      patterns: [
+        '[\\w.+-]+@[\\w-]+\\.[\\w.]+',
+        '\\(?\\b\\d{3}\\)?[-.\\s]\\d{3}[-.\\s]\\d{4}\\b',
+        '\\bmy (home |street )?address is\\b',
+        '\\bi live (at|on) \\d+',
+        '\\bmy (phone|cell|mobile)( number)? is\\b',
+        '\\bmy (password|passcode|social security number) is\\b',
+        "\\bwhat('s| is) (his|her|their|\\w+'s) (home )?(address|phone number)\\b"
+      ]
+    },
+    tutor: {
+      action: 'block',
+      patterns: [
+        "\\bwhat('s| is) your (full name|last name|surname|address|phone number|email|password)\\b",
+        '\\bwhere do you live\\b',
+        '\\bwhat school do you go to\\b',
+        '\\b(send|show) me a (photo|picture) of yourself\\b'
+      ]
+    },
+    message: "Let's keep personal details like addresses, phone numbers and passwords private - I don't need them to help you with math. What problem are we working on?"
+  },
+
+  answer_seeking: {
+    label: 'Asking for the answer',
+    severity: 'low',
+    modes: ['socratic'],
+    student: {
+      action: 'redirect',
+      patterns: [
+        '\\b(just )?(tell|give) me the answers?\\b',
+        "\\bwhat('s| is) the answer\\b",
+        '\\bdo (my|this|the) homework( for me)?\\b',
+        '\\bsolve (it|this|them|these) for me\\b'
+      ]
+    },
+    tutor: null,
+    instruction: 'The student asked for the answer outright ("{text}"). This is a Socratic session, so do not give the answer or the final result. Kindly explain that you will help them get there themselves, then ask one guiding question about the first step.'
+  },
+
+  off_topic: {
+    label: 'Off topic',
+    severity: 'low',
+    student: {
+      action: 'redirect',
+      patterns: [
+        '\\b(fortnite|minecraft|roblox|among us|call of duty|video ?games?|youtube|tiktok|instagram|snapchat|netflix|movies?|tv shows?|anime)\\b',
+        '\\b(celebrit\\w*|singers?|rappers?|boyfriend|girlfriend|crush|dating)\\b',
+        '\\b(election|president|politic\\w*|religio\\w*)\\b'
+      ]
+    },
+    tutor: {
+      action: 'flag',
+      patterns: [
+        '\\b(fortnite|minecraft|roblox|video ?games?|youtube|tiktok|netflix|movies?|tv shows?)\\b',
+        '\\b(boyfriend|girlfriend|dating|election|politic\\w*|religio\\w*)\\b'
+      ]
+    },
+    // Word problems are often about games and sports - numbers or math words mean it's still math
+    unless: [
+      '\\d',
+      '[=+*/^]',
+      '\\b(equation|fraction|solve|graph|angle|area|perimeter|percent|multiply|divide|add|subtract|plus|minus|times|sum|product|average|probability|how many|how much)\\b'
+    ],
+    message: "Let's keep our focus on math. What problem are you working on?",
+    instruction: 'The student drifted off topic ("{text}"). Acknowledge it in one short, friendly sentence, then bring them back to the math they were working on.'
+  }
+};
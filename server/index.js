@@ -5,21 +5,123 @@ globalThis.Blob = Blob;
 
 import 'dotenv/config';
 import http from 'http';
-import { WebSocketServer } from 'ws';
-import { GoogleGenAI, Modality } from '@google/genai';
+import { randomUUID } from 'crypto';
+import { WebSocket, WebSocketServer } from 'ws';
+import { Modality, ActivityHandling } from '@google/genai';
+import { PersistentAudioSession } from './audio-session.js';
+import { createProvider } from './providers/index.js';
+import { createDefaultToolRegistry } from './tools/index.js';
+import { createWhiteboard } from './tools/whiteboard.js';
+import { HttpError, Router, sendJson } from './routes/router.js';
+import { registerMathRoutes } from './routes/math.js';
+import { TranscriptRelay } from './transcript.js';
+import { formatPageContext } from './page-context.js';
+import { AnswerTracker, formatAnswerNote, normalizeAnswerEvent, proactiveHintInstruction } from './answer-events.js';
+import { resolveProfile, applyProfile } from './profiles.js';
+import {
+  AUDIO_FORMAT,
+  CLIENT_MESSAGES,
+  END_CLOSE_CODE,
+  FRAME_KIND,
+  IMAGE_SOURCES,
+  ProtocolError,
+  SUPPORTED_VERSIONS,
+  decodeAudioFrame,
+  decodeControlMessage,
+  encodeAudioFrame,
+  encodeControlMessage,
+  negotiateVersion
+} from '../shared/protocol.js';
+import { SessionStore, SessionRecorder } from './session-history.js';
+import { registerSessionRoutes } from './routes/sessions.js';
+import { registerAdminRoutes } from './routes/admin.js';
+import { Authenticator, TokenStore } from './auth.js';
+import { StudentLimits, UsageTracker } from './limits.js';
+import { MasteryStore, TurnSkillTags, classifySkill } from './mastery.js';
+import { QUIZ_TOPICS, QuizSession, difficultyForMastery } from './quiz/index.js';
+import { registerProgressRoutes } from './routes/progress.js';
+import { registerHealthRoutes } from './routes/health.js';
+import { registerClassroomRoutes } from './routes/classroom.js';
+import { Classroom, questionSkill } from './classroom/index.js';
+import { FlagStore, Guardrails, flagExcerpt } from './guardrails/index.js';
+import { registerGuardrailRoutes } from './routes/guardrails.js';
+import { logger, metrics, startSpan, tutorMetrics } from './observability/index.js';
+import { FixtureRecorder } from './replay/recorder.js';
 
 const PORT = process.env.PORT || 3001;
+
+// Saved sessions for the extension's history page
+const sessionStore = new SessionStore();
+
+// What each student has practised, for their progress page and the tutor's prompt
+const mastery = await new MasteryStore().load();
+
+// API tokens, per-student rate limits and daily quotas
+const tokenStore = await new TokenStore().load();
+const usage = await new UsageTracker().load();
+const authenticator = new Authenticator({ tokenStore });
+const studentLimits = new StudentLimits({ usage });
+
+// The students being tutored right now, for the teacher dashboard
+const classroom = new Classroom();
+
+// Content-safety and on-topic policies, and what they caught for parents and teachers to review
+const guardrails = Guardrails.fromEnvironment();
+const guardrailFlags = await new FlagStore().load();
+if (!authenticator.required) {
+  logger.warn('AUTH_REQUIRED=false - anyone who can reach this server can use it');
+}
+
+// Model provider (Gemini by default, MODEL_PROVIDER=mock for offline runs)
+const provider = createProvider();
+
+// REST endpoints served alongside the WebSocket server
+const router = new Router({ authenticate: authenticateRequest });
+registerMathRoutes(router);
+registerSessionRoutes(router, sessionStore);
+registerAdminRoutes(router, { tokenStore, usage, onRevoke: (record) => disconnectToken(record.id) });
+registerProgressRoutes(router, mastery);
+registerClassroomRoutes(router, classroom);
+registerGuardrailRoutes(router, guardrailFlags);
+registerHealthRoutes(router, {
+  provider,
+  getStats: () => ({ connections: wss.clients.size, conversations: conversations.size })
+});
+
 const server = http.createServer((req, res) => {
+  handleHttpRequest(req, res).catch((error) => {
+    // One bad request must never take the process, and every live tutoring session, down with it
+    // The path only - the query string can carry an API token (`?token=`)
+    logger.error('Unhandled error in HTTP request', { method: req.method, path: String(req.url).split('?')[0], error });
+    if (!res.headersSent) sendJson(res, 500, { error: 'Internal server error' });
+    else res.destroy();
+  });
+});
+
+async function handleHttpRequest(req, res) {
+  if (await router.handle(req, res)) return;
   res.writeHead(200, { 'Content-Type': 'text/plain' });
   res.end('Agentic WebSocket server is running');
-});
+}
 const wss = new WebSocketServer({ server });
 
-const genAI = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+// Tools the audio model can call (screenshot analysis, exact arithmetic, hints, whiteboard)
+const toolRegistry = createDefaultToolRegistry();
+
+// Clients that asked for binary audio in their `hello`; everyone else gets base64 JSON (protocol version 0)
+const binaryAudioClients = new WeakSet();
+
+// Set to record every conversation as a test fixture (see replay/recorder.js)
+const RECORD_FIXTURES_DIR = process.env.RECORD_FIXTURES_DIR;
+if (RECORD_FIXTURES_DIR) logger.warn('Recording conversations as test fixtures', { dir: RECORD_FIXTURES_DIR });
+
+// The fixture recorder for each recorded client socket
+const fixtureRecorders = new WeakMap();
 
 // --- AGENTIC MODEL CONFIGURATIONS ---
 
-// 1. Config for the primary, low-latency AUDIO model
+// 1. Config for the primary, low-latency AUDIO model.
+// This is the base config - each session's grade band, language, voice and teaching mode are layered on by profiles.js
 const AUDIO_MODEL_CONFIG = {
   model: 'models/gemini-2.5-flash-preview-native-audio-dialog',
   config: {
@@ -47,11 +149,19 @@ When a student asks a question:
 - Provide a clear, helpful response
 - Explain your reasoning step-by-step
 - Encourage them to ask follow-up questions
-- If they mention looking at something on screen, you can request a screenshot by responding with JSON: {"tool_use": "get_screenshot_analysis", "question_for_vision_model": "their question here"}
+- Use your tools whenever they help: look at the student's screen when they refer to it, and check any arithmetic with a tool instead of working it out in your head
+- Never tell a student an answer is right or wrong until you have verified it with your answer-checking tool
+- When a picture helps (geometry, number lines, graphs), draw it on the whiteboard with your drawing tools as you explain, one step at a time
 
 Always respond in a warm, encouraging tone as if you're speaking directly to the student. Remember, your goal is to help them learn and build confidence in mathematics.`
       }]
-    }
+    },
+    tools: [{ functionDeclarations: toolRegistry.getFunctionDeclarations() }],
+    // Barge-in: the student's voice stops the model mid-reply (the client also sends `cancel`)
+    realtimeInputConfig: { activityHandling: ActivityHandling.START_OF_ACTIVITY_INTERRUPTS },
+    // Text versions of both sides of the conversation for the transcript panel
+    inputAudioTranscription: {},
+    outputAudioTranscription: {}
   }
 };
 
@@ -71,392 +181,954 @@ const SIMPLE_AUDIO_CONFIG = {
   }
 };
 
-// 2. Config for the powerful VISION model
-const VISION_MODEL_CONFIG = {
-  model: 'gemini-1.5-flash-latest',
-  generationConfig: {
-    temperature: 0.7,
-    topP: 0.8,
-    topK: 40,
-    maxOutputTokens: 2048,
+// --- WEBSOCKET & ORCHESTRATION LOGIC ---
+
+// How long a dropped client's conversation (live model session, history, profile) is kept for it to reconnect
+const RESUME_GRACE_MS = Number(process.env.RESUME_GRACE_MS) || 60000;
+
+// How long to wait for the model to start answering before logging a timeout
+const RESPONSE_TIMEOUT_MS = 15000;
+
+// Open and parked conversations by resume token
+const conversations = new Map();
+
+metrics.gauge('tutor_open_connections', 'Connected WebSocket clients', { collect: () => wss.clients.size });
+metrics.gauge('tutor_conversations', 'Open conversations, including ones parked for a reconnect', { collect: () => conversations.size });
+
+const UNAUTHORIZED_MESSAGE = 'Your access token is missing or no longer valid. Ask your teacher for a new one and enter it in the extension options.';
+
+/**
+ * Identify an HTTP request for the router, refusing unknown tokens and callers over their rate limit
+ */
+function authenticateRequest(req) {
+  const identity = authenticator.identify(req);
+  if (!identity) throw new HttpError(401, UNAUTHORIZED_MESSAGE);
+  const limited = identity.role === 'admin' ? null : studentLimits.checkHttpRequest(identity.studentId);
+  if (limited) throw new HttpError(429, limited.message);
+  return identity;
+}
+
+/**
+ * Tell a client why it can't connect, then close with a code it can act on
+ * (4401 = fix your token, 4429 = slow down)
+ */
+function refuseConnection(socket, error, closeCode) {
+  sendToClient(socket, { type: 'error', payload: error });
+  socket.close(closeCode, error.code);
+}
+
+wss.on('connection', (socket, req) => {
+  const connectionId = randomUUID().slice(0, 8);
+  // Browsers can't set headers on a WebSocket, so the token usually arrives as ?token=
+  const identity = authenticator.identify(req);
+  if (!identity) {
+    logger.warn('Refused a WebSocket connection without a valid API token', { connectionId });
+    tutorMetrics.connections.inc({ outcome: 'unauthorized' });
+    refuseConnection(socket, { code: 'unauthorized', message: UNAUTHORIZED_MESSAGE }, 4401);
+    return;
+  }
+  const log = logger.child({ connectionId, studentId: identity.studentId });
+  const limited = identity.role === 'admin' ? null : studentLimits.checkConnection(identity.studentId);
+  if (limited) {
+    log.warn('Refused a connection: too many connections');
+    tutorMetrics.connections.inc({ outcome: 'rate_limited' });
+    refuseConnection(socket, limited, 4429);
+    return;
   }
-};
 
-// --- WEBSOCKET & ORCHESTRATION LOGIC ---
+  log.info('Client connected');
+  tutorMetrics.connections.inc({ outcome: 'accepted' });
+  const connectedAt = Date.now();
+  let conversation = null;
 
-wss.on('connection', (ws) => {
-  console.log('🔗 Client connected to agentic server');
-  
-  let turnAudioBuffer = [];
+  socket.on('message', (message, isBinary) => {
+    // The first message decides whether this socket resumes a conversation or starts a new one
+    if (!conversation) {
+      conversation = findResumableConversation(message, isBinary, identity) || createConversation(identity);
+      conversation.attach(socket, connectionId);
+    }
+    conversation.handleMessage(message, isBinary);
+  });
+
+  socket.on('close', (code) => {
+    log.info('Client disconnected', { conversationId: conversation?.id, code, connectedMs: Date.now() - connectedAt });
+    conversation?.detach(socket, { ended: code === END_CLOSE_CODE });
+  });
+});
+
+/**
+ * Find the conversation named by the resume token in a `hello`, if it is still around
+ * and belongs to the same student
+ */
+function findResumableConversation(message, isBinary, identity) {
+  if (isBinary) return null;
+  try {
+    const data = JSON.parse(message.toString());
+    const token = data?.type === 'hello' ? data.payload?.resumeToken : null;
+    const conversation = typeof token === 'string' ? conversations.get(token) : null;
+    return conversation?.studentId === identity.studentId ? conversation : null;
+  } catch (error) {
+    return null; // handleMessage reports malformed messages
+  }
+}
+
+/**
+ * Disconnect every conversation using a revoked token
+ */
+function disconnectToken(tokenId) {
+  for (const conversation of conversations.values()) {
+    if (conversation.tokenId === tokenId) conversation.revoke();
+  }
+}
+
+/**
+ * One student's tutoring conversation. It outlives any single WebSocket so a client
+ * that drops can reconnect with its resume token and carry on.
+ */
+function createConversation(identity) {
+  const { studentId, tokenId, name = null, classId = null } = identity;
+  const resumeToken = randomUUID();
+  // Log id for the conversation - the resume token is a secret, so it never goes in the logs
+  const id = randomUUID().slice(0, 8);
+  const log = logger.child({ conversationId: id, studentId });
+  let ws = null; // The client's current socket, null while it is disconnected
+  let canResume = false; // Only clients that sent `hello` know their resume token
+  let expiryTimer = null;
   let turnImage = null;
-  let currentAudioSession = null;
-  let audioMessageCount = 0;
   let hasReceivedResponse = false;
-  
-  // Periodic logging to track what's happening
-  const statusInterval = setInterval(() => {
-    console.log(`📊 Status: ${audioMessageCount} audio messages received, buffer size: ${turnAudioBuffer.length}`);
-    audioMessageCount = 0; // Reset counter
-  }, 5000); // Every 5 seconds
+  let responseTimeout = null;
+  let muteAudio = false; // Typed turns can ask for a silent, text-only reply
+  let profile = null; // Set by `session_start`, before the live session opens
+  let turnInProgress = false; // The model is still generating a reply
+  let turnCancelled = false; // The student cut in - drop the rest of the reply
+  let utterance = null; // 'allowed' or 'refused' once the current spoken question has been checked against the limits
+  let turn = null; // The question being answered: { id, source, log, span, firstAudio }
+  let turnCount = 0;
+  let hasAttached = false;
+  // Guardrails: what each side has said in the current exchange, screened as it arrives
+  let heard = '';
+  let said = '';
+  let screened = { student: false, tutor: false }; // A policy already matched this exchange
+  let intervention = null; // 'blocked' or 'redirect' while the reply being dropped finishes
+  let pendingRedirect = null; // Sent to the tutor in place of that reply
+  const answers = new AnswerTracker(); // Answers checked by practice sites, for proactive hints
 
-  ws.on('message', async (message) => {
+  const history = new SessionRecorder(sessionStore, { studentId });
+  // Students appear on their teacher's dashboard; teachers and the admin trying the tutor don't
+  const activity = identity.role === 'student' || identity.role === 'local'
+    ? classroom.join({
+      conversationId: id,
+      studentId,
+      name,
+      classId,
+      controls: {
+        message: (message) => receiveTeacherMessage(message),
+        lowerHand: () => setHandRaised(false, 'teacher')
+      }
+    })
+    : null;
+  const recorder = RECORD_FIXTURES_DIR ? new FixtureRecorder({ dir: RECORD_FIXTURES_DIR, conversationId: id }) : null;
+
+  // Everything a tool needs to know about this client
+  const toolContext = {
+    provider: recorder ? recorder.wrapProvider(provider) : provider,
+    sendToClient: (message) => sendToClient(ws, message),
+    getScreenshot: () => turnImage,
+    whiteboard: createWhiteboard(),
+    skills: new TurnSkillTags({ mastery, studentId, history, onTag: (skill) => activity?.practising(skill) }),
+    quiz: {
+      start: (options) => startQuiz(options),
+      answer: (answer) => answerQuiz(answer, 'spoken')
+    },
+    // Tool calls are logged with the turn that made them
+    get log() {
+      return turn?.log || log;
+    }
+  };
+
+  const transcript = new TranscriptRelay({
+    send: (message) => {
+      sendToClient(ws, message);
+      if (message.payload.final) {
+        history.record({ type: 'transcript', role: message.payload.role, text: message.payload.text });
+        if (message.payload.role === 'student') activity?.question(message.payload.text);
+      }
+    }
+  });
+
+  // One long-lived audio session per client keeps the conversation context across turns
+  const audioSession = new PersistentAudioSession({
+    provider: toolContext.provider,
+    model: AUDIO_MODEL_CONFIG.model,
+    config: AUDIO_MODEL_CONFIG.config,
+    log,
+    onMessage: (response) => {
+      hasReceivedResponse = true;
+      // Screened here, not in handleAudioModelResponse, so a reply cut by a guardrail is
+      // dropped from this very message on
+      screenResponse(response);
+      const dropOutput = turnCancelled;
+      const responseLog = toolContext.log; // Before a turnComplete ends the turn
+      if (!dropOutput && !muteAudio && response.serverContent?.modelTurn?.parts?.some(part => part.inlineData)) {
+        turn?.firstAudio.end();
+      }
+      if (response.serverContent?.turnComplete || response.serverContent?.interrupted) {
+        turnInProgress = false;
+        turnCancelled = false;
+        if (!dropOutput) endTurn(response.serverContent.turnComplete ? 'complete' : 'interrupted');
+        finishExchange();
+      }
+
+      // Handle the response asynchronously but don't block the callback
+      setImmediate(async () => {
+        try {
+          await handleAudioModelResponse(response, ws, audioSession, toolContext, {
+            log: responseLog,
+            transcript,
+            history,
+            muteAudio,
+            dropOutput,
+            recordOutputAudio: (base64Audio) => studentLimits.recordOutputAudio(studentId, base64Audio)
+          });
+        } catch (error) {
+          log.error('Error handling audio model response', { error });
+        }
+      });
+    },
+    onFatalError: async () => {
+      endTurn('error');
+      await speakText("I lost my connection to the tutoring service. Please stop and start the session again.", ws, toolContext);
+    }
+  });
+
+  /**
+   * Start timing a student's question, from the moment they finish asking it.
+   * The turn ends when the tutor's reply completes, is cut off or fails.
+   */
+  const startTurn = (source) => {
+    if (turn) endTurn('superseded');
+    const turnLog = log.child({ turnId: `${id}-${++turnCount}` });
+    turnLog.info('Turn started', { source });
+    activity?.turnStarted();
+    turn = {
+      source,
+      log: turnLog,
+      span: startSpan(turnLog, 'Turn finished', { histogram: tutorMetrics.turnDuration, labels: { source } }),
+      firstAudio: startSpan(turnLog, 'First tutor audio', { histogram: tutorMetrics.firstAudio, labels: { source } })
+    };
+  };
+
+  const endTurn = (outcome) => {
+    if (!turn) return;
+    turn.span.end({ outcome });
+    tutorMetrics.turns.inc({ source: turn.source, outcome });
+    turn = null;
+    activity?.turnFinished();
+  };
+
+  const applySessionProfile = (requested) => {
+    profile = resolveProfile(requested);
+    // Seed the tutor with what earlier sessions showed this student finds hard
+    audioSession.config = applyProfile(AUDIO_MODEL_CONFIG.config, profile, mastery.instructionsFor(studentId));
+    log.info('Tutor profile applied', { profile });
+    history.record({ type: 'session_start', profile });
+    sendToClient(ws, { type: 'session_started', payload: { profile } });
+  };
+
+  let quiz = null; // The practice quiz in progress, if any (quiz/index.js)
+
+  /**
+   * Start a practice quiz on a topic, or on the topic of `like` ("five more like this one").
+   * Without a difficulty it starts where the student's mastery of the topic says.
+   */
+  const startQuiz = ({ topic, like, length, difficulty } = {}) => {
+    const quizTopic = topic || classifySkill(like);
+    if (!quizTopic || !Object.hasOwn(QUIZ_TOPICS, quizTopic)) {
+      throw new Error(like && !topic
+        ? `I can't make practice problems like "${like}" yet.`
+        : `There are no practice problems for "${quizTopic}" yet. Try one of: ${Object.keys(QUIZ_TOPICS).join(', ')}.`);
+    }
+    const known = mastery.get(studentId).find(skill => skill.skill === quizTopic);
+    quiz = new QuizSession({ topic: quizTopic, length, difficulty: difficulty ?? difficultyForMastery(known?.mastery) });
+    const problem = quiz.next();
+    activity?.practising(quiz.topic);
+
+    log.info('Quiz started', { topic: quiz.topic, length: quiz.length, difficulty: quiz.difficulty });
+    history.record({ type: 'quiz_start', topic: quiz.topic, length: quiz.length, difficulty: quiz.difficulty });
+    sendToClient(ws, { type: 'quiz_problem', payload: problem });
+    return problem;
+  };
+
+  const finishQuiz = () => {
+    const summary = quiz.summary();
+    quiz = null;
+    log.info('Quiz finished', { topic: summary.topic, score: summary.score, total: summary.total });
+    history.record({ type: 'quiz_summary', topic: summary.topic, score: summary.score, total: summary.total });
+    sendToClient(ws, { type: 'quiz_summary', payload: summary });
+    return summary;
+  };
+
+  /**
+   * Grade an answer to the current quiz problem, then show the next one or the summary
+   */
+  const answerQuiz = (answer, source) => {
+    if (!quiz?.current) throw new Error('There is no quiz question waiting for an answer');
+    const result = quiz.grade(answer, source);
+    mastery.record(studentId, quiz.topic, result.correct ? 'correct' : 'incorrect');
+    history.record({ type: 'quiz_answer', ...result });
+    sendToClient(ws, { type: 'quiz_result', payload: result });
+
+    const next = quiz.next();
+    if (!next) return { result, summary: finishQuiz() };
+    sendToClient(ws, { type: 'quiz_problem', payload: next });
+    return { result, next };
+  };
+
+  // Keep the tutor up to date with quiz moves made in the panel, without starting a turn
+  const sendQuizContext = async (note) => {
     try {
-      const data = JSON.parse(message.toString());
-      console.log('📨 Received message type:', data.type);
-      
-      // Add detailed logging for debugging
-      if (data.type !== 'audio') {
-        console.log('🔍 Non-audio message details:', {
-          type: data.type,
-          hasPayload: !!data.payload,
-          payloadLength: data.payload ? data.payload.length : 0,
-          timestamp: new Date().toISOString()
+      await ensureSession();
+      audioSession.sendContext(note);
+    } catch (error) {
+      await handleSessionError(error, ws, toolContext);
+    }
+  };
+
+  /**
+   * Raise or lower the student's hand on the teacher dashboard. The client is always told
+   * where it stands, so its button stays in step even when nothing changed.
+   */
+  const setHandRaised = (raised, by) => {
+    if (Boolean(activity.handRaisedAt) !== raised) {
+      activity.raiseHand(raised);
+      log.info(raised ? 'Student raised their hand' : 'Student\'s hand lowered', { by });
+      history.record({ type: 'raise_hand', raised, by });
+    }
+    sendToClient(ws, { type: 'hand_status', payload: { raised } });
+  };
+
+  /**
+   * Show a message from the teacher's dashboard in the student's panel. A hint is also
+   * passed to the tutor, quietly, so its next explanation can build on it.
+   * Resolves false when the student isn't connected to receive it.
+   */
+  const receiveTeacherMessage = async ({ kind, text, from }) => {
+    if (!ws) return false;
+    sendToClient(ws, { type: 'teacher_message', payload: { kind, text, from } });
+    history.record({ type: 'teacher_message', kind, text });
+    // The teacher has answered, so the hand can come down
+    if (activity.handRaisedAt) setHandRaised(false, 'teacher');
+
+    if (kind === 'hint') {
+      try {
+        await ensureSession();
+        audioSession.sendContext(`[Teacher] The student's teacher sent them this hint: "${text}". Build on it the next time you help them, without repeating it word for word.`);
+      } catch (error) {
+        log.warn('Could not pass the teacher\'s hint to the tutor', { error: error.message });
+      }
+    }
+    return true;
+  };
+
+  /**
+   * Check what one side has said so far this exchange. A match is recorded for review,
+   * then blocked or redirected as its policy says. Returns the violation, if any.
+   */
+  const screen = (role, text) => {
+    if (screened[role]) return null;
+    const violation = guardrails.check({ role, text, mode: profile?.mode });
+    if (!violation) return null;
+    screened[role] = true;
+
+    const details = { policy: violation.policy, label: violation.label, role, action: violation.action };
+    (turn?.log || log).warn('Guardrail triggered', { ...details, severity: violation.severity });
+    tutorMetrics.guardrailFlags.inc({ policy: violation.policy, role, action: violation.action });
+    history.record({ type: 'guardrail', ...details });
+    guardrailFlags.add({ conversationId: id, studentId, classId, ...details, severity: violation.severity, text: flagExcerpt(text, violation) });
+    activity?.flagged(violation);
+    return violation;
+  };
+
+  // Live transcriptions of both sides; the tutor's reply stops mattering once it is dropped
+  const screenResponse = (response) => {
+    const content = response.serverContent;
+    if (!content) return;
+    if (content.inputTranscription?.text) {
+      heard += content.inputTranscription.text;
+      const violation = screen('student', heard);
+      if (violation && violation.action !== 'flag') {
+        interruptReply(violation, 'student');
+        return;
+      }
+    }
+    const tutorText = [content.outputTranscription?.text, ...(content.modelTurn?.parts || []).map(part => part.text)].filter(Boolean).join('');
+    if (tutorText && !turnCancelled) {
+      said += tutorText;
+      const violation = screen('tutor', said);
+      if (violation && violation.action !== 'flag') interruptReply(violation, 'tutor');
+    }
+  };
+
+  /**
+   * Drop the reply the model is giving (or is about to give) to something a guardrail
+   * caught, as if the student had cut in. A block explains itself straight away; a redirect
+   * has the tutor answer `instruction` once the dropped reply has stopped.
+   */
+  const interruptReply = (violation, role) => {
+    if (turnInProgress) {
+      turnCancelled = true;
+      intervention = violation.action === 'block' ? 'blocked' : 'redirect';
+      if (intervention === 'blocked') endTurn('blocked');
+      else pendingRedirect = redirectInstruction(violation, role);
+    } else {
+      // The transcription came in after the reply finished: there is nothing left to drop
+      // (and the next reply must not be), so redirect straight away
+      if (violation.action !== 'block') pendingRedirect = redirectInstruction(violation, role);
+      finishExchange();
+    }
+    // After the parts of the reply that got through, which are still queued in handleAudioModelResponse
+    setImmediate(() => {
+      transcript.finish('tutor');
+      sendToClient(ws, { type: 'turn_cancelled' });
+      if (violation.action === 'block') explainBlock(violation, role);
+    });
+  };
+
+  const redirectInstruction = (violation, role) => role === 'student'
+    ? `[Guardrail] ${violation.instruction}`
+    : `[Guardrail] Your last reply was cut off (${violation.label}). Apologize briefly and bring the conversation back to the math.`;
+
+  // Tell the student why, in the tutor's voice, and the tutor what happened - without repeating it
+  const explainBlock = async (violation, role) => {
+    transcript.addText('tutor', violation.message);
+    if (muteAudio) sendToClient(ws, { type: 'turn_complete' });
+    else await speakText(violation.message, ws, toolContext);
+    const note = role === 'student'
+      ? `[Guardrail] The student's last message was blocked (${violation.label}) and they were told: "${violation.message}" Don't repeat or respond to what they said; carry on with the math when they're ready.`
+      : `[Guardrail] Your last reply was cut off (${violation.label}) and the student was told: "${violation.message}" Keep to math and keep everything you say appropriate for a young student.`;
+    try {
+      await ensureSession();
+      audioSession.sendContext(note);
+    } catch (error) {
+      log.warn('Could not tell the tutor about a blocked message', { error: error.message });
+    }
+  };
+
+  const resetScreening = () => {
+    heard = '';
+    said = '';
+    screened = { student: false, tutor: false };
+    intervention = null;
+    pendingRedirect = null;
+  };
+
+  // The reply to the student's last question is over: start screening the next exchange,
+  // and if a guardrail dropped that reply, send the tutor what to say instead
+  const finishExchange = () => {
+    if (intervention === 'blocked') endTurn('blocked');
+    const redirect = pendingRedirect;
+    resetScreening();
+    if (redirect) {
+      audioSession.sendText(redirect);
+      turnInProgress = true;
+      startResponseTimeout();
+    }
+  };
+
+  /**
+   * Tell the tutor how an answer on a practice site went. After repeated wrong answers on
+   * one problem it speaks up with a hint, as its own turn - unless the student is talking
+   * to it already, in which case it only hears about it.
+   */
+  const offerAnswerHelp = async (event, status) => {
+    // The student didn't ask, so a hint doesn't use up their questions or turn rate -
+    // AnswerTracker's cooldown is its limit - but it still needs tutoring minutes left
+    const speakUp = status.offerHint && !turn && !turnInProgress && !utterance
+      && (identity.role === 'admin' || studentLimits.hasMinutesLeft(studentId));
+    try {
+      await ensureSession();
+      if (!speakUp) {
+        audioSession.sendContext(formatAnswerNote(event, status));
+        return;
+      }
+      answers.hinted(event);
+      startTurn('proactive');
+      history.record({ type: 'turn', source: 'proactive' });
+      resetScreening();
+      audioSession.sendText(proactiveHintInstruction(event, status));
+    } catch (error) {
+      if (speakUp) endTurn('error');
+      await handleSessionError(error, ws, toolContext);
+      return;
+    }
+    turnInProgress = true;
+    startResponseTimeout();
+  };
+
+  // Open the live session, with the default profile if the client never sent `session_start`
+  const ensureSession = () => {
+    if (!profile) applySessionProfile({});
+    return audioSession.ensureOpen();
+  };
+
+  // Flag turns the model never answers
+  const startResponseTimeout = () => {
+    hasReceivedResponse = false;
+    clearTimeout(responseTimeout);
+    responseTimeout = setTimeout(() => {
+      if (!hasReceivedResponse) {
+        (turn?.log || log).warn('Response timeout - model has not responded to this turn', { timeoutMs: RESPONSE_TIMEOUT_MS });
+        tutorMetrics.errors.inc({ kind: 'response_timeout' });
+      }
+    }, RESPONSE_TIMEOUT_MS);
+  };
+
+  // Rate limits and daily quotas are checked once per question; the admin is exempt
+  const checkTurn = (source) => {
+    const limited = identity.role === 'admin' ? null : studentLimits.checkTurn(studentId);
+    if (limited) {
+      log.warn('Refused a turn', { source, code: limited.code });
+      tutorMetrics.turns.inc({ source, outcome: 'refused' });
+      sendToClient(ws, { type: 'error', payload: limited });
+    }
+    return !limited;
+  };
+
+  // Stream mic chunks into the live session as they arrive
+  const streamAudio = (base64Chunk) => {
+    // The model answers speech on its own, so a refused question's audio must never reach it
+    if (!utterance) utterance = checkTurn('voice') ? 'allowed' : 'refused';
+    if (utterance === 'refused') return;
+    if (!profile) ensureSession().catch(error => handleSessionError(error, ws, toolContext));
+    audioSession.sendAudio(base64Chunk);
+    studentLimits.recordInputAudio(studentId, base64Chunk);
+    tutorMetrics.inputAudioChunks.inc();
+  };
+
+  const handleMessage = async (message, isBinary) => {
+    recorder?.clientMessage(message, isBinary);
+    try {
+      if (isBinary) {
+        const frame = decodeAudioFrame(message);
+        if (frame.kind !== FRAME_KIND.INPUT_AUDIO) {
+          throw new ProtocolError('Clients can only send input audio frames');
+        }
+        streamAudio(Buffer.from(frame.pcm.buffer, frame.pcm.byteOffset, frame.pcm.byteLength).toString('base64'));
+        return;
+      }
+
+      const data = decodeControlMessage(message.toString(), CLIENT_MESSAGES);
+      if (data.type !== 'audio') log.debug('Client message', { type: data.type });
+
+      if (data.type === 'hello') {
+        const version = negotiateVersion(data.payload.protocolVersions);
+        if (!version) {
+          log.warn('Client protocol versions not supported', { protocolVersions: data.payload.protocolVersions });
+          sendToClient(ws, {
+            type: 'error',
+            payload: { code: 'unsupported_protocol', message: `This server speaks protocol versions ${SUPPORTED_VERSIONS.join(', ')}` }
+          });
+          ws.close();
+          return;
+        }
+
+        if (data.payload.capabilities?.binaryAudio) binaryAudioClients.add(ws);
+        const resumed = data.payload.resumeToken === resumeToken;
+        canResume = true;
+        log.info('Client said hello', { protocolVersion: version, resumed, capabilities: data.payload.capabilities || {} });
+        sendToClient(ws, {
+          type: 'welcome',
+          payload: {
+            protocolVersion: version,
+            capabilities: { binaryAudio: true, inputAudio: AUDIO_FORMAT.input, outputAudio: AUDIO_FORMAT.output },
+            resumeToken,
+            resumed
+          }
         });
+        return;
+      }
+
+      if (data.type === 'session_start') {
+        if (profile) {
+          log.warn('Ignoring session_start - the tutor profile is already set for this session');
+          return;
+        }
+        applySessionProfile(data.payload);
+        // Open the session up front so the first utterance doesn't pay the connect cost
+        ensureSession().catch(error => handleSessionError(error, ws, toolContext));
+        return;
       }
 
       if (data.type === 'image') {
-        console.log('📷 Received and stored screenshot for this turn');
-        turnImage = data.payload;
+        const source = data.payload.source || 'screen';
+        if (!IMAGE_SOURCES.includes(source)) {
+          throw new ProtocolError(`Image source must be one of: ${IMAGE_SOURCES.join(', ')}`);
+        }
+        log.info('Received a screenshot', { mimeType: data.payload.mimeType, source });
+        turnImage = { ...data.payload, source };
+        history.recordScreenshot(turnImage);
         return;
       }
       
-      if (data.type === 'audio') {
-        turnAudioBuffer.push(data.payload);
-        audioMessageCount++;
+      if (data.type === 'page_context') {
+        let note;
+        try {
+          note = formatPageContext(data.payload);
+        } catch (error) {
+          log.warn('Ignoring page context', { error: error.message });
+          return;
+        }
+        log.info('Received page context', { url: data.payload.url });
+        history.record({ type: 'page_context', url: data.payload.url, text: note });
+        const skill = questionSkill(data.payload.selectedText || data.payload.problemText);
+        if (skill) activity?.practising(skill);
+
+        try {
+          await ensureSession();
+          audioSession.sendContext(note);
+        } catch (error) {
+          await handleSessionError(error, ws, toolContext);
+        }
         return;
       }
-      
-      if (data.type === 'end_of_utterance') {
-        console.log('🔇 User finished speaking. Starting agentic flow...');
-        
-        if (turnAudioBuffer.length === 0) {
-          console.log('⚠️ No audio data received');
+
+      if (data.type === 'answer_event') {
+        let event;
+        try {
+          event = normalizeAnswerEvent(data.payload);
+        } catch (error) {
+          log.warn('Ignoring answer event', { error: error.message });
           return;
         }
+        const status = answers.record(event);
+        log.info('Student submitted an answer on a practice site', { site: event.site, result: event.result, wrongInARow: status.wrongInARow });
+        tutorMetrics.answerEvents.inc({ result: event.result });
+        history.record({ type: 'answer', site: event.site, url: event.url, problem: event.problemText, answer: event.answer, result: event.result });
+        activity?.answered(event);
+        await offerAnswerHelp(event, status);
+        return;
+      }
 
-        // Fix: Properly combine binary audio data instead of concatenating Base64 strings
-        console.log('🔧 Converting Base64 chunks to binary and combining...');
-        let combinedAudioData;
-        let combinedBinaryData;
+      if (data.type === 'quiz_start') {
+        let problem;
         try {
-          const binaryChunks = turnAudioBuffer.map(base64Chunk => {
-            return Buffer.from(base64Chunk, 'base64');
-          });
-          combinedBinaryData = Buffer.concat(binaryChunks);
-          combinedAudioData = combinedBinaryData.toString('base64');
-          
-          console.log('📊 Audio processing stats:', {
-            originalChunks: turnAudioBuffer.length,
-            totalBinaryBytes: combinedBinaryData.length,
-            finalBase64Length: combinedAudioData.length,
-            avgChunkSize: Math.round(combinedBinaryData.length / turnAudioBuffer.length)
-          });
-          
-          // Validate audio data
-          if (combinedBinaryData.length === 0) {
-            console.error('❌ No audio data after combining chunks');
-            return;
-          }
-          
-          if (combinedBinaryData.length < 1000) {
-            console.warn('⚠️ Audio data seems very short:', combinedBinaryData.length, 'bytes');
-          }
-        
-        } catch (audioError) {
-          console.error('❌ Error processing audio data:', audioError);
+          problem = startQuiz(data.payload);
+        } catch (error) {
+          sendToClient(ws, { type: 'error', payload: { code: 'quiz_unavailable', message: error.message } });
           return;
         }
-        
-        turnAudioBuffer = []; // Clear buffer for next turn
-        hasReceivedResponse = false; // Reset response flag for this turn
-        
-        console.log('🤖 Connecting to audio model...');
+        await sendQuizContext(`[Quiz] The student started a ${problem.total}-problem ${problem.label} practice quiz in their panel. Problem 1: ${problem.prompt}\nWhen they say an answer out loud, call submit_quiz_answer with it. Encourage them, but never give away an answer before they have tried.`);
+        return;
+      }
 
-        // --- Agentic Flow: Step 1 - Initial call to the Audio Model ---
+      if (data.type === 'quiz_answer') {
+        if (!quiz?.current) return;
+        let outcome;
         try {
-          // Test with simplified config first to isolate the issue
-          console.log('🔍 Testing connection with simplified config...');
-          
-          // Add timeout to prevent hanging
-          const connectionPromise = genAI.live.connect({
-            model: AUDIO_MODEL_CONFIG.model,
-            config: AUDIO_MODEL_CONFIG.config,
-            callbacks: {
-              onopen: () => {
-                console.log('✅ Audio model session opened');
-              },
-              
-              onerror: (error) => {
-                console.error('❌ Audio model session error:', error);
-              },
-              
-              onclose: () => {
-                console.log('🔌 Audio model session closed');
-              },
-
-              onmessage: (response) => {
-                hasReceivedResponse = true;
-                console.log('📥 Audio model response received');
-                console.log('🔍 Response structure:', JSON.stringify(response, null, 2));
-                
-                // Check if this is just an acknowledgment or actual content
-                if (response.serverContent) {
-                  console.log('✅ Received server content from model');
-                } else {
-                  console.log('ℹ️ Received non-content message from model');
-                }
-                
-                // Handle the response asynchronously but don't block the callback
-                setImmediate(async () => {
-                  try {
-                    await handleAudioModelResponse(response, ws, turnImage);
-                  } catch (error) {
-                    console.error('❌ Error handling audio model response:', error);
-                  }
-                });
-              }
-            }
-          });
+          outcome = answerQuiz(data.payload.answer, 'typed');
+        } catch (error) {
+          sendToClient(ws, { type: 'error', payload: { code: 'quiz_unavailable', message: error.message } });
+          return;
+        }
+        const { result, next, summary } = outcome;
+        await sendQuizContext(`[Quiz] The student typed "${result.answer}" for problem ${result.index} (${result.correct ? 'correct' : `incorrect, the answer is ${result.expected}`}). ` +
+          (next ? `Problem ${next.index}: ${next.prompt}` : `The quiz is over: ${summary.score} of ${summary.total} right.`));
+        return;
+      }
 
-          // Add 10 second timeout to prevent hanging
-          const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => reject(new Error('Connection timeout after 10 seconds')), 10000);
-          });
+      if (data.type === 'raise_hand') {
+        if (!activity) {
+          sendToClient(ws, { type: 'error', payload: { code: 'invalid_message', message: 'Only students can raise a hand' } });
+          return;
+        }
+        setHandRaised(data.payload.raised, 'student');
+        return;
+      }
 
-          console.log('⏱️ Attempting connection with 10s timeout...');
-          currentAudioSession = await Promise.race([connectionPromise, timeoutPromise]);
-          console.log('✅ Connection successful! Session state:', currentAudioSession.state);
-          
-          // Send the audio data to the model
-          console.log('📤 Sending audio to model, length:', combinedAudioData.length);
-          
-          // Log more details about the audio data for debugging
-          const audioSizeKB = (combinedBinaryData.length / 1024).toFixed(1);
-          const durationEstimate = (combinedBinaryData.length / (16000 * 2)).toFixed(1); // 16kHz, 16-bit
-          console.log('🎵 Audio details:', {
-            sizeKB: audioSizeKB,
-            estimatedDurationSec: durationEstimate,
-            bytesPerSample: 2,
-            expectedSampleRate: 16000
-          });
-          
-          await currentAudioSession.sendRealtimeInput({
-            audio: {
-              data: combinedAudioData,
-              mimeType: 'audio/pcm;rate=16000'
-            }
-          });
-          
-          // Send audio stream end signal to indicate we're done sending audio
-          console.log('🔚 Sending audio stream end signal...');
-          await currentAudioSession.sendRealtimeInput({
-            audioStreamEnd: true
-          });
-          
-          // Wait for the model to process and respond
-          console.log('⏳ Waiting for model response...');
-          
-          // Set up a timeout to prevent infinite waiting
-          setTimeout(() => {
-            if (currentAudioSession && currentAudioSession.state !== 'closed') {
-              if (!hasReceivedResponse) {
-                console.log('⏰ Response timeout - model has not responded at all');
-                console.log('🔍 This suggests the audio data may not be in the correct format or the model is not processing it');
-              } else {
-                console.log('⏰ Response timeout - model responded but may still be processing');
-              }
-            }
-          }, 15000); // 15 second timeout
-          
+      if (data.type === 'quiz_stop') {
+        if (!quiz) return;
+        const summary = finishQuiz();
+        await sendQuizContext(`[Quiz] The student ended the quiz early with ${summary.score} of ${summary.total} right.`);
+        return;
+      }
+
+      if (data.type === 'audio') {
+        // Version 0 clients send base64 audio inside JSON
+        streamAudio(data.payload);
+        return;
+      }
+      
+      if (data.type === 'end_of_utterance') {
+        const allowed = utterance ? utterance === 'allowed' : checkTurn('voice');
+        utterance = null;
+        if (!allowed) return;
+        startTurn('voice');
+        muteAudio = false; // Spoken questions always get a spoken answer
+        history.record({ type: 'turn', source: 'voice' });
+
+        try {
+          await ensureSession();
+          audioSession.endAudioStream();
         } catch (error) {
-          console.error('❌ Error in agentic flow:', error);
-          console.error('🔍 Error details:', {
-            name: error.name,
-            message: error.message,
-            stack: error.stack?.substring(0, 500)
-          });
-          
-          // Provide specific error messages based on the type of error
-          let errorMessage = "I'm having some technical difficulties. Please try again.";
-          if (error.message.includes('timeout')) {
-            errorMessage = "The connection is taking too long. This might be a temporary issue with the AI service.";
-            console.log('🔍 DIAGNOSIS: Connection timeout - likely API rate limiting or model unavailability');
-          } else if (error.message.includes('quota') || error.message.includes('rate')) {
-            errorMessage = "The AI service is currently busy. Please wait a moment and try again.";
-            console.log('🔍 DIAGNOSIS: Quota or rate limiting issue');
-          } else if (error.message.includes('model')) {
-            errorMessage = "There's an issue with the AI model. This might be a temporary service problem.";
-            console.log('🔍 DIAGNOSIS: Model-specific error - possibly model unavailability');
-          }
-          
-          await speakText(errorMessage, ws);
+          endTurn('error');
+          await handleSessionError(error, ws, toolContext);
+          return;
+        }
+        turnInProgress = true;
+        startResponseTimeout();
+        return;
+      }
+
+      if (data.type === 'cancel') {
+        // The client has already silenced its playback; stop relaying whatever the model still sends for this turn
+        if (turnInProgress && !turnCancelled) {
+          turnCancelled = true;
+          endTurn('cancelled');
+          transcript.finish('tutor');
+          history.record({ type: 'turn_cancelled' });
         }
+        sendToClient(ws, { type: 'turn_cancelled' });
+        return;
+      }
+
+      if (data.type === 'text') {
+        const text = data.payload?.text?.trim();
+        if (!text || !checkTurn('text')) return;
+        startTurn('text');
+        muteAudio = Boolean(data.payload.muteAudio);
+        history.record({ type: 'turn', source: 'text' });
+        transcript.addText('student', text);
+
+        // Typed questions are screened before the tutor sees them
+        resetScreening();
+        const violation = screen('student', text);
+        if (violation?.action === 'block') {
+          endTurn('blocked');
+          await explainBlock(violation, 'student');
+          resetScreening();
+          return;
+        }
+
+        try {
+          await ensureSession();
+          audioSession.sendText(violation?.action === 'redirect' ? redirectInstruction(violation, 'student') : text);
+        } catch (error) {
+          endTurn('error');
+          await handleSessionError(error, ws, toolContext);
+          return;
+        }
+        turnInProgress = true;
+        startResponseTimeout();
       }
     } catch (e) {
-      console.error('❌ Error in WebSocket message handler:', e);
+      if (e instanceof ProtocolError) {
+        log.warn('Rejected client message', { error: e.message });
+        tutorMetrics.errors.inc({ kind: 'protocol' });
+        sendToClient(ws, { type: 'error', payload: { code: 'invalid_message', message: e.message } });
+        return;
+      }
+      log.error('Error in WebSocket message handler', { error: e });
+      tutorMetrics.errors.inc({ kind: 'message_handler' });
     }
-  });
+  };
 
-  ws.on('close', () => {
-    console.log('🔌 Client disconnected');
-    clearInterval(statusInterval);
-    if (currentAudioSession) {
-      currentAudioSession.close();
-      currentAudioSession = null;
+  const attach = (socket, connectionId) => {
+    clearTimeout(expiryTimer);
+    const previous = ws;
+    ws = socket;
+    if (recorder) {
+      if (hasAttached) recorder.reconnected();
+      fixtureRecorders.set(socket, recorder);
     }
-  });
-});
+    hasAttached = true;
+    activity?.connected(true);
+    log.info('Client attached to conversation', { connectionId });
+    // A second connection with the same token wins - e.g. the old socket is half-open after a network change
+    if (previous && previous.readyState === WebSocket.OPEN) {
+      log.info('New connection took over this conversation', { connectionId });
+      previous.close();
+    }
+  };
+
+  const end = () => {
+    conversations.delete(resumeToken);
+    classroom.leave(id);
+    endTurn('abandoned');
+    log.info('Conversation ended', { turns: turnCount });
+    clearTimeout(responseTimeout);
+    audioSession.close();
+    transcript.finishAll();
+    history.end();
+    recorder?.save();
+  };
+
+  /**
+   * The client's socket closed. A connection that dropped keeps the conversation (and its
+   * live model session) for RESUME_GRACE_MS; one the student `ended` on purpose ends it now.
+   */
+  const detach = (socket, { ended = false } = {}) => {
+    if (socket !== ws) return; // A connection that was already replaced
+    ws = null;
+    transcript.finishAll();
+    activity?.connected(false);
+    if (ended || !canResume) {
+      end();
+      return;
+    }
+    recorder?.save();
+    log.info('Keeping conversation in case the client reconnects', { graceMs: RESUME_GRACE_MS });
+    expiryTimer = setTimeout(() => {
+      log.info('Client did not reconnect - ending conversation');
+      end();
+    }, RESUME_GRACE_MS);
+  };
+
+  // The student's token was revoked: disconnect them for good
+  const revoke = () => {
+    const socket = ws;
+    ws = null;
+    if (socket) refuseConnection(socket, { code: 'unauthorized', message: 'Your access token was revoked.' }, 4401);
+    end();
+  };
+
+  const conversation = { id, resumeToken, studentId, tokenId, attach, detach, handleMessage, revoke };
+  conversations.set(resumeToken, conversation);
+  return conversation;
+}
+
+/**
+ * Explain a failed audio model connection to the student.
+ * `context` supplies the conversation's provider and logger (see speakText).
+ */
+async function handleSessionError(error, ws, context = {}) {
+  const { log = logger } = context;
+  // Provide specific error messages based on the type of error
+  let errorMessage = "I'm having some technical difficulties. Please try again.";
+  let diagnosis = 'unknown';
+  if (error.message.includes('timeout')) {
+    errorMessage = "The connection is taking too long. This might be a temporary issue with the AI service.";
+    diagnosis = 'Connection timeout - likely API rate limiting or model unavailability';
+  } else if (error.message.includes('quota') || error.message.includes('rate')) {
+    errorMessage = "The AI service is currently busy. Please wait a moment and try again.";
+    diagnosis = 'Quota or rate limiting issue';
+  } else if (error.message.includes('model')) {
+    errorMessage = "There's an issue with the AI model. This might be a temporary service problem.";
+    diagnosis = 'Model-specific error - possibly model unavailability';
+  }
+  log.error('Audio model session failed', { error, diagnosis });
+  tutorMetrics.errors.inc({ kind: 'session' });
+
+  await speakText(errorMessage, ws, context);
+}
 
 /**
  * Handle audio model responses asynchronously to avoid blocking the callback
  */
-async function handleAudioModelResponse(response, ws, turnImage) {
-  if (response.serverContent?.modelTurn?.parts) {
-    const part = response.serverContent.modelTurn.parts[0];
-    
-    // Intercept a "tool use" request from the AI
-    if (part.text) {
-      console.log('💬 Audio model text response:', part.text);
-      
-      try {
-        const toolCall = JSON.parse(part.text);
-        if (toolCall.tool_use === 'get_screenshot_analysis') {
-          console.log('🔧 Audio model requested screenshot analysis');
-          
-          // Note: We'll let the session close naturally after the tool call
-
-          // --- Agentic Flow: Step 2 - Call the Vision Model ---
-          if (!turnImage) {
-            console.log('❌ No screenshot available for analysis');
-            await speakText("You asked me to look at the screen, but I don't have a screenshot. Please share one first by clicking the screenshot button.", ws);
-            return;
-          }
-          
-          console.log('👁️ Calling vision model for analysis...');
-          const visionModel = genAI.getGenerativeModel(VISION_MODEL_CONFIG);
-          
-          const visionPrompt = [
-            {
-              text: `You are a math tutor analyzing a screenshot. The user's question/context is: "${toolCall.question_for_vision_model}". 
-
-Please provide a detailed analysis of what you see in the image, focusing on any math problems, equations, diagrams, or educational content. Be specific about numbers, operations, and mathematical concepts you observe.
-
-Your response will be read aloud to the user, so write in a conversational, helpful tone as if you're speaking directly to them.`
-            },
-            { 
-              inlineData: {
-                mimeType: turnImage.mimeType,
-                data: turnImage.data
-              }
-            }
-          ];
-          
-          try {
-            const result = await visionModel.generateContent(visionPrompt);
-            const analysisText = await result.response.text();
-            console.log('👁️ Vision model analysis completed');
-            console.log('📝 Analysis:', analysisText.substring(0, 200) + '...');
-
-            // --- Agentic Flow: Step 3 - Speak the analysis ---
-            await speakText(analysisText, ws);
-            
-            turnImage = null; // Clear image after use
-            return;
-            
-          } catch (visionError) {
-            console.error('❌ Vision model error:', visionError);
-            await speakText("I'm having trouble analyzing the screenshot right now. Could you try taking another screenshot or describe what you're seeing?", ws);
-            return;
-          }
+async function handleAudioModelResponse(response, ws, audioSession, toolContext, { log, transcript, history, muteAudio, dropOutput, recordOutputAudio }) {
+  // The model wants to use one of our tools - run them and send the results back
+  if (response.toolCall?.functionCalls?.length) {
+    const functionResponses = await Promise.all(
+      response.toolCall.functionCalls.map(functionCall => toolRegistry.dispatch(functionCall, toolContext))
+    );
+    audioSession.sendToolResponse(functionResponses);
+    response.toolCall.functionCalls.forEach(({ name, args }, i) => {
+      history.record({ type: 'tool_call', name, args, response: functionResponses[i].response });
+    });
+    return;
+  }
+
+  if (response.toolCallCancellation?.ids) {
+    log.info('Model cancelled tool calls', { ids: response.toolCallCancellation.ids });
+    return;
+  }
+
+  if (response.serverContent?.inputTranscription?.text) {
+    transcript.append('student', response.serverContent.inputTranscription.text);
+  }
+
+  if (response.serverContent?.interrupted && !dropOutput) {
+    // The model heard the student over its own voice and stopped
+    log.info('Audio model was interrupted by the student');
+    transcript.finish('tutor');
+    history.record({ type: 'turn_cancelled' });
+    sendToClient(ws, { type: 'turn_cancelled' });
+  }
+
+  if (response.serverContent?.outputTranscription?.text && !dropOutput) {
+    transcript.append('tutor', response.serverContent.outputTranscription.text);
+  }
+
+  if (response.serverContent?.modelTurn?.parts && !dropOutput) {
+    for (const part of response.serverContent.modelTurn.parts) {
+      if (part.text) {
+        transcript.addText('tutor', part.text);
+        if (!muteAudio) {
+          log.debug('Audio model text response, converting to speech');
+          await speakText(part.text, ws, { provider: toolContext.provider, log });
         }
-      } catch (parseError) {
-        // Not a valid JSON tool call - treat as regular text response
-        console.log('💬 Regular text response, converting to speech');
-        await speakText(part.text, ws);
-        return;
       }
-    }
-    
-    // If it's a standard audio response, stream it back to the client
-    if (part.inlineData) {
-      console.log('🔊 Streaming audio response to client');
-      ws.send(JSON.stringify({ 
-        type: 'audio', 
-        payload: part.inlineData.data 
-      }));
+      
+      // If it's a standard audio response, stream it back to the client (the transcript still carries it when muted)
+      if (part.inlineData && !muteAudio) {
+        sendAudioToClient(ws, part.inlineData.data);
+        recordOutputAudio(part.inlineData.data);
+        tutorMetrics.outputAudioChunks.inc();
+      }
     }
   }
   
   if (response.serverContent?.turnComplete) {
-    console.log('✅ Audio model turn complete');
-    ws.send(JSON.stringify({ type: 'turn_complete' }));
+    toolContext.skills.finishTurn();
+    transcript.finishAll();
+    history.record({ type: 'turn_complete' });
+    sendToClient(ws, { type: 'turn_complete' });
   }
 }
 
 /**
- * A robust helper function to have the audio model speak a given text (Text-to-Speech).
- * It now waits for the session to be fully open before sending the text prompt.
+ * Send a protocol message to the client if it's still connected
  */
-async function speakText(text, ws) {
-  console.log(`🤖 AI Speaking: "${text}"`);
+function sendToClient(ws, message) {
+  if (ws?.readyState === WebSocket.OPEN) {
+    ws.send(encodeControlMessage(message));
+    fixtureRecorders.get(ws)?.serverMessage(message);
+  }
+}
+
+/**
+ * Send a base64 PCM chunk from the model as a binary frame, or as JSON to version 0 clients
+ */
+function sendAudioToClient(ws, base64Audio) {
+  if (ws?.readyState !== WebSocket.OPEN) return;
+  if (binaryAudioClients.has(ws)) {
+    const pcm = Buffer.from(base64Audio, 'base64');
+    ws.send(encodeAudioFrame(FRAME_KIND.OUTPUT_AUDIO, pcm));
+    fixtureRecorders.get(ws)?.serverAudioFrame(pcm.byteLength);
+  } else {
+    sendToClient(ws, { type: 'audio', payload: base64Audio });
+  }
+}
+
+/**
+ * Have the provider speak a given text (Text-to-Speech) and stream the audio to the client.
+ */
+async function speakText(text, ws, { provider: speaker = provider, log = logger } = {}) {
+  log.info('Speaking text', { text });
   try {
-    const ttsSession = await genAI.live.connect({
-      model: AUDIO_MODEL_CONFIG.model,
-      config: AUDIO_MODEL_CONFIG.config,
-      callbacks: {
-        onopen: () => {
-          console.log('✅ TTS session opened');
-        },
-        
-        onmessage: (response) => {
-          if (response.serverContent?.modelTurn?.parts?.[0]?.inlineData) {
-            console.log('🔊 Sending TTS audio to client');
-            ws.send(JSON.stringify({ 
-              type: 'audio', 
-              payload: response.serverContent.modelTurn.parts[0].inlineData.data 
-            }));
-          }
-          if (response.serverContent?.turnComplete) {
-            console.log('✅ TTS turn complete');
-            ws.send(JSON.stringify({ type: 'turn_complete' }));
-            ttsSession.close();
-          }
-        },
-        
-        onerror: (error) => {
-          console.error('❌ TTS session error:', error);
-          ttsSession.close();
-        },
-        
-        onclose: () => {
-          console.log('🔌 TTS session closed');
-        }
+    await speaker.speak(text, {
+      onAudio: (data) => {
+        sendAudioToClient(ws, data);
+        tutorMetrics.outputAudioChunks.inc();
       }
     });
-
-    // This promise will only resolve once the session's state is 'open'
-    await new Promise((resolve, reject) => {
-      const checkInterval = setInterval(() => {
-        if (ttsSession.state === 'open') {
-          clearInterval(checkInterval);
-          resolve();
-        } else if (ttsSession.state === 'closed' || ttsSession.state === 'error') {
-          clearInterval(checkInterval);
-          reject(new Error(`TTS Session failed to open. State: ${ttsSession.state}`));
-        }
-      }, 50); // Check every 50ms
-    });
-
-    console.log('📤 Sending text to audio model for TTS...');
-    // Now that we know the session is open, it's safe to send the text
-    await ttsSession.sendText(text);
-
+    sendToClient(ws, { type: 'turn_complete' });
   } catch (e) {
-      console.error('❌ Error in speakText function:', e);
+    log.error('Error in speakText function', { error: e });
+    tutorMetrics.errors.inc({ kind: 'tts' });
   }
 }
 
 server.listen(PORT, () => {
-  console.log(`🚀 Agentic Orchestrator Server running on http://localhost:${PORT}`);
-  console.log('🎯 Ready to handle audio + vision requests');
+  const { port } = server.address();
+  logger.info('Agentic Orchestrator Server running', { url: `http://localhost:${port}`, port, provider: provider.name });
 }); 
\ No newline at end of file
@@ -0,0 +1,204 @@
+// Per-student rate limits and daily quotas.
+// Rate limits use a sliding one-minute window and protect the server from bursts;
+// quotas cap how much tutoring each student gets per day (UTC) and are saved to
+// data/usage.json so a restart doesn't reset them. Set any limit to 0 to turn it off.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AUDIO_FORMAT } from '../shared/protocol.js';
+import { logger } from './observability/index.js';
+
+const DEFAULT_USAGE_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'usage.json');
+const MINUTE_MS = 60 * 1000;
+const USAGE_SAVE_DELAY_MS = 5000;
+const USAGE_HISTORY_DAYS = 30;
+
+function envLimit(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+export const LIMITS = {
+  connectionsPerMinute: envLimit('RATE_LIMIT_CONNECTIONS_PER_MINUTE', 10),
+  turnsPerMinute: envLimit('RATE_LIMIT_TURNS_PER_MINUTE', 10),
+  httpRequestsPerMinute: envLimit('RATE_LIMIT_HTTP_PER_MINUTE', 120),
+  dailyTurns: envLimit('DAILY_TURN_QUOTA', 200),
+  dailyMinutes: envLimit('DAILY_MINUTE_QUOTA', 60)
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Seconds of 16-bit mono PCM in a base64 string
+ */
+export function base64AudioSeconds(base64, sampleRate) {
+  return (base64.length * 3 / 4) / (2 * sampleRate);
+}
+
+function formatWait(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  return seconds < 60 ? `${seconds} second${seconds === 1 ? '' : 's'}` : `${Math.ceil(seconds / 60)} minutes`;
+}
+
+const rateLimited = (message) => ({ code: 'rate_limited', message });
+const quotaExceeded = (message) => ({ code: 'quota_exceeded', message });
+
+/**
+ * Sliding-window limiter: at most `limit` events per key in any `windowMs`
+ */
+export class RateLimiter {
+  constructor({ limit, windowMs = MINUTE_MS }) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.events = new Map();
+    // Forget keys that have gone quiet
+    this.sweeper = setInterval(() => this.sweep(), windowMs);
+    this.sweeper.unref();
+  }
+
+  /**
+   * Count an event. Returns 0 if it is allowed, otherwise how many ms until it would be.
+   */
+  take(key) {
+    if (!this.limit) return 0;
+    const now = Date.now();
+    const recent = (this.events.get(key) || []).filter(at => now - at < this.windowMs);
+    if (recent.length >= this.limit) {
+      this.events.set(key, recent);
+      return recent[0] + this.windowMs - now;
+    }
+    recent.push(now);
+    this.events.set(key, recent);
+    return 0;
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, recent] of this.events) {
+      if (recent.every(at => now - at >= this.windowMs)) this.events.delete(key);
+    }
+  }
+}
+
+/**
+ * Turns and audio minutes used by each student per day
+ */
+export class UsageTracker {
+  constructor(filePath = process.env.USAGE_FILE || DEFAULT_USAGE_FILE) {
+    this.filePath = filePath;
+    this.days = {};
+    this.saveTimer = null;
+  }
+
+  async load() {
+    try {
+      this.days = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.days = {};
+    }
+    return this;
+  }
+
+  entry(studentId) {
+    const day = (this.days[today()] ??= {});
+    return (day[studentId] ??= { turns: 0, audioSeconds: 0 });
+  }
+
+  /**
+   * Today's usage for a student
+   */
+  get(studentId) {
+    const { turns, audioSeconds } = this.days[today()]?.[studentId] || { turns: 0, audioSeconds: 0 };
+    return { turns, minutes: Math.round(audioSeconds / 6) / 10 };
+  }
+
+  recordTurn(studentId) {
+    this.entry(studentId).turns++;
+    this.scheduleSave();
+  }
+
+  recordAudio(studentId, seconds) {
+    this.entry(studentId).audioSeconds += seconds;
+    this.scheduleSave();
+  }
+
+  // Audio arrives many times a second, so batch the writes
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch(error => logger.error('Failed to save usage', { error }));
+    }, USAGE_SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  async save() {
+    const keep = Object.keys(this.days).sort().slice(-USAGE_HISTORY_DAYS);
+    this.days = Object.fromEntries(keep.map(day => [day, this.days[day]]));
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify(this.days, null, 2));
+  }
+}
+
+/**
+ * The limits and quotas applied to each student. The check methods return an
+ * error payload for the client ({ code, message }) or null when the action is allowed.
+ */
+export class StudentLimits {
+  constructor({ limits = LIMITS, usage }) {
+    this.limits = limits;
+    this.usage = usage;
+    this.connections = new RateLimiter({ limit: limits.connectionsPerMinute });
+    this.turns = new RateLimiter({ limit: limits.turnsPerMinute });
+    this.httpRequests = new RateLimiter({ limit: limits.httpRequestsPerMinute });
+  }
+
+  checkConnection(studentId) {
+    const waitMs = this.connections.take(studentId);
+    return waitMs ? rateLimited(`Too many connections. Please wait ${formatWait(waitMs)} and try again.`) : null;
+  }
+
+  checkHttpRequest(studentId) {
+    const waitMs = this.httpRequests.take(studentId);
+    return waitMs ? rateLimited(`Too many requests. Please wait ${formatWait(waitMs)} and try again.`) : null;
+  }
+
+  /**
+   * Check, and count, a new question from the student
+   */
+  checkTurn(studentId) {
+    const { turns, minutes } = this.usage.get(studentId);
+    if (this.limits.dailyTurns && turns >= this.limits.dailyTurns) {
+      return quotaExceeded(`You've asked ${turns} questions today, which is today's limit. Come back tomorrow for more tutoring!`);
+    }
+    if (this.limits.dailyMinutes && minutes >= this.limits.dailyMinutes) {
+      return quotaExceeded(`You've used all ${this.limits.dailyMinutes} minutes of tutoring for today. Come back tomorrow for more!`);
+    }
+
+    const waitMs = this.turns.take(studentId);
+    if (waitMs) {
+      return rateLimited(`You're asking questions faster than I can keep up. Please wait ${formatWait(waitMs)} before the next one.`);
+    }
+
+    this.usage.recordTurn(studentId);
+    return null;
+  }
+
+  /**
+   * Whether the student has tutoring minutes left today, without counting a question.
+   * For turns the server starts itself, like proactive hints.
+   */
+  hasMinutesLeft(studentId) {
+    return !this.limits.dailyMinutes || this.usage.get(studentId).minutes < this.limits.dailyMinutes;
+  }
+
+  recordInputAudio(studentId, base64) {
+    this.usage.recordAudio(studentId, base64AudioSeconds(base64, AUDIO_FORMAT.input.sampleRate));
+  }
+
+  recordOutputAudio(studentId, base64) {
+    this.usage.recordAudio(studentId, base64AudioSeconds(base64, AUDIO_FORMAT.output.sampleRate));
+  }
+}
@@ -0,0 +1,231 @@
+// Per-student mastery of math skills.
+// Each tutoring turn can be tagged with the skill it practised and how it went - by the
+// tutor's record_skill_outcome tool, or automatically when it checks an answer with
+// verify_answer. Every tag moves that skill's mastery estimate (0-1) toward the outcome,
+// and a daily snapshot is kept so progress can be shown over time. Saved to
+// data/mastery.json: { [studentId]: { [skill]: { mastery, attempts, correct, lastPracticed, daily } } }
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseInput, collectVariables } from './math/parser.js';
+import { toRational } from './math/algebra.js';
+import { logger } from './observability/index.js';
+
+const DEFAULT_MASTERY_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'mastery.json');
+const MASTERY_SAVE_DELAY_MS = 2000;
+const MASTERY_HISTORY_DAYS = 90;
+
+// How far one outcome moves the estimate, and where each outcome pulls it
+const LEARNING_RATE = 0.25;
+const OUTCOME_TARGETS = { correct: 1, needed_help: 0.4, incorrect: 0 };
+const INITIAL_MASTERY = 0.5;
+
+// A skill needs a few attempts before we call it weak or mastered
+const MIN_ATTEMPTS = 2;
+const WEAK_BELOW = 0.6;
+const MASTERED_FROM = 0.85;
+const MAX_SKILLS_IN_PROMPT = 3;
+
+export const SKILLS = {
+  arithmetic: 'Arithmetic',
+  fractions: 'Fractions',
+  decimals_percents: 'Decimals and percents',
+  exponents_roots: 'Exponents and roots',
+  expressions: 'Simplifying expressions',
+  linear_equations: 'Linear equations',
+  quadratics: 'Quadratic equations',
+  systems: 'Systems of equations',
+  graphing: 'Graphing and functions',
+  geometry: 'Geometry',
+  trigonometry: 'Trigonometry',
+  statistics: 'Statistics and probability',
+  word_problems: 'Word problems'
+};
+
+export const OUTCOMES = Object.keys(OUTCOME_TARGETS);
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+function equationDegree(node) {
+  const difference = { type: 'binary', op: '-', left: node.left, right: node.right };
+  const { numerator } = toRational(difference);
+  return Math.max(0, ...[...collectVariables(node)].map(variable => numerator.degree(variable)));
+}
+
+/**
+ * Best guess at the skill a problem practises, from its math ("2x + 3 = 11" is a linear
+ * equation, "3/4 + 5/6" is fractions). Returns null when it can't tell.
+ */
+export function classifySkill(problem) {
+  const text = String(problem || '').trim();
+  if (!text) return null;
+  if (/\b(sin|cos|tan)\b/.test(text)) return 'trigonometry';
+  if (/%/.test(text)) return 'decimals_percents';
+  // Words rather than math (the parser would read "area" as a*r*e*a)
+  if (/[a-z]{3,}/i.test(text.replace(/\b(sqrt|abs|sin|cos|tan|ln|log|exp|pi)\b/g, ''))) return null;
+
+  let node;
+  try {
+    node = parseInput(text);
+  } catch (error) {
+    return null;
+  }
+
+  if (node.type === 'equation') {
+    if (collectVariables(node).size > 1) return 'systems';
+    try {
+      const degree = equationDegree(node);
+      if (degree === 2) return 'quadratics';
+      if (degree === 1) return 'linear_equations';
+    } catch (error) {
+      return /sqrt|\^/.test(text) ? 'exponents_roots' : null;
+    }
+    return null;
+  }
+
+  if (collectVariables(node).size > 0) return 'expressions';
+  if (/sqrt|\^/.test(text)) return 'exponents_roots';
+  if (/\d\.\d|^\.\d/.test(text)) return 'decimals_percents';
+  if (/\//.test(text)) return 'fractions';
+  return 'arithmetic';
+}
+
+function describeSkill(skill, record) {
+  return {
+    skill,
+    label: SKILLS[skill] || skill,
+    mastery: Math.round(record.mastery * 100) / 100,
+    attempts: record.attempts,
+    correct: record.correct,
+    lastPracticed: record.lastPracticed,
+    status: record.attempts < MIN_ATTEMPTS ? 'new'
+      : record.mastery < WEAK_BELOW ? 'weak'
+      : record.mastery >= MASTERED_FROM ? 'mastered'
+      : 'practising',
+    history: Object.entries(record.daily).sort(([a], [b]) => a.localeCompare(b)).map(([date, day]) => ({ date, ...day }))
+  };
+}
+
+export class MasteryStore {
+  constructor(filePath = process.env.MASTERY_FILE || DEFAULT_MASTERY_FILE) {
+    this.filePath = filePath;
+    this.students = {};
+    this.saveTimer = null;
+  }
+
+  async load() {
+    try {
+      this.students = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.students = {};
+    }
+    return this;
+  }
+
+  /**
+   * Move a skill's mastery toward the outcome of one attempt
+   */
+  record(studentId, skill, outcome) {
+    if (!Object.hasOwn(SKILLS, skill)) throw new Error(`Unknown skill "${skill}"`);
+    if (!Object.hasOwn(OUTCOME_TARGETS, outcome)) throw new Error(`Unknown outcome "${outcome}"`);
+
+    const skills = (this.students[studentId] ??= {});
+    const record = (skills[skill] ??= { mastery: INITIAL_MASTERY, attempts: 0, correct: 0, lastPracticed: null, daily: {} });
+    record.mastery += LEARNING_RATE * (OUTCOME_TARGETS[outcome] - record.mastery);
+    record.attempts++;
+    if (outcome === 'correct') record.correct++;
+    record.lastPracticed = new Date().toISOString();
+
+    const day = (record.daily[today()] ??= { mastery: record.mastery, attempts: 0, correct: 0 });
+    day.mastery = Math.round(record.mastery * 100) / 100;
+    day.attempts++;
+    if (outcome === 'correct') day.correct++;
+
+    this.scheduleSave();
+    return describeSkill(skill, record);
+  }
+
+  /**
+   * Every skill a student has practised, weakest first
+   */
+  get(studentId) {
+    return Object.entries(this.students[studentId] || {})
+      .map(([skill, record]) => describeSkill(skill, record))
+      .sort((a, b) => a.mastery - b.mastery);
+  }
+
+  /**
+   * A note for the system prompt about what the student finds hard and easy, or '' for
+   * a student we know nothing about yet
+   */
+  instructionsFor(studentId) {
+    const skills = this.get(studentId);
+    const weak = skills.filter(skill => skill.status === 'weak').slice(0, MAX_SKILLS_IN_PROMPT);
+    const strong = skills.filter(skill => skill.status === 'mastered').slice(-MAX_SKILLS_IN_PROMPT);
+    if (weak.length === 0 && strong.length === 0) return '';
+
+    const lines = [];
+    if (weak.length > 0) {
+      lines.push(`Has found these hard in earlier sessions: ${weak.map(skill => `${skill.label} (${skill.correct} of ${skill.attempts} right)`).join(', ')}. Take extra care when they come up and check understanding before moving on.`);
+    }
+    if (strong.length > 0) {
+      lines.push(`Is comfortable with: ${strong.map(skill => skill.label).join(', ')} - no need to re-teach the basics there.`);
+    }
+    return `\n\nWhat we know from earlier sessions (follow what the student wants to work on today):\n- ${lines.join('\n- ')}`;
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch(error => logger.error('Failed to save mastery', { error }));
+    }, MASTERY_SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  async save() {
+    const cutoff = new Date(Date.now() - MASTERY_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    for (const skills of Object.values(this.students)) {
+      for (const record of Object.values(skills)) {
+        record.daily = Object.fromEntries(Object.entries(record.daily).filter(([date]) => date >= cutoff));
+      }
+    }
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify(this.students, null, 2));
+  }
+}
+
+/**
+ * Skill tags collected during one tutoring turn. A turn counts once per skill - the
+ * last tag wins - and is written to the mastery store when the turn completes.
+ */
+export class TurnSkillTags {
+  /**
+   * `onTag(skill, outcome)` hears about each tag as it is made, before the turn ends
+   */
+  constructor({ mastery, studentId, history, onTag = () => {} }) {
+    this.mastery = mastery;
+    this.studentId = studentId;
+    this.history = history;
+    this.onTag = onTag;
+    this.tags = new Map();
+  }
+
+  tag(skill, outcome) {
+    if (!Object.hasOwn(SKILLS, skill)) throw new Error(`Unknown skill "${skill}". Use one of: ${Object.keys(SKILLS).join(', ')}`);
+    if (!Object.hasOwn(OUTCOME_TARGETS, outcome)) throw new Error(`Unknown outcome "${outcome}"`);
+    this.tags.set(skill, outcome);
+    this.onTag(skill, outcome);
+  }
+
+  finishTurn() {
+    for (const [skill, outcome] of this.tags) {
+      const { mastery } = this.mastery.record(this.studentId, skill, outcome);
+      logger.info('Skill practised', { studentId: this.studentId, skill, outcome, mastery });
+      this.history.record({ type: 'skill', skill, outcome, mastery });
+    }
+    this.tags.clear();
+  }
+}
@@ -0,0 +1,190 @@
+// Rational expressions (polynomial / polynomial) built from parsed ASTs.
+// This is the canonical form used for simplification, solving and equivalence.
+
+import { Fraction } from './fraction.js';
+import { Polynomial, divideCoefficients, gcdCoefficients } from './polynomial.js';
+import { CONSTANTS } from './parser.js';
+
+/**
+ * Thrown when an expression can't be written as a ratio of polynomials
+ * with rational coefficients (√x, sin x, π, 2^x, ...). Callers fall back
+ * to numeric checks.
+ */
+export class NotRationalError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotRationalError';
+  }
+}
+
+export class RationalExpression {
+  constructor(numerator, denominator = Polynomial.constant(1)) {
+    if (denominator.isZero()) throw new Error('Division by zero');
+    [this.numerator, this.denominator] = reduce(numerator, denominator);
+  }
+
+  static constant(value) {
+    return new RationalExpression(Polynomial.constant(value));
+  }
+
+  add(other) {
+    return new RationalExpression(
+      this.numerator.mul(other.denominator).add(other.numerator.mul(this.denominator)),
+      this.denominator.mul(other.denominator)
+    );
+  }
+
+  sub(other) {
+    return this.add(other.neg());
+  }
+
+  neg() {
+    return new RationalExpression(this.numerator.neg(), this.denominator);
+  }
+
+  mul(other) {
+    return new RationalExpression(
+      this.numerator.mul(other.numerator),
+      this.denominator.mul(other.denominator)
+    );
+  }
+
+  div(other) {
+    if (other.numerator.isZero()) throw new Error('Division by zero');
+    return new RationalExpression(
+      this.numerator.mul(other.denominator),
+      this.denominator.mul(other.numerator)
+    );
+  }
+
+  pow(exponent) {
+    if (this.isConstant()) {
+      const value = this.constantValue().pow(exponent);
+      if (!value) throw new NotRationalError('Irrational power');
+      return RationalExpression.constant(value);
+    }
+    if (!exponent.isInteger()) {
+      throw new NotRationalError('Fractional powers of variables are not supported');
+    }
+    const power = Number(exponent.n < 0n ? -exponent.n : exponent.n);
+    if (power > 64) throw new NotRationalError('Exponent too large to expand');
+    const raised = new RationalExpression(this.numerator.pow(power), this.denominator.pow(power));
+    return exponent.n < 0n ? RationalExpression.constant(1).div(raised) : raised;
+  }
+
+  isConstant() {
+    return this.numerator.isConstant() && this.denominator.isConstant();
+  }
+
+  constantValue() {
+    return this.numerator.constantValue().div(this.denominator.constantValue());
+  }
+
+  isPolynomial() {
+    return this.denominator.isConstant();
+  }
+
+  variables() {
+    return [...new Set([...this.numerator.variables(), ...this.denominator.variables()])].sort();
+  }
+
+  equals(other) {
+    return this.numerator.mul(other.denominator).equals(other.numerator.mul(this.denominator));
+  }
+
+  evaluate(values) {
+    return this.numerator.evaluate(values) / this.denominator.evaluate(values);
+  }
+
+  toString() {
+    if (this.isConstant()) return this.constantValue().toString();
+    if (this.isPolynomial()) return this.numerator.toString();
+    return `${wrap(this.numerator)}/${wrap(this.denominator)}`;
+  }
+}
+
+function wrap(polynomial) {
+  return polynomial.termCount() > 1 || polynomial.leadingCoefficient().n < 0n
+    ? `(${polynomial})`
+    : polynomial.toString();
+}
+
+/**
+ * Cancel common factors and normalise signs so equal expressions print the same
+ */
+function reduce(numerator, denominator) {
+  if (numerator.isZero()) return [numerator, Polynomial.constant(1)];
+
+  if (denominator.isConstant()) {
+    return [numerator.scale(Fraction.from(1).div(denominator.constantValue())), Polynomial.constant(1)];
+  }
+
+  const variables = [...new Set([...numerator.variables(), ...denominator.variables()])];
+  if (variables.length === 1) {
+    const [variable] = variables;
+    const numeratorCoefficients = numerator.univariateCoefficients(variable);
+    const denominatorCoefficients = denominator.univariateCoefficients(variable);
+    const gcd = gcdCoefficients(numeratorCoefficients, denominatorCoefficients);
+    if (gcd.length > 1) {
+      numerator = Polynomial.fromCoefficients(divideCoefficients(numeratorCoefficients, gcd).quotient, variable);
+      denominator = Polynomial.fromCoefficients(divideCoefficients(denominatorCoefficients, gcd).quotient, variable);
+    }
+  }
+
+  if (denominator.isConstant()) {
+    return [numerator.scale(Fraction.from(1).div(denominator.constantValue())), Polynomial.constant(1)];
+  }
+
+  // Make the denominator's leading coefficient 1
+  const factor = Fraction.from(1).div(denominator.leadingCoefficient());
+  return [numerator.scale(factor), denominator.scale(factor)];
+}
+
+/**
+ * Convert a parsed expression AST into a RationalExpression
+ */
+export function toRational(node) {
+  switch (node.type) {
+    case 'number':
+      return RationalExpression.constant(node.value);
+
+    case 'symbol':
+      if (CONSTANTS.has(node.name)) throw new NotRationalError(`${node.name} is irrational`);
+      return new RationalExpression(Polynomial.variable(node.name));
+
+    case 'unary':
+      return toRational(node.arg).neg();
+
+    case 'binary': {
+      const left = toRational(node.left);
+      const right = toRational(node.right);
+      switch (node.op) {
+        case '+': return left.add(right);
+        case '-': return left.sub(right);
+        case '*': return left.mul(right);
+        case '/': return left.div(right);
+        case '^':
+          if (!right.isConstant()) throw new NotRationalError('Variable exponents are not supported');
+          return left.pow(right.constantValue());
+      }
+      throw new Error(`Unknown operator "${node.op}"`);
+    }
+
+    case 'call': {
+      const arg = toRational(node.args[0]);
+      if (!arg.isConstant()) throw new NotRationalError(`${node.name} of a variable expression`);
+      const value = arg.constantValue();
+      if (node.name === 'abs') return RationalExpression.constant(value.n < 0n ? value.neg() : value);
+      if (node.name === 'sqrt') {
+        const root = value.root(2n);
+        if (!root) throw new NotRationalError(`√${value} is irrational`);
+        return RationalExpression.constant(root);
+      }
+      throw new NotRationalError(`${node.name} is not handled exactly`);
+    }
+
+    case 'equation':
+      throw new Error('Expected an expression but got an equation');
+  }
+  throw new Error(`Unknown expression node "${node.type}"`);
+}
@@ -0,0 +1,112 @@
+// Exact and numeric evaluation of parsed math expressions (see ./parser.js)
+
+import { Fraction } from './fraction.js';
+
+const NUMERIC_FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  ln: Math.log,
+  log: Math.log10,
+  exp: Math.exp
+};
+
+const NUMERIC_CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+/**
+ * Evaluate exactly with rational arithmetic.
+ * Returns null when the result isn't rational (√2, π, sin 1, ...).
+ * `scope` maps variable names to Fractions.
+ */
+export function evaluateExact(node, scope = {}) {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+
+    case 'symbol':
+      if (node.name in scope) return Fraction.from(scope[node.name]);
+      if (NUMERIC_CONSTANTS[node.name] !== undefined) return null;
+      throw new Error(`Unknown variable "${node.name}"`);
+
+    case 'unary': {
+      const arg = evaluateExact(node.arg, scope);
+      return arg && arg.neg();
+    }
+
+    case 'binary': {
+      const left = evaluateExact(node.left, scope);
+      const right = evaluateExact(node.right, scope);
+      if (!left || !right) return null;
+      switch (node.op) {
+        case '+': return left.add(right);
+        case '-': return left.sub(right);
+        case '*': return left.mul(right);
+        case '/': return left.div(right);
+        case '^': return left.pow(right);
+      }
+      throw new Error(`Unknown operator "${node.op}"`);
+    }
+
+    case 'call': {
+      const arg = evaluateExact(node.args[0], scope);
+      if (!arg) return null;
+      if (node.name === 'sqrt') return arg.root(2n);
+      if (node.name === 'abs') return arg.n < 0n ? arg.neg() : arg;
+      return null;
+    }
+
+    case 'equation':
+      throw new Error('Cannot evaluate an equation; did you mean to solve it?');
+  }
+  throw new Error(`Unknown expression node "${node.type}"`);
+}
+
+/**
+ * Evaluate with floating point, for irrational results and numeric checks.
+ * `scope` maps variable names to numbers or Fractions.
+ */
+export function evaluateNumeric(node, scope = {}) {
+  switch (node.type) {
+    case 'number':
+      return node.value.toNumber();
+
+    case 'symbol':
+      if (node.name in scope) {
+        const value = scope[node.name];
+        return value instanceof Fraction ? value.toNumber() : Number(value);
+      }
+      if (NUMERIC_CONSTANTS[node.name] !== undefined) return NUMERIC_CONSTANTS[node.name];
+      throw new Error(`Unknown variable "${node.name}"`);
+
+    case 'unary':
+      return -evaluateNumeric(node.arg, scope);
+
+    case 'binary': {
+      const left = evaluateNumeric(node.left, scope);
+      const right = evaluateNumeric(node.right, scope);
+      switch (node.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '^': return left ** right;
+      }
+      throw new Error(`Unknown operator "${node.op}"`);
+    }
+
+    case 'call': {
+      const fn = NUMERIC_FUNCTIONS[node.name];
+      if (!fn) throw new Error(`Unknown function "${node.name}"`);
+      return fn(...node.args.map(arg => evaluateNumeric(arg, scope)));
+    }
+
+    case 'equation':
+      throw new Error('Cannot evaluate an equation; did you mean to solve it?');
+  }
+  throw new Error(`Unknown expression node "${node.type}"`);
+}
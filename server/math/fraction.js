@@ -0,0 +1,128 @@
+// Exact rational numbers backed by BigInt, so the tutor never rounds a student's answer.
+
+function gcd(a, b) {
+  a = a < 0n ? -a : a;
+  b = b < 0n ? -b : b;
+  while (b !== 0n) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+export class Fraction {
+  constructor(numerator, denominator = 1n) {
+    let n = BigInt(numerator);
+    let d = BigInt(denominator);
+    if (d === 0n) throw new Error('Division by zero');
+    if (d < 0n) {
+      n = -n;
+      d = -d;
+    }
+    const divisor = gcd(n, d) || 1n;
+    this.n = n / divisor;
+    this.d = d / divisor;
+  }
+
+  /**
+   * Parse an integer or decimal literal ("12", "0.375") exactly
+   */
+  static fromDecimalString(text) {
+    const match = /^(\d*)(?:\.(\d*))?$/.exec(text);
+    if (!match || text === '.' || text === '') throw new Error(`Invalid number "${text}"`);
+    const whole = match[1] || '0';
+    const decimals = match[2] || '';
+    return new Fraction(BigInt(whole + decimals), 10n ** BigInt(decimals.length));
+  }
+
+  static from(value) {
+    if (value instanceof Fraction) return value;
+    if (typeof value === 'bigint') return new Fraction(value);
+    if (Number.isInteger(value)) return new Fraction(BigInt(value));
+    return Fraction.fromDecimalString(String(value));
+  }
+
+  add(other) {
+    return new Fraction(this.n * other.d + other.n * this.d, this.d * other.d);
+  }
+
+  sub(other) {
+    return new Fraction(this.n * other.d - other.n * this.d, this.d * other.d);
+  }
+
+  mul(other) {
+    return new Fraction(this.n * other.n, this.d * other.d);
+  }
+
+  div(other) {
+    if (other.n === 0n) throw new Error('Division by zero');
+    return new Fraction(this.n * other.d, this.d * other.n);
+  }
+
+  neg() {
+    return new Fraction(-this.n, this.d);
+  }
+
+  /**
+   * Raise to an integer power; returns null when the result isn't rational
+   */
+  pow(exponent) {
+    if (exponent.n > 10000n || exponent.n < -10000n) throw new Error('Exponent too large');
+    if (exponent.d === 1n) {
+      const e = exponent.n;
+      if (e >= 0n) return new Fraction(this.n ** e, this.d ** e);
+      if (this.n === 0n) throw new Error('Division by zero');
+      return new Fraction(this.d ** -e, this.n ** -e);
+    }
+    // Rational exponent p/q: exact only if both parts are perfect q-th powers
+    const root = this.root(exponent.d);
+    return root ? root.pow(new Fraction(exponent.n)) : null;
+  }
+
+  /**
+   * Exact k-th root, or null when it isn't rational
+   */
+  root(k) {
+    if (this.n < 0n && k % 2n === 0n) return null;
+    const n = integerRoot(this.n < 0n ? -this.n : this.n, k);
+    const d = integerRoot(this.d, k);
+    if (n === null || d === null) return null;
+    return new Fraction(this.n < 0n ? -n : n, d);
+  }
+
+  isZero() {
+    return this.n === 0n;
+  }
+
+  isInteger() {
+    return this.d === 1n;
+  }
+
+  equals(other) {
+    return this.n === other.n && this.d === other.d;
+  }
+
+  compare(other) {
+    const diff = this.n * other.d - other.n * this.d;
+    return diff === 0n ? 0 : diff < 0n ? -1 : 1;
+  }
+
+  toNumber() {
+    return Number(this.n) / Number(this.d);
+  }
+
+  toString() {
+    return this.d === 1n ? this.n.toString() : `${this.n}/${this.d}`;
+  }
+}
+
+/**
+ * Exact integer k-th root of a non-negative BigInt, or null
+ */
+function integerRoot(value, k) {
+  if (value < 2n) return value;
+  const guess = BigInt(Math.round(Number(value) ** (1 / Number(k))));
+  for (const candidate of [guess - 1n, guess, guess + 1n]) {
+    if (candidate >= 0n && candidate ** k === value) return candidate;
+  }
+  return null;
+}
@@ -0,0 +1,22 @@
+// Symbolic math engine used to check the tutor's (and the student's) work.
+// Everything works on plain strings so tools and HTTP routes can call it directly.
+
+export { MathSyntaxError, parseExpression, parseEquation, parseInput } from './parser.js';
+export { Fraction } from './fraction.js';
+export { evaluateExact, evaluateNumeric } from './evaluate.js';
+export { simplifyExpression } from './simplify.js';
+export { solveEquation } from './solve.js';
+export { checkEquivalence, verifyAnswer } from './verify.js';
+
+import { parseInput } from './parser.js';
+import { simplifyExpression } from './simplify.js';
+import { solveEquation } from './solve.js';
+
+/**
+ * Step-by-step derivation for an equation (solved) or an expression (simplified)
+ */
+export function deriveSteps(input, variable) {
+  return parseInput(input).type === 'equation'
+    ? solveEquation(input, variable).steps
+    : simplifyExpression(input).steps;
+}
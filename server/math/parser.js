@@ -0,0 +1,279 @@
+// Parser for the math students type or say: "3/4 + 2(x - 1)", "2x^2 = 8", "√16 × 3".
+// Produces a small AST shared by the evaluator and the rest of the math module:
+//   { type: 'number', value: Fraction }
+//   { type: 'symbol', name }
+//   { type: 'unary', op: '-', arg }
+//   { type: 'binary', op: '+' | '-' | '*' | '/' | '^', left, right }
+//   { type: 'call', name, args }
+//   { type: 'equation', left, right }   (only from parseEquation / parseInput)
+
+import { Fraction } from './fraction.js';
+
+export const FUNCTIONS = new Set(['sqrt', 'abs', 'sin', 'cos', 'tan', 'ln', 'log', 'exp']);
+export const CONSTANTS = new Set(['pi', 'e']);
+
+export class MathSyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MathSyntaxError';
+  }
+}
+
+const SYMBOL_ALIASES = {
+  '×': '*',
+  '·': '*',
+  '÷': '/',
+  '−': '-',
+  '–': '-',
+  '√': 'sqrt',
+  'π': 'pi',
+  '²': '^2',
+  '³': '^3'
+};
+
+// A mixed number, "2 1/2" (two and a half) rather than 2 × 1/2. The fraction must be
+// proper and stand alone, so "2 3/2" and "2 1/2^2" keep their usual reading.
+const MIXED_NUMBER = /^(\d+)\s+(\d+)\s*\/\s*(\d+)(?![\d.^])/;
+
+function tokenize(input) {
+  let text = input;
+  for (const [from, to] of Object.entries(SYMBOL_ALIASES)) {
+    text = text.split(from).join(to);
+  }
+
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const previous = tokens[tokens.length - 1];
+    const mixed = /\d/.test(char) && !(previous?.type === 'op' && '/^'.includes(previous.value)) && text.slice(i).match(MIXED_NUMBER);
+    if (mixed && BigInt(mixed[2]) < BigInt(mixed[3])) {
+      const [whole, numerator, denominator] = mixed.slice(1).map(BigInt);
+      tokens.push({ type: 'number', value: new Fraction(whole * denominator + numerator, denominator) });
+      i += mixed[0].length;
+      continue;
+    }
+
+    if (/[\d.]/.test(char)) {
+      let j = i;
+      while (j < text.length && /[\d.]/.test(text[j])) j++;
+      tokens.push({ type: 'number', value: Fraction.fromDecimalString(text.slice(i, j)) });
+      i = j;
+      continue;
+    }
+
+    if (/[a-zA-Z]/.test(char)) {
+      let j = i;
+      while (j < text.length && /[a-zA-Z]/.test(text[j])) j++;
+      tokens.push(...splitWord(text.slice(i, j)));
+      i = j;
+      continue;
+    }
+
+    if ('+-*/^(),='.includes(char)) {
+      tokens.push({ type: 'op', value: char });
+      i++;
+      continue;
+    }
+
+    throw new MathSyntaxError(`Unexpected character "${char}"`);
+  }
+  return tokens;
+}
+
+/**
+ * Split a run of letters into function names, constants and single-letter
+ * variables, so "2xy" reads as 2·x·y and "sqrtx" as sqrt(x).
+ */
+function splitWord(word) {
+  const tokens = [];
+  let rest = word;
+  outer: while (rest.length > 0) {
+    for (const name of [...FUNCTIONS, ...CONSTANTS].sort((a, b) => b.length - a.length)) {
+      if (rest.toLowerCase().startsWith(name)) {
+        tokens.push({ type: FUNCTIONS.has(name) ? 'function' : 'symbol', value: name });
+        rest = rest.slice(name.length);
+        continue outer;
+      }
+    }
+    tokens.push({ type: 'symbol', value: rest[0] });
+    rest = rest.slice(1);
+  }
+  return tokens;
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  isOp(value) {
+    const token = this.peek();
+    return token?.type === 'op' && token.value === value;
+  }
+
+  expectOp(value) {
+    if (!this.isOp(value)) {
+      const token = this.peek();
+      throw new MathSyntaxError(token ? `Expected "${value}" but found "${token.value}"` : `Expected "${value}"`);
+    }
+    this.position++;
+  }
+
+  atEnd() {
+    return this.position >= this.tokens.length;
+  }
+
+  // expression := term (('+' | '-') term)*
+  parseExpression() {
+    let node = this.parseTerm();
+    while (this.isOp('+') || this.isOp('-')) {
+      const op = this.tokens[this.position++].value;
+      node = { type: 'binary', op, left: node, right: this.parseTerm() };
+    }
+    return node;
+  }
+
+  // term := unary (('*' | '/' | implicit) unary)*
+  parseTerm() {
+    let node = this.parseUnary();
+    for (;;) {
+      if (this.isOp('*') || this.isOp('/')) {
+        const op = this.tokens[this.position++].value;
+        node = { type: 'binary', op, left: node, right: this.parseUnary() };
+      } else if (this.startsImplicitFactor()) {
+        node = { type: 'binary', op: '*', left: node, right: this.parsePower() };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  startsImplicitFactor() {
+    const token = this.peek();
+    if (!token) return false;
+    return token.type === 'symbol' || token.type === 'function' || token.type === 'number' || this.isOp('(');
+  }
+
+  // unary := '-' unary | '+' unary | power
+  parseUnary() {
+    if (this.isOp('-')) {
+      this.position++;
+      return { type: 'unary', op: '-', arg: this.parseUnary() };
+    }
+    if (this.isOp('+')) {
+      this.position++;
+      return this.parseUnary();
+    }
+    return this.parsePower();
+  }
+
+  // power := primary ('^' unary)?   (right associative)
+  parsePower() {
+    const base = this.parsePrimary();
+    if (this.isOp('^')) {
+      this.position++;
+      return { type: 'binary', op: '^', left: base, right: this.parseUnary() };
+    }
+    return base;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (!token) throw new MathSyntaxError('Unexpected end of expression');
+
+    if (token.type === 'number') {
+      this.position++;
+      return { type: 'number', value: token.value };
+    }
+
+    if (token.type === 'symbol') {
+      this.position++;
+      return { type: 'symbol', name: token.value };
+    }
+
+    if (token.type === 'function') {
+      this.position++;
+      if (this.isOp('(')) {
+        this.position++;
+        const args = [this.parseExpression()];
+        while (this.isOp(',')) {
+          this.position++;
+          args.push(this.parseExpression());
+        }
+        this.expectOp(')');
+        return { type: 'call', name: token.value, args };
+      }
+      // "sqrt 16" / "√x" without parentheses binds to the next power
+      return { type: 'call', name: token.value, args: [this.parsePower()] };
+    }
+
+    if (this.isOp('(')) {
+      this.position++;
+      const node = this.parseExpression();
+      this.expectOp(')');
+      return node;
+    }
+
+    throw new MathSyntaxError(`Unexpected "${token.value}"`);
+  }
+}
+
+function run(input, parseTop) {
+  if (typeof input !== 'string' || input.trim() === '') {
+    throw new MathSyntaxError('Expression is empty');
+  }
+  const parser = new Parser(tokenize(input));
+  const node = parseTop(parser);
+  if (!parser.atEnd()) {
+    throw new MathSyntaxError(`Unexpected "${parser.peek().value}"`);
+  }
+  return node;
+}
+
+/**
+ * Names of the variables used in a parsed expression or equation
+ */
+export function collectVariables(node, names = new Set()) {
+  if (node.type === 'symbol' && !CONSTANTS.has(node.name)) names.add(node.name);
+  for (const child of [node.left, node.right, node.arg, ...(node.args || [])]) {
+    if (child) collectVariables(child, names);
+  }
+  return names;
+}
+
+/**
+ * Parse an expression without "="
+ */
+export function parseExpression(input) {
+  return run(input, parser => parser.parseExpression());
+}
+
+/**
+ * Parse an equation "left = right"
+ */
+export function parseEquation(input) {
+  return run(input, parser => {
+    const left = parser.parseExpression();
+    parser.expectOp('=');
+    return { type: 'equation', left, right: parser.parseExpression() };
+  });
+}
+
+/**
+ * Parse either an equation or a plain expression
+ */
+export function parseInput(input) {
+  return typeof input === 'string' && input.includes('=') ? parseEquation(input) : parseExpression(input);
+}
@@ -0,0 +1,290 @@
+// Multivariate polynomials with exact rational coefficients.
+// Terms are keyed by a canonical monomial string ("" for constants, "x:2,y:1" for x²y).
+
+import { Fraction } from './fraction.js';
+
+const ZERO = new Fraction(0n);
+const ONE = new Fraction(1n);
+
+function monomialKey(powers) {
+  return Object.keys(powers)
+    .filter(name => powers[name] > 0)
+    .sort()
+    .map(name => `${name}:${powers[name]}`)
+    .join(',');
+}
+
+function parseMonomialKey(key) {
+  const powers = {};
+  if (!key) return powers;
+  for (const part of key.split(',')) {
+    const [name, power] = part.split(':');
+    powers[name] = Number(power);
+  }
+  return powers;
+}
+
+function addTerm(terms, key, coefficient) {
+  const sum = (terms.get(key) || ZERO).add(coefficient);
+  if (sum.isZero()) {
+    terms.delete(key);
+  } else {
+    terms.set(key, sum);
+  }
+}
+
+function totalDegree(key) {
+  return Object.values(parseMonomialKey(key)).reduce((sum, power) => sum + power, 0);
+}
+
+export class Polynomial {
+  /**
+   * @param {Map<string, Fraction>} terms - monomial key -> non-zero coefficient
+   */
+  constructor(terms = new Map()) {
+    this.terms = terms;
+  }
+
+  static constant(value) {
+    const coefficient = Fraction.from(value);
+    return new Polynomial(coefficient.isZero() ? new Map() : new Map([['', coefficient]]));
+  }
+
+  static variable(name) {
+    return new Polynomial(new Map([[monomialKey({ [name]: 1 }), ONE]]));
+  }
+
+  static fromCoefficients(coefficients, variable) {
+    let result = new Polynomial();
+    coefficients.forEach((coefficient, power) => {
+      result = result.add(Polynomial.variable(variable).pow(power).scale(coefficient));
+    });
+    return result;
+  }
+
+  add(other) {
+    const terms = new Map(this.terms);
+    for (const [key, coefficient] of other.terms) addTerm(terms, key, coefficient);
+    return new Polynomial(terms);
+  }
+
+  sub(other) {
+    return this.add(other.neg());
+  }
+
+  neg() {
+    return this.scale(new Fraction(-1n));
+  }
+
+  scale(factor) {
+    if (factor.isZero()) return new Polynomial();
+    const terms = new Map();
+    for (const [key, coefficient] of this.terms) terms.set(key, coefficient.mul(factor));
+    return new Polynomial(terms);
+  }
+
+  mul(other) {
+    const terms = new Map();
+    for (const [keyA, coefficientA] of this.terms) {
+      const powersA = parseMonomialKey(keyA);
+      for (const [keyB, coefficientB] of other.terms) {
+        const powers = { ...powersA };
+        for (const [name, power] of Object.entries(parseMonomialKey(keyB))) {
+          powers[name] = (powers[name] || 0) + power;
+        }
+        addTerm(terms, monomialKey(powers), coefficientA.mul(coefficientB));
+      }
+    }
+    return new Polynomial(terms);
+  }
+
+  pow(exponent) {
+    let result = Polynomial.constant(1);
+    for (let i = 0; i < exponent; i++) result = result.mul(this);
+    return result;
+  }
+
+  isZero() {
+    return this.terms.size === 0;
+  }
+
+  isConstant() {
+    return this.terms.size === 0 || (this.terms.size === 1 && this.terms.has(''));
+  }
+
+  constantValue() {
+    return this.terms.get('') || ZERO;
+  }
+
+  termCount() {
+    return this.terms.size;
+  }
+
+  variables() {
+    const names = new Set();
+    for (const key of this.terms.keys()) {
+      Object.keys(parseMonomialKey(key)).forEach(name => names.add(name));
+    }
+    return [...names].sort();
+  }
+
+  degree(variable) {
+    let degree = 0;
+    for (const key of this.terms.keys()) {
+      degree = Math.max(degree, parseMonomialKey(key)[variable] || 0);
+    }
+    return degree;
+  }
+
+  /**
+   * Coefficients [c0, c1, ...] of a polynomial in a single variable.
+   * Returns null if other variables appear.
+   */
+  univariateCoefficients(variable) {
+    const coefficients = new Array(this.degree(variable) + 1).fill(ZERO);
+    for (const [key, coefficient] of this.terms) {
+      const powers = parseMonomialKey(key);
+      const names = Object.keys(powers);
+      if (names.some(name => name !== variable)) return null;
+      coefficients[powers[variable] || 0] = coefficient;
+    }
+    return coefficients;
+  }
+
+  /**
+   * Split into { [power]: Polynomial } by the power of `variable`
+   */
+  coefficientsIn(variable) {
+    const groups = {};
+    for (const [key, coefficient] of this.terms) {
+      const powers = parseMonomialKey(key);
+      const power = powers[variable] || 0;
+      delete powers[variable];
+      const term = new Polynomial(new Map([[monomialKey(powers), coefficient]]));
+      groups[power] = (groups[power] || new Polynomial()).add(term);
+    }
+    return groups;
+  }
+
+  /**
+   * Substitute Fraction values for some variables
+   */
+  substitute(values) {
+    let result = new Polynomial();
+    for (const [key, coefficient] of this.terms) {
+      let term = Polynomial.constant(coefficient);
+      for (const [name, power] of Object.entries(parseMonomialKey(key))) {
+        const factor = name in values ? Polynomial.constant(Fraction.from(values[name])) : Polynomial.variable(name);
+        term = term.mul(factor.pow(power));
+      }
+      result = result.add(term);
+    }
+    return result;
+  }
+
+  evaluate(values) {
+    let total = 0;
+    for (const [key, coefficient] of this.terms) {
+      let term = coefficient.toNumber();
+      for (const [name, power] of Object.entries(parseMonomialKey(key))) {
+        term *= Number(values[name]) ** power;
+      }
+      total += term;
+    }
+    return total;
+  }
+
+  equals(other) {
+    return this.sub(other).isZero();
+  }
+
+  /**
+   * Leading coefficient in the display order, used to normalise signs
+   */
+  leadingCoefficient() {
+    const [first] = this.sortedTerms();
+    return first ? first[1] : ZERO;
+  }
+
+  sortedTerms() {
+    return [...this.terms.entries()].sort(([keyA], [keyB]) => {
+      const degreeDifference = totalDegree(keyB) - totalDegree(keyA);
+      return degreeDifference !== 0 ? degreeDifference : keyA.localeCompare(keyB);
+    });
+  }
+
+  toString() {
+    if (this.isZero()) return '0';
+    return this.sortedTerms()
+      .map(([key, coefficient], index) => formatTerm(key, coefficient, index === 0))
+      .join('');
+  }
+}
+
+function formatMonomial(key) {
+  return Object.entries(parseMonomialKey(key))
+    .map(([name, power]) => (power === 1 ? name : `${name}^${power}`))
+    .join('');
+}
+
+function formatTerm(key, coefficient, isFirst) {
+  const negative = coefficient.n < 0n;
+  const magnitude = negative ? coefficient.neg() : coefficient;
+  const monomial = formatMonomial(key);
+
+  let body;
+  if (!monomial) {
+    body = magnitude.toString();
+  } else if (magnitude.equals(ONE)) {
+    body = monomial;
+  } else if (magnitude.isInteger()) {
+    body = `${magnitude}${monomial}`;
+  } else {
+    body = `(${magnitude})${monomial}`;
+  }
+
+  if (isFirst) return negative ? `-${body}` : body;
+  return negative ? ` - ${body}` : ` + ${body}`;
+}
+
+// --- Univariate helpers (coefficient arrays, lowest power first) ---
+
+function trim(coefficients) {
+  const result = [...coefficients];
+  while (result.length > 1 && result[result.length - 1].isZero()) result.pop();
+  return result;
+}
+
+/**
+ * Polynomial long division of coefficient arrays: returns { quotient, remainder }
+ */
+export function divideCoefficients(dividend, divisor) {
+  const remainder = trim(dividend);
+  const d = trim(divisor);
+  const leading = d[d.length - 1];
+  if (leading.isZero()) throw new Error('Division by zero polynomial');
+
+  const quotient = new Array(Math.max(remainder.length - d.length + 1, 1)).fill(ZERO);
+  for (let i = remainder.length - d.length; i >= 0; i--) {
+    const factor = remainder[i + d.length - 1].div(leading);
+    quotient[i] = factor;
+    for (let j = 0; j < d.length; j++) {
+      remainder[i + j] = remainder[i + j].sub(factor.mul(d[j]));
+    }
+  }
+  return { quotient: trim(quotient), remainder: trim(remainder.slice(0, Math.max(d.length - 1, 1))) };
+}
+
+/**
+ * Monic greatest common divisor of two coefficient arrays
+ */
+export function gcdCoefficients(a, b) {
+  let x = trim(a);
+  let y = trim(b);
+  while (!(y.length === 1 && y[0].isZero())) {
+    const { remainder } = divideCoefficients(x, y);
+    [x, y] = [y, remainder];
+  }
+  const leading = x[x.length - 1];
+  return leading.isZero() ? x : x.map(coefficient => coefficient.div(leading));
+}
@@ -0,0 +1,64 @@
+// Simplifying expressions to a canonical form, with the steps shown
+
+import { parseExpression } from './parser.js';
+import { NotRationalError, toRational } from './algebra.js';
+import { evaluateExact, evaluateNumeric } from './evaluate.js';
+
+function containsDivisionByExpression(node) {
+  if (node.type === 'binary' && node.op === '/') return true;
+  return [node.left, node.right, node.arg, ...(node.args || [])].some(child => child && containsDivisionByExpression(child));
+}
+
+/**
+ * Simplify an expression string.
+ * Returns { result, exact, steps } where steps are { description, expression }.
+ */
+export function simplifyExpression(input) {
+  const node = parseExpression(input);
+  const steps = [{ description: 'Start with the expression', expression: input.trim() }];
+
+  let rational;
+  try {
+    rational = toRational(node);
+  } catch (error) {
+    if (!(error instanceof NotRationalError)) throw error;
+    return simplifyNumerically(node, steps);
+  }
+
+  const result = rational.toString();
+  if (result.replace(/\s/g, '') !== input.replace(/\s/g, '')) {
+    let description;
+    if (rational.isConstant()) {
+      description = rational.constantValue().isInteger() ? 'Evaluate' : 'Evaluate and reduce the fraction to lowest terms';
+    } else if (!rational.isPolynomial() || containsDivisionByExpression(node)) {
+      description = 'Combine into a single fraction and cancel common factors';
+    } else {
+      description = 'Expand and combine like terms';
+    }
+    steps.push({ description, expression: result });
+  }
+
+  return { result, exact: true, steps };
+}
+
+function simplifyNumerically(node, steps) {
+  let exact;
+  try {
+    exact = evaluateExact(node);
+  } catch (error) {
+    // Functions of variables (√x, sin x) are left as written
+    const input = steps[0].expression;
+    steps.push({ description: 'This expression contains functions of variables, so it is left as written', expression: input });
+    return { result: input, exact: false, steps };
+  }
+
+  if (exact) {
+    steps.push({ description: 'Evaluate', expression: exact.toString() });
+    return { result: exact.toString(), exact: true, steps };
+  }
+
+  const value = evaluateNumeric(node);
+  const result = String(Number(value.toFixed(10)));
+  steps.push({ description: 'This has no exact rational form, so evaluate it as a decimal', expression: `≈ ${result}` });
+  return { result, exact: false, steps };
+}
@@ -0,0 +1,489 @@
+// Equation solving with a student-readable derivation.
+// Linear and quadratic equations are solved exactly with the steps a teacher
+// would write; higher-degree and rational equations use exact rational roots
+// where they exist and fall back to numeric root finding otherwise.
+
+import { Fraction } from './fraction.js';
+import { Polynomial, divideCoefficients } from './polynomial.js';
+import { RationalExpression, NotRationalError, toRational } from './algebra.js';
+import { collectVariables, parseEquation } from './parser.js';
+import { evaluateExact, evaluateNumeric } from './evaluate.js';
+
+const NUMERIC_SEARCH_RANGE = 100;
+const NUMERIC_SEARCH_STEPS = 20000;
+const MAX_SURD_RADICAND = 10n ** 12n;
+
+function exactSolution(value) {
+  const solution = { value: value.toString(), decimal: value.toNumber(), exact: true };
+  // Kept for exact checks but left out of JSON (BigInt doesn't serialise)
+  Object.defineProperty(solution, 'fraction', { value, enumerable: false });
+  return solution;
+}
+
+function approximateSolution(decimal) {
+  return { value: String(Number(decimal.toFixed(6))), decimal, exact: false };
+}
+
+function step(description, expression) {
+  return { description, expression };
+}
+
+/**
+ * Pick the variable to solve for, or explain why we can't
+ */
+function pickVariable(variables, requested) {
+  if (requested) {
+    if (!variables.includes(requested)) throw new Error(`The equation doesn't contain ${requested}`);
+    return requested;
+  }
+  if (variables.length === 0) return null;
+  if (variables.length === 1) return variables[0];
+  if (variables.includes('x')) return 'x';
+  throw new Error(`The equation has several variables (${variables.join(', ')}); say which one to solve for`);
+}
+
+/**
+ * Solve an equation string such as "2x + 3 = 7".
+ * Returns { variable, solutions, identity, excluded, steps } where each solution is
+ * { value, decimal, exact } and steps are { description, expression }. For an identity,
+ * `excluded` lists the values (as solutions) where the equation is undefined, so every
+ * value except those works; it is empty otherwise.
+ */
+export function solveEquation(input, requestedVariable) {
+  const equation = parseEquation(input);
+  const variable = pickVariable([...collectVariables(equation)].sort(), requestedVariable);
+  const steps = [step('Start with the equation', input.trim())];
+
+  let left;
+  let right;
+  try {
+    left = toRational(equation.left);
+    right = toRational(equation.right);
+  } catch (error) {
+    if (!(error instanceof NotRationalError)) throw error;
+    return solveNumerically(equation, variable, steps);
+  }
+
+  if (!variable) {
+    const holds = left.equals(right);
+    steps.push(step(holds ? 'Both sides are equal, so the statement is true' : 'The two sides are different, so the statement is false', `${left} = ${right}`));
+    return { variable: null, solutions: [], identity: holds, excluded: [], steps };
+  }
+
+  const difference = left.sub(right);
+  const degree = difference.numerator.degree(variable);
+
+  if (left.isPolynomial() && right.isPolynomial() && degree <= 1) {
+    if (left.numerator.degree(variable) > 1 || right.numerator.degree(variable) > 1) {
+      steps.push(step('Move every term to one side (the higher powers cancel)', `${difference} = 0`));
+      return solveLinear(equation, `${difference} = 0`, difference.numerator, new Polynomial(), variable, steps);
+    }
+    return solveLinear(equation, input, left.numerator, right.numerator, variable, steps);
+  }
+
+  // The variable cancelled out of a rational equation, e.g. x/(x - 1) = 1/(x - 1): the only
+  // values that could have made the sides match make a denominator zero
+  if (difference.variables().length === 0) {
+    const identity = difference.numerator.isZero();
+    steps.push(step(`Move every term to one side (the ${variable} terms cancel)`, `${difference} = 0`));
+    if (identity) {
+      steps.push(step(`Both sides match wherever they are defined`, `${difference} = 0`));
+      return everyDefinedValue(equation, variable, steps);
+    }
+    steps.push(step('That is never true where the equation is defined (any other solution would make a denominator zero), so there is no solution', '∅'));
+    return { variable, solutions: [], identity: false, excluded: [], steps };
+  }
+
+  const univariate = difference.variables().length === 1;
+  if (univariate && difference.isPolynomial() && degree === 2) {
+    return solveQuadratic(equation, difference.numerator, variable, steps);
+  }
+
+  if (!univariate) {
+    throw new Error(`Can only solve non-linear equations in one variable (found ${difference.variables().join(', ')})`);
+  }
+  return solvePolynomialOrRational(equation, difference, variable, steps);
+}
+
+function solveLinear(equation, input, left, right, variable, steps) {
+  const leftParts = left.coefficientsIn(variable);
+  const rightParts = right.coefficientsIn(variable);
+  const zero = new Polynomial();
+  const a1 = leftParts[1] || zero;
+  const b1 = leftParts[0] || zero;
+  const a2 = rightParts[1] || zero;
+  const b2 = rightParts[0] || zero;
+  const x = Polynomial.variable(variable);
+
+  const simplified = `${left} = ${right}`;
+  if (simplified.replace(/\s/g, '') !== input.replace(/\s/g, '')) {
+    steps.push(step('Simplify each side', simplified));
+  }
+
+  let coefficient = a1;
+  if (!a2.isZero()) {
+    const term = a2.mul(x);
+    coefficient = a1.sub(a2);
+    steps.push(step(
+      describeMove(term, 'variable term'),
+      `${coefficient.mul(x).add(b1)} = ${b2}`
+    ));
+  }
+
+  let constant = b2;
+  if (!b1.isZero()) {
+    constant = b2.sub(b1);
+    steps.push(step(
+      describeMove(b1, b1.isConstant() ? 'constant' : `terms without ${variable}`),
+      `${coefficient.mul(x)} = ${constant}`
+    ));
+  }
+
+  if (coefficient.isZero()) {
+    if (constant.isZero()) {
+      steps.push(step(`The ${variable} terms cancel and both sides match`, `0 = ${constant}`));
+      return everyDefinedValue(equation, variable, steps);
+    }
+    steps.push(step(`The ${variable} terms cancel but the sides don't match, so there is no solution`, `0 = ${constant}`));
+    return { variable, solutions: [], identity: false, excluded: [], steps };
+  }
+
+  const solution = new RationalExpression(constant, coefficient);
+  if (!(coefficient.isConstant() && coefficient.constantValue().equals(Fraction.from(1)))) {
+    const description = coefficient.isConstant() && coefficient.constantValue().equals(Fraction.from(-1))
+      ? 'Multiply both sides by -1'
+      : `Divide both sides by ${coefficient.termCount() > 1 ? `(${coefficient})` : coefficient}`;
+    steps.push(step(description, `${variable} = ${solution}`));
+  }
+
+  if (!solution.isConstant()) {
+    return { variable, solutions: [{ value: solution.toString(), decimal: NaN, exact: true }], identity: false, excluded: [], steps };
+  }
+
+  const value = solution.constantValue();
+  if (keepDefined([exactSolution(value)], equation, variable, steps).length === 0) {
+    steps.push(step('There are no real solutions', '∅'));
+    return { variable, solutions: [], identity: false, excluded: [], steps };
+  }
+
+  const checkLeft = left.substitute({ [variable]: value });
+  const checkRight = right.substitute({ [variable]: value });
+  if (checkLeft.isConstant() && checkRight.isConstant()) {
+    steps.push(step(`Check by substituting ${variable} = ${value} into the original equation`, `${checkLeft} = ${checkRight}`));
+  }
+  return { variable, solutions: [exactSolution(value)], identity: false, excluded: [], steps };
+}
+
+/**
+ * "Subtract 3x from both sides" / "Add 5 to both sides"
+ */
+function describeMove(term, kind) {
+  const isNegative = term.termCount() === 1 && term.leadingCoefficient().n < 0n;
+  if (isNegative) return `Add ${term.neg()} to both sides to move the ${kind}`;
+  const shown = term.termCount() > 1 ? `(${term})` : term.toString();
+  return `Subtract ${shown} from both sides to move the ${kind}`;
+}
+
+function solveQuadratic(equation, polynomial, variable, steps) {
+  const [c, b, a] = polynomial.univariateCoefficients(variable);
+  steps.push(step('Move every term to one side', `${polynomial} = 0`));
+
+  const discriminant = b.mul(b).sub(Fraction.from(4).mul(a).mul(c));
+  steps.push(step(
+    'Compute the discriminant b² - 4ac',
+    `(${b})² - 4(${a})(${c}) = ${discriminant}`
+  ));
+
+  if (discriminant.n < 0n) {
+    steps.push(step('The discriminant is negative, so there are no real solutions', `${discriminant} < 0`));
+    return { variable, solutions: [], identity: false, excluded: [], steps };
+  }
+
+  const twoA = Fraction.from(2).mul(a);
+  const root = discriminant.root(2n);
+  const x = Polynomial.variable(variable);
+
+  if (root) {
+    const r1 = b.neg().add(root).div(twoA);
+    const r2 = b.neg().sub(root).div(twoA);
+    const [small, large] = r1.compare(r2) <= 0 ? [r1, r2] : [r2, r1];
+    const leading = a.equals(Fraction.from(1)) ? '' : a.equals(Fraction.from(-1)) ? '-' : `${a}`;
+    const factor = (r) => `(${x.sub(Polynomial.constant(r))})`;
+
+    if (small.equals(large)) {
+      steps.push(step('Factor (the discriminant is 0, so it is a perfect square)', `${leading}${factor(small)}² = 0`));
+      steps.push(step('Set the factor equal to zero', `${variable} = ${small}`));
+      return { variable, solutions: keepDefined([exactSolution(small)], equation, variable, steps), identity: false, excluded: [], steps };
+    }
+
+    steps.push(step('Factor', `${leading}${factor(small)}${factor(large)} = 0`));
+    steps.push(step('Set each factor equal to zero', `${variable} = ${small} or ${variable} = ${large}`));
+    return { variable, solutions: keepDefined([exactSolution(small), exactSolution(large)], equation, variable, steps), identity: false, excluded: [], steps };
+  }
+
+  const vertex = b.neg().div(twoA);
+  const surd = simplifySurd(discriminant);
+  const solutions = surd
+    ? [formatSurdSolution(vertex, surd, twoA, -1), formatSurdSolution(vertex, surd, twoA, 1)]
+    : [-1, 1].map(sign => approximateSolution((-b.toNumber() + sign * Math.sqrt(discriminant.toNumber())) / twoA.toNumber()));
+  solutions.sort((p, q) => p.decimal - q.decimal);
+
+  steps.push(step(
+    'The discriminant is not a perfect square, so use the quadratic formula x = (-b ± √(b² - 4ac)) / 2a',
+    `${variable} = (${b.neg()} ± √${discriminant}) / ${twoA}`
+  ));
+  steps.push(step('Simplify', solutions.map(s => `${variable} = ${s.value}`).join(' or ')));
+  return { variable, solutions: keepDefined(solutions, equation, variable, steps), identity: false, excluded: [], steps };
+}
+
+/**
+ * Write √(n/d) as k√r / d with r square-free. Returns { coefficient, radicand } or null.
+ */
+function simplifySurd(value) {
+  let remaining = value.n * value.d;
+  if (remaining > MAX_SURD_RADICAND) return null;
+  let outside = 1n;
+  for (let i = 2n; i * i <= remaining; i++) {
+    while (remaining % (i * i) === 0n) {
+      remaining /= i * i;
+      outside *= i;
+    }
+  }
+  return { coefficient: new Fraction(outside, value.d), radicand: remaining };
+}
+
+function formatSurdSolution(vertex, surd, twoA, sign) {
+  const magnitude = surd.coefficient.div(twoA.n < 0n ? twoA.neg() : twoA);
+  const shownCoefficient = magnitude.equals(Fraction.from(1)) ? '' : magnitude.isInteger() ? `${magnitude}` : `(${magnitude})`;
+  const surdText = `${shownCoefficient}√${surd.radicand}`;
+
+  let value;
+  if (vertex.isZero()) {
+    value = sign < 0 ? `-${surdText}` : surdText;
+  } else {
+    value = `${vertex} ${sign < 0 ? '-' : '+'} ${surdText}`;
+  }
+  const decimal = vertex.toNumber() + sign * magnitude.toNumber() * Math.sqrt(Number(surd.radicand));
+  return { value, decimal, exact: true };
+}
+
+function solvePolynomialOrRational(equation, difference, variable, steps) {
+  steps.push(step('Move every term to one side', `${difference} = 0`));
+  if (!difference.isPolynomial()) {
+    steps.push(step(`Multiply both sides by ${difference.denominator.termCount() > 1 ? `(${difference.denominator})` : difference.denominator}`, `${difference.numerator} = 0`));
+  }
+
+  const coefficients = difference.numerator.univariateCoefficients(variable);
+  const { rational, remaining } = findRationalRoots(coefficients);
+  let solutions = rational.map(exactSolution);
+
+  const remainingDegree = remaining.length - 1;
+  if (remainingDegree === 1 || remainingDegree === 2) {
+    const rest = solveEquation(`${Polynomial.fromCoefficients(remaining, variable)} = 0`, variable);
+    solutions.push(...rest.solutions);
+  } else if (remainingDegree > 2) {
+    solutions.push(...numericPolynomialRoots(remaining).map(approximateSolution));
+  }
+
+  if (rational.length > 0) {
+    steps.push(step('Test possible rational roots (factors of the constant over factors of the leading coefficient)', rational.map(r => `${variable} = ${r}`).join(', ')));
+  }
+
+  const valid = keepDefined(dedupe(solutions), equation, variable, steps);
+  valid.sort((p, q) => p.decimal - q.decimal);
+  steps.push(step(valid.length ? 'Solutions' : 'There are no real solutions', valid.map(s => `${variable} ${s.exact ? '=' : '≈'} ${s.value}`).join(' or ') || '∅'));
+  return { variable, solutions: valid, identity: false, excluded: [], steps };
+}
+
+function solveNumerically(equation, variable, steps) {
+  if (!variable) throw new Error('Nothing to solve for');
+  const f = (x) => evaluateNumeric(equation.left, { [variable]: x }) - evaluateNumeric(equation.right, { [variable]: x });
+  const roots = findNumericRoots(f, -NUMERIC_SEARCH_RANGE, NUMERIC_SEARCH_RANGE);
+  const solutions = roots.map(approximateSolution);
+  steps.push(step(
+    solutions.length ? 'Solve numerically (the equation has roots, functions or constants that can\'t be solved exactly here)' : 'No real solution found numerically',
+    solutions.map(s => `${variable} ≈ ${s.value}`).join(' or ') || '∅'
+  ));
+  return { variable, solutions, identity: false, excluded: [], steps };
+}
+
+/**
+ * The result for an equation that holds for every value of the variable where it is
+ * defined. Cancelling a common factor ((x² - 1)/(x - 1) = x + 1) hides the values that
+ * make a denominator zero, so they are found from the original equation.
+ */
+function everyDefinedValue(equation, variable, steps) {
+  const excluded = undefinedValues(equation, variable);
+  if (excluded.length === 0) {
+    steps.push(step(`Every value of ${variable} works`, `${variable} ∈ ℝ`));
+  } else {
+    const values = excluded.map(solution => solution.value).join(' and ');
+    steps.push(step(
+      `${variable} = ${excluded.map(solution => solution.value).join(` or ${variable} = `)} ${excluded.length > 1 ? 'make' : 'makes'} a denominator zero, so every value of ${variable} except ${values} works`,
+      excluded.map(solution => `${variable} ≠ ${solution.value}`).join(', ')
+    ));
+  }
+  return { variable, solutions: [], identity: true, excluded, steps };
+}
+
+/**
+ * Real values of `variable` that make a denominator in the equation zero
+ */
+function undefinedValues(equation, variable) {
+  const denominators = [];
+  const collect = (node) => {
+    if (node.type === 'binary' && node.op === '/') denominators.push(node.right);
+    if (node.type === 'binary' && node.op === '^' && (node.right.type === 'unary' || node.right.value?.n < 0n)) denominators.push(node.left);
+    [node.left, node.right, node.arg, ...(node.args || [])].forEach(child => child && collect(child));
+  };
+  collect(equation);
+
+  const zeros = [];
+  for (const denominator of denominators) {
+    let rational;
+    try {
+      rational = toRational(denominator);
+    } catch (error) {
+      if (!(error instanceof NotRationalError)) throw error;
+      continue;
+    }
+    const { numerator } = rational;
+    if (numerator.isConstant() || numerator.variables().some(name => name !== variable)) continue;
+    zeros.push(...solveEquation(`${numerator} = 0`, variable).solutions);
+  }
+  return dedupe(zeros).sort((p, q) => p.decimal - q.decimal);
+}
+
+/**
+ * Drop solutions where the original equation is undefined. Cancelling a
+ * common factor ((x² - 1)/(x - 1) → x + 1) can hide such values.
+ */
+function keepDefined(solutions, equation, variable, steps) {
+  return solutions.filter(solution => {
+    if (isDefinedAt(equation, variable, solution)) return true;
+    steps.push(step(`${variable} = ${solution.value} makes a denominator zero, so it is not a solution`, `${variable} ≠ ${solution.value}`));
+    return false;
+  });
+}
+
+function isDefinedAt(equation, variable, solution) {
+  try {
+    if (solution.fraction) {
+      evaluateExact(equation.left, { [variable]: solution.fraction });
+      evaluateExact(equation.right, { [variable]: solution.fraction });
+      return true;
+    }
+    const scope = { [variable]: solution.decimal };
+    return Number.isFinite(evaluateNumeric(equation.left, scope)) && Number.isFinite(evaluateNumeric(equation.right, scope));
+  } catch (error) {
+    return false;
+  }
+}
+
+function dedupe(solutions) {
+  const unique = [];
+  for (const solution of solutions) {
+    if (!unique.some(existing => Math.abs(existing.decimal - solution.decimal) < 1e-9)) unique.push(solution);
+  }
+  return unique;
+}
+
+// --- Root finding ---
+
+function divisors(value) {
+  const n = value < 0n ? -value : value;
+  if (n > 10n ** 10n) return [];
+  const result = [];
+  for (let i = 1n; i * i <= n; i++) {
+    if (n % i === 0n) {
+      result.push(i);
+      if (i * i !== n) result.push(n / i);
+    }
+  }
+  return result;
+}
+
+function evaluateCoefficients(coefficients, x) {
+  return coefficients.reduceRight((total, coefficient) => total.mul(x).add(coefficient), Fraction.from(0));
+}
+
+/**
+ * Rational root theorem with deflation. Returns the exact roots found and
+ * the coefficients of whatever factor is left over.
+ */
+function findRationalRoots(coefficients) {
+  let remaining = [...coefficients];
+  const roots = [];
+
+  while (remaining.length > 1 && remaining[0].isZero()) {
+    roots.push(Fraction.from(0));
+    remaining = remaining.slice(1);
+  }
+
+  let found = true;
+  while (found && remaining.length > 1) {
+    found = false;
+    // Clear denominators so the theorem applies to integer coefficients
+    const scale = remaining.reduce((lcm, c) => lcm * c.d / gcdBig(lcm, c.d), 1n);
+    const integers = remaining.map(c => c.mul(Fraction.from(scale)).n);
+    const candidates = [];
+    for (const p of divisors(integers[0])) {
+      for (const q of divisors(integers[integers.length - 1])) {
+        candidates.push(new Fraction(p, q), new Fraction(-p, q));
+      }
+    }
+    for (const candidate of candidates) {
+      if (evaluateCoefficients(remaining, candidate).isZero()) {
+        roots.push(candidate);
+        remaining = divideCoefficients(remaining, [candidate.neg(), Fraction.from(1)]).quotient;
+        found = true;
+        break;
+      }
+    }
+  }
+
+  return { rational: roots, remaining };
+}
+
+function gcdBig(a, b) {
+  while (b !== 0n) [a, b] = [b, a % b];
+  return a < 0n ? -a : a;
+}
+
+function numericPolynomialRoots(coefficients) {
+  const leading = coefficients[coefficients.length - 1].toNumber();
+  const bound = 1 + Math.max(...coefficients.slice(0, -1).map(c => Math.abs(c.toNumber() / leading)));
+  const f = (x) => coefficients.reduceRight((total, c) => total * x + c.toNumber(), 0);
+  return findNumericRoots(f, -bound, bound);
+}
+
+/**
+ * Scan for sign changes and refine each by bisection, skipping poles
+ */
+function findNumericRoots(f, from, to) {
+  const roots = [];
+  const width = (to - from) / NUMERIC_SEARCH_STEPS;
+  let previousX = from;
+  let previousY = f(from);
+
+  for (let i = 1; i <= NUMERIC_SEARCH_STEPS; i++) {
+    const x = from + i * width;
+    const y = f(x);
+    if (Number.isFinite(y) && Math.abs(y) < 1e-12) {
+      roots.push(x);
+    } else if (Number.isFinite(previousY) && Number.isFinite(y) && previousY * y < 0) {
+      let low = previousX;
+      let high = x;
+      for (let j = 0; j < 100; j++) {
+        const mid = (low + high) / 2;
+        if (f(low) * f(mid) <= 0) high = mid; else low = mid;
+      }
+      const root = (low + high) / 2;
+      if (Math.abs(f(root)) < 1e-6) roots.push(root);
+    }
+    previousX = x;
+    previousY = y;
+  }
+
+  return roots.filter((root, index) => index === 0 || Math.abs(root - roots[index - 1]) > 1e-6);
+}
@@ -0,0 +1,258 @@
+// Checking a student's answer against a reference answer or the problem itself
+
+import { Fraction } from './fraction.js';
+import { collectVariables, parseExpression, parseInput } from './parser.js';
+import { NotRationalError, toRational } from './algebra.js';
+import { evaluateNumeric } from './evaluate.js';
+import { solveEquation } from './solve.js';
+import { simplifyExpression } from './simplify.js';
+
+const SAMPLE_POINTS = [0.7, -1.3, 2.1, 3.7, -0.4];
+const TOLERANCE = 1e-9;
+
+function closeEnough(a, b) {
+  return Math.abs(a - b) <= TOLERANCE * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+/**
+ * Are two expression ASTs equal for every value of their variables?
+ * Exact when both are rational expressions, otherwise sampled numerically.
+ */
+function expressionsEquivalent(a, b) {
+  try {
+    return { equivalent: toRational(a).equals(toRational(b)), method: 'symbolic' };
+  } catch (error) {
+    if (!(error instanceof NotRationalError)) throw error;
+  }
+
+  const variables = [...new Set([...collectVariables(a), ...collectVariables(b)])];
+  let compared = 0;
+  for (let i = 0; i < SAMPLE_POINTS.length; i++) {
+    const scope = Object.fromEntries(variables.map((name, j) => [name, SAMPLE_POINTS[(i + j) % SAMPLE_POINTS.length]]));
+    const valueA = evaluateNumeric(a, scope);
+    const valueB = evaluateNumeric(b, scope);
+    if (!Number.isFinite(valueA) && !Number.isFinite(valueB)) continue;
+    if (!closeEnough(valueA, valueB)) return { equivalent: false, method: 'numeric' };
+    compared++;
+  }
+  return { equivalent: compared > 0, method: 'numeric' };
+}
+
+/**
+ * Are two equations the same up to rearranging and scaling both sides?
+ */
+function equationsEquivalent(a, b) {
+  try {
+    const differenceA = toRational(a.left).sub(toRational(a.right));
+    const differenceB = toRational(b.left).sub(toRational(b.right));
+    // Cross-multiply, then the two sides must differ by a non-zero constant factor
+    const polynomialA = differenceA.numerator.mul(differenceB.denominator);
+    const polynomialB = differenceB.numerator.mul(differenceA.denominator);
+    if (polynomialA.isZero() || polynomialB.isZero()) {
+      return { equivalent: polynomialA.isZero() && polynomialB.isZero(), method: 'symbolic' };
+    }
+    const factor = polynomialA.leadingCoefficient().div(polynomialB.leadingCoefficient());
+    return { equivalent: polynomialA.equals(polynomialB.scale(factor)), method: 'symbolic' };
+  } catch (error) {
+    if (!(error instanceof NotRationalError)) throw error;
+    return { equivalent: false, method: 'unsupported' };
+  }
+}
+
+/**
+ * Check whether two expressions (or two equations) are mathematically equivalent
+ */
+export function checkEquivalence(first, second) {
+  const a = parseInput(first);
+  const b = parseInput(second);
+  if (a.type === 'equation' && b.type === 'equation') return equationsEquivalent(a, b);
+  if (a.type === 'equation' || b.type === 'equation') return { equivalent: false, method: 'symbolic' };
+  return expressionsEquivalent(a, b);
+}
+
+// Answers that are a statement about the solution set rather than values
+const NO_SOLUTION = /^(there (is|are) )?(no (real )?solutions?|none|no answer|the empty set|empty set|∅|\{\s*\})$/i;
+const ALL_NUMBERS = /^((it'?s |there are )?infinitely many( solutions)?|all real numbers|all reals|all numbers|any (real )?number|every (real )?number|every value( of [a-z])?|all values( of [a-z])?|all [a-z]|ℝ)$/i;
+
+// "all real numbers except 1", "every value but x = 2 or x = -2"
+const EXCEPT = /^(.+?),?\s+(?:except|but not|but|other than)\s+(?:for\s+|when\s+)?(.+)$/i;
+// "x ≠ 1", "x != 1 and x ≠ -1"
+const NOT_EQUAL = /^[a-z]\s*(?:≠|!=|=\/=)\s*(.+)$/i;
+
+/**
+ * { kind: 'none' } for "no solution", { kind: 'all', except } for "all real numbers"
+ * (with the values it leaves out, if any, parsed like an answer list), null for an
+ * ordinary answer
+ */
+function solutionSetAnswer(text) {
+  const trimmed = String(text).trim().replace(/[.!]+$/, '');
+  if (NO_SOLUTION.test(trimmed)) return { kind: 'none', except: [] };
+  if (ALL_NUMBERS.test(trimmed)) return { kind: 'all', except: [] };
+
+  const [, whole, exceptions] = trimmed.match(EXCEPT) || [];
+  if (whole && ALL_NUMBERS.test(whole)) return { kind: 'all', except: parseAnswerList(exceptions) };
+
+  const parts = trimmed.split(/,|\band\b/i).map(part => part.trim());
+  if (parts.every(part => NOT_EQUAL.test(part))) {
+    return { kind: 'all', except: parseAnswerList(parts.map(part => part.match(NOT_EQUAL)[1]).join(', ')) };
+  }
+  return null;
+}
+
+/**
+ * Grade an answer when the student's answer or the reference is "no solution" or
+ * "every value (except ...)" - they only match each other, with the same values left out
+ */
+function checkSolutionSet(answerSet, expectedSet, expectedText) {
+  let correct = answerSet?.kind === expectedSet?.kind;
+  if (correct && expectedSet.kind === 'all') {
+    const { unmatched, missing } = matchAnswers(answerSet.except, expectedSet.except);
+    correct = unmatched.length === 0 && missing === 0;
+  }
+
+  let feedback;
+  if (correct) feedback = 'Correct!';
+  else if (expectedSet?.kind === 'none') feedback = 'Not quite - this equation has no solution.';
+  else if (expectedSet?.kind === 'all' && expectedSet.except.length > 0) {
+    feedback = `Not quite - the answer is ${expectedText}: the values left out make the equation undefined.`;
+  } else if (expectedSet?.kind === 'all') {
+    feedback = answerSet?.kind === 'all'
+      ? 'Not quite - every value works for this equation, none are left out.'
+      : 'Not quite - every value works for this equation, not just some.';
+  } else feedback = `Not quite - there ${expectedText.includes(' or ') ? 'are solutions' : 'is a solution'}.`;
+  return { correct, expected: expectedText, simplified: null, method: 'symbolic', feedback };
+}
+
+const valueItem = (solution) => ({ text: solution.value, node: parseExpression(solution.value), equation: null, isAssignment: false });
+
+/**
+ * Split "x = 2 or x = -3", "2, -3" into items:
+ * { text, node, equation } where `node` is the value (the right side of an
+ * "x = ..." assignment) and `equation` is set when the text was an equation.
+ */
+function parseAnswerList(answer) {
+  return String(answer)
+    // A comma in "1,000" groups thousands, it doesn't separate two answers
+    .replace(/(\d),(?=\d{3}(?!\d))/g, '$1')
+    .split(/,|;|\bor\b|\band\b/i)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(text => {
+      const node = parseInput(text);
+      if (node.type !== 'equation') return { text, node, equation: null, isAssignment: false };
+      const isAssignment = node.left.type === 'symbol';
+      return { text, node: isAssignment ? node.right : node, equation: node, isAssignment };
+    });
+}
+
+function itemsEquivalent(a, b) {
+  const aIsEquation = a.equation && !a.isAssignment;
+  const bIsEquation = b.equation && !b.isAssignment;
+  if (aIsEquation || bIsEquation) {
+    if (!a.equation || !b.equation) return { equivalent: false, method: 'symbolic' };
+    return equationsEquivalent(a.equation, b.equation);
+  }
+  return expressionsEquivalent(a.node, b.node);
+}
+
+/**
+ * Is a numeric answer written in lowest terms? null when it doesn't apply.
+ */
+function isSimplifiedNumber(node) {
+  if (node.type === 'unary') return isSimplifiedNumber(node.arg);
+  if (node.type === 'number') return true;
+  if (node.type === 'binary' && node.op === '/' && node.left.type === 'number' && node.right.type === 'number' &&
+    node.left.value.isInteger() && node.right.value.isInteger()) {
+    const denominator = node.right.value.n;
+    return denominator > 1n && new Fraction(node.left.value.n, denominator).d === denominator;
+  }
+  try {
+    return toRational(node).isConstant() ? false : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function matchAnswers(answers, references) {
+  const remaining = [...references];
+  const unmatched = [];
+  let method = 'symbolic';
+  for (const answer of answers) {
+    const index = remaining.findIndex(reference => {
+      const result = itemsEquivalent(answer, reference);
+      if (result.method !== 'symbolic') method = result.method;
+      return result.equivalent;
+    });
+    if (index === -1) {
+      unmatched.push(answer.text);
+    } else {
+      remaining.splice(index, 1);
+    }
+  }
+  return { unmatched, missing: remaining.length, method };
+}
+
+/**
+ * Verify a student's answer.
+ *
+ * @param {object} params
+ * @param {string} params.answer - What the student said, e.g. "x = 4", "3/4", "x = 2 or x = -3"
+ * @param {string} [params.expected] - Reference answer, if known
+ * @param {string} [params.problem] - The problem ("2x + 3 = 11" or "3/4 + 5/6") when no reference is given
+ * @param {string} [params.variable] - Variable to solve for when the problem has several
+ * @returns {{ correct: boolean, expected: string, simplified: boolean|null, method: string, feedback: string }}
+ */
+export function verifyAnswer({ answer, expected, problem, variable }) {
+  if (!answer || !String(answer).trim()) throw new Error('No answer to check');
+  if (!expected && !problem) throw new Error('Need either the expected answer or the problem to check against');
+
+  const answerSet = solutionSetAnswer(answer);
+  const answers = answerSet ? [] : parseAnswerList(answer);
+  const single = answers.length === 1 && (!answers[0].equation || answers[0].isAssignment) ? answers[0] : null;
+  const simplified = single ? isSimplifiedNumber(single.node) : null;
+
+  let references;
+  let expectedText;
+  let expectedSet = null;
+  if (expected) {
+    expectedSet = solutionSetAnswer(expected);
+    references = expectedSet ? [] : parseAnswerList(expected);
+    expectedText = String(expected);
+  } else {
+    const problemNode = parseInput(problem);
+    if (problemNode.type === 'equation') {
+      const solved = solveEquation(problem, variable || answers.find(item => item.isAssignment)?.equation.left.name);
+      if (solved.identity) {
+        expectedSet = { kind: 'all', except: solved.excluded.map(valueItem) };
+        expectedText = solved.variable ? `every value of ${solved.variable}` : 'every value';
+        if (solved.excluded.length > 0) expectedText += ` except ${solved.excluded.map(solution => solution.value).join(' and ')}`;
+        return checkSolutionSet(answerSet, expectedSet, expectedText);
+      }
+      if (solved.solutions.length === 0) {
+        return checkSolutionSet(answerSet, { kind: 'none', except: [] }, 'no solution');
+      }
+      references = solved.solutions.map(valueItem);
+      expectedText = solved.solutions.map(solution => `${solved.variable} = ${solution.value}`).join(' or ');
+    } else {
+      references = [{ text: problem, node: problemNode, equation: null, isAssignment: false }];
+      expectedText = simplifyExpression(problem).result;
+    }
+  }
+
+  if (answerSet || expectedSet) return checkSolutionSet(answerSet, expectedSet, expectedText);
+
+  const { unmatched, missing, method } = matchAnswers(answers, references);
+  const correct = unmatched.length === 0 && missing === 0;
+
+  let feedback;
+  if (correct) {
+    feedback = simplified === false ? 'Correct, but it can be simplified further.' : 'Correct!';
+  } else if (unmatched.length === 0) {
+    feedback = `Those are right, but there ${missing === 1 ? 'is another solution' : `are ${missing} more solutions`}.`;
+  } else if (unmatched.length < answers.length) {
+    feedback = `Part of that is right, but ${unmatched.join(', ')} is not.`;
+  } else {
+    feedback = "Not quite - that answer doesn't match.";
+  }
+  return { correct, expected: expectedText, simplified, method, feedback };
+}
@@ -0,0 +1,98 @@
+// Logs, metrics and timing spans for diagnosing the tutor in production.
+// Every conversation gets an id and every turn an id under it; they are on each
+// log line written for them, so one slow turn can be followed from the student's
+// question to the tutor's first audio and the end of its reply.
+
+import { performance } from 'perf_hooks';
+import { MetricsRegistry } from './metrics.js';
+
+export { Logger, logger } from './logger.js';
+export { MetricsRegistry } from './metrics.js';
+
+export const metrics = new MetricsRegistry();
+
+export const tutorMetrics = {
+  connections: metrics.counter('tutor_connections_total', 'WebSocket connections by outcome (accepted, unauthorized, rate_limited)', ['outcome']),
+  turns: metrics.counter('tutor_turns_total', 'Student turns by source and how they ended', ['source', 'outcome']),
+  turnDuration: metrics.histogram('tutor_turn_seconds', 'From the end of the student\'s question to the end of the tutor\'s reply', { labelNames: ['source', 'outcome'] }),
+  firstAudio: metrics.histogram('tutor_turn_first_audio_seconds', 'From the end of the student\'s question to the first tutor audio', { labelNames: ['source'] }),
+  upstreamConnect: metrics.histogram('tutor_upstream_connect_seconds', 'Opening or resuming a live model session', { labelNames: ['outcome', 'resumed'] }),
+  toolCalls: metrics.counter('tutor_tool_calls_total', 'Tool calls from the model by tool and outcome', ['tool', 'outcome']),
+  toolDuration: metrics.histogram('tutor_tool_seconds', 'Tool call duration', { labelNames: ['tool'] }),
+  visionDuration: metrics.histogram('tutor_vision_seconds', 'Vision model calls for shared screenshots', { labelNames: ['outcome'] }),
+  inputAudioChunks: metrics.counter('tutor_input_audio_chunks_total', 'Mic audio chunks streamed to the model'),
+  outputAudioChunks: metrics.counter('tutor_output_audio_chunks_total', 'Tutor audio chunks sent to clients'),
+  answerEvents: metrics.counter('tutor_answer_events_total', 'Answers submitted on practice sites, by how the site marked them', ['result']),
+  guardrailFlags: metrics.counter('tutor_guardrail_flags_total', 'Guardrail matches by policy, who said it and what was done', ['policy', 'role', 'action']),
+  errors: metrics.counter('tutor_errors_total', 'Errors by kind', ['kind']),
+  httpRequests: metrics.counter('tutor_http_requests_total', 'REST requests by route and status', ['method', 'route', 'status'])
+};
+
+const startedAt = Date.now();
+metrics.gauge('process_uptime_seconds', 'Seconds since the server started', { collect: () => Math.round((Date.now() - startedAt) / 1000) });
+metrics.gauge('process_resident_memory_bytes', 'Resident memory', { collect: () => process.memoryUsage().rss });
+
+/**
+ * Time an operation. `end()` logs the duration on `log` as `msg` and records it in
+ * `histogram`; labels passed to end() (e.g. an outcome) are added to both.
+ * Ending a span twice does nothing, so every exit path can end it safely.
+ */
+export function startSpan(log, msg, { histogram = null, labels = {}, fields = {} } = {}) {
+  const start = performance.now();
+  let ended = false;
+  return {
+    end(endLabels = {}, endFields = {}) {
+      if (ended) return null;
+      ended = true;
+      const seconds = (performance.now() - start) / 1000;
+      histogram?.observe({ ...labels, ...endLabels }, seconds);
+      log.info(msg, { ...fields, ...labels, ...endLabels, ...endFields, durationMs: Math.round(seconds * 1000) });
+      return seconds;
+    }
+  };
+}
+
+// Failed connects in a row before /health reports the model as unavailable
+const UNAVAILABLE_AFTER_FAILURES = 3;
+
+/**
+ * Whether the live model is reachable, judged from the sessions the server opens.
+ * Live sessions are too expensive to open just to probe, so /health reports on the
+ * most recent real connects instead.
+ */
+export class UpstreamHealth {
+  constructor() {
+    this.lastConnectedAt = null;
+    this.lastFailure = null;
+    this.consecutiveFailures = 0;
+  }
+
+  connected() {
+    this.lastConnectedAt = new Date().toISOString();
+    this.consecutiveFailures = 0;
+  }
+
+  failed(error) {
+    this.lastFailure = { at: new Date().toISOString(), message: error.message };
+    this.consecutiveFailures++;
+  }
+
+  /**
+   * 'ok', 'degraded' (the last connect failed) or 'unavailable'
+   */
+  get status() {
+    if (this.consecutiveFailures >= UNAVAILABLE_AFTER_FAILURES) return 'unavailable';
+    return this.consecutiveFailures > 0 ? 'degraded' : 'ok';
+  }
+
+  snapshot() {
+    return {
+      status: this.status,
+      lastConnectedAt: this.lastConnectedAt,
+      lastFailure: this.lastFailure,
+      consecutiveFailures: this.consecutiveFailures
+    };
+  }
+}
+
+export const upstreamHealth = new UpstreamHealth();
@@ -0,0 +1,91 @@
+// Leveled, structured logging: one JSON object per line on stdout, e.g.
+//   {"time":"2025-01-01T12:00:00.000Z","level":"info","msg":"Turn finished","conversationId":"3f9c2a1b","turnId":"3f9c2a1b-4","outcome":"complete","durationMs":1830}
+// LOG_LEVEL sets the minimum level (debug, info, warn, error; default info).
+// LOG_FORMAT=pretty prints readable lines instead, for local development.
+// Child loggers add their fields (conversation, turn, ...) to every line they write.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors don't survive JSON.stringify, so keep the useful parts
+function serialize(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(value.code && { code: value.code }), stack: value.stack };
+  }
+  return value;
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const details = Object.entries(fields).map(([key, value]) => {
+    if (value && typeof value === 'object') {
+      // Serialized errors read better as "Name: message"
+      return `${key}=${value.stack ? JSON.stringify(`${value.name}: ${value.message}`) : JSON.stringify(value)}`;
+    }
+    return `${key}=${value}`;
+  });
+  return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${details.length ? ` ${details.join(' ')}` : ''}`;
+}
+
+export class Logger {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.level] - minimum level to write
+   * @param {'json' | 'pretty'} [options.format]
+   * @param {object} [options.fields] - added to every line
+   * @param {(line: string) => void} [options.write]
+   */
+  constructor({
+    level = process.env.LOG_LEVEL || 'info',
+    format = process.env.LOG_FORMAT || 'json',
+    fields = {},
+    write = (line) => process.stdout.write(`${line}\n`)
+  } = {}) {
+    this.level = Object.hasOwn(LEVELS, level) ? level : 'info';
+    this.format = format === 'pretty' ? 'pretty' : 'json';
+    this.fields = fields;
+    this.write = write;
+  }
+
+  /**
+   * A logger that adds `fields` to every line, on top of this one's
+   */
+  child(fields) {
+    return new Logger({ level: this.level, format: this.format, fields: { ...this.fields, ...fields }, write: this.write });
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  log(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return;
+    const entry = { time: new Date().toISOString(), level, msg, ...this.fields };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) entry[key] = serialize(value);
+    }
+    this.write(this.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry));
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+}
+
+// The server's root logger; modules log through it or through a child of it
+export const logger = new Logger();
+
+if (process.env.LOG_LEVEL && !Object.hasOwn(LEVELS, process.env.LOG_LEVEL)) {
+  logger.warn(`Unknown LOG_LEVEL "${process.env.LOG_LEVEL}", using info`);
+}
@@ -0,0 +1,127 @@
+// In-process counters, gauges and histograms, rendered in the Prometheus text
+// exposition format for GET /metrics. Label values are kept low-cardinality
+// (tool names, outcomes, route patterns) - never student ids or free text.
+
+// Latency buckets in seconds, from a fast tool call to a slow vision request
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label key -> { labels, ...values }
+  }
+
+  // One series per combination of label values, in labelNames order
+  seriesFor(labels, create) {
+    const values = this.labelNames.map(name => labels[name] ?? '');
+    const key = values.join('\u0000');
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]])), ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.renderSeries()].join('\n');
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  renderSeries() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+export class Gauge extends Metric {
+  /**
+   * `collect()` is read at render time, for values that live elsewhere (open connections, uptime)
+   */
+  constructor(name, help, { labelNames, collect = null } = {}) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  renderSeries() {
+    if (this.collect) return [`${this.name} ${this.collect()}`];
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, { labelNames, buckets = DEFAULT_BUCKETS } = {}) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, seconds) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (seconds <= bound) series.counts[i]++;
+    });
+    series.sum += seconds;
+    series.count++;
+  }
+
+  renderSeries() {
+    return [...this.series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...this.buckets.map((bound, i) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`
+    ]);
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric "${metric.name}" is already registered`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, options) {
+    return this.register(new Gauge(name, help, options));
+  }
+
+  histogram(name, help, options) {
+    return this.register(new Histogram(name, help, options));
+  }
+
+  /**
+   * Every metric in the Prometheus text format
+   */
+  render() {
+    return `${[...this.metrics.values()].map(metric => metric.render()).join('\n')}\n`;
+  }
+}
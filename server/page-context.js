@@ -0,0 +1,52 @@
+// Turns a `page_context` message from the content script into a note for the
+// model's context. The payload comes straight from the page DOM:
+//   { url, title, selectedText, problemText, math: [{ format, source }], inputs: [{ label, type, value }] }
+// Everything is re-validated and capped here since any page can shape it.
+
+const MAX_FIELD_LENGTH = 2000;
+const MAX_ITEMS = 15;
+
+function text(value) {
+  if (typeof value !== 'string') return '';
+  const trimmed = value.trim();
+  return trimmed.length > MAX_FIELD_LENGTH ? `${trimmed.slice(0, MAX_FIELD_LENGTH)}…` : trimmed;
+}
+
+function items(value) {
+  return Array.isArray(value) ? value.filter(item => item && typeof item === 'object').slice(0, MAX_ITEMS) : [];
+}
+
+/**
+ * Build the context note for the model, or throw if the payload has nothing usable
+ */
+export function formatPageContext(payload) {
+  if (!payload || typeof payload !== 'object') {
+    throw new Error('page_context payload must be an object');
+  }
+
+  const selectedText = text(payload.selectedText);
+  const problemText = text(payload.problemText);
+  const math = items(payload.math).map(item => ({ format: item.format === 'latex' ? 'LaTeX' : 'MathML', source: text(item.source) }))
+    .filter(item => item.source);
+  const inputs = items(payload.inputs).map(item => ({ label: text(item.label), type: text(item.type), value: text(item.value) }));
+
+  if (!selectedText && !problemText && math.length === 0 && inputs.length === 0) {
+    throw new Error('page_context has no problem text, math or inputs');
+  }
+
+  const lines = [
+    "[Context from the student's screen - read from the page itself, not spoken by the student. Use it to see the exact problem; don't read it back verbatim.]",
+    `Page: ${text(payload.title) || 'untitled'} (${text(payload.url) || 'unknown URL'})`
+  ];
+  if (selectedText) lines.push(`Text the student highlighted: ${selectedText}`);
+  if (problemText) lines.push(`Problem text around it: ${problemText}`);
+  if (math.length > 0) {
+    lines.push('Math on the page:');
+    math.forEach(item => lines.push(`- (${item.format}) ${item.source}`));
+  }
+  if (inputs.length > 0) {
+    lines.push("Answer fields and what the student has entered:");
+    inputs.forEach(item => lines.push(`- ${item.label || 'unlabeled'} [${item.type || 'text'}]: ${item.value ? `"${item.value}"` : '(empty)'}`));
+  }
+  return lines.join('\n');
+}
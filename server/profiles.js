@@ -0,0 +1,122 @@
+// Tutor profiles: grade band, language, voice and teaching mode chosen in the
+// panel and sent in the `session_start` message. The profile is folded into the
+// base live config (system instruction + speech config) before the session opens.
+// The option ids are mirrored in src/profile.ts - keep them in sync.
+
+import { logger } from './observability/index.js';
+
+export const GRADE_BANDS = {
+  any: {
+    label: 'Any grade',
+    guidance: null
+  },
+  'k-2': {
+    label: 'Grades K-2',
+    guidance: 'The student is 5 to 8 years old. Use very short sentences and everyday words, count with concrete objects like apples or blocks, and stick to numbers, counting, shapes, and addition and subtraction within 100.'
+  },
+  '3-5': {
+    label: 'Grades 3-5',
+    guidance: 'The student is in upper elementary school. Use simple language and pictures in words, and focus on place value, multiplication and division, fractions and basic measurement. Avoid algebraic notation unless the student uses it first.'
+  },
+  '6-8': {
+    label: 'Grades 6-8',
+    guidance: 'The student is in middle school. Ratios, negative numbers, expressions and linear equations are fair game; introduce variables gently and connect them to the arithmetic the student already knows.'
+  },
+  '9-12': {
+    label: 'Grades 9-12',
+    guidance: 'The student is in high school. Use proper algebra vocabulary and notation; topics range from algebra and geometry through functions, trigonometry and pre-calculus.'
+  },
+  college: {
+    label: 'College',
+    guidance: 'The student is at college level. Be precise and concise, use standard notation, and expect calculus, linear algebra and statistics.'
+  }
+};
+
+export const TEACHING_MODES = {
+  guided: {
+    label: 'Guided steps',
+    guidance: null
+  },
+  socratic: {
+    label: 'Socratic',
+    guidance: 'Teach Socratically. Never state the answer to the student\'s problem or do a step for them, even if they ask. Ask one guiding question at a time, wait for their reply, and let them make every step. If they are stuck, give a smaller hint rather than the next step.'
+  },
+  worked_example: {
+    label: 'Worked example',
+    guidance: 'Teach with worked examples. First solve a similar problem (different numbers) completely, narrating each step, then ask the student to apply the same steps to their own problem and check their work.'
+  },
+  quick_check: {
+    label: 'Quick check',
+    guidance: 'The student only wants their work checked. Verify their answer with your answer-checking tool, say briefly whether it is right, and if not, point to the first mistake in one or two sentences. Don\'t start a lesson unless they ask.'
+  }
+};
+
+export const LANGUAGES = {
+  'en-US': 'English',
+  'es-US': 'Spanish',
+  'fr-FR': 'French',
+  'de-DE': 'German',
+  'pt-BR': 'Portuguese',
+  'hi-IN': 'Hindi'
+};
+
+export const VOICES = ['Zephyr', 'Puck', 'Charon', 'Kore', 'Fenrir', 'Aoede', 'Leda', 'Orus'];
+
+export const DEFAULT_PROFILE = {
+  gradeBand: 'any',
+  language: 'en-US',
+  voice: 'Zephyr',
+  mode: 'guided'
+};
+
+/**
+ * Fill in and validate a requested profile, falling back to defaults for unknown values
+ */
+export function resolveProfile(requested = {}) {
+  const pick = (field, isValid) => {
+    const value = requested?.[field];
+    if (value === undefined || value === null) return DEFAULT_PROFILE[field];
+    if (isValid(value)) return value;
+    logger.warn(`Unknown profile ${field}, using the default`, { field, value, default: DEFAULT_PROFILE[field] });
+    return DEFAULT_PROFILE[field];
+  };
+
+  return {
+    gradeBand: pick('gradeBand', value => Object.hasOwn(GRADE_BANDS, value)),
+    language: pick('language', value => Object.hasOwn(LANGUAGES, value)),
+    voice: pick('voice', value => VOICES.includes(value)),
+    mode: pick('mode', value => Object.hasOwn(TEACHING_MODES, value))
+  };
+}
+
+function profileInstructions(profile) {
+  const lines = [];
+  const grade = GRADE_BANDS[profile.gradeBand].guidance;
+  const mode = TEACHING_MODES[profile.mode].guidance;
+  if (grade) lines.push(grade);
+  if (mode) lines.push(mode);
+  if (profile.language !== DEFAULT_PROFILE.language) {
+    lines.push(`Speak only in ${LANGUAGES[profile.language]}, even though these instructions are in English.`);
+  }
+  if (lines.length === 0) return '';
+  return `\n\nAbout this student (this takes priority over the general guidance above where they conflict):\n- ${lines.join('\n- ')}`;
+}
+
+/**
+ * Build the live session config for a profile from the base config in index.js.
+ * `notes` is extra system-prompt text about this student (see mastery.js).
+ */
+export function applyProfile(baseConfig, profile, notes = '') {
+  const baseInstruction = baseConfig.systemInstruction.parts.map(part => part.text).join('\n');
+  return {
+    ...baseConfig,
+    speechConfig: {
+      ...baseConfig.speechConfig,
+      languageCode: profile.language,
+      voiceConfig: { prebuiltVoiceConfig: { voiceName: profile.voice } }
+    },
+    systemInstruction: {
+      parts: [{ text: baseInstruction + profileInstructions(profile) + notes }]
+    }
+  };
+}
@@ -0,0 +1,123 @@
+// Gemini implementation of the model provider interface (see ./index.js)
+
+import { GoogleGenAI, Modality } from '@google/genai';
+import { logger } from '../observability/index.js';
+
+const TTS_MODEL_CONFIG = {
+  model: 'models/gemini-2.5-flash-preview-native-audio-dialog',
+  config: {
+    responseModalities: [Modality.AUDIO],
+    speechConfig: {
+      voiceConfig: {
+        prebuiltVoiceConfig: {
+          voiceName: 'Zephyr'
+        }
+      }
+    },
+    systemInstruction: {
+      parts: [{
+        text: 'You are the voice of Voyage AI Tutor. Read the text you are given aloud exactly as written, in a warm, encouraging tone. Do not add anything.'
+      }]
+    }
+  }
+};
+
+const VISION_MODEL_CONFIG = {
+  model: 'gemini-1.5-flash-latest',
+  config: {
+    temperature: 0.7,
+    topP: 0.8,
+    topK: 40,
+    maxOutputTokens: 2048,
+  }
+};
+
+export class GeminiProvider {
+  constructor() {
+    this.name = 'gemini';
+    this.genAI = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+  }
+
+  readiness() {
+    if (!process.env.GEMINI_API_KEY) return { ready: false, reason: 'GEMINI_API_KEY is not set' };
+    return { ready: true };
+  }
+
+  connectLive({ model, config, callbacks }) {
+    return this.genAI.live.connect({ model, config, callbacks });
+  }
+
+  /**
+   * Speak text through a short-lived TTS session
+   */
+  async speak(text, { onAudio }) {
+    let finish;
+    const done = new Promise((resolve, reject) => {
+      finish = { resolve, reject };
+    });
+
+    const ttsSession = await this.genAI.live.connect({
+      model: TTS_MODEL_CONFIG.model,
+      config: TTS_MODEL_CONFIG.config,
+      callbacks: {
+        onopen: () => {
+          logger.debug('TTS session opened');
+        },
+
+        onmessage: (response) => {
+          const parts = response.serverContent?.modelTurn?.parts || [];
+          for (const part of parts) {
+            if (part.inlineData?.data) {
+              onAudio(part.inlineData.data);
+            }
+          }
+          if (response.serverContent?.turnComplete) {
+            logger.debug('TTS turn complete');
+            finish.resolve();
+          }
+        },
+
+        onerror: (error) => {
+          logger.error('TTS session error', { error: error?.message || String(error) });
+          finish.reject(new Error('TTS session error'));
+        },
+
+        onclose: () => {
+          logger.debug('TTS session closed');
+          finish.resolve();
+        }
+      }
+    });
+
+    try {
+      // live.connect only resolves once the session is open, so it's safe to send
+      ttsSession.sendClientContent({
+        turns: [{ role: 'user', parts: [{ text }] }],
+        turnComplete: true
+      });
+      await done;
+    } finally {
+      ttsSession.close();
+    }
+  }
+
+  async analyzeImage({ prompt, image }) {
+    const result = await this.genAI.models.generateContent({
+      model: VISION_MODEL_CONFIG.model,
+      config: VISION_MODEL_CONFIG.config,
+      contents: [{
+        role: 'user',
+        parts: [
+          { text: prompt },
+          {
+            inlineData: {
+              mimeType: image.mimeType,
+              data: image.data
+            }
+          }
+        ]
+      }]
+    });
+    return result.text || '';
+  }
+}
@@ -0,0 +1,41 @@
+// Model provider selection for the orchestrator.
+//
+// Every provider implements the same interface so the WebSocket flow in
+// index.js never talks to a specific SDK directly:
+//
+//   connectLive({ model, config, callbacks }) -> Promise<LiveSession>
+//     Opens a live audio dialog. `config` uses the Gemini LiveConnectConfig
+//     shape and `callbacks` the { onopen, onmessage, onerror, onclose } shape.
+//     The returned session exposes sendRealtimeInput, sendClientContent,
+//     sendToolResponse and close.
+//
+//   speak(text, { onAudio }) -> Promise<void>
+//     Text-to-speech. Calls onAudio with base64 24kHz PCM chunks and resolves
+//     once the utterance is complete.
+//
+//   analyzeImage({ prompt, image }) -> Promise<string>
+//     Vision call for a { mimeType, data } screenshot.
+//
+//   readiness() -> { ready, reason? }
+//     Whether the provider is configured to reach its models, for GET /health.
+
+import { GeminiProvider } from './gemini.js';
+import { MockProvider } from './mock.js';
+import { ReplayProvider } from './replay.js';
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  mock: MockProvider,
+  replay: ReplayProvider
+};
+
+/**
+ * Create the provider named by MODEL_PROVIDER (defaults to Gemini)
+ */
+export function createProvider(name = process.env.MODEL_PROVIDER || 'gemini') {
+  const Provider = PROVIDERS[name.toLowerCase()];
+  if (!Provider) {
+    throw new Error(`Unknown MODEL_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider();
+}
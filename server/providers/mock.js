@@ -0,0 +1,188 @@
+// Deterministic offline implementation of the model provider interface (see ./index.js).
+// Replies with canned tone audio and scripted turns so the whole WebSocket
+// protocol can be exercised without a network connection or API key.
+//
+// Set MOCK_SCRIPT to a JSON file holding an array of turns to script replies:
+//   { "say": "Let's look at it together." }             canned audio reply
+//   { "text": "Some text part" }                         text reply
+//   { "toolCall": { "name": "...", "args": { ... } } }   function call, next turn follows the tool response
+// A turn answering spoken input may also set "hear" to the student's transcription.
+// Turns are played in order; once the script runs out every turn uses DEFAULT_TURN.
+
+import fs from 'fs';
+import { logger } from '../observability/index.js';
+
+const OUTPUT_SAMPLE_RATE = 24000;
+const CHUNK_SAMPLES = 4800; // 200ms per audio message
+const MS_PER_WORD = 250;
+const MIN_SPEECH_MS = 400;
+
+const DEFAULT_TURN = { say: "Great question! Let's work through it together, one step at a time." };
+const DEFAULT_HEARD = 'Can you help me with this problem?';
+const WORDS_PER_TRANSCRIPT_FRAGMENT = 4;
+
+/**
+ * Render `durationMs` of a soft 440Hz tone as base64 16-bit PCM chunks
+ */
+function toneChunks(durationMs) {
+  const totalSamples = Math.round(OUTPUT_SAMPLE_RATE * durationMs / 1000);
+  const chunks = [];
+  for (let offset = 0; offset < totalSamples; offset += CHUNK_SAMPLES) {
+    const length = Math.min(CHUNK_SAMPLES, totalSamples - offset);
+    const pcm = Buffer.alloc(length * 2);
+    for (let i = 0; i < length; i++) {
+      const sample = Math.sin(2 * Math.PI * 440 * (offset + i) / OUTPUT_SAMPLE_RATE) * 0.2;
+      pcm.writeInt16LE(Math.round(sample * 32767), i * 2);
+    }
+    chunks.push(pcm.toString('base64'));
+  }
+  return chunks;
+}
+
+function speechDuration(text) {
+  const words = text.trim().split(/\s+/).filter(Boolean).length;
+  return Math.max(MIN_SPEECH_MS, words * MS_PER_WORD);
+}
+
+function loadScript(scriptPath) {
+  if (!scriptPath) return [];
+  const script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+  if (!Array.isArray(script)) {
+    throw new Error(`MOCK_SCRIPT ${scriptPath} must contain a JSON array of turns`);
+  }
+  return script;
+}
+
+class MockLiveSession {
+  constructor(script, config, callbacks) {
+    this.script = script;
+    this.config = config || {};
+    this.callbacks = callbacks;
+    this.turnIndex = 0;
+    this.callCount = 0;
+    this.hasPendingAudio = false;
+    this.closed = false;
+  }
+
+  emit(message) {
+    setImmediate(() => {
+      if (!this.closed) this.callbacks.onmessage(message);
+    });
+  }
+
+  open() {
+    this.callbacks.onopen?.();
+    this.emit({ setupComplete: {} });
+    if (this.config.sessionResumption) {
+      this.emit({ sessionResumptionUpdate: { resumable: true, newHandle: `mock-handle-${Date.now()}` } });
+    }
+  }
+
+  nextTurn() {
+    const turn = this.script[this.turnIndex] || DEFAULT_TURN;
+    this.turnIndex++;
+    return turn;
+  }
+
+  respond({ fromAudio = false } = {}) {
+    const turn = this.nextTurn();
+
+    if (fromAudio && this.config.inputAudioTranscription) {
+      this.emit({ serverContent: { inputTranscription: { text: turn.hear || DEFAULT_HEARD } } });
+    }
+
+    if (turn.toolCall) {
+      this.callCount++;
+      this.emit({
+        toolCall: {
+          functionCalls: [{
+            id: `mock-call-${this.callCount}`,
+            name: turn.toolCall.name,
+            args: turn.toolCall.args || {}
+          }]
+        }
+      });
+      return;
+    }
+
+    if (turn.text) {
+      this.emit({ serverContent: { modelTurn: { parts: [{ text: turn.text }] } } });
+    }
+
+    if (turn.say) {
+      if (this.config.outputAudioTranscription) {
+        const words = turn.say.split(/\s+/);
+        for (let i = 0; i < words.length; i += WORDS_PER_TRANSCRIPT_FRAGMENT) {
+          const text = words.slice(i, i + WORDS_PER_TRANSCRIPT_FRAGMENT).join(' ');
+          this.emit({ serverContent: { outputTranscription: { text: i === 0 ? text : ` ${text}` } } });
+        }
+      }
+      for (const data of toneChunks(speechDuration(turn.say))) {
+        this.emit({
+          serverContent: {
+            modelTurn: { parts: [{ inlineData: { mimeType: `audio/pcm;rate=${OUTPUT_SAMPLE_RATE}`, data } }] }
+          }
+        });
+      }
+    }
+
+    this.emit({ serverContent: { turnComplete: true } });
+  }
+
+  sendRealtimeInput({ audio, audioStreamEnd, text } = {}) {
+    if (this.closed) return;
+    if (audio) this.hasPendingAudio = true;
+    if (text) this.respond();
+
+    // Stand-in for the model's own voice activity detection
+    if (audioStreamEnd && this.hasPendingAudio) {
+      this.hasPendingAudio = false;
+      this.respond({ fromAudio: true });
+    }
+  }
+
+  sendClientContent({ turnComplete = true } = {}) {
+    if (this.closed) return;
+    if (turnComplete) this.respond();
+  }
+
+  sendToolResponse() {
+    if (this.closed) return;
+    this.respond();
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    setImmediate(() => this.callbacks.onclose?.({ reason: 'closed by client' }));
+  }
+}
+
+export class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.script = loadScript(process.env.MOCK_SCRIPT);
+    logger.info('Using mock model provider', { script: process.env.MOCK_SCRIPT });
+  }
+
+  readiness() {
+    return { ready: true };
+  }
+
+  async connectLive({ config, callbacks }) {
+    const session = new MockLiveSession(this.script, config, callbacks);
+    session.open();
+    return session;
+  }
+
+  async speak(text, { onAudio }) {
+    for (const chunk of toneChunks(speechDuration(text))) {
+      onAudio(chunk);
+    }
+  }
+
+  async analyzeImage({ image }) {
+    const bytes = Buffer.from(image.data || '', 'base64').length;
+    return `I can see your ${image.mimeType || 'image'} screenshot, about ${Math.round(bytes / 1024)} kilobytes. It shows a math problem we can work through together.`;
+  }
+}
@@ -0,0 +1,134 @@
+// Replay implementation of the model provider interface (see ./index.js): plays back
+// the model's side of a recorded fixture (../replay/fixture.js) so server/index.js can be
+// tested offline. Set REPLAY_FIXTURE to the fixture file.
+//
+// Whenever the server sends something upstream (a typed question, the end of the
+// student's speech, tool results...) it is checked against the next recorded entry,
+// then the model messages recorded after it are played back. Anything that doesn't
+// match is logged as a "Replay mismatch" error, which the replay tests fail on.
+
+import fs from 'fs';
+import { logger } from '../observability/index.js';
+import { expandPlaceholders, matchesRecorded } from '../replay/fixture.js';
+
+const silence = (bytes) => Buffer.alloc(bytes).toString('base64');
+
+class ReplayLiveSession {
+  constructor(provider, callbacks) {
+    this.provider = provider;
+    this.callbacks = callbacks;
+    this.closed = false;
+  }
+
+  emit(entry) {
+    setImmediate(() => {
+      if (this.closed) return;
+      if (entry.model) this.callbacks.onmessage(expandPlaceholders(entry.model));
+      else if ('modelError' in entry) this.callbacks.onerror?.(new Error(entry.modelError));
+      else if ('modelClose' in entry) this.callbacks.onclose?.({ reason: entry.modelClose });
+    });
+  }
+
+  sendRealtimeInput({ audioStreamEnd } = {}) {
+    if (!this.closed && audioStreamEnd) this.provider.received({ server: 'audioStreamEnd' });
+  }
+
+  sendClientContent({ turns = [], turnComplete = true } = {}) {
+    if (this.closed) return;
+    const text = turns.map(turn => turn.parts?.map(part => part.text || '').join('')).join('\n');
+    this.provider.received({ server: turnComplete ? 'text' : 'context', text });
+  }
+
+  sendToolResponse({ functionResponses }) {
+    if (!this.closed) this.provider.received({ server: 'toolResponse', functionResponses });
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.provider.received({ server: 'close' }, { optional: true });
+  }
+}
+
+export class ReplayProvider {
+  constructor(fixturePath = process.env.REPLAY_FIXTURE) {
+    if (!fixturePath) throw new Error('Set REPLAY_FIXTURE to the fixture to replay');
+    const { upstream = {} } = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    this.name = 'replay';
+    this.live = upstream.live || [];
+    this.speech = [...(upstream.speech || [])];
+    this.vision = [...(upstream.vision || [])];
+    this.position = 0; // Next entry in `live`
+    this.session = null;
+    logger.info('Using replay model provider', { fixture: fixturePath });
+  }
+
+  mismatch(expected, actual) {
+    logger.error('Replay mismatch', { expected: expected ?? null, actual });
+  }
+
+  /**
+   * Play the model's recorded messages up to the next thing the server is expected to send
+   */
+  playModel() {
+    while (this.position < this.live.length) {
+      const entry = this.live[this.position];
+      if (!entry.model && !('modelError' in entry) && !('modelClose' in entry)) return;
+      this.position++;
+      this.session?.emit(entry);
+    }
+  }
+
+  /**
+   * The server sent something upstream - check it against the recording.
+   * Unexpected traffic is reported and skipped, so the recording stays in step.
+   */
+  received(actual, { optional = false } = {}) {
+    const expected = this.live[this.position];
+    if (expected?.server !== actual.server) {
+      if (!optional) this.mismatch(expected, actual);
+      return;
+    }
+    if (!matchesRecorded(expected, actual)) this.mismatch(expected, actual);
+    this.position++;
+    this.playModel();
+  }
+
+  readiness() {
+    return { ready: true };
+  }
+
+  async connectLive({ callbacks }) {
+    const entry = this.live[this.position];
+    if (!entry?.connect) {
+      this.mismatch(entry, { connect: 'open' });
+      throw new Error('The recording has no session to open here');
+    }
+    this.position++;
+    if (entry.connect === 'hang') return new Promise(() => {});
+    if (entry.connect === 'error') throw new Error(entry.error);
+
+    this.session = new ReplayLiveSession(this, callbacks);
+    callbacks.onopen?.();
+    this.playModel();
+    return this.session;
+  }
+
+  async speak(text, { onAudio }) {
+    const entry = this.speech.shift();
+    if (entry?.text !== text) this.mismatch(entry, { text });
+    if (!entry) return;
+    entry.chunks.forEach(bytes => onAudio(silence(bytes)));
+    if (entry.error) throw new Error(entry.error);
+  }
+
+  async analyzeImage() {
+    const entry = this.vision.shift();
+    if (!entry) {
+      this.mismatch(null, { vision: 'analyzeImage' });
+      throw new Error('The recording has no vision call here');
+    }
+    if (entry.error) throw new Error(entry.error);
+    return entry.analysis;
+  }
+}
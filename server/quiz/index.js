@@ -0,0 +1,137 @@
+// Quiz mode: a run of generated practice problems on one topic, presented one at a time.
+// Answers are graded against the known answer with the math engine and the difficulty
+// adapts as the student goes - up after a streak of right answers, down after a miss.
+
+import { parseInput, verifyAnswer } from '../math/index.js';
+import { QUIZ_TOPICS, MIN_DIFFICULTY, MAX_DIFFICULTY, generateProblem } from './templates.js';
+
+export { QUIZ_TOPICS } from './templates.js';
+
+export const DEFAULT_QUIZ_LENGTH = 5;
+export const MAX_QUIZ_LENGTH = 20;
+const STREAK_TO_LEVEL_UP = 2;
+
+/**
+ * Where to start a topic from the student's mastery of it (0-1, see ../mastery.js)
+ */
+export function difficultyForMastery(mastery) {
+  if (mastery === undefined || mastery === null) return MIN_DIFFICULTY;
+  if (mastery >= 0.8) return MAX_DIFFICULTY;
+  return mastery >= 0.5 ? 2 : MIN_DIFFICULTY;
+}
+
+// Additive terms at the top level: "x^2 + x - 12" has 3, "(x - 3)(x + 4)" has 1
+function countTerms(node) {
+  if (node.type === 'binary' && (node.op === '+' || node.op === '-')) return countTerms(node.left) + countTerms(node.right);
+  return 1;
+}
+
+/**
+ * Whether an answer that equals the expected one is also written in simplest form.
+ * verifyAnswer knows for fractions; for expressions it has to be expanded and have
+ * no more terms than the expected answer.
+ */
+function isSimplified(answer, expected, verification) {
+  if (verification.simplified !== null && verification.simplified !== undefined) return verification.simplified;
+  try {
+    return !answer.includes('(') && countTerms(parseInput(answer)) <= countTerms(parseInput(expected));
+  } catch (error) {
+    return false;
+  }
+}
+
+export class QuizSession {
+  /**
+   * @param {object} options
+   * @param {string} options.topic - a QUIZ_TOPICS id
+   * @param {number} [options.length] - how many problems
+   * @param {number} [options.difficulty] - starting difficulty (1-3)
+   * @param {() => number} [options.random] - source of randomness, for repeatable quizzes
+   */
+  constructor({ topic, length = DEFAULT_QUIZ_LENGTH, difficulty = MIN_DIFFICULTY, random = Math.random }) {
+    if (!Object.hasOwn(QUIZ_TOPICS, topic)) throw new Error(`No practice problems for "${topic}"`);
+    this.topic = topic;
+    this.label = QUIZ_TOPICS[topic].label;
+    this.length = Math.min(Math.max(Math.round(length) || DEFAULT_QUIZ_LENGTH, 1), MAX_QUIZ_LENGTH);
+    this.difficulty = Math.min(Math.max(Math.round(difficulty) || MIN_DIFFICULTY, MIN_DIFFICULTY), MAX_DIFFICULTY);
+    this.random = random;
+    this.streak = 0;
+    this.results = [];
+    this.current = null;
+  }
+
+  get finished() {
+    return this.results.length >= this.length;
+  }
+
+  /**
+   * Generate the next problem, or return null once the quiz is over
+   */
+  next() {
+    if (this.finished) return null;
+    const { prompt, expected, simplify = false } = generateProblem(this.topic, this.difficulty, this.random);
+    this.current = { index: this.results.length + 1, total: this.length, prompt, expected, simplify, difficulty: this.difficulty };
+    return this.problem();
+  }
+
+  /**
+   * The current problem as the student sees it (without the answer)
+   */
+  problem() {
+    if (!this.current) return null;
+    const { index, total, prompt, difficulty } = this.current;
+    return { topic: this.topic, label: this.label, index, total, prompt, difficulty };
+  }
+
+  /**
+   * Grade an answer to the current problem and adapt the difficulty
+   */
+  grade(answer, source = 'typed') {
+    if (!this.current) throw new Error('There is no quiz question to answer');
+    const { index, prompt, expected, simplify, difficulty } = this.current;
+    const text = String(answer || '').trim();
+    if (!text) throw new Error('The answer is empty');
+
+    let correct = false;
+    let feedback;
+    try {
+      const verification = verifyAnswer({ answer: text, expected });
+      correct = verification.correct;
+      feedback = verification.feedback;
+      if (correct && simplify && !isSimplified(text, expected, verification)) {
+        correct = false;
+        feedback = 'Right value, but it can be simplified further.';
+      }
+    } catch (error) {
+      feedback = `I couldn't read "${text}" as math. Try writing it like ${expected}.`;
+    }
+
+    const result = { index, prompt, answer: text, expected, correct, feedback, difficulty, source };
+    this.results.push(result);
+    this.current = null;
+
+    if (correct) {
+      this.streak++;
+      if (this.streak >= STREAK_TO_LEVEL_UP && this.difficulty < MAX_DIFFICULTY) {
+        this.difficulty++;
+        this.streak = 0;
+      }
+    } else {
+      this.streak = 0;
+      if (this.difficulty > MIN_DIFFICULTY) this.difficulty--;
+    }
+    return result;
+  }
+
+  summary() {
+    return {
+      topic: this.topic,
+      label: this.label,
+      score: this.results.filter(result => result.correct).length,
+      total: this.results.length,
+      length: this.length,
+      finalDifficulty: this.difficulty,
+      results: this.results
+    };
+  }
+}
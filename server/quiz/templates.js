@@ -0,0 +1,219 @@
+// Practice-problem templates for quiz mode, per topic and difficulty (1-3).
+// A template picks random parameters and returns { prompt, expected, simplify? }: the prompt
+// is shown to the student, `expected` is the answer in a form verifyAnswer understands and
+// `simplify` means an equivalent but unsimplified answer doesn't count.
+// Numeric answers are worked out by the math engine rather than by hand, and equations
+// are built backwards from their solutions, so every generated answer is known to be right.
+// Topic ids match the skills in ../mastery.js so quiz results feed the mastery model.
+
+import { parseExpression, evaluateExact, simplifyExpression } from '../math/index.js';
+
+export const MIN_DIFFICULTY = 1;
+export const MAX_DIFFICULTY = 3;
+
+const int = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+const nonZero = (random, min, max) => {
+  const value = int(random, min, max - 1);
+  return value >= 0 ? value + 1 : value;
+};
+
+/**
+ * Exact value of an arithmetic expression, as the math engine writes it ("19/12", "3/5")
+ */
+const exactValue = (expression) => evaluateExact(parseExpression(expression)).toString();
+
+// Decimal topics expect decimal answers (17.6, not 88/5); verifyAnswer accepts either
+const decimalValue = (expression) => String(evaluateExact(parseExpression(expression)).toNumber());
+
+const display = (expression) => expression.replace(/\*/g, ' × ').replace(/ {2,}/g, ' ');
+
+/**
+ * Write a polynomial in x from its coefficients, highest power first: [2, -2, -12] -> "2x^2 - 2x - 12"
+ */
+export function formatPolynomial(coefficients) {
+  const degree = coefficients.length - 1;
+  let text = '';
+  coefficients.forEach((coefficient, i) => {
+    const power = degree - i;
+    if (coefficient === 0) return;
+    const magnitude = Math.abs(coefficient);
+    const variable = power === 0 ? '' : power === 1 ? 'x' : `x^${power}`;
+    const term = magnitude === 1 && variable ? variable : `${magnitude}${variable}`;
+    if (!text) text = coefficient < 0 ? `-${term}` : term;
+    else text += coefficient < 0 ? ` - ${term}` : ` + ${term}`;
+  });
+  return text || '0';
+}
+
+const solutions = (roots) => [...new Set(roots)].sort((a, b) => a - b).map(root => `x = ${root}`).join(' or ');
+
+const arithmetic = [
+  (random) => {
+    const [a, b] = [int(random, 2, 30), int(random, 2, 30)];
+    const expression = random() < 0.5 ? `${a} + ${b}` : `${Math.max(a, b)} - ${Math.min(a, b)}`;
+    return { prompt: `Work out ${expression}`, expected: exactValue(expression) };
+  },
+  (random) => {
+    const [a, b] = [int(random, 11, 25), int(random, 3, 12)];
+    if (random() < 0.5) return { prompt: `Work out ${a} × ${b}`, expected: String(a * b) };
+    return { prompt: `Work out ${a * b} ÷ ${b}`, expected: String(a) };
+  },
+  (random) => {
+    const [a, b, c, d] = [int(random, 2, 20), int(random, 2, 9), int(random, 2, 9), int(random, 2, 9)];
+    const expression = pick(random, [`${a} + ${b}*${c}`, `(${a} - ${b})*${c}`, `${a}*${b} - ${c}*${d}`]);
+    return { prompt: `Work out ${display(expression)}`, expected: exactValue(expression) };
+  }
+];
+
+const FRACTION_DENOMINATORS = [2, 3, 4, 5, 6, 8, 10, 12];
+const IN_LOWEST_TERMS = 'Give your answer as a fraction in lowest terms.';
+
+const fractions = [
+  (random) => {
+    const d = int(random, 3, 12);
+    const [a, b] = [int(random, 1, d - 1), int(random, 1, d - 1)];
+    const expression = `${a}/${d} + ${b}/${d}`;
+    return { prompt: `Work out ${expression}. ${IN_LOWEST_TERMS}`, expected: exactValue(expression), simplify: true };
+  },
+  (random) => {
+    const [d1, d2] = [pick(random, FRACTION_DENOMINATORS), pick(random, FRACTION_DENOMINATORS)];
+    const [a, b] = [int(random, 1, d1 - 1), int(random, 1, d2 - 1)];
+    // Keep subtraction answers positive
+    const subtract = random() < 0.5 && a / d1 > b / d2;
+    const expression = `${a}/${d1} ${subtract ? '-' : '+'} ${b}/${d2}`;
+    return { prompt: `Work out ${expression}. ${IN_LOWEST_TERMS}`, expected: exactValue(expression), simplify: true };
+  },
+  (random) => {
+    const [d1, d2] = [pick(random, FRACTION_DENOMINATORS), pick(random, FRACTION_DENOMINATORS)];
+    const [a, b] = [int(random, 1, d1 - 1), int(random, 1, d2 - 1)];
+    const divide = random() < 0.5;
+    const expression = `(${a}/${d1}) ${divide ? '/' : '*'} (${b}/${d2})`;
+    return { prompt: `Work out ${a}/${d1} ${divide ? '÷' : '×'} ${b}/${d2}. ${IN_LOWEST_TERMS}`, expected: exactValue(expression), simplify: true };
+  }
+];
+
+const decimalsPercents = [
+  (random) => {
+    const [a, b] = [int(random, 11, 99) / 10, int(random, 11, 99) / 10];
+    return { prompt: `Work out ${a} + ${b}`, expected: decimalValue(`${a} + ${b}`) };
+  },
+  (random) => {
+    const percent = pick(random, [5, 10, 20, 25, 50, 75]);
+    const amount = int(random, 1, 20) * 20;
+    return { prompt: `What is ${percent}% of ${amount}?`, expected: decimalValue(`${percent}/100 * ${amount}`) };
+  },
+  (random) => {
+    if (random() < 0.5) {
+      const [a, b] = [int(random, 11, 49) / 10, int(random, 2, 9) / 10];
+      return { prompt: `Work out ${a} × ${b}`, expected: decimalValue(`${a} * ${b}`) };
+    }
+    const percent = pick(random, [10, 15, 20, 25, 30]);
+    const amount = int(random, 2, 30) * 20;
+    const increase = random() < 0.5;
+    return {
+      prompt: `${increase ? 'Increase' : 'Decrease'} ${amount} by ${percent}%.`,
+      expected: decimalValue(`${amount} * (1 ${increase ? '+' : '-'} ${percent}/100)`)
+    };
+  }
+];
+
+const exponentsRoots = [
+  (random) => {
+    if (random() < 0.6) {
+      const a = int(random, 2, 12);
+      return { prompt: `Work out ${a}^2`, expected: String(a * a) };
+    }
+    const a = int(random, 2, 5);
+    return { prompt: `Work out ${a}^3`, expected: String(a ** 3) };
+  },
+  (random) => {
+    const [k, b] = [int(random, 2, 12), int(random, 2, 6)];
+    return { prompt: `Work out √${k * k} + ${b}^2`, expected: String(k + b * b) };
+  },
+  (random) => {
+    const base = pick(random, [2, 3]);
+    const [m, n] = base === 2 ? [int(random, 2, 5), int(random, 2, 5)] : [int(random, 1, 3), int(random, 1, 3)];
+    return {
+      prompt: `Work out ${base}^${m} × ${base}^${n}. Give the answer as a number.`,
+      expected: String(base ** (m + n))
+    };
+  }
+];
+
+const SIMPLIFY = 'Simplify';
+
+const expressions = [
+  (random) => {
+    const [a, b] = [int(random, 2, 9), int(random, 2, 9)];
+    const expression = `${a}x + ${b}x`;
+    return { prompt: `${SIMPLIFY} ${expression}`, expected: `${a + b}x`, simplify: true };
+  },
+  (random) => {
+    const [a, b, c] = [int(random, 2, 6), int(random, 1, 9), int(random, 1, 9)];
+    const expression = `${a}(x + ${b}) + ${c}x`;
+    return { prompt: `${SIMPLIFY} ${expression}`, expected: simplifyExpression(expression).result, simplify: true };
+  },
+  (random) => {
+    const [a, b] = [nonZero(random, -6, 6), nonZero(random, -6, 6)];
+    const expression = `(${formatPolynomial([1, a])})(${formatPolynomial([1, b])})`;
+    return { prompt: `Expand and ${SIMPLIFY.toLowerCase()} ${expression}`, expected: formatPolynomial([1, a + b, a * b]), simplify: true };
+  }
+];
+
+const SOLVE = 'Solve for x:';
+
+const linearEquations = [
+  (random) => {
+    const [x, a] = [int(random, -10, 15), int(random, 1, 20)];
+    const subtract = random() < 0.5;
+    return { prompt: `${SOLVE} x ${subtract ? '-' : '+'} ${a} = ${subtract ? x - a : x + a}`, expected: `x = ${x}` };
+  },
+  (random) => {
+    const [x, a, b] = [int(random, -10, 10), int(random, 2, 9), nonZero(random, -15, 15)];
+    return { prompt: `${SOLVE} ${formatPolynomial([a, b])} = ${a * x + b}`, expected: `x = ${x}` };
+  },
+  (random) => {
+    const x = int(random, -8, 8);
+    const [a, c] = [int(random, 2, 9), int(random, 1, 8)];
+    const right = a === c ? c + 1 : c;
+    const b = nonZero(random, -12, 12);
+    const d = a * x + b - right * x;
+    return { prompt: `${SOLVE} ${formatPolynomial([a, b])} = ${formatPolynomial([right, d])}`, expected: `x = ${x}` };
+  }
+];
+
+const quadratics = [
+  (random) => {
+    const k = int(random, 1, 10);
+    return { prompt: `${SOLVE} x^2 = ${k * k}`, expected: solutions([k, -k]) };
+  },
+  (random) => {
+    const [r1, r2] = [int(random, -6, 6), int(random, -6, 6)];
+    return { prompt: `${SOLVE} ${formatPolynomial([1, -(r1 + r2), r1 * r2])} = 0`, expected: solutions([r1, r2]) };
+  },
+  (random) => {
+    const a = int(random, 2, 3);
+    const [r1, r2] = [int(random, -5, 5), int(random, -5, 5)];
+    return { prompt: `${SOLVE} ${formatPolynomial([a, -a * (r1 + r2), a * r1 * r2])} = 0`, expected: solutions([r1, r2]) };
+  }
+];
+
+export const QUIZ_TOPICS = {
+  arithmetic: { label: 'Arithmetic', levels: arithmetic },
+  fractions: { label: 'Fractions', levels: fractions },
+  decimals_percents: { label: 'Decimals and percents', levels: decimalsPercents },
+  exponents_roots: { label: 'Exponents and roots', levels: exponentsRoots },
+  expressions: { label: 'Simplifying expressions', levels: expressions },
+  linear_equations: { label: 'Linear equations', levels: linearEquations },
+  quadratics: { label: 'Quadratic equations', levels: quadratics }
+};
+
+/**
+ * One random problem for a topic at a difficulty
+ */
+export function generateProblem(topic, difficulty, random = Math.random) {
+  const template = QUIZ_TOPICS[topic]?.levels[difficulty - MIN_DIFFICULTY];
+  if (!template) throw new Error(`No practice problems for ${topic} at difficulty ${difficulty}`);
+  return template(random);
+}
@@ -0,0 +1,101 @@
+// Fixture format for recorded sessions, shared by the recorder (./recorder.js), the
+// replay provider (../providers/replay.js) and the replay tests (../test/replay.test.js).
+//
+// A fixture is one conversation as JSON:
+//   {
+//     "description": "...",
+//     "env": { "LIVE_CONNECT_TIMEOUT_MS": "300" },     extra server environment for the replay
+//     "client": [ ... ],      what the client sent, in order
+//     "server": [ ... ],      what the server sent back, in order
+//     "upstream": {           what passed between the server and the model provider
+//       "live": [ ... ],      live session traffic, in order
+//       "speech": [ ... ],    provider.speak() calls
+//       "vision": [ ... ]     provider.analyzeImage() calls
+//     }
+//   }
+//
+// client entries, each sent once `afterReceived` server messages have arrived:
+//   { "send": { "v": 1, "type": "text", "payload": { ... } }, "afterReceived": 2 }   control message
+//   { "sendAudio": 1280, "afterReceived": 2 }                                     binary mic frame of N PCM bytes
+//   { "reconnect": true, "afterReceived": 9 }      new socket; "<resumeToken>" in a hello becomes the last welcome's token
+// server entries: { "type", "payload" } control messages, or { "audio": N } for a binary audio frame
+// upstream.live entries:
+//   { "connect": "open" | "error" | "hang", "error"?: "message" }    a connectLive() call and how it ended
+//   { "model": { ...LiveServerMessage } }        the model sent a message
+//   { "modelClose": "reason" } / { "modelError": "message" }       the model ended the session
+//   { "server": "text" | "context", "text": "..." }               sendClientContent, turnComplete true / false
+//   { "server": "audioStreamEnd" }                                the student stopped talking
+//   { "server": "toolResponse", "functionResponses": [ ... ] }    tool results sent back
+//   { "server": "close" }                                         the server closed the session
+// upstream.speech entries: { "text": "...", "chunks": [9600, ...] }
+// upstream.vision entries: { "analysis": "..." } or { "error": "message" }
+//
+// Audio is never stored: { "$pcm": N } anywhere in a fixture stands for N bytes of silent
+// PCM (base64 in JSON messages), and shared screenshots are swapped for a 1x1 PNG.
+// "<any>" in a recorded server message matches any value, for fields that change from
+// run to run (resume tokens, randomly generated quiz problems).
+
+export const ANY = '<any>';
+export const RESUME_TOKEN = '<resumeToken>';
+
+// 1x1 transparent PNG standing in for shared screenshots
+export const PLACEHOLDER_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+export const pcmPlaceholder = (base64) => ({ $pcm: Buffer.byteLength(base64 || '', 'base64') });
+
+/**
+ * Replace every { $pcm: N } in `value` with N bytes of base64 silence
+ */
+export function expandPlaceholders(value) {
+  if (Array.isArray(value)) return value.map(expandPlaceholders);
+  if (!value || typeof value !== 'object') return value;
+  if (Object.keys(value).length === 1 && Number.isInteger(value.$pcm)) {
+    return Buffer.alloc(value.$pcm).toString('base64');
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandPlaceholders(item)]));
+}
+
+/**
+ * A server-to-client control message as fixtures store it
+ */
+export function normalizeServerMessage({ type, payload }) {
+  if (type === 'audio') return { type, payload: pcmPlaceholder(payload) };
+  if (type === 'welcome') return { type, payload: { ...payload, resumeToken: ANY } };
+  return payload === undefined ? { type } : { type, payload };
+}
+
+/**
+ * A model message as fixtures store it: audio parts keep their size, not their samples
+ */
+export function normalizeModelMessage(message) {
+  const parts = message.serverContent?.modelTurn?.parts;
+  if (!parts?.some(part => part.inlineData)) return message;
+  return {
+    ...message,
+    serverContent: {
+      ...message.serverContent,
+      modelTurn: {
+        ...message.serverContent.modelTurn,
+        parts: parts.map(part => part.inlineData
+          ? { ...part, inlineData: { ...part.inlineData, data: pcmPlaceholder(part.inlineData.data) } }
+          : part)
+      }
+    }
+  };
+}
+
+/**
+ * Deep equality where "<any>" in `expected` matches anything
+ */
+export function matchesRecorded(expected, actual) {
+  if (expected === ANY) return true;
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && expected.length === actual.length && expected.every((item, i) => matchesRecorded(item, actual[i]));
+  }
+  if (expected && typeof expected === 'object') {
+    if (!actual || typeof actual !== 'object' || Array.isArray(actual)) return false;
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    return [...keys].every(key => matchesRecorded(expected[key], actual[key]));
+  }
+  return Object.is(expected, actual);
+}
@@ -0,0 +1,193 @@
+// Records a conversation as a replayable fixture (format in ./fixture.js).
+// Start the server with RECORD_FIXTURES_DIR set and every conversation is written
+// there as <start time>-<conversation id>.json: what the client sent and received, and
+// what passed between the server and the model. The file is rewritten each time the
+// client disconnects, so it is complete even if the server is stopped afterwards.
+// Fixtures hold the conversation's transcript, so review them before committing one.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { decodeAudioFrame } from '../../shared/protocol.js';
+import { CONNECT_TIMEOUT_MS } from '../audio-session.js';
+import { logger } from '../observability/index.js';
+import {
+  PLACEHOLDER_PNG,
+  RESUME_TOKEN,
+  normalizeModelMessage,
+  normalizeServerMessage,
+  pcmPlaceholder
+} from './fixture.js';
+
+// What a client control message looks like in a fixture: no audio, no screenshots, no secrets
+function normalizeClientMessage(message) {
+  if (message.type === 'audio') return { ...message, payload: pcmPlaceholder(message.payload) };
+  if (message.type === 'image') return { ...message, payload: { ...message.payload, data: PLACEHOLDER_PNG } };
+  if (message.type === 'hello' && message.payload?.resumeToken) {
+    return { ...message, payload: { ...message.payload, resumeToken: RESUME_TOKEN } };
+  }
+  return message;
+}
+
+const textOf = (content) => content.turns?.map(turn => turn.parts?.map(part => part.text || '').join('')).join('\n') || '';
+
+export class FixtureRecorder {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - where fixtures are written
+   * @param {string} options.conversationId
+   */
+  constructor({ dir, conversationId }) {
+    const startedAt = new Date();
+    this.filePath = path.join(dir, `${startedAt.toISOString().replace(/[:.]/g, '-')}-${conversationId}.json`);
+    this.fixture = {
+      description: `Conversation ${conversationId}, recorded ${startedAt.toISOString()}`,
+      env: {},
+      client: [],
+      server: [],
+      upstream: { live: [], speech: [], vision: [] }
+    };
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * A message from the client, raw as it came off the socket
+   */
+  clientMessage(message, isBinary) {
+    const afterReceived = this.fixture.server.length;
+    if (isBinary) {
+      try {
+        this.fixture.client.push({ sendAudio: decodeAudioFrame(message).pcm.byteLength, afterReceived });
+      } catch (error) {
+        // The server rejects it too; nothing worth replaying
+      }
+      return;
+    }
+    const text = message.toString();
+    try {
+      this.fixture.client.push({ send: normalizeClientMessage(JSON.parse(text)), afterReceived });
+    } catch (error) {
+      this.fixture.client.push({ sendRaw: text, afterReceived });
+    }
+  }
+
+  // The client came back on a new socket with its resume token
+  reconnected() {
+    this.fixture.client.push({ reconnect: true, afterReceived: this.fixture.server.length });
+  }
+
+  serverMessage(message) {
+    this.fixture.server.push(normalizeServerMessage(message));
+  }
+
+  serverAudioFrame(byteLength) {
+    this.fixture.server.push({ audio: byteLength });
+  }
+
+  /**
+   * The provider for this conversation: `provider`, with everything that passes through it recorded
+   */
+  wrapProvider(provider) {
+    const { live, speech, vision } = this.fixture.upstream;
+
+    const recordSession = (session) => ({
+      sendRealtimeInput(input) {
+        // Mic audio isn't recorded upstream - the client side already has it
+        if (input.audioStreamEnd) live.push({ server: 'audioStreamEnd' });
+        session.sendRealtimeInput(input);
+      },
+      sendClientContent(content) {
+        live.push({ server: content.turnComplete === false ? 'context' : 'text', text: textOf(content) });
+        session.sendClientContent(content);
+      },
+      sendToolResponse(response) {
+        live.push({ server: 'toolResponse', functionResponses: response.functionResponses });
+        session.sendToolResponse(response);
+      },
+      close() {
+        live.push({ server: 'close' });
+        session.close();
+      }
+    });
+
+    return {
+      name: provider.name,
+      readiness: () => provider.readiness(),
+
+      async connectLive({ model, config, callbacks }) {
+        const entry = { connect: 'hang' };
+        live.push(entry);
+        const startedAt = Date.now();
+        let session;
+        try {
+          session = await provider.connectLive({
+            model,
+            config,
+            callbacks: {
+              ...callbacks,
+              onmessage: (message) => {
+                live.push({ model: normalizeModelMessage(message) });
+                callbacks.onmessage(message);
+              },
+              onerror: (error) => {
+                live.push({ modelError: error?.message || String(error) });
+                callbacks.onerror?.(error);
+              },
+              onclose: (event) => {
+                live.push({ modelClose: event?.reason || '' });
+                callbacks.onclose?.(event);
+              }
+            }
+          });
+        } catch (error) {
+          Object.assign(entry, { connect: 'error', error: error.message });
+          throw error;
+        }
+        // A session that opened after the server gave up on it replays as a timeout
+        if (Date.now() - startedAt < CONNECT_TIMEOUT_MS) entry.connect = 'open';
+        return recordSession(session);
+      },
+
+      async speak(text, { onAudio }) {
+        const entry = { text, chunks: [] };
+        speech.push(entry);
+        try {
+          await provider.speak(text, {
+            onAudio: (data) => {
+              entry.chunks.push(Buffer.byteLength(data, 'base64'));
+              onAudio(data);
+            }
+          });
+        } catch (error) {
+          entry.error = error.message;
+          throw error;
+        }
+      },
+
+      async analyzeImage(request) {
+        try {
+          const analysis = await provider.analyzeImage(request);
+          vision.push({ analysis });
+          return analysis;
+        } catch (error) {
+          vision.push({ error: error.message });
+          throw error;
+        }
+      }
+    };
+  }
+
+  /**
+   * Write the fixture as it stands
+   */
+  save() {
+    const content = `${JSON.stringify(this.fixture, null, 2)}\n`;
+    this.writes = this.writes
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(this.filePath, content);
+        logger.info('Saved session fixture', { file: this.filePath });
+      })
+      .catch(error => logger.error('Failed to save session fixture', { error }));
+    return this.writes;
+  }
+}
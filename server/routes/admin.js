@@ -0,0 +1,49 @@
+// Admin routes for issuing and revoking student API tokens.
+// Only callers with ADMIN_TOKEN get through; without it set, the routes are disabled.
+
+import { TOKEN_ROLES, isReservedStudentId, isValidClassId, isValidStudentId } from '../auth.js';
+import { HttpError, readJsonBody, sendJson } from './router.js';
+import { logger } from '../observability/index.js';
+
+export function registerAdminRoutes(router, { tokenStore, usage, onRevoke = () => {} }) {
+  const requireAdmin = (auth) => {
+    if (auth?.role !== 'admin') throw new HttpError(403, 'Admin token required');
+  };
+
+  // GET /api/admin/tokens - every token (never the secret) with today's usage for its student
+  router.get('/api/admin/tokens', async (req, res, { auth }) => {
+    requireAdmin(auth);
+    return { tokens: tokenStore.list().map(token => ({ ...token, usageToday: usage.get(token.studentId) })) };
+  });
+
+  // POST /api/admin/tokens { studentId, name?, classId?, role? } - the plain token is only shown in this response.
+  // role is 'student' (the default) or 'teacher'; a teacher needs the classId of the class they teach.
+  router.post('/api/admin/tokens', async (req, res, { auth }) => {
+    requireAdmin(auth);
+    const { studentId, name, classId, role = 'student' } = await readJsonBody(req);
+    if (!isValidStudentId(studentId)) {
+      throw new HttpError(400, 'studentId must be 1-64 letters, digits, dots, dashes, underscores or @');
+    }
+    if (isReservedStudentId(studentId)) throw new HttpError(400, `"${studentId}" is reserved - pick another studentId`);
+    if (name !== undefined && typeof name !== 'string') throw new HttpError(400, 'name must be a string');
+    if (!TOKEN_ROLES.includes(role)) throw new HttpError(400, `role must be one of: ${TOKEN_ROLES.join(', ')}`);
+    if (classId !== undefined && classId !== null && !isValidClassId(classId)) {
+      throw new HttpError(400, 'classId must be 1-64 letters, digits, dots, dashes or underscores');
+    }
+    if (role === 'teacher' && !classId) throw new HttpError(400, 'A teacher token needs the classId of the class they teach');
+
+    const { token, record } = await tokenStore.issue({ studentId, name: name?.trim() || null, role, classId: classId || null });
+    logger.info('Issued API token', { tokenId: record.id, studentId, role, classId: record.classId });
+    sendJson(res, 201, { ...record, token });
+  });
+
+  // DELETE /api/admin/tokens/:id - revoke a token and disconnect anyone using it
+  router.delete('/api/admin/tokens/:id', async (req, res, { params, auth }) => {
+    requireAdmin(auth);
+    const record = await tokenStore.revoke(params.id);
+    if (!record) throw new HttpError(404, 'Token not found');
+    logger.info('Revoked API token', { tokenId: record.id, studentId: record.studentId });
+    onRevoke(record);
+    return record;
+  });
+}
@@ -0,0 +1,68 @@
+// Teacher dashboard for classroom mode (see ../classroom/).
+// Teachers see the students in their class (the classId on their token); the admin sees
+// every class, or one with ?classId=, and so does anyone when authentication is off.
+// The dashboard page itself is public - it asks for a token and calls the API with it.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isValidClassId } from '../auth.js';
+import { MAX_TEACHER_MESSAGE_CHARS, TEACHER_MESSAGE_KINDS } from '../classroom/index.js';
+import { HttpError, readJsonBody } from './router.js';
+import { logger } from '../observability/index.js';
+
+const DASHBOARD_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'classroom', 'dashboard.html');
+
+export function registerClassroomRoutes(router, classroom) {
+  const dashboard = fs.readFileSync(DASHBOARD_FILE);
+
+  // The class a caller may see, or null for every class
+  const classFor = (auth, query) => {
+    if (auth?.role === 'teacher') return auth.classId;
+    if (auth?.role === 'student') throw new HttpError(403, 'Teacher token required');
+    const classId = query.get('classId');
+    if (classId && !isValidClassId(classId)) throw new HttpError(400, 'Invalid classId');
+    return classId || null;
+  };
+
+  // A student the caller may act on; students in other classes look the same as missing ones
+  const findStudent = (auth, query, conversationId) => {
+    const student = classroom.find(conversationId, classFor(auth, query));
+    if (!student) throw new HttpError(404, 'Student not found');
+    return student;
+  };
+
+  // GET /teacher - the dashboard page
+  router.get('/teacher', async (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-cache' });
+    res.end(dashboard);
+  }, { public: true });
+
+  // GET /api/classroom - the students being tutored right now, raised hands and stuck students first
+  router.get('/api/classroom', async (req, res, { query, auth }) => {
+    const classId = classFor(auth, query);
+    return { classId, teacher: auth?.name || null, students: classroom.list(classId) };
+  });
+
+  // POST /api/classroom/students/:conversationId/messages { kind: 'message' | 'hint', text }
+  // Shows the text in the student's panel; a hint is also passed to their tutor to build on
+  router.post('/api/classroom/students/:conversationId/messages', async (req, res, { params, query, auth }) => {
+    const student = findStudent(auth, query, params.conversationId);
+    const { kind = 'message', text } = await readJsonBody(req);
+    if (!TEACHER_MESSAGE_KINDS.includes(kind)) throw new HttpError(400, `kind must be one of: ${TEACHER_MESSAGE_KINDS.join(', ')}`);
+    if (typeof text !== 'string' || !text.trim()) throw new HttpError(400, 'text is required');
+    if (text.length > MAX_TEACHER_MESSAGE_CHARS) throw new HttpError(400, `text must be at most ${MAX_TEACHER_MESSAGE_CHARS} characters`);
+
+    const delivered = await student.controls.message({ kind, text: text.trim(), from: auth?.name || null });
+    if (!delivered) throw new HttpError(409, 'The student is not connected right now');
+    logger.info('Teacher message sent', { conversationId: student.conversationId, studentId: student.studentId, kind });
+    return { delivered: true };
+  });
+
+  // DELETE /api/classroom/students/:conversationId/hand - lower a student's raised hand
+  router.delete('/api/classroom/students/:conversationId/hand', async (req, res, { params, query, auth }) => {
+    const student = findStudent(auth, query, params.conversationId);
+    student.controls.lowerHand();
+    return { handRaised: false };
+  });
+}
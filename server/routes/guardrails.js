@@ -0,0 +1,25 @@
+// Guardrail flags for parent and teacher review (see ../guardrails/).
+// Students (and parents, with their student's token) see their own flags, teachers see their
+// class's, and the admin sees everyone's - narrowed with ?classId= and ?studentId=.
+
+import { isValidClassId, isValidStudentId } from '../auth.js';
+import { HttpError } from './router.js';
+
+const MAX_LIMIT = 500;
+
+export function registerGuardrailRoutes(router, flags) {
+  // GET /api/guardrails/flags - the most recent flags first, at most ?limit= (default 100)
+  router.get('/api/guardrails/flags', async (req, res, { query, auth }) => {
+    let studentId = query.get('studentId');
+    let classId = query.get('classId');
+    if (studentId && !isValidStudentId(studentId)) throw new HttpError(400, 'Invalid studentId');
+    if (classId && !isValidClassId(classId)) throw new HttpError(400, 'Invalid classId');
+    if (auth?.role === 'student') studentId = auth.studentId;
+    if (auth?.role === 'teacher') classId = auth.classId;
+
+    const limit = query.has('limit') ? Number(query.get('limit')) : 100;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw new HttpError(400, `limit must be between 1 and ${MAX_LIMIT}`);
+
+    return { flags: flags.list({ classId: classId || null, studentId: studentId || null, limit }) };
+  });
+}
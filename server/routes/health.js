@@ -0,0 +1,29 @@
+// Health check and metrics for monitoring (see ../observability/).
+// /health is public so load balancers and uptime checks can call it without a token;
+// /metrics is for the admin's scraper (or anyone when authentication is off).
+
+import { metrics, upstreamHealth } from '../observability/index.js';
+import { HttpError, sendJson } from './router.js';
+
+export function registerHealthRoutes(router, { provider, getStats }) {
+  // GET /health - 200 while the tutor can serve students (possibly degraded), 503 when it can't
+  router.get('/health', async (req, res) => {
+    const configured = provider.readiness();
+    const upstream = upstreamHealth.snapshot();
+    const status = configured.ready ? upstream.status : 'unavailable';
+    sendJson(res, status === 'unavailable' ? 503 : 200, {
+      status,
+      provider: provider.name,
+      upstream: { ...upstream, configured: configured.ready, reason: configured.reason },
+      ...getStats(),
+      uptimeSeconds: Math.round(process.uptime())
+    });
+  }, { public: true });
+
+  // GET /metrics - counters and latency histograms in the Prometheus text format
+  router.get('/metrics', async (req, res, { auth }) => {
+    if (auth?.role === 'student' || auth?.role === 'teacher') throw new HttpError(403, 'Admin token required');
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+    res.end(metrics.render());
+  });
+}
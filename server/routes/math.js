@@ -0,0 +1,16 @@
+// REST access to the math engine so the extension can check an answer directly
+
+import { verifyAnswer } from '../math/index.js';
+import { HttpError, readJsonBody } from './router.js';
+
+export function registerMathRoutes(router) {
+  // POST /api/math/verify { answer, problem?, expected?, variable? }
+  router.post('/api/math/verify', async (req) => {
+    const { answer, problem, expected, variable } = await readJsonBody(req);
+    try {
+      return verifyAnswer({ answer, problem, expected, variable });
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+  });
+}
@@ -0,0 +1,17 @@
+// Per-student skill mastery for the extension's progress page (see ../mastery.js).
+// Students see their own progress; the admin picks a student with ?studentId=.
+
+import { isValidStudentId } from '../auth.js';
+import { HttpError } from './router.js';
+
+export function registerProgressRoutes(router, mastery) {
+  // GET /api/progress - every practised skill, weakest first, with its daily history
+  router.get('/api/progress', async (req, res, { query, auth }) => {
+    let studentId = auth.studentId;
+    if (auth.role === 'admin') {
+      studentId = query.get('studentId');
+      if (!isValidStudentId(studentId)) throw new HttpError(400, 'Pass the student to show as ?studentId=');
+    }
+    return { studentId, skills: mastery.get(studentId) };
+  });
+}
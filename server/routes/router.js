@@ -0,0 +1,155 @@
+// Tiny router for the REST endpoints that sit next to the WebSocket server.
+// Keeps us on plain http.createServer without pulling in a framework.
+
+import { performance } from 'perf_hooks';
+import { logger, tutorMetrics } from '../observability/index.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+export function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body. Handlers destructure it, so anything but a JSON
+ * object (`null`, an array, a number) is a 400.
+ */
+export function readJsonBody(req, limit = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (chunks.length === 0) return resolve({});
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (error) {
+        return reject(new HttpError(400, 'Request body must be valid JSON'));
+      }
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return reject(new HttpError(400, 'Request body must be a JSON object'));
+      }
+      resolve(body);
+    });
+    req.on('error', reject);
+  });
+}
+
+function compilePath(path) {
+  const names = [];
+  const pattern = path.replace(/:([a-zA-Z]+)/g, (_, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  return { regex: new RegExp(`^${pattern}/?$`), names };
+}
+
+// A malformed escape such as %E0 is the caller's mistake, not a server error
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    if (error instanceof URIError) throw new HttpError(400, 'Malformed URL');
+    throw error;
+  }
+}
+
+export class Router {
+  /**
+   * `authenticate(req)` runs before every handler and returns the caller's identity
+   * (passed to handlers as `auth`), or throws an HttpError to refuse the request.
+   * Routes added with `{ public: true }` skip it (e.g. health checks).
+   */
+  constructor({ authenticate = null } = {}) {
+    this.routes = [];
+    this.authenticate = authenticate;
+  }
+
+  add(method, path, handler, { public: isPublic = false } = {}) {
+    this.routes.push({ method, path, handler, isPublic, ...compilePath(path) });
+    return this;
+  }
+
+  get(path, handler, options) {
+    return this.add('GET', path, handler, options);
+  }
+
+  post(path, handler, options) {
+    return this.add('POST', path, handler, options);
+  }
+
+  delete(path, handler, options) {
+    return this.add('DELETE', path, handler, options);
+  }
+
+  /**
+   * Handle a request if a route matches. Resolves false when nothing matched.
+   * Handlers get (req, res, { params, query, auth }) and may return a value to send as JSON.
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    // The extension calls these routes from arbitrary pages, so allow cross-origin requests
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+
+    const matches = this.routes
+      .map(route => ({ route, match: route.regex.exec(url.pathname) }))
+      .filter(({ match }) => match);
+    if (matches.length === 0) return false;
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return true;
+    }
+
+    const found = matches.find(({ route }) => route.method === req.method);
+    if (!found) {
+      sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+      return true;
+    }
+
+    const { route, match } = found;
+    const start = performance.now();
+    try {
+      const auth = this.authenticate && !route.isPublic ? await this.authenticate(req) : null;
+      const params = Object.fromEntries(route.names.map((name, i) => [name, decodePathParam(match[i + 1])]));
+      const result = await route.handler(req, res, { params, query: url.searchParams, auth });
+      if (result !== undefined && !res.headersSent) sendJson(res, 200, result);
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500) logger.error('Request failed', { method: req.method, path: url.pathname, error });
+      if (!res.headersSent) sendJson(res, status, { error: error.message });
+    }
+
+    // Label by route pattern, not the actual path, so ids don't become separate series
+    tutorMetrics.httpRequests.inc({ method: req.method, route: route.path, status: res.statusCode });
+    logger.debug('Request handled', {
+      method: req.method,
+      route: route.path,
+      status: res.statusCode,
+      durationMs: Math.round(performance.now() - start)
+    });
+    return true;
+  }
+}
@@ -0,0 +1,46 @@
+// REST access to saved tutoring sessions for the extension's history page.
+// Students and teachers only see their own sessions; the admin (and anyone, with auth off) sees them all.
+
+import { HttpError } from './router.js';
+
+// The student whose sessions a caller may see, or null for all of them
+const ownerFilter = (auth) => (auth?.role === 'student' || auth?.role === 'teacher' ? auth.studentId : null);
+
+export function registerSessionRoutes(router, store) {
+  // Missing and someone else's sessions look the same, so ids can't be probed
+  const readOwnMeta = async (auth, id) => {
+    const meta = await store.readMeta(id);
+    const owner = ownerFilter(auth);
+    if (!meta || (owner && meta.studentId !== owner)) throw new HttpError(404, 'Session not found');
+    return meta;
+  };
+
+  // GET /api/sessions - summaries, newest first
+  router.get('/api/sessions', async (req, res, { auth }) => {
+    return { sessions: await store.list({ studentId: ownerFilter(auth) }) };
+  });
+
+  // GET /api/sessions/:id - one session with its full event timeline
+  router.get('/api/sessions/:id', async (req, res, { params, auth }) => {
+    await readOwnMeta(auth, params.id);
+    const session = await store.get(params.id);
+    if (!session) throw new HttpError(404, 'Session not found');
+    return session;
+  });
+
+  // GET /api/sessions/:id/screenshots/:file - an image the student shared
+  router.get('/api/sessions/:id/screenshots/:file', async (req, res, { params, auth }) => {
+    await readOwnMeta(auth, params.id);
+    const image = await store.readScreenshot(params.id, params.file);
+    if (!image) throw new HttpError(404, 'Screenshot not found');
+    res.writeHead(200, { 'Content-Type': image.mimeType, 'Cache-Control': 'private, max-age=86400' });
+    res.end(image.data);
+  });
+
+  // DELETE /api/sessions/:id
+  router.delete('/api/sessions/:id', async (req, res, { params, auth }) => {
+    await readOwnMeta(auth, params.id);
+    if (!(await store.delete(params.id))) throw new HttpError(404, 'Session not found');
+    return { deleted: true };
+  });
+}
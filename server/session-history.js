@@ -0,0 +1,216 @@
+// Local store for past tutoring sessions so students and parents can review them.
+// Each session is a directory under SESSIONS_DIR (default server/data/sessions):
+//   meta.json       { id, studentId, startedAt, endedAt }
+//   events.jsonl    one event per line, each with an ISO `at` timestamp:
+//                   { type: 'session_start', profile }
+//                   { type: 'turn', source: 'voice' | 'text' | 'proactive' }   proactive: the tutor stepped in, see answer-events.js
+//                   { type: 'transcript', role: 'student' | 'tutor', text }
+//                   { type: 'screenshot', file, mimeType, source: 'screen' | 'whiteboard' | 'paper' }
+//                   { type: 'page_context', url, text }
+//                   { type: 'answer', site, url, problem, answer, result: 'correct' | 'incorrect' }   checked by a practice site
+//                   { type: 'tool_call', name, args, response }
+//                   { type: 'skill', skill, outcome, mastery }   see mastery.js
+//                   { type: 'quiz_start', topic, length, difficulty }
+//                   { type: 'quiz_answer', index, prompt, answer, expected, correct, feedback, difficulty, source }
+//                   { type: 'quiz_summary', topic, score, total }
+//                   { type: 'raise_hand', raised, by: 'student' | 'teacher' }   classroom mode, see classroom/
+//                   { type: 'teacher_message', kind: 'message' | 'hint', text }
+//                   { type: 'guardrail', policy, label, role: 'student' | 'tutor', action }   see guardrails/
+//                   { type: 'turn_complete' }
+//                   { type: 'turn_cancelled' }   the student talked over the tutor
+//   screenshots/    the images the student shared, referenced by `file`
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { logger } from './observability/index.js';
+
+const DEFAULT_SESSIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'sessions');
+const SAFE_NAME = /^[a-zA-Z0-9._-]+$/;
+
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp'
+};
+const MIME_TYPES = Object.fromEntries(Object.entries(IMAGE_EXTENSIONS).map(([mimeType, ext]) => [ext, mimeType]));
+
+async function readJsonLines(file) {
+  try {
+    const content = await fs.readFile(file, 'utf8');
+    return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+function summarize(meta, events) {
+  const firstQuestion = events.find(event => event.type === 'transcript' && event.role === 'student');
+  return {
+    ...meta,
+    turnCount: events.filter(event => event.type === 'turn').length,
+    screenshotCount: events.filter(event => event.type === 'screenshot').length,
+    toolCallCount: events.filter(event => event.type === 'tool_call').length,
+    preview: firstQuestion?.text || null
+  };
+}
+
+export class SessionStore {
+  constructor(rootDir = process.env.SESSIONS_DIR || DEFAULT_SESSIONS_DIR) {
+    this.rootDir = rootDir;
+  }
+
+  /**
+   * Directory for a session, or null if the id could escape the store
+   */
+  sessionDir(id) {
+    return typeof id === 'string' && SAFE_NAME.test(id) && !id.startsWith('.') ? path.join(this.rootDir, id) : null;
+  }
+
+  async create({ studentId = null } = {}) {
+    const startedAt = new Date().toISOString();
+    const id = `${startedAt.slice(0, 10)}-${randomUUID().slice(0, 8)}`;
+    const dir = this.sessionDir(id);
+    await fs.mkdir(path.join(dir, 'screenshots'), { recursive: true });
+    await this.writeMeta(id, { id, studentId, startedAt, endedAt: null });
+    return id;
+  }
+
+  async readMeta(id) {
+    const dir = this.sessionDir(id);
+    if (!dir) return null;
+    try {
+      return JSON.parse(await fs.readFile(path.join(dir, 'meta.json'), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async writeMeta(id, meta) {
+    await fs.writeFile(path.join(this.sessionDir(id), 'meta.json'), JSON.stringify(meta, null, 2));
+  }
+
+  async updateMeta(id, changes) {
+    const meta = await this.readMeta(id);
+    if (!meta) return;
+    await this.writeMeta(id, { ...meta, ...changes });
+  }
+
+  async appendEvent(id, event) {
+    await fs.appendFile(path.join(this.sessionDir(id), 'events.jsonl'), JSON.stringify(event) + '\n');
+  }
+
+  /**
+   * Save a base64 image ({ mimeType, data }) and return its file name
+   */
+  async saveScreenshot(id, { mimeType = 'image/png', data }) {
+    const dir = path.join(this.sessionDir(id), 'screenshots');
+    const existing = await fs.readdir(dir);
+    const file = `${existing.length + 1}.${IMAGE_EXTENSIONS[mimeType] || 'png'}`;
+    await fs.writeFile(path.join(dir, file), Buffer.from(data, 'base64'));
+    return file;
+  }
+
+  async readScreenshot(id, file) {
+    const dir = this.sessionDir(id);
+    if (!dir || !SAFE_NAME.test(file) || file.startsWith('.')) return null;
+    try {
+      const data = await fs.readFile(path.join(dir, 'screenshots', file));
+      return { data, mimeType: MIME_TYPES[path.extname(file).slice(1)] || 'application/octet-stream' };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Summaries of every saved session, newest first - only one student's when `studentId` is given
+   */
+  async list({ studentId = null } = {}) {
+    let ids;
+    try {
+      ids = await fs.readdir(this.rootDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const sessions = [];
+    for (const id of ids) {
+      const meta = await this.readMeta(id);
+      if (!meta || (studentId && meta.studentId !== studentId)) continue;
+      sessions.push(summarize(meta, await readJsonLines(path.join(this.sessionDir(id), 'events.jsonl'))));
+    }
+    return sessions.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  /**
+   * A session with its full event timeline, or null if it doesn't exist
+   */
+  async get(id) {
+    const meta = await this.readMeta(id);
+    if (!meta) return null;
+    const events = await readJsonLines(path.join(this.sessionDir(id), 'events.jsonl'));
+    return { ...summarize(meta, events), events };
+  }
+
+  async delete(id) {
+    if (!(await this.readMeta(id))) return false;
+    await fs.rm(this.sessionDir(id), { recursive: true, force: true });
+    return true;
+  }
+}
+
+/**
+ * Records one WebSocket connection into the store. The session is only created
+ * once something happens, and writes are queued so events stay in order.
+ */
+export class SessionRecorder {
+  constructor(store, { studentId = null } = {}) {
+    this.store = store;
+    this.studentId = studentId;
+    this.id = null;
+    this.queue = Promise.resolve();
+  }
+
+  enqueue(task) {
+    this.queue = this.queue
+      .then(task)
+      .catch(error => logger.error('Failed to save session history', { error }));
+    return this.queue;
+  }
+
+  async ensureCreated() {
+    if (!this.id) {
+      this.id = await this.store.create({ studentId: this.studentId });
+      logger.debug('Recording session history', { sessionId: this.id, studentId: this.studentId });
+    }
+  }
+
+  record(event) {
+    const entry = { at: new Date().toISOString(), ...event };
+    return this.enqueue(async () => {
+      await this.ensureCreated();
+      await this.store.appendEvent(this.id, entry);
+    });
+  }
+
+  recordScreenshot(image) {
+    const at = new Date().toISOString();
+    return this.enqueue(async () => {
+      await this.ensureCreated();
+      const file = await this.store.saveScreenshot(this.id, image);
+      await this.store.appendEvent(this.id, { at, type: 'screenshot', file, mimeType: image.mimeType || 'image/png', source: image.source || 'screen' });
+    });
+  }
+
+  end() {
+    const endedAt = new Date().toISOString();
+    return this.enqueue(async () => {
+      if (this.id) await this.store.updateMeta(this.id, { endedAt });
+    });
+  }
+}
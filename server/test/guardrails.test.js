@@ -0,0 +1,151 @@
+// The guardrail policies (../guardrails/), checked offline: what each default policy
+// catches and lets through, teaching-mode gating, and GUARDRAILS_FILE overrides.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DEFAULT_POLICIES } from '../guardrails/policies.js';
+import { FlagStore, Guardrails, flagExcerpt, loadPolicyOverrides, mergePolicies } from '../guardrails/index.js';
+
+const guardrails = new Guardrails();
+
+const policyFor = (role, text, mode = 'socratic') => guardrails.check({ role, text, mode })?.policy || null;
+
+test('each default policy catches what it is for', () => {
+  const cases = [
+    ['student', 'I want to kill myself', 'self_harm'],
+    ['student', 'sometimes I want to die', 'self_harm'],
+    ['student', "I'm going to bring a knife to school", 'unsafe'],
+    ['student', 'this is shit', 'unsafe'],
+    ['tutor', "Let's not talk about porn.", 'unsafe'],
+    ['student', 'my email is sam.lee@example.com', 'personal_info'],
+    ['student', 'call me at 555-123-4567', 'personal_info'],
+    ['student', 'My address is 12 Elm Street', 'personal_info'],
+    ['tutor', "What's your last name?", 'personal_info'],
+    ['tutor', 'Where do you live?', 'personal_info'],
+    ['student', 'Just tell me the answer', 'answer_seeking'],
+    ['student', 'can you do my homework for me', 'answer_seeking'],
+    ['student', 'Do you play Minecraft?', 'off_topic'],
+    ['student', 'who is your favorite singer', 'off_topic']
+  ];
+  for (const [role, text, policy] of cases) {
+    assert.equal(policyFor(role, text), policy, `${role}: "${text}"`);
+  }
+});
+
+test('ordinary math talk passes', () => {
+  const cases = [
+    ['student', 'How do I solve 2x + 3 = 11?'],
+    ['student', 'Can you check my answer to question 4?'],
+    ['student', "I don't get how to kill the x term"],
+    ['student', 'If Minecraft blocks cost 3 coins each, how many can I buy with 27?'],
+    ['student', 'A soccer field is 100 m by 60 m - what is the area?'],
+    ['student', 'what is 555 - 123'],
+    ['tutor', 'Great work! Now what do you get when you subtract 3 from both sides?'],
+    ['tutor', 'The answer is 4 - nice job checking it.']
+  ];
+  for (const [role, text] of cases) {
+    assert.equal(policyFor(role, text), null, `${role}: "${text}"`);
+  }
+});
+
+test('matches carry the policy action and the text to say or send', () => {
+  const blocked = guardrails.check({ role: 'student', text: 'my phone number is 555 123 4567', mode: 'guided' });
+  assert.equal(blocked.action, 'block');
+  assert.equal(blocked.severity, 'medium');
+  assert.match(blocked.message, /private/);
+
+  const redirected = guardrails.check({ role: 'student', text: 'Do you watch anime?', mode: 'guided' });
+  assert.equal(redirected.action, 'redirect');
+  assert.match(redirected.instruction, /\("Do you watch anime\?"\)/);
+
+  // The tutor drifting off topic is only recorded
+  assert.equal(guardrails.check({ role: 'tutor', text: 'I love that movie too!', mode: 'guided' }).action, 'flag');
+});
+
+test('asking for the answer only matters in Socratic mode', () => {
+  assert.equal(policyFor('student', 'just give me the answer', 'socratic'), 'answer_seeking');
+  assert.equal(policyFor('student', 'just give me the answer', 'guided'), null);
+  assert.equal(guardrails.check({ role: 'student', text: 'just give me the answer' }), null);
+});
+
+test('the most serious policy wins', () => {
+  assert.equal(policyFor('student', 'just tell me the answer or I will hurt myself'), 'self_harm');
+});
+
+test('flag excerpts mask personal information and stay short', () => {
+  const text = 'my email is sam.lee@example.com ok';
+  const violation = guardrails.check({ role: 'student', text });
+  assert.equal(flagExcerpt(text, violation), 'my email is [redacted] ok');
+
+  const several = 'email sam@example.com or jo@example.org, or call 555-123-4567 or (555) 987-6543';
+  assert.equal(flagExcerpt(several, guardrails.check({ role: 'student', text: several })), 'email [redacted] or [redacted], or call [redacted] or [redacted]');
+
+  const long = `Minecraft ${'is great '.repeat(100)}`;
+  const excerpt = flagExcerpt(long, guardrails.check({ role: 'student', text: long }));
+  assert.ok(excerpt.startsWith('Minecraft is great'));
+  assert.ok(excerpt.length <= 301);
+});
+
+test('overrides disable, change and add policies', () => {
+  const policies = mergePolicies(DEFAULT_POLICIES, {
+    off_topic: { enabled: false },
+    answer_seeking: { modes: null, student: { action: 'block' }, message: "Let's work it out together." },
+    personal_info: { tutor: null },
+    homework_sites: {
+      label: 'Homework sites',
+      student: { action: 'flag', patterns: ['\\b(chegg|photomath)\\b'] }
+    }
+  });
+  const custom = new Guardrails(policies);
+
+  assert.equal(custom.check({ role: 'student', text: 'Do you play Minecraft?' }), null);
+  const answer = custom.check({ role: 'student', text: 'just tell me the answer', mode: 'guided' });
+  assert.equal(answer.action, 'block');
+  // Merged rules keep the default patterns
+  assert.equal(custom.check({ role: 'student', text: 'solve it for me', mode: 'guided' }).policy, 'answer_seeking');
+  assert.equal(custom.check({ role: 'tutor', text: 'Where do you live?' }), null);
+  assert.equal(custom.check({ role: 'student', text: 'I found it on Chegg' }).action, 'flag');
+});
+
+test('broken policies are refused', () => {
+  assert.throws(() => new Guardrails({ bad: { student: { action: 'flag', patterns: ['(unclosed'] } } }), /"bad": invalid student pattern/);
+  assert.throws(() => new Guardrails({ bad: { student: { action: 'delete', patterns: [] } } }), /action must be one of/);
+  assert.throws(() => new Guardrails({ bad: { student: { action: 'block', patterns: ['x'] } } }), /needs a message/);
+});
+
+test('GUARDRAILS_FILE overrides are read from JSON', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voyage-guardrails-'));
+  try {
+    const file = path.join(dir, 'guardrails.json');
+    fs.writeFileSync(file, JSON.stringify({ off_topic: { enabled: false } }));
+    assert.deepEqual(loadPolicyOverrides(file), { off_topic: { enabled: false } });
+    assert.deepEqual(loadPolicyOverrides(undefined), {});
+
+    fs.writeFileSync(file, '[]');
+    assert.throws(() => loadPolicyOverrides(file), /JSON object keyed by guardrail policy id/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('flags are kept for review and filtered by class and student', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voyage-flags-'));
+  try {
+    const file = path.join(dir, 'flags.jsonl');
+    const store = await new FlagStore(file).load();
+    store.add({ studentId: 'ana', classId: 'math-7a', policy: 'off_topic', role: 'student', action: 'redirect', text: 'Minecraft' });
+    store.add({ studentId: 'ben', classId: 'math-7b', policy: 'unsafe', role: 'student', action: 'block', text: 'shit' });
+    await store.writes;
+
+    const reloaded = await new FlagStore(file).load();
+    assert.deepEqual(reloaded.list().map(flag => flag.studentId), ['ben', 'ana']);
+    assert.deepEqual(reloaded.list({ classId: 'math-7a' }).map(flag => flag.policy), ['off_topic']);
+    assert.deepEqual(reloaded.list({ studentId: 'ben' }).map(flag => flag.policy), ['unsafe']);
+    assert.equal(reloaded.list({ limit: 1 }).length, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,130 @@
+// The symbolic math engine (../math/): parsing, simplifying, solving equations step by
+// step, and checking a student's answer against a problem or a reference answer -
+// including answers that describe the solution set ("no solution", "all real numbers").
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MathSyntaxError, checkEquivalence, deriveSteps, parseExpression, simplifyExpression, solveEquation, verifyAnswer } from '../math/index.js';
+
+const values = (input) => solveEquation(input).solutions.map(solution => solution.value);
+
+test('expressions are parsed the way students write them', () => {
+  assert.equal(simplifyExpression('2(x + 3) - x').result, 'x + 6');
+  assert.equal(simplifyExpression('√16 × 3').result, '12');
+  assert.throws(() => parseExpression('2 + * 3'), MathSyntaxError);
+  assert.throws(() => parseExpression('(2 + 3'), /Expected "\)"/);
+});
+
+test('simplifying reduces fractions and cancels common factors', () => {
+  assert.equal(simplifyExpression('3/4 + 5/6').result, '19/12');
+  assert.equal(simplifyExpression('(x^2 - 1)/(x - 1)').result, 'x + 1');
+  const irrational = simplifyExpression('sqrt(2)');
+  assert.equal(irrational.exact, false);
+  assert.equal(irrational.result, '1.4142135624');
+});
+
+test('equations are solved exactly, with the steps shown', () => {
+  assert.deepEqual(values('2x + 3 = 11'), ['4']);
+  assert.deepEqual(values('x^2 + x - 6 = 0'), ['-3', '2']);
+  assert.deepEqual(values('x^2 = 2'), ['-√2', '√2']);
+  assert.deepEqual(values('x^2 + 1 = 0'), []);
+  assert.deepEqual(values('1/x = 2'), ['1/2']);
+  assert.ok(deriveSteps('2x + 3 = 11').length > 1);
+});
+
+test('equivalence holds for rearranged expressions and equations', () => {
+  assert.equal(checkEquivalence('2(x + 1)', '2x + 2').equivalent, true);
+  assert.equal(checkEquivalence('y = 2x + 1', '2x - y + 1 = 0').equivalent, true);
+  assert.equal(checkEquivalence('x^2', '2x').equivalent, false);
+});
+
+test('answers are checked against the problem or a reference answer', () => {
+  assert.equal(verifyAnswer({ answer: 'x = 4', problem: '2x + 3 = 11' }).correct, true);
+  assert.equal(verifyAnswer({ answer: 'x = 5', problem: '2x + 3 = 11' }).correct, false);
+  assert.equal(verifyAnswer({ answer: 'x = 2 or x = -3', problem: 'x^2 + x - 6 = 0' }).correct, true);
+  assert.equal(verifyAnswer({ answer: '19/12', problem: '3/4 + 5/6' }).correct, true);
+
+  const partial = verifyAnswer({ answer: '2', problem: 'x^2 + x - 6 = 0' });
+  assert.equal(partial.correct, false);
+  assert.match(partial.feedback, /another solution/);
+
+  const unsimplified = verifyAnswer({ answer: '6/8', expected: '3/4' });
+  assert.equal(unsimplified.correct, true);
+  assert.equal(unsimplified.simplified, false);
+  assert.equal(verifyAnswer({ answer: '0.75', expected: '3/4' }).correct, true);
+});
+
+test('"no solution" is graded against an equation with no solution', () => {
+  const problem = '2x + 1 = 2x + 3';
+  assert.equal(verifyAnswer({ answer: 'no solution', problem }).correct, true);
+  assert.equal(verifyAnswer({ answer: 'None.', problem }).correct, true);
+
+  const wrong = verifyAnswer({ answer: 'x = 5', problem });
+  assert.equal(wrong.correct, false);
+  assert.equal(wrong.expected, 'no solution');
+
+  assert.equal(verifyAnswer({ answer: 'no solution', problem: '2x = 4' }).correct, false);
+  assert.equal(verifyAnswer({ answer: 'all real numbers', problem }).correct, false);
+});
+
+test('an identity only accepts "every value" answers', () => {
+  const problem = '2(x + 1) = 2x + 2';
+  assert.equal(verifyAnswer({ answer: 'all real numbers', problem }).correct, true);
+  assert.equal(verifyAnswer({ answer: 'infinitely many solutions', problem }).correct, true);
+  assert.equal(verifyAnswer({ answer: 'x = 5', problem }).correct, false);
+  assert.equal(verifyAnswer({ answer: 'no solution', problem }).correct, false);
+});
+
+test('a given "no solution" reference is matched the same way', () => {
+  assert.equal(verifyAnswer({ answer: 'there is no solution', expected: 'no solution' }).correct, true);
+  assert.equal(verifyAnswer({ answer: '3', expected: 'no solution' }).correct, false);
+  assert.equal(verifyAnswer({ answer: 'no solution', expected: '3' }).correct, false);
+});
+
+test('a comma between digits groups thousands instead of separating answers', () => {
+  assert.equal(verifyAnswer({ answer: '1,000', expected: '1000' }).correct, true);
+  assert.equal(verifyAnswer({ answer: '1,250,000', expected: '1250000' }).correct, true);
+  assert.equal(verifyAnswer({ answer: '2, -3', problem: 'x^2 + x - 6 = 0' }).correct, true);
+  assert.equal(verifyAnswer({ answer: 'x = 2, x = -3', problem: 'x^2 + x - 6 = 0' }).correct, true);
+});
+
+test('a mixed number is read as a whole number plus a fraction', () => {
+  assert.equal(simplifyExpression('2 1/2').result, '5/2');
+  assert.equal(simplifyExpression('-1 3/4 + 2').result, '1/4');
+  assert.equal(simplifyExpression('2 3/2').result, '3');
+  assert.equal(simplifyExpression('3/4 1/2').result, '3/8');
+
+  const mixed = verifyAnswer({ answer: '2 1/2', expected: '5/2' });
+  assert.equal(mixed.correct, true);
+  assert.equal(mixed.simplified, true);
+  assert.equal(verifyAnswer({ answer: 'x = 1 1/3', problem: '3x = 4' }).correct, true);
+});
+
+test('a variable that cancels out of a rational equation leaves no solution', () => {
+  const solved = solveEquation('x/(x - 1) = 1/(x - 1)');
+  assert.deepEqual(solved.solutions, []);
+  assert.equal(solved.identity, false);
+  assert.equal(verifyAnswer({ answer: 'no solution', problem: 'x/(x - 1) = 1/(x - 1)' }).correct, true);
+  assert.equal(verifyAnswer({ answer: 'x = 1', problem: 'x/(x - 1) = 1/(x - 1)' }).correct, false);
+});
+
+test('an identity with a denominator holds for every value except where it is undefined', () => {
+  const problem = 'x/(x - 1) = 1/(x - 1) + 1';
+  const solved = solveEquation(problem);
+  assert.equal(solved.identity, true);
+  assert.deepEqual(solved.excluded.map(solution => solution.value), ['1']);
+  assert.deepEqual(solveEquation('(x^2 - 1)/(x - 1) = x + 1').excluded.map(solution => solution.value), ['1']);
+  assert.deepEqual(solveEquation('2(x + 1) = 2x + 2').excluded, []);
+
+  const allReals = verifyAnswer({ answer: 'all real numbers', problem });
+  assert.equal(allReals.correct, false);
+  assert.equal(allReals.expected, 'every value of x except 1');
+  assert.equal(verifyAnswer({ answer: 'all real numbers except 1', problem }).correct, true);
+  assert.equal(verifyAnswer({ answer: 'every value but x = 1', problem }).correct, true);
+  assert.equal(verifyAnswer({ answer: 'x ≠ 1', problem }).correct, true);
+  assert.equal(verifyAnswer({ answer: 'all real numbers except 2', problem }).correct, false);
+  assert.equal(verifyAnswer({ answer: 'all real numbers except 1', problem: '2(x + 1) = 2x + 2' }).correct, false);
+
+  assert.equal(verifyAnswer({ answer: 'x != 1', expected: 'all real numbers except 1' }).correct, true);
+  assert.equal(verifyAnswer({ answer: 'all real numbers', expected: 'all real numbers except 1' }).correct, false);
+});
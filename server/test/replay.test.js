@@ -0,0 +1,199 @@
+// Replays the recorded conversations in ./fixtures against the real server: index.js is
+// started with the replay model provider (../providers/replay.js), the fixture's client
+// messages are sent over a WebSocket, and everything the server sends back is compared
+// with the recording. Run with `npm test`; see ../replay/fixture.js for the format and
+// the README for recording new fixtures.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+import { decodeAudioFrame, encodeAudioFrame, FRAME_KIND } from '../../shared/protocol.js';
+import { RESUME_TOKEN, expandPlaceholders, matchesRecorded, normalizeServerMessage } from '../replay/fixture.js';
+
+const SERVER_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const FIXTURES_DIR = path.join(SERVER_DIR, 'test', 'fixtures');
+
+const STARTUP_TIMEOUT_MS = 10000;
+const MESSAGE_TIMEOUT_MS = 5000;
+// How long to keep listening after the last expected message, to catch extra ones
+const SETTLE_MS = 300;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Start index.js replaying `fixturePath`, with its own data files and no limits.
+ * Resolves once it is listening; `logs` collects its JSON log lines.
+ */
+async function startServer(fixturePath, env) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voyage-replay-'));
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: SERVER_DIR,
+    env: {
+      ...process.env,
+      PORT: '0',
+      MODEL_PROVIDER: 'replay',
+      REPLAY_FIXTURE: fixturePath,
+      RECORD_FIXTURES_DIR: '',
+      AUTH_REQUIRED: 'false',
+      LOG_FORMAT: 'json',
+      LOG_LEVEL: 'info',
+      SESSIONS_DIR: path.join(dataDir, 'sessions'),
+      MASTERY_FILE: path.join(dataDir, 'mastery.json'),
+      USAGE_FILE: path.join(dataDir, 'usage.json'),
+      TOKENS_FILE: path.join(dataDir, 'tokens.json'),
+      GUARDRAIL_FLAGS_FILE: path.join(dataDir, 'guardrail-flags.jsonl'),
+      RATE_LIMIT_CONNECTIONS_PER_MINUTE: '0',
+      RATE_LIMIT_TURNS_PER_MINUTE: '0',
+      RATE_LIMIT_HTTP_PER_MINUTE: '0',
+      DAILY_TURN_QUOTA: '0',
+      DAILY_MINUTE_QUOTA: '0',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  const logs = [];
+  let stderr = '';
+  let buffered = '';
+  child.stderr.on('data', chunk => { stderr += chunk; });
+
+  const port = await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${stderr}`)), STARTUP_TIMEOUT_MS);
+    child.on('exit', code => reject(new Error(`Server exited with code ${code}:\n${stderr}`)));
+    child.stdout.on('data', chunk => {
+      buffered += chunk;
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      for (const line of lines) {
+        try {
+          logs.push(JSON.parse(line));
+        } catch (error) {
+          continue;
+        }
+        const entry = logs[logs.length - 1];
+        if (entry.msg === 'Agentic Orchestrator Server running') {
+          clearTimeout(timer);
+          resolve(entry.port);
+        }
+      }
+    });
+  });
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      process.kill(child.pid);
+      await exited;
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  };
+
+  return { port, logs, stop };
+}
+
+/**
+ * Play the fixture's client side against the server on `port`.
+ * Resolves with every message the server sent, as fixtures store them.
+ */
+async function playClient(port, fixture) {
+  const received = [];
+  let resumeToken = null;
+  let socket = null;
+
+  const connect = () => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://localhost:${port}`);
+    ws.on('message', (data, isBinary) => {
+      if (isBinary) {
+        received.push({ audio: decodeAudioFrame(new Uint8Array(data)).pcm.byteLength });
+        return;
+      }
+      const message = JSON.parse(data.toString());
+      if (message.type === 'welcome') resumeToken = message.payload.resumeToken;
+      received.push(normalizeServerMessage(message));
+    });
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+
+  const closeSocket = async () => {
+    if (!socket || socket.readyState === WebSocket.CLOSED) return;
+    const closed = new Promise(resolve => socket.once('close', resolve));
+    socket.close();
+    await closed;
+  };
+
+  const waitForMessages = async (count) => {
+    const deadline = Date.now() + MESSAGE_TIMEOUT_MS;
+    while (received.length < count) {
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for server message ${count}; got ${received.length}: ${JSON.stringify(received.slice(-3))}`);
+      }
+      await wait(10);
+    }
+  };
+
+  socket = await connect();
+  for (const entry of fixture.client) {
+    await waitForMessages(entry.afterReceived || 0);
+    if (entry.reconnect) {
+      await closeSocket();
+      socket = await connect();
+    } else if (entry.sendAudio !== undefined) {
+      socket.send(encodeAudioFrame(FRAME_KIND.INPUT_AUDIO, new Uint8Array(entry.sendAudio)));
+    } else if (entry.sendRaw !== undefined) {
+      socket.send(entry.sendRaw);
+    } else {
+      const message = expandPlaceholders(entry.send);
+      if (message.type === 'hello' && message.payload?.resumeToken === RESUME_TOKEN) {
+        message.payload.resumeToken = resumeToken;
+      }
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  await waitForMessages(fixture.server.length);
+  await wait(SETTLE_MS);
+  await closeSocket();
+  return received;
+}
+
+const describeMessage = (message) => message.type || `audio(${message.audio})`;
+
+const fixtureFiles = fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.json')).sort();
+
+for (const file of fixtureFiles) {
+  const fixturePath = path.join(FIXTURES_DIR, file);
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+  test(`${file}: ${fixture.description}`, async () => {
+    const server = await startServer(fixturePath, fixture.env);
+    try {
+      const received = await playClient(server.port, fixture);
+
+      // Same messages in the same order...
+      assert.deepEqual(received.map(describeMessage), fixture.server.map(describeMessage), 'server message order');
+      // ...with the same payloads
+      fixture.server.forEach((expected, i) => {
+        assert.ok(matchesRecorded(expected, received[i]), `server message ${i} (${describeMessage(expected)}):\n  expected ${JSON.stringify(expected)}\n  received ${JSON.stringify(received[i])}`);
+      });
+
+      // Every tool the model called was dispatched, in order
+      const calledTools = (fixture.upstream?.live || [])
+        .flatMap(entry => entry.model?.toolCall?.functionCalls || [])
+        .map(call => call.name);
+      const dispatchedTools = server.logs.filter(entry => entry.msg === 'Tool call finished').map(entry => entry.tool);
+      assert.deepEqual(dispatchedTools, calledTools, 'tool dispatch');
+
+      // And the server talked to the model exactly as recorded
+      const mismatches = server.logs.filter(entry => entry.msg === 'Replay mismatch');
+      assert.deepEqual(mismatches, [], 'upstream traffic');
+    } finally {
+      await server.stop();
+    }
+  });
+}
@@ -0,0 +1,57 @@
+// Exact arithmetic so the tutor never does mental math out loud and gets it wrong
+
+import { Type } from '@google/genai';
+import { parseExpression } from '../math/parser.js';
+import { evaluateExact, evaluateNumeric } from '../math/evaluate.js';
+
+/**
+ * Turn "x = 3/2, y = 2" into { x: Fraction(3, 2), y: Fraction(2) }
+ */
+function parseAssignments(text) {
+  const scope = {};
+  for (const assignment of text.split(',').filter(part => part.trim())) {
+    const [name, value] = assignment.split('=').map(part => part?.trim());
+    if (!/^[a-zA-Z]$/.test(name || '') || !value) {
+      throw new Error(`Invalid variable assignment "${assignment.trim()}"`);
+    }
+    const exact = evaluateExact(parseExpression(value));
+    if (!exact) throw new Error(`Variable ${name} must be a rational number`);
+    scope[name] = exact;
+  }
+  return scope;
+}
+
+export const evaluateExpressionTool = {
+  name: 'evaluate_expression',
+  description: "Evaluate an arithmetic expression exactly, e.g. \"3/4 + 5/6\", \"2^10 - 17\", \"sqrt(144) * 3\". Optionally substitute values for variables. Always use this instead of computing numbers yourself.",
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      expression: {
+        type: Type.STRING,
+        description: "The expression using + - * / ^ and parentheses, with sqrt, abs, sin, cos, tan, ln, log, exp, pi"
+      },
+      variables: {
+        type: Type.STRING,
+        description: "Optional comma-separated values for variables, e.g. \"x = 3/2, y = 2\""
+      }
+    },
+    required: ['expression']
+  },
+
+  async execute({ expression, variables = '' }) {
+    const node = parseExpression(expression);
+    const scope = parseAssignments(variables);
+
+    const exact = evaluateExact(node, scope);
+    if (exact) {
+      return { expression, exact: true, result: exact.toString(), decimal: exact.toNumber() };
+    }
+
+    const decimal = evaluateNumeric(node, scope);
+    if (!Number.isFinite(decimal)) {
+      throw new Error(`"${expression}" has no real value`);
+    }
+    return { expression, exact: false, result: String(decimal), decimal };
+  }
+};
@@ -0,0 +1,89 @@
+// Server-side tool registry. Tools are declared to the live model as function
+// declarations and dispatched when it sends a `toolCall` message; results go
+// back as a `toolResponse`. Adding a tool means registering it here - the
+// system prompt doesn't need to change.
+//
+// A tool is { name, description, parameters, execute(args, context) } where
+// `parameters` is an OpenAPI-style schema and `context` is the per-connection
+// object built in index.js ({ provider, sendToClient, getScreenshot, whiteboard, skills, quiz, log, ... }).
+
+import { screenshotAnalysisTool } from './screenshot-analysis.js';
+import { evaluateExpressionTool } from './evaluate-expression.js';
+import { showHintTool } from './show-hint.js';
+import { verifyAnswerTool } from './verify-answer.js';
+import { solveStepByStepTool } from './solve-step-by-step.js';
+import { recordSkillOutcomeTool } from './record-skill-outcome.js';
+import { startQuizTool, submitQuizAnswerTool } from './quiz.js';
+import { whiteboardTools } from './whiteboard.js';
+import { logger, startSpan, tutorMetrics } from '../observability/index.js';
+
+export class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  register(tool) {
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool "${tool.name}" is already registered`);
+    }
+    this.tools.set(tool.name, tool);
+    return this;
+  }
+
+  /**
+   * Declarations for the live session config: `tools: [{ functionDeclarations }]`
+   */
+  getFunctionDeclarations() {
+    return [...this.tools.values()].map(({ name, description, parameters }) => ({
+      name,
+      description,
+      parameters
+    }));
+  }
+
+  /**
+   * Run one function call from the model and build its FunctionResponse.
+   * Failures are reported back to the model as { error } instead of throwing.
+   */
+  async dispatch(functionCall, context) {
+    const { id, name, args = {} } = functionCall;
+    const tool = this.tools.get(name);
+    const log = context.log || logger;
+
+    if (!tool) {
+      log.warn('Model called unknown tool', { tool: name });
+      tutorMetrics.toolCalls.inc({ tool: 'unknown', outcome: 'error' });
+      return { id, name, response: { error: `Unknown tool "${name}"` } };
+    }
+
+    log.debug('Running tool', { tool: name, args });
+    const span = startSpan(log, 'Tool call finished', { histogram: tutorMetrics.toolDuration, labels: { tool: name } });
+    try {
+      const output = await tool.execute(args, context);
+      span.end();
+      tutorMetrics.toolCalls.inc({ tool: name, outcome: 'ok' });
+      return { id, name, response: { output } };
+    } catch (error) {
+      span.end({}, { error: error.message });
+      tutorMetrics.toolCalls.inc({ tool: name, outcome: 'error' });
+      return { id, name, response: { error: error.message } };
+    }
+  }
+}
+
+/**
+ * Registry with every tool the tutor ships with
+ */
+export function createDefaultToolRegistry() {
+  const registry = new ToolRegistry()
+    .register(screenshotAnalysisTool)
+    .register(evaluateExpressionTool)
+    .register(showHintTool)
+    .register(verifyAnswerTool)
+    .register(solveStepByStepTool)
+    .register(recordSkillOutcomeTool)
+    .register(startQuizTool)
+    .register(submitQuizAnswerTool);
+  whiteboardTools.forEach(tool => registry.register(tool));
+  return registry;
+}
@@ -0,0 +1,59 @@
+// Lets the tutor run quiz mode by voice: "give me five more like this one" starts a quiz,
+// and spoken answers are graded against the generated problem's known answer (../quiz/)
+
+import { Type } from '@google/genai';
+import { QUIZ_TOPICS, MAX_QUIZ_LENGTH } from '../quiz/index.js';
+
+export const startQuizTool = {
+  name: 'start_quiz',
+  description: "Start a practice quiz in the student's panel: generated problems with known answers, shown one at a time, that get harder or easier as they go. Use it when the student wants practice, e.g. \"give me five more like this one\". Then read them the first problem.",
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      topic: {
+        type: Type.STRING,
+        enum: Object.keys(QUIZ_TOPICS),
+        description: "What to practise. Leave it out when giving `like` instead"
+      },
+      like: {
+        type: Type.STRING,
+        description: "A problem to make more of, as math, e.g. \"2x + 3 = 11\" or \"3/4 + 5/6\""
+      },
+      count: {
+        type: Type.NUMBER,
+        description: `How many problems (default 5, at most ${MAX_QUIZ_LENGTH})`
+      }
+    }
+  },
+
+  async execute({ topic, like, count }, { quiz }) {
+    if (!topic && !like) throw new Error('Give a topic or a problem to make more of');
+    const problem = quiz.start({ topic, like, length: count });
+    return { started: true, topic: problem.label, problems: problem.total, firstProblem: problem.prompt };
+  }
+};
+
+export const submitQuizAnswerTool = {
+  name: 'submit_quiz_answer',
+  description: "While a quiz is running, grade the answer the student said out loud to the current problem. Pass exactly what they said, written as math (\"3/4\", \"x = 5\", \"x = 2 or x = -3\"). Tell them how they did, then read the next problem.",
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      answer: {
+        type: Type.STRING,
+        description: "The student's answer as math"
+      }
+    },
+    required: ['answer']
+  },
+
+  async execute({ answer }, { quiz }) {
+    const { result, next, summary } = quiz.answer(answer);
+    return {
+      correct: result.correct,
+      feedback: result.feedback,
+      ...(result.correct ? {} : { correctAnswer: result.expected }),
+      ...(next ? { nextProblem: next.prompt } : { quizOver: true, score: `${summary.score} of ${summary.total}` })
+    };
+  }
+};
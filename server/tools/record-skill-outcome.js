@@ -0,0 +1,30 @@
+// Tags the current turn with the math skill it practised, for the student's mastery model (../mastery.js)
+
+import { Type } from '@google/genai';
+import { OUTCOMES, SKILLS } from '../mastery.js';
+
+export const recordSkillOutcomeTool = {
+  name: 'record_skill_outcome',
+  description: "After the student attempts a problem, record which math skill it practised and how it went. This builds their progress report and tells future sessions what they find hard. Call it once per attempt; answers you checked with verify_answer are recorded automatically.",
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      skill: {
+        type: Type.STRING,
+        enum: Object.keys(SKILLS),
+        description: "The main skill the problem practised"
+      },
+      outcome: {
+        type: Type.STRING,
+        enum: OUTCOMES,
+        description: "correct if they got it on their own, needed_help if they got there with hints, incorrect if they didn't"
+      }
+    },
+    required: ['skill', 'outcome']
+  },
+
+  async execute({ skill, outcome }, { skills }) {
+    skills.tag(skill, outcome);
+    return { recorded: true, skill, outcome };
+  }
+};
@@ -0,0 +1,48 @@
+// Lets the audio model "look" at the latest shared image through the vision model: a
+// screenshot, a whiteboard sketch or a photo of the student's paper
+
+import { Type } from '@google/genai';
+import { logger, startSpan, tutorMetrics } from '../observability/index.js';
+
+export const screenshotAnalysisTool = {
+  name: 'get_screenshot_analysis',
+  description: "Analyze the screenshot the student shared from their screen, the sketch they sent from the whiteboard, or the photo they took of their work on paper. Use this whenever the student refers to something they are looking at, drew or wrote (a problem, a graph, their work).",
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      question: {
+        type: Type.STRING,
+        description: "What the student wants to know about their screen, in their own words"
+      }
+    },
+    required: ['question']
+  },
+
+  async execute({ question }, { provider, getScreenshot, log = logger }) {
+    const screenshot = getScreenshot();
+    if (!screenshot) {
+      throw new Error("No screenshot has been shared yet. Ask the student to click the screenshot button first.");
+    }
+
+    const visionPrompt = screenshot.source === 'paper'
+      ? `You are a math tutor looking at a photo of a student's handwritten work on paper. The user's question/context is: "${question}".
+
+Transcribe the problem and each line of the student's work in order, exactly as written - including any mistakes, crossed-out steps and unclear symbols (mark those as unclear rather than guessing). Then check the steps one by one and say which is the first line with an error and what the error is, or that every step is correct.`
+      : `You are a math tutor analyzing a screenshot. The user's question/context is: "${question}".
+
+Please provide a detailed analysis of what you see in the image, focusing on any math problems, equations, diagrams, or educational content. Be specific about numbers, operations, and mathematical concepts you observe.`;
+
+    const span = startSpan(log, 'Vision model call finished', { histogram: tutorMetrics.visionDuration });
+    let analysis;
+    try {
+      analysis = await provider.analyzeImage({ prompt: visionPrompt, image: screenshot });
+    } catch (error) {
+      span.end({ outcome: 'error' }, { error: error.message });
+      tutorMetrics.errors.inc({ kind: 'vision' });
+      throw error;
+    }
+    span.end({ outcome: 'ok' }, { analysisChars: analysis.length });
+    log.debug('Vision model analysis', { analysis: analysis.substring(0, 200) });
+    return { analysis };
+  }
+};
@@ -0,0 +1,33 @@
+// Puts a short written hint in the student's panel alongside what the tutor says
+
+import { Type } from '@google/genai';
+
+const HINT_LEVELS = ['nudge', 'step', 'worked_example'];
+
+export const showHintTool = {
+  name: 'show_hint',
+  description: "Show a short written hint in the student's tutor panel so they can re-read it. Start with a gentle nudge and only escalate to a worked example if they stay stuck.",
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      hint: {
+        type: Type.STRING,
+        description: "The hint text, one or two sentences"
+      },
+      level: {
+        type: Type.STRING,
+        enum: HINT_LEVELS,
+        description: "How much the hint gives away"
+      }
+    },
+    required: ['hint']
+  },
+
+  async execute({ hint, level = 'nudge' }, { sendToClient }) {
+    if (!hint?.trim()) throw new Error('Hint text is empty');
+    const hintLevel = HINT_LEVELS.includes(level) ? level : 'nudge';
+
+    sendToClient({ type: 'hint', payload: { text: hint, level: hintLevel } });
+    return { shown: true };
+  }
+};
@@ -0,0 +1,32 @@
+// Exact solving and simplifying with steps, so explanations follow a verified derivation
+
+import { Type } from '@google/genai';
+import { parseInput, simplifyExpression, solveEquation } from '../math/index.js';
+
+export const solveStepByStepTool = {
+  name: 'solve_step_by_step',
+  description: "Solve an equation (e.g. \"3(x - 1) = 2x + 4\") or simplify an expression (e.g. \"(x + 1)^2 - x^2\") exactly, returning the answer and a step-by-step derivation. Use it to plan your explanation, then guide the student through the steps rather than reading them all out.",
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      input: {
+        type: Type.STRING,
+        description: "The equation or expression"
+      },
+      variable: {
+        type: Type.STRING,
+        description: "Which variable to solve for, if the equation has more than one"
+      }
+    },
+    required: ['input']
+  },
+
+  async execute({ input, variable }) {
+    if (parseInput(input).type === 'equation') {
+      const { solutions, identity, excluded, steps } = solveEquation(input, variable);
+      return { kind: 'equation', solutions, identity, excluded, steps };
+    }
+    const { result, exact, steps } = simplifyExpression(input);
+    return { kind: 'expression', result, exact, steps };
+  }
+};
@@ -0,0 +1,41 @@
+// Checks a student's answer with the symbolic math engine before the tutor says "correct"
+
+import { Type } from '@google/genai';
+import { verifyAnswer } from '../math/index.js';
+import { classifySkill } from '../mastery.js';
+
+export const verifyAnswerTool = {
+  name: 'verify_answer',
+  description: "Check whether the student's answer is mathematically correct. ALWAYS call this before telling a student their answer is right or wrong. Give either the expected answer or the original problem (an equation to solve or an expression to simplify).",
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      answer: {
+        type: Type.STRING,
+        description: "The student's answer as math, e.g. \"x = 4\", \"3/4\", \"x = 2 or x = -3\", \"2x + 1\""
+      },
+      problem: {
+        type: Type.STRING,
+        description: "The problem being answered, e.g. \"2x + 3 = 11\" or \"3/4 + 5/6\""
+      },
+      expected: {
+        type: Type.STRING,
+        description: "The correct answer, if already known"
+      },
+      variable: {
+        type: Type.STRING,
+        description: "Which variable to solve for, if the problem has more than one"
+      }
+    },
+    required: ['answer']
+  },
+
+  async execute({ answer, problem, expected, variable }, { skills }) {
+    const result = verifyAnswer({ answer, problem, expected, variable });
+
+    // A checked answer is the most reliable outcome the mastery model gets
+    const skill = classifySkill(problem || expected);
+    if (skill && skills) skills.tag(skill, result.correct ? 'correct' : 'incorrect');
+    return result;
+  }
+};
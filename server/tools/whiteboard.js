@@ -0,0 +1,313 @@
+// Whiteboard tools: the tutor draws on a coordinate board in the student's panel while it
+// explains. Each tool streams structured draw commands in a `whiteboard` message and the
+// panel renders them (src/popup/Whiteboard.tsx). Coordinates are math coordinates - y up -
+// inside the board's current view, which `clear_whiteboard` sets.
+//
+// Commands: { op: 'clear', view } | { op: 'point', x, y } | { op: 'line', from, to, kind }
+//           | { op: 'curve', segments } | { op: 'circle', center, radius, fill }
+//           | { op: 'polygon', points, fill } | { op: 'label', x, y, text }
+// Everything but `clear` also carries a color and, optionally, a label.
+
+import { Type } from '@google/genai';
+import { parseExpression } from '../math/parser.js';
+import { evaluateNumeric } from '../math/evaluate.js';
+
+const COLORS = ['blue', 'red', 'green', 'orange', 'purple', 'black'];
+const AXES = ['xy', 'number_line', 'none'];
+const LINE_KINDS = ['segment', 'line', 'ray'];
+const SHAPES = ['circle', 'rectangle', 'polygon'];
+
+const DEFAULT_VIEW = { xMin: -10, xMax: 10, yMin: -10, yMax: 10, axes: 'xy' };
+const MAX_VIEW_SPAN = 1e6;
+const PLOT_SAMPLES = 240;
+const MAX_POLYGON_POINTS = 20;
+const MAX_LABEL_LENGTH = 60;
+
+/**
+ * Per-conversation board state: only the view is kept, so plots know which x range to cover
+ */
+export function createWhiteboard() {
+  return { view: { ...DEFAULT_VIEW } };
+}
+
+const colorProperty = {
+  type: Type.STRING,
+  enum: COLORS,
+  description: "Drawing color (blue if not given)"
+};
+
+const labelProperty = {
+  type: Type.STRING,
+  description: "Optional short label drawn next to it, e.g. \"A\" or \"y = 2x + 1\""
+};
+
+function send(context, commands) {
+  context.sendToClient({ type: 'whiteboard', payload: { commands } });
+}
+
+function number(value, name) {
+  const parsed = typeof value === 'string' ? Number(value) : value;
+  if (typeof parsed !== 'number' || !Number.isFinite(parsed)) throw new Error(`${name} must be a number`);
+  return parsed;
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function style({ color, label }) {
+  const styled = { color: COLORS.includes(color) ? color : 'blue' };
+  if (label?.trim()) styled.label = label.trim().slice(0, MAX_LABEL_LENGTH);
+  return styled;
+}
+
+/**
+ * Turn "(0, 0), (3, 0), (0, 4)" into [[0, 0], [3, 0], [0, 4]]. Coordinates may be
+ * expressions like "sqrt(2)" or "pi/2".
+ */
+function parsePoints(text) {
+  const pairs = [...String(text || '').matchAll(/\(([^()]*(?:\([^()]*\)[^()]*)*)\)/g)].map(match => match[1]);
+  if (pairs.length === 0) throw new Error('Give points as "(x, y)" pairs, e.g. "(0, 0), (3, 4)"');
+  return pairs.map(pair => {
+    const parts = pair.split(',');
+    if (parts.length !== 2) throw new Error(`"(${pair})" is not an (x, y) point`);
+    return parts.map(part => round(number(evaluateNumeric(parseExpression(part)), `Coordinate "${part.trim()}"`)));
+  });
+}
+
+/**
+ * Sample y = f(x) across [xMin, xMax], splitting the curve where it is undefined or jumps
+ * off the board (asymptotes), so the panel never draws a line straight through them
+ */
+function sampleFunction(node, xMin, xMax, view) {
+  const yLimit = (view.yMax - view.yMin) * 10;
+  const segments = [];
+  let current = [];
+  let previousY = null;
+
+  for (let i = 0; i <= PLOT_SAMPLES; i++) {
+    const x = xMin + (xMax - xMin) * i / PLOT_SAMPLES;
+    const y = evaluateNumeric(node, { x });
+    const jumped = previousY !== null && Math.abs(y - previousY) > view.yMax - view.yMin && Math.sign(y) !== Math.sign(previousY);
+
+    if (!Number.isFinite(y) || Math.abs(y) > yLimit || jumped) {
+      if (current.length > 1) segments.push(current);
+      current = [];
+    }
+    if (Number.isFinite(y) && Math.abs(y) <= yLimit) current.push([round(x), round(y)]);
+    previousY = Number.isFinite(y) ? y : null;
+  }
+  if (current.length > 1) segments.push(current);
+  return segments;
+}
+
+export const clearWhiteboardTool = {
+  name: 'clear_whiteboard',
+  description: "Clear the whiteboard in the student's panel and choose what it shows: x-y axes for graphs and geometry, a number line, or a blank board. Call this before starting a new drawing.",
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      axes: {
+        type: Type.STRING,
+        enum: AXES,
+        description: "xy for a coordinate plane, number_line for a single number line, none for a blank board"
+      },
+      xMin: { type: Type.NUMBER, description: "Smallest visible x (default -10)" },
+      xMax: { type: Type.NUMBER, description: "Largest visible x (default 10)" },
+      yMin: { type: Type.NUMBER, description: "Smallest visible y (default -10, ignored for a number line)" },
+      yMax: { type: Type.NUMBER, description: "Largest visible y (default 10, ignored for a number line)" }
+    }
+  },
+
+  async execute({ axes = 'xy', xMin = DEFAULT_VIEW.xMin, xMax = DEFAULT_VIEW.xMax, yMin = DEFAULT_VIEW.yMin, yMax = DEFAULT_VIEW.yMax }, context) {
+    const view = {
+      xMin: number(xMin, 'xMin'),
+      xMax: number(xMax, 'xMax'),
+      yMin: number(yMin, 'yMin'),
+      yMax: number(yMax, 'yMax'),
+      axes: AXES.includes(axes) ? axes : 'xy'
+    };
+    // A number line only needs a little room above and below for points and labels
+    if (view.axes === 'number_line') {
+      view.yMin = -1;
+      view.yMax = 1;
+    }
+    for (const [min, max, axis] of [[view.xMin, view.xMax, 'x'], [view.yMin, view.yMax, 'y']]) {
+      if (min >= max) throw new Error(`${axis}Min must be less than ${axis}Max`);
+      if (max - min > MAX_VIEW_SPAN) throw new Error(`The ${axis} range is too wide to draw`);
+    }
+
+    context.whiteboard.view = view;
+    send(context, [{ op: 'clear', view }]);
+    return { cleared: true, view };
+  }
+};
+
+export const drawPointTool = {
+  name: 'draw_point',
+  description: "Mark a point on the whiteboard, e.g. a vertex, an intercept or a value on a number line (use y = 0 there).",
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      x: { type: Type.NUMBER, description: "x coordinate" },
+      y: { type: Type.NUMBER, description: "y coordinate" },
+      label: labelProperty,
+      color: colorProperty
+    },
+    required: ['x', 'y']
+  },
+
+  async execute({ x, y, label, color }, context) {
+    const point = { op: 'point', x: round(number(x, 'x')), y: round(number(y, 'y')), ...style({ color, label }) };
+    send(context, [point]);
+    return { drawn: 'point', x: point.x, y: point.y };
+  }
+};
+
+export const drawLineTool = {
+  name: 'draw_line',
+  description: "Draw a line segment, a ray (from the first point through the second) or a full line through two points on the whiteboard.",
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      x1: { type: Type.NUMBER, description: "x of the first point" },
+      y1: { type: Type.NUMBER, description: "y of the first point" },
+      x2: { type: Type.NUMBER, description: "x of the second point" },
+      y2: { type: Type.NUMBER, description: "y of the second point" },
+      kind: {
+        type: Type.STRING,
+        enum: LINE_KINDS,
+        description: "segment (default), ray or line"
+      },
+      label: labelProperty,
+      color: colorProperty
+    },
+    required: ['x1', 'y1', 'x2', 'y2']
+  },
+
+  async execute({ x1, y1, x2, y2, kind = 'segment', label, color }, context) {
+    const from = [round(number(x1, 'x1')), round(number(y1, 'y1'))];
+    const to = [round(number(x2, 'x2')), round(number(y2, 'y2'))];
+    if (from[0] === to[0] && from[1] === to[1]) throw new Error('The two points must be different');
+
+    send(context, [{ op: 'line', from, to, kind: LINE_KINDS.includes(kind) ? kind : 'segment', ...style({ color, label }) }]);
+    return { drawn: 'line', from, to };
+  }
+};
+
+export const plotFunctionTool = {
+  name: 'plot_function',
+  description: "Graph y = f(x) on the whiteboard, e.g. \"2x + 1\", \"x^2 - 4\", \"1/x\", \"sin(x)\". Covers the board's visible x range unless a narrower one is given.",
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      expression: {
+        type: Type.STRING,
+        description: "f(x) using x, + - * / ^, parentheses and sqrt, abs, sin, cos, tan, ln, log, exp, pi"
+      },
+      xMin: { type: Type.NUMBER, description: "Start of the plotted x range" },
+      xMax: { type: Type.NUMBER, description: "End of the plotted x range" },
+      label: labelProperty,
+      color: colorProperty
+    },
+    required: ['expression']
+  },
+
+  async execute({ expression, xMin, xMax, label, color }, context) {
+    const { view } = context.whiteboard;
+    // "y = x^2" and "f(x) = x^2" both mean x^2
+    const source = String(expression || '').replace(/^\s*(y|f\s*\(\s*x\s*\))\s*=/, '').trim();
+    if (!source) throw new Error('The expression is empty');
+    const node = parseExpression(source);
+    evaluateNumeric(node, { x: 0.5 }); // Surface unknown variables and functions before sampling
+
+    const from = xMin === undefined ? view.xMin : number(xMin, 'xMin');
+    const to = xMax === undefined ? view.xMax : number(xMax, 'xMax');
+    if (from >= to) throw new Error('xMin must be less than xMax');
+
+    const segments = sampleFunction(node, from, to, view);
+    if (segments.length === 0) throw new Error(`y = ${source} has no points on the visible board`);
+
+    send(context, [{ op: 'curve', segments, ...style({ color, label }) }]);
+    return { plotted: `y = ${source}`, xMin: from, xMax: to, pieces: segments.length };
+  }
+};
+
+export const drawShapeTool = {
+  name: 'draw_shape',
+  description: "Draw a circle, rectangle or polygon (triangle, quadrilateral, ...) on the whiteboard.",
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      shape: {
+        type: Type.STRING,
+        enum: SHAPES,
+        description: "Which shape to draw"
+      },
+      points: {
+        type: Type.STRING,
+        description: "Points as (x, y) pairs: the center of a circle, two opposite corners of a rectangle, or every vertex of a polygon in order, e.g. \"(0, 0), (4, 0), (0, 3)\""
+      },
+      radius: { type: Type.NUMBER, description: "Radius, for circles" },
+      fill: { type: Type.BOOLEAN, description: "Shade the inside lightly" },
+      label: labelProperty,
+      color: colorProperty
+    },
+    required: ['shape', 'points']
+  },
+
+  async execute({ shape, points, radius, fill = false, label, color }, context) {
+    const vertices = parsePoints(points);
+    let command;
+
+    if (shape === 'circle') {
+      const r = number(radius, 'radius');
+      if (r <= 0) throw new Error('radius must be positive');
+      command = { op: 'circle', center: vertices[0], radius: round(r) };
+    } else if (shape === 'rectangle') {
+      if (vertices.length !== 2) throw new Error('A rectangle needs two opposite corners');
+      const [[ax, ay], [bx, by]] = vertices;
+      if (ax === bx || ay === by) throw new Error('The corners must not share an x or y coordinate');
+      command = { op: 'polygon', points: [[ax, ay], [bx, ay], [bx, by], [ax, by]] };
+    } else if (shape === 'polygon') {
+      if (vertices.length < 3) throw new Error('A polygon needs at least three vertices');
+      if (vertices.length > MAX_POLYGON_POINTS) throw new Error(`A polygon can have at most ${MAX_POLYGON_POINTS} vertices`);
+      command = { op: 'polygon', points: vertices };
+    } else {
+      throw new Error(`Unknown shape "${shape}"`);
+    }
+
+    send(context, [{ ...command, fill: Boolean(fill), ...style({ color, label }) }]);
+    return { drawn: shape, ...(command.op === 'circle' ? { center: command.center, radius: command.radius } : { vertices: command.points }) };
+  }
+};
+
+export const addLabelTool = {
+  name: 'add_label',
+  description: "Write a short piece of text on the whiteboard at a position, e.g. an angle, a side length or a step of working.",
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      x: { type: Type.NUMBER, description: "x coordinate where the text starts" },
+      y: { type: Type.NUMBER, description: "y coordinate of the text" },
+      text: { type: Type.STRING, description: "The text, a few words at most" },
+      color: colorProperty
+    },
+    required: ['x', 'y', 'text']
+  },
+
+  async execute({ x, y, text, color }, context) {
+    if (!text?.trim()) throw new Error('Label text is empty');
+    send(context, [{ op: 'label', x: round(number(x, 'x')), y: round(number(y, 'y')), text: text.trim().slice(0, MAX_LABEL_LENGTH), ...style({ color }) }]);
+    return { drawn: 'label' };
+  }
+};
+
+export const whiteboardTools = [
+  clearWhiteboardTool,
+  drawPointTool,
+  drawLineTool,
+  plotFunctionTool,
+  drawShapeTool,
+  addLabelTool
+];
@@ -0,0 +1,42 @@
+// Collects the live session's incremental transcription fragments into whole
+// utterances and forwards them to the client as `transcript` messages:
+//   { type: 'transcript', payload: { role: 'student' | 'tutor', text, final } }
+// `text` is always the full utterance so far, so the client can simply replace
+// its open entry for that role until it sees `final: true`.
+
+export class TranscriptRelay {
+  constructor({ send }) {
+    this.send = send;
+    this.open = { student: '', tutor: '' };
+  }
+
+  append(role, fragment) {
+    if (!fragment) return;
+    // The student's turn is over once the tutor starts answering
+    if (role === 'tutor') this.finish('student');
+
+    this.open[role] += fragment;
+    this.send({ type: 'transcript', payload: { role, text: this.open[role].trim(), final: false } });
+  }
+
+  finish(role) {
+    const text = this.open[role].trim();
+    this.open[role] = '';
+    if (!text) return;
+    this.send({ type: 'transcript', payload: { role, text, final: true } });
+  }
+
+  finishAll() {
+    this.finish('student');
+    this.finish('tutor');
+  }
+
+  /**
+   * Record a complete utterance that didn't come from audio transcription
+   * (typed student messages, text parts from the model)
+   */
+  addText(role, text) {
+    this.append(role, text);
+    this.finish(role);
+  }
+}
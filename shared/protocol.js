@@ -0,0 +1,182 @@
+// Voyage tutor WebSocket protocol, shared by the extension (src/engine/connection.ts)
+// and the server (server/index.js).
+//
+// Version 1:
+// - The client opens with `hello` listing the protocol versions it speaks; the
+//   server answers `welcome` with the chosen version and its capabilities.
+// - `welcome` also carries a resume token. A client that reconnects sends it back
+//   in its next `hello` and is reattached to the same conversation, as long as it
+//   comes back within the server's grace period (`welcome.resumed` says whether it did).
+//   A client that is done (the student pressed Stop) closes with END_CLOSE_CODE, and the
+//   server ends the conversation straight away instead of keeping it for a reconnect.
+// - Control messages are JSON text frames: { v, type, payload? }. Their payloads
+//   are described by CLIENT_MESSAGES / SERVER_MESSAGES below.
+// - Audio travels as binary frames: a 4-byte header [kind, version, 0, 0]
+//   followed by 16-bit little-endian mono PCM (16kHz from the mic, 24kHz from
+//   the tutor). The client batches worklet frames before sending.
+//
+// Clients that never send `hello` are treated as version 0: JSON-only, with
+// audio as base64 in { type: 'audio', payload }.
+
+export const PROTOCOL_VERSION = 1;
+export const SUPPORTED_VERSIONS = [1];
+
+// WebSocket close code for "the student ended the session", as opposed to a dropped connection
+export const END_CLOSE_CODE = 1000;
+
+export const FRAME_KIND = {
+  INPUT_AUDIO: 1, // student microphone, client -> server
+  OUTPUT_AUDIO: 2 // tutor speech, server -> client
+};
+
+export const AUDIO_FRAME_HEADER_BYTES = 4;
+
+export const AUDIO_FORMAT = {
+  input: { encoding: 'pcm_s16le', sampleRate: 16000, channels: 1 },
+  output: { encoding: 'pcm_s16le', sampleRate: 24000, channels: 1 }
+};
+
+// Where a shared image came from: a screenshot of the tab, the whiteboard sketch, or a
+// camera photo of the student's paper (flattened and cleaned up in the panel)
+export const IMAGE_SOURCES = ['screen', 'whiteboard', 'paper'];
+
+// How a practice site marked an answer the student submitted (see src/siteAdapters.ts)
+export const ANSWER_RESULTS = ['correct', 'incorrect'];
+
+// Payload schemas. A field spec is a type name, with a trailing '?' when the
+// field may be missing or null. `null` means the message has no payload and a
+// plain type name means the payload itself is that type.
+export const CLIENT_MESSAGES = {
+  hello: { protocolVersions: 'array', capabilities: 'object?', resumeToken: 'string?' },
+  session_start: { gradeBand: 'string?', language: 'string?', voice: 'string?', mode: 'string?' },
+  image: { mimeType: 'string', data: 'string', source: 'string?' }, // source: one of IMAGE_SOURCES, 'screen' when missing
+  page_context: { url: 'string?', title: 'string?', selectedText: 'string?', problemText: 'string?', math: 'array?', inputs: 'array?' },
+  text: { text: 'string', muteAudio: 'boolean?' },
+  end_of_utterance: null,
+  cancel: null, // barge-in: stop the tutor's current reply
+  quiz_start: { topic: 'string?', like: 'string?', length: 'number?', difficulty: 'number?' }, // `like`: a problem to match
+  quiz_answer: { answer: 'string' },
+  quiz_stop: null,
+  raise_hand: { raised: 'boolean' }, // classroom mode: ask the teacher for help, or take it back
+  answer_event: { site: 'string', url: 'string?', problemText: 'string', answer: 'string?', result: 'string' }, // result: one of ANSWER_RESULTS
+  audio: 'string' // version 0 only
+};
+
+export const SERVER_MESSAGES = {
+  welcome: { protocolVersion: 'number', capabilities: 'object', resumeToken: 'string?', resumed: 'boolean?' },
+  session_started: { profile: 'object' },
+  transcript: { role: 'string', text: 'string', final: 'boolean' },
+  hint: { text: 'string', level: 'string?' },
+  whiteboard: { commands: 'array' }, // draw commands from the whiteboard tools (server/tools/whiteboard.js)
+  quiz_problem: { topic: 'string', label: 'string', index: 'number', total: 'number', prompt: 'string', difficulty: 'number' },
+  quiz_result: { index: 'number', answer: 'string', expected: 'string', correct: 'boolean', feedback: 'string' },
+  quiz_summary: { topic: 'string', label: 'string', score: 'number', total: 'number', results: 'array' },
+  hand_status: { raised: 'boolean' }, // the student's hand went up or down (they or their teacher lowered it)
+  teacher_message: { kind: 'string', text: 'string', from: 'string?' }, // kind: 'message' or 'hint'
+  turn_complete: null,
+  turn_cancelled: null,
+  error: { code: 'string', message: 'string' },
+  audio: 'string' // version 0 only
+};
+
+export class ProtocolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProtocolError';
+  }
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function checkValue(value, spec, path) {
+  const optional = spec.endsWith('?');
+  const expected = optional ? spec.slice(0, -1) : spec;
+  if (value === undefined || value === null) {
+    if (!optional) throw new ProtocolError(`${path} is required`);
+    return;
+  }
+  if (typeOf(value) !== expected) {
+    throw new ProtocolError(`${path} must be ${expected === 'array' ? 'an' : 'a'} ${expected}`);
+  }
+}
+
+/**
+ * Check a parsed control message against a schema (CLIENT_MESSAGES or SERVER_MESSAGES)
+ */
+export function validateControlMessage(message, schema) {
+  if (typeOf(message) !== 'object') throw new ProtocolError('Message must be a JSON object');
+  if (typeof message.type !== 'string') throw new ProtocolError('Message type is required');
+  if (message.v !== undefined && !SUPPORTED_VERSIONS.includes(message.v)) {
+    throw new ProtocolError(`Unsupported protocol version ${message.v}`);
+  }
+  if (!Object.hasOwn(schema, message.type)) throw new ProtocolError(`Unknown message type "${message.type}"`);
+
+  const spec = schema[message.type];
+  if (spec === null) return message;
+  if (typeof spec === 'string') {
+    checkValue(message.payload, spec, 'payload');
+    return message;
+  }
+
+  checkValue(message.payload, 'object', 'payload');
+  for (const [field, fieldSpec] of Object.entries(spec)) {
+    checkValue(message.payload[field], fieldSpec, `payload.${field}`);
+  }
+  return message;
+}
+
+/**
+ * Parse and validate a JSON text frame
+ */
+export function decodeControlMessage(text, schema) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (error) {
+    throw new ProtocolError('Control messages must be valid JSON');
+  }
+  return validateControlMessage(message, schema);
+}
+
+/**
+ * Serialize a control message for the current protocol version
+ */
+export function encodeControlMessage({ type, payload }) {
+  return JSON.stringify(payload === undefined ? { v: PROTOCOL_VERSION, type } : { v: PROTOCOL_VERSION, type, payload });
+}
+
+/**
+ * Pick the highest version both sides speak, or null if there is none
+ */
+export function negotiateVersion(clientVersions) {
+  const common = SUPPORTED_VERSIONS.filter(version => clientVersions.includes(version));
+  return common.length > 0 ? Math.max(...common) : null;
+}
+
+/**
+ * Wrap 16-bit PCM bytes in a binary audio frame
+ */
+export function encodeAudioFrame(kind, pcmBytes) {
+  const frame = new Uint8Array(AUDIO_FRAME_HEADER_BYTES + pcmBytes.byteLength);
+  frame[0] = kind;
+  frame[1] = PROTOCOL_VERSION;
+  frame.set(pcmBytes, AUDIO_FRAME_HEADER_BYTES);
+  return frame;
+}
+
+/**
+ * Split a binary audio frame into its kind and PCM bytes
+ */
+export function decodeAudioFrame(bytes) {
+  if (bytes.byteLength < AUDIO_FRAME_HEADER_BYTES) throw new ProtocolError('Audio frame is too short');
+  const kind = bytes[0];
+  const version = bytes[1];
+  if (!SUPPORTED_VERSIONS.includes(version)) throw new ProtocolError(`Unsupported audio frame version ${version}`);
+  if (!Object.values(FRAME_KIND).includes(kind)) throw new ProtocolError(`Unknown audio frame kind ${kind}`);
+  if ((bytes.byteLength - AUDIO_FRAME_HEADER_BYTES) % 2 !== 0) throw new ProtocolError('Audio frame has a partial sample');
+  return { kind, version, pcm: bytes.subarray(AUDIO_FRAME_HEADER_BYTES) };
+}
@@ -1,11 +1,58 @@
 // Background script for Voyage AI Tutor Chrome Extension
+// The tutor UI is a side panel opened from the toolbar button. The session (WebSocket,
+// mic and tutor audio) runs in an offscreen document this worker creates on demand,
+// so it survives page navigation, tab switches and the panel closing.
 
-// Handle screenshot capture requests from content scripts
+const OFFSCREEN_DOCUMENT = 'offscreen.html';
+
+let creatingTutorEngine: Promise<void> | null = null;
+
+/**
+ * Create the offscreen document that runs the tutor engine, unless it already exists
+ */
+async function ensureTutorEngine() {
+    const contexts = await chrome.runtime.getContexts({
+        contextTypes: [chrome.runtime.ContextType.OFFSCREEN_DOCUMENT],
+        documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT)]
+    });
+    if (contexts.length > 0) return;
+
+    // Two panels asking at once must not create two documents
+    if (!creatingTutorEngine) {
+        creatingTutorEngine = chrome.offscreen.createDocument({
+            url: OFFSCREEN_DOCUMENT,
+            reasons: [chrome.offscreen.Reason.USER_MEDIA, chrome.offscreen.Reason.AUDIO_PLAYBACK],
+            justification: 'Keeps the tutoring session (microphone, tutor voice and server connection) running while the student moves between pages'
+        }).finally(() => {
+            creatingTutorEngine = null;
+        });
+    }
+    await creatingTutorEngine;
+}
+
+// Open the side panel from the toolbar button
+chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true })
+    .catch((error) => console.error('Background: Could not set the side panel behavior:', error));
+
+// The side panel asks for the engine before connecting to it
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === 'ensureTutorEngine') {
+        ensureTutorEngine()
+            .then(() => sendResponse({ success: true }))
+            .catch((error) => {
+                console.error('Background: Could not create the tutor engine:', error);
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+});
+
+// Handle screenshot capture requests from the side panel
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     // Handle both old and new message formats
     if (request.type === 'CAPTURE_SCREENSHOT' || request.action === 'captureScreenshot') {
         console.log('Background: Received screenshot request');
-        
+
         // Capture the visible tab with proper API call
         chrome.tabs.captureVisibleTab({
             format: 'png',
@@ -13,38 +60,35 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         })
         .then((dataUrl) => {
             console.log('Background: Screenshot captured successfully');
-            // Send response in the format expected by content script
-            sendResponse({ 
-                success: true, 
+            // Send response in the format expected by the panel
+            sendResponse({
+                success: true,
                 data: dataUrl.split(',')[1], // Remove data:image/png;base64, prefix
                 dataUrl: dataUrl // Keep full dataUrl for backward compatibility
             });
         })
         .catch((error) => {
             console.error('Background: Error capturing screenshot:', error);
-            sendResponse({ 
-                success: false, 
-                error: error.message 
+            sendResponse({
+                success: false,
+                error: error.message
             });
         });
-        
+
         // Return true to indicate we'll respond asynchronously
         return true;
     }
 });
 
-console.log('Voyage AI Tutor background script loaded');
-
-chrome.action.onClicked.addListener(async (tab) => {
-  if (tab.id) {
-    try {
-      await chrome.tabs.sendMessage(tab.id, { type: "TOGGLE_TUTOR_PANEL" });
-    } catch (e) {
-      console.warn(
-        "Could not send message to content script. " +
-        "This is expected on special pages like chrome:// pages. " +
-        "If you are on a normal webpage, please try reloading the page first."
-      );
+// Open the session history and progress pages from the panel
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === 'openHistory') {
+        chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+        sendResponse({ success: true });
+    } else if (request.action === 'openProgress') {
+        chrome.tabs.create({ url: chrome.runtime.getURL('progress.html') });
+        sendResponse({ success: true });
     }
-  }
-}); 
\ No newline at end of file
+});
+
+console.log('Voyage AI Tutor background script loaded');
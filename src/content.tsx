@@ -1,35 +1,95 @@
 import React from 'react';
 import { createRoot, Root } from 'react-dom/client';
-import App from './popup/Popup';
+import ScreenshotCropper from './content/ScreenshotCropper';
+import { extractPageContext } from './pageContext';
+import { watchAnswerSubmissions } from './siteAdapters';
+import { loadProactiveHints, onProactiveHintsChanged } from './settings';
 
-let root: Root | null = null;
-let container: HTMLDivElement | null = null;
+// Content script. The tutor itself lives in the side panel and the offscreen engine, so
+// this only helps them with the page: reading the problem the student is looking at,
+// showing the screenshot cropper on top of it and, on supported practice sites, noticing
+// when an answer is submitted and whether the site marked it right.
 
-function togglePanel() {
-  if (container) {
-    if (root) {
+// Wait for the student to finish adjusting a selection before sharing it
+const SELECTION_SETTLE_MS = 500;
+
+let cropper: { root: Root; host: HTMLElement; finish: (result: { data?: string }) => void } | null = null;
+
+/**
+ * Show the crop-and-markup overlay and report the result once the student is done.
+ * It renders inside a shadow root so the page's CSS can't restyle it.
+ */
+function showCropper(imageData: string, respond: (result: { data?: string }) => void) {
+  cropper?.finish({}); // Only one at a time - cancel the previous one
+
+  const host = document.createElement('div');
+  host.id = 'voyage-ai-tutor-cropper';
+  const mount = document.createElement('div');
+  host.attachShadow({ mode: 'open' }).appendChild(mount);
+  document.documentElement.appendChild(host);
+
+  const root = createRoot(mount);
+  const current = {
+    root,
+    host,
+    finish: (result: { data?: string }) => {
+      if (cropper !== current) return;
+      cropper = null;
       root.unmount();
-      root = null;
+      host.remove();
+      respond(result);
     }
-    document.body.removeChild(container);
-    container = null;
-  } else {
-    container = document.createElement('div');
-    container.id = 'voyage-ai-tutor-root';
-    document.body.appendChild(container);
-
-    root = createRoot(container);
-    root.render(
-      <React.StrictMode>
-        <App />
-      </React.StrictMode>
-    );
-  }
+  };
+  cropper = current;
+
+  root.render(
+    <React.StrictMode>
+      <ScreenshotCropper
+        imageData={imageData}
+        container={mount}
+        onConfirm={(data) => current.finish({ data })}
+        onCancel={() => current.finish({})}
+      />
+    </React.StrictMode>
+  );
 }
 
-chrome.runtime.onMessage.addListener((message) => {
-  if (message.type === "TOGGLE_TUTOR_PANEL") {
-    togglePanel();
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'GET_PAGE_CONTEXT') {
+    sendResponse(extractPageContext());
+    return;
+  }
+  if (message.type === 'CROP_SCREENSHOT') {
+    showCropper(message.imageData, sendResponse);
+    return true; // Responds once the student has cropped or cancelled
   }
-  return true;
-}); 
\ No newline at end of file
+});
+
+// Share the problem text whenever the student highlights something; the engine ignores it outside a session
+let selectionTimer: ReturnType<typeof setTimeout> | null = null;
+let lastSelection = '';
+document.addEventListener('mouseup', () => {
+  if (selectionTimer) clearTimeout(selectionTimer);
+  selectionTimer = setTimeout(() => {
+    const selected = window.getSelection()?.toString().trim() || '';
+    if (!selected || selected === lastSelection) return;
+    lastSelection = selected;
+    chrome.runtime.sendMessage({ type: 'PAGE_SELECTION', context: extractPageContext() }).catch(() => {
+      // The extension was reloaded or updated - this page's content script is orphaned
+    });
+  }, SELECTION_SETTLE_MS);
+});
+
+// Answers checked on supported practice sites (siteAdapters.ts), unless the student opted out on the options page
+let proactiveHints = false;
+loadProactiveHints().then(enabled => {
+  proactiveHints = enabled;
+});
+onProactiveHintsChanged(enabled => {
+  proactiveHints = enabled;
+});
+watchAnswerSubmissions((event) => {
+  chrome.runtime.sendMessage({ type: 'ANSWER_SUBMITTED', event }).catch(() => {
+    // The extension was reloaded or updated - this page's content script is orphaned
+  });
+}, () => proactiveHints);
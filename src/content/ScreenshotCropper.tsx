@@ -0,0 +1,280 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+
+// Full-page overlay shown after a screenshot is captured. The student drags a
+// rectangle around one problem, can mark it up with arrows and circles, and
+// only that cropped, annotated image is sent to the tutor.
+
+type Point = { x: number; y: number };
+type Rect = { x: number; y: number; width: number; height: number };
+type Tool = 'arrow' | 'circle';
+type Shape = { tool: Tool; from: Point; to: Point };
+
+type Props = {
+    imageData: string; // base64 PNG of the visible tab
+    onConfirm: (croppedImageData: string) => void;
+    onCancel: () => void;
+    container?: Element; // Where the overlay is rendered (default: document.body)
+};
+
+const ANNOTATION_COLOR = '#e53935';
+const MIN_SELECTION_PX = 10;
+
+const normalizeRect = (from: Point, to: Point): Rect => ({
+    x: Math.min(from.x, to.x),
+    y: Math.min(from.y, to.y),
+    width: Math.abs(to.x - from.x),
+    height: Math.abs(to.y - from.y)
+});
+
+const drawShape = (context: CanvasRenderingContext2D, shape: Shape, lineWidth: number) => {
+    context.strokeStyle = ANNOTATION_COLOR;
+    context.fillStyle = ANNOTATION_COLOR;
+    context.lineWidth = lineWidth;
+    context.lineCap = 'round';
+
+    if (shape.tool === 'circle') {
+        const { x, y, width, height } = normalizeRect(shape.from, shape.to);
+        context.beginPath();
+        context.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+        context.stroke();
+        return;
+    }
+
+    const angle = Math.atan2(shape.to.y - shape.from.y, shape.to.x - shape.from.x);
+    const headLength = lineWidth * 4;
+    context.beginPath();
+    context.moveTo(shape.from.x, shape.from.y);
+    context.lineTo(shape.to.x, shape.to.y);
+    context.stroke();
+    context.beginPath();
+    context.moveTo(shape.to.x, shape.to.y);
+    context.lineTo(shape.to.x - headLength * Math.cos(angle - Math.PI / 6), shape.to.y - headLength * Math.sin(angle - Math.PI / 6));
+    context.lineTo(shape.to.x - headLength * Math.cos(angle + Math.PI / 6), shape.to.y - headLength * Math.sin(angle + Math.PI / 6));
+    context.closePath();
+    context.fill();
+};
+
+const toolbarButtonStyle = (active = false): React.CSSProperties => ({
+    width: 'auto',
+    padding: '6px 12px',
+    backgroundColor: active ? '#4285f4' : 'white',
+    color: active ? 'white' : '#333',
+    border: '1px solid #ccc',
+    borderRadius: '4px',
+    fontSize: '12px',
+    cursor: 'pointer'
+});
+
+const ScreenshotCropper = ({ imageData, onConfirm, onCancel, container = document.body }: Props) => {
+    const [image, setImage] = useState<HTMLImageElement | null>(null);
+    const [dragStart, setDragStart] = useState<Point | null>(null);
+    const [dragEnd, setDragEnd] = useState<Point | null>(null);
+    const [crop, setCrop] = useState<Rect | null>(null); // in screenshot pixels
+    const [tool, setTool] = useState<Tool>('arrow');
+    const [shapes, setShapes] = useState<Shape[]>([]);
+    const [draftShape, setDraftShape] = useState<Shape | null>(null);
+    const canvasRef = useRef<HTMLCanvasElement | null>(null);
+
+    useEffect(() => {
+        const img = new Image();
+        img.onload = () => setImage(img);
+        img.src = `data:image/png;base64,${imageData}`;
+    }, [imageData]);
+
+    useEffect(() => {
+        const handleKeyDown = (event: KeyboardEvent) => {
+            if (event.key === 'Escape') onCancel();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onCancel]);
+
+    // Redraw the cropped region and every annotation whenever they change
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas || !image || !crop) return;
+        canvas.width = crop.width;
+        canvas.height = crop.height;
+        const context = canvas.getContext('2d');
+        if (!context) return;
+        context.drawImage(image, crop.x, crop.y, crop.width, crop.height, 0, 0, crop.width, crop.height);
+        const lineWidth = Math.max(3, crop.width / 150);
+        [...shapes, ...(draftShape ? [draftShape] : [])].forEach(shape => drawShape(context, shape, lineWidth));
+    }, [image, crop, shapes, draftShape]);
+
+    const selectRegion = (rect: Rect) => {
+        if (!image) return;
+        // The screenshot is captured at device resolution, the overlay is laid out in CSS pixels
+        const scaleX = image.naturalWidth / window.innerWidth;
+        const scaleY = image.naturalHeight / window.innerHeight;
+        setCrop({
+            x: Math.round(rect.x * scaleX),
+            y: Math.round(rect.y * scaleY),
+            width: Math.max(1, Math.round(rect.width * scaleX)),
+            height: Math.max(1, Math.round(rect.height * scaleY))
+        });
+        setShapes([]);
+    };
+
+    const handleSelectionEnd = () => {
+        if (dragStart && dragEnd) {
+            const rect = normalizeRect(dragStart, dragEnd);
+            if (rect.width >= MIN_SELECTION_PX && rect.height >= MIN_SELECTION_PX) selectRegion(rect);
+        }
+        setDragStart(null);
+        setDragEnd(null);
+    };
+
+    const canvasPoint = (event: React.PointerEvent<HTMLCanvasElement>): Point => {
+        const canvas = event.currentTarget;
+        const bounds = canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - bounds.left) * canvas.width / bounds.width,
+            y: (event.clientY - bounds.top) * canvas.height / bounds.height
+        };
+    };
+
+    const handleSend = () => {
+        if (!canvasRef.current) return;
+        onConfirm(canvasRef.current.toDataURL('image/png').split(',')[1]);
+    };
+
+    const selection = dragStart && dragEnd ? normalizeRect(dragStart, dragEnd) : null;
+
+    const overlay = !crop ? (
+        // Step 1: drag a rectangle over the frozen screenshot
+        <div
+            data-voyage-overlay
+            onPointerDown={(event) => {
+                setDragStart({ x: event.clientX, y: event.clientY });
+                setDragEnd({ x: event.clientX, y: event.clientY });
+            }}
+            onPointerMove={(event) => {
+                if (dragStart) setDragEnd({ x: event.clientX, y: event.clientY });
+            }}
+            onPointerUp={handleSelectionEnd}
+            style={{
+                position: 'fixed',
+                inset: 0,
+                zIndex: 2147483647,
+                cursor: 'crosshair',
+                backgroundImage: `url(data:image/png;base64,${imageData})`,
+                backgroundSize: '100% 100%',
+                userSelect: 'none'
+            }}
+        >
+            <div style={{ position: 'absolute', inset: 0, backgroundColor: selection ? 'transparent' : 'rgba(0,0,0,0.35)' }} />
+            {selection && (
+                <div style={{
+                    position: 'absolute',
+                    left: selection.x,
+                    top: selection.y,
+                    width: selection.width,
+                    height: selection.height,
+                    border: '2px dashed #4285f4',
+                    boxShadow: '0 0 0 9999px rgba(0,0,0,0.35)'
+                }} />
+            )}
+            <div
+                onPointerDown={(event) => event.stopPropagation()}
+                style={{
+                    position: 'absolute',
+                    top: '16px',
+                    left: '50%',
+                    transform: 'translateX(-50%)',
+                    backgroundColor: 'white',
+                    borderRadius: '8px',
+                    padding: '8px 12px',
+                    boxShadow: '0 4px 20px rgba(0,0,0,0.25)',
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '8px',
+                    fontFamily: 'Arial, sans-serif',
+                    fontSize: '13px',
+                    cursor: 'default'
+                }}
+            >
+                <span>✂️ Drag a box around the problem</span>
+                <button
+                    onClick={() => selectRegion({ x: 0, y: 0, width: window.innerWidth, height: window.innerHeight })}
+                    style={toolbarButtonStyle()}
+                >
+                    Use Whole Screen
+                </button>
+                <button onClick={onCancel} style={toolbarButtonStyle()}>Cancel</button>
+            </div>
+        </div>
+    ) : (
+        // Step 2: mark up the cropped region
+        <div data-voyage-overlay style={{
+            position: 'fixed',
+            inset: 0,
+            zIndex: 2147483647,
+            backgroundColor: 'rgba(0,0,0,0.6)',
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'center',
+            justifyContent: 'center',
+            gap: '12px',
+            fontFamily: 'Arial, sans-serif',
+            fontSize: '13px'
+        }}>
+            <div style={{
+                backgroundColor: 'white',
+                borderRadius: '8px',
+                padding: '8px 12px',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px'
+            }}>
+                <span>Mark it up:</span>
+                <button onClick={() => setTool('arrow')} style={toolbarButtonStyle(tool === 'arrow')}>↗ Arrow</button>
+                <button onClick={() => setTool('circle')} style={toolbarButtonStyle(tool === 'circle')}>◯ Circle</button>
+                <button onClick={() => setShapes(shapes.slice(0, -1))} disabled={shapes.length === 0} style={toolbarButtonStyle()}>↩ Undo</button>
+                <button onClick={() => setShapes([])} disabled={shapes.length === 0} style={toolbarButtonStyle()}>Clear</button>
+            </div>
+            <canvas
+                ref={canvasRef}
+                onPointerDown={(event) => {
+                    const point = canvasPoint(event);
+                    event.currentTarget.setPointerCapture(event.pointerId);
+                    setDraftShape({ tool, from: point, to: point });
+                }}
+                onPointerMove={(event) => {
+                    if (draftShape) setDraftShape({ ...draftShape, to: canvasPoint(event) });
+                }}
+                onPointerUp={() => {
+                    // Ignore plain clicks that would leave a dot
+                    if (draftShape && Math.hypot(draftShape.to.x - draftShape.from.x, draftShape.to.y - draftShape.from.y) > MIN_SELECTION_PX) {
+                        setShapes([...shapes, draftShape]);
+                    }
+                    setDraftShape(null);
+                }}
+                style={{
+                    maxWidth: '90vw',
+                    maxHeight: '70vh',
+                    backgroundColor: 'white',
+                    borderRadius: '4px',
+                    cursor: 'crosshair',
+                    touchAction: 'none'
+                }}
+            />
+            <div style={{ display: 'flex', gap: '8px' }}>
+                <button onClick={() => setCrop(null)} style={toolbarButtonStyle()}>← Reselect</button>
+                <button onClick={onCancel} style={toolbarButtonStyle()}>Cancel</button>
+                <button
+                    onClick={handleSend}
+                    style={{ ...toolbarButtonStyle(), backgroundColor: '#34a853', color: 'white', border: 'none', fontWeight: 'bold' }}
+                >
+                    📤 Send to Tutor
+                </button>
+            </div>
+        </div>
+    );
+
+    // Render on the page body so the overlay isn't confined to the floating panel
+    return createPortal(overlay, container);
+};
+
+export default ScreenshotCropper;
@@ -0,0 +1,307 @@
+import {
+    SUPPORTED_VERSIONS,
+    END_CLOSE_CODE,
+    FRAME_KIND,
+    AUDIO_FORMAT,
+    SERVER_MESSAGES,
+    decodeControlMessage,
+    encodeControlMessage,
+    encodeAudioFrame,
+    decodeAudioFrame
+} from '../../shared/protocol';
+import { withAccessToken } from '../settings';
+
+// Batch ~40ms of mic audio per binary frame instead of one frame per 128-sample worklet block
+const AUDIO_BATCH_MS = 40;
+const AUDIO_BATCH_SAMPLES = AUDIO_FORMAT.input.sampleRate * AUDIO_BATCH_MS / 1000;
+
+// Reconnect with exponential backoff, giving up well inside the server's 60s resume grace period
+const RECONNECT_BASE_DELAY_MS = 500;
+const MAX_RECONNECT_DELAY_MS = 8000;
+const MAX_RECONNECT_ATTEMPTS = 7;
+
+// Mic audio held while disconnected; older audio is dropped past this
+const MAX_QUEUED_AUDIO_SAMPLES = AUDIO_FORMAT.input.sampleRate * 10;
+
+// Errors reconnecting can't fix: an outdated client or a bad access token
+const FATAL_ERROR_CODES = ['unsupported_protocol', 'unauthorized'];
+// Close code the server uses when it refuses the access token
+const UNAUTHORIZED_CLOSE_CODE = 4401;
+
+export type ConnectionState =
+    | 'connecting'    // First connection attempt
+    | 'connected'     // Handshake done, messages flow
+    | 'reconnecting'  // Dropped - retrying with backoff, outgoing messages are queued
+    | 'offline'       // Gave up (or the server was never reachable)
+    | 'closed';       // Closed on purpose
+
+export type ConnectionStatus = {
+    state: ConnectionState;
+    attempt: number;       // Reconnect attempt in progress, 0 when connected
+    retryInMs?: number;    // Delay before the next attempt while reconnecting
+};
+
+type QueuedMessage =
+    | { kind: 'control'; type: string; payload?: unknown }
+    | { kind: 'audio'; pcm: Int16Array };
+
+type Options = {
+    url: string;
+    accessToken?: string;
+    // Sent right after `hello` on every connection, so a conversation the server no longer has starts with the right profile
+    sessionStart: unknown;
+    onStatus: (status: ConnectionStatus) => void;
+    onMessage: (message: any) => void;
+    onAudio: (pcm: Uint8Array | string) => void;
+    // `resumed` is false when a reconnect had to start a new conversation
+    onWelcome?: (info: { resumed: boolean; isReconnect: boolean }) => void;
+};
+
+/**
+ * WebSocket connection to the tutor server that survives network blips: it reconnects with
+ * backoff, resumes the server-side conversation with the token from `welcome`, and queues
+ * mic audio and control messages while it is down.
+ */
+export class TutorConnection {
+    private options: Options;
+    private socket: WebSocket | null = null;
+    private status: ConnectionStatus = { state: 'connecting', attempt: 0 };
+    private resumeToken: string | null = null;
+    private hasConnected = false;
+    private isReady = false; // `welcome` received on the current socket
+    private binaryAudio = false;
+    private reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+    private queue: QueuedMessage[] = [];
+    private queuedSamples = 0;
+    private audioBatch: Int16Array[] = [];
+    private audioBatchSamples = 0;
+
+    constructor(options: Options) {
+        this.options = options;
+    }
+
+    connect() {
+        this.clearReconnectTimer();
+        this.setStatus({ state: this.hasConnected ? 'reconnecting' : 'connecting', attempt: this.status.attempt });
+
+        const socket = new WebSocket(withAccessToken(this.options.url, this.options.accessToken ?? ''));
+        socket.binaryType = 'arraybuffer';
+        this.socket = socket;
+        this.isReady = false;
+
+        socket.onopen = () => {
+            console.log('✅ WebSocket connected');
+            this.sendNow({
+                type: 'hello',
+                payload: {
+                    protocolVersions: SUPPORTED_VERSIONS,
+                    capabilities: { binaryAudio: true, audioBatchMs: AUDIO_BATCH_MS },
+                    resumeToken: this.resumeToken ?? undefined
+                }
+            });
+            this.sendNow({ type: 'session_start', payload: this.options.sessionStart });
+        };
+
+        socket.onmessage = (event) => this.handleMessage(event.data);
+
+        socket.onerror = (error) => {
+            console.error('❌ WebSocket error:', error);
+        };
+
+        socket.onclose = (event) => {
+            if (this.socket !== socket) return; // Replaced or closed on purpose
+            console.log('🔌 WebSocket disconnected');
+            this.socket = null;
+            this.isReady = false;
+            if (event.code === UNAUTHORIZED_CLOSE_CODE) {
+                this.setStatus({ state: 'offline', attempt: 0 });
+                return;
+            }
+            this.scheduleReconnect();
+        };
+    }
+
+    /**
+     * Reconnect right away, e.g. from a "Retry" button after giving up
+     */
+    retryNow() {
+        if (this.socket) return;
+        this.status = { state: this.status.state, attempt: 0 };
+        this.connect();
+    }
+
+    close() {
+        this.clearReconnectTimer();
+        const socket = this.socket;
+        this.socket = null;
+        socket?.close(END_CLOSE_CODE); // So the server ends the conversation now rather than waiting for a reconnect
+        this.queue = [];
+        this.queuedSamples = 0;
+        this.audioBatch = [];
+        this.audioBatchSamples = 0;
+        this.setStatus({ state: 'closed', attempt: 0 });
+    }
+
+    /**
+     * Send a control message, or queue it until the connection is back
+     */
+    sendControl(type: string, payload?: unknown) {
+        if (this.status.state === 'closed') return;
+        // Keep ordering: audio captured before this message goes first
+        this.flushAudioBatch();
+        this.dispatch({ kind: 'control', type, payload });
+    }
+
+    /**
+     * Send 16-bit mic PCM, batched into ~40ms frames
+     */
+    sendAudio(pcm: Int16Array) {
+        if (this.status.state === 'closed') return;
+        this.audioBatch.push(pcm);
+        this.audioBatchSamples += pcm.length;
+        if (this.audioBatchSamples >= AUDIO_BATCH_SAMPLES) this.flushAudioBatch();
+    }
+
+    private flushAudioBatch() {
+        if (this.audioBatchSamples === 0) return;
+        const batch = new Int16Array(this.audioBatchSamples);
+        let offset = 0;
+        for (const chunk of this.audioBatch) {
+            batch.set(chunk, offset);
+            offset += chunk.length;
+        }
+        this.audioBatch = [];
+        this.audioBatchSamples = 0;
+        this.dispatch({ kind: 'audio', pcm: batch });
+    }
+
+    private dispatch(message: QueuedMessage) {
+        if (this.isReady && this.queue.length === 0) {
+            this.transmit(message);
+            return;
+        }
+
+        this.queue.push(message);
+        if (message.kind !== 'audio') return;
+        this.queuedSamples += message.pcm.length;
+        // A long outage: drop the oldest audio rather than growing without bound
+        while (this.queuedSamples > MAX_QUEUED_AUDIO_SAMPLES) {
+            const index = this.queue.findIndex(queued => queued.kind === 'audio');
+            const [dropped] = this.queue.splice(index, 1) as { kind: 'audio'; pcm: Int16Array }[];
+            this.queuedSamples -= dropped.pcm.length;
+        }
+    }
+
+    private flushQueue() {
+        if (this.queue.length > 0) console.log('📤 Sending', this.queue.length, 'messages queued while disconnected');
+        const queued = this.queue;
+        this.queue = [];
+        this.queuedSamples = 0;
+        queued.forEach(message => this.transmit(message));
+    }
+
+    private transmit(message: QueuedMessage) {
+        if (message.kind === 'control') {
+            this.sendNow({ type: message.type, payload: message.payload });
+        } else if (this.binaryAudio) {
+            this.socket?.send(encodeAudioFrame(FRAME_KIND.INPUT_AUDIO, new Uint8Array(message.pcm.buffer)));
+        } else {
+            // Protocol v0 fallback: base64 inside JSON
+            const base64Data = btoa(String.fromCharCode(...new Uint8Array(message.pcm.buffer)));
+            this.sendNow({ type: 'audio', payload: base64Data });
+        }
+    }
+
+    private sendNow(message: { type: string; payload?: unknown }) {
+        if (this.socket?.readyState !== WebSocket.OPEN) return;
+        this.socket.send(encodeControlMessage({ type: message.type, payload: message.payload }));
+    }
+
+    private handleMessage(data: string | ArrayBuffer) {
+        if (data instanceof ArrayBuffer) {
+            try {
+                const frame = decodeAudioFrame(new Uint8Array(data));
+                if (frame.kind !== FRAME_KIND.OUTPUT_AUDIO) {
+                    console.warn('⚠️ Ignoring unexpected audio frame kind:', frame.kind);
+                    return;
+                }
+                this.options.onAudio(frame.pcm);
+            } catch (error) {
+                console.error('❌ Bad audio frame from server:', error);
+            }
+            return;
+        }
+
+        let message: any;
+        try {
+            message = decodeControlMessage(data, SERVER_MESSAGES);
+        } catch (error) {
+            console.error('❌ Bad message from server:', error);
+            return;
+        }
+
+        if (message.type === 'audio') {
+            this.options.onAudio(message.payload);
+            return;
+        }
+
+        if (message.type === 'welcome') {
+            const isReconnect = this.hasConnected;
+            const resumed = Boolean(message.payload.resumed);
+            this.binaryAudio = Boolean(message.payload.capabilities.binaryAudio);
+            this.resumeToken = message.payload.resumeToken ?? null;
+            this.hasConnected = true;
+            this.isReady = true;
+            console.log(`🤝 Protocol v${message.payload.protocolVersion}, binary audio ${this.binaryAudio ? 'on' : 'off'}${resumed ? ', conversation resumed' : ''}`);
+            this.setStatus({ state: 'connected', attempt: 0 });
+            this.options.onWelcome?.({ resumed, isReconnect });
+            this.flushQueue();
+            return;
+        }
+
+        if (message.type === 'error' && FATAL_ERROR_CODES.includes(message.payload.code)) {
+            // Retrying won't help - the server will keep refusing this client
+            this.clearReconnectTimer();
+            const socket = this.socket;
+            this.socket = null;
+            socket?.close();
+            this.setStatus({ state: 'offline', attempt: 0 });
+        }
+
+        this.options.onMessage(message);
+    }
+
+    private scheduleReconnect() {
+        // Never reached the server at all - report it straight away instead of retrying silently
+        if (!this.hasConnected || this.status.attempt >= MAX_RECONNECT_ATTEMPTS) {
+            console.error(this.hasConnected
+                ? `❌ Giving up on the tutor server after ${this.status.attempt} reconnect attempts`
+                : `❌ Could not reach the tutor server at ${this.options.url}`);
+            this.setStatus({ state: 'offline', attempt: this.status.attempt });
+            return;
+        }
+
+        const attempt = this.status.attempt + 1;
+        const backoff = Math.min(MAX_RECONNECT_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1));
+        // Jitter so a server restart isn't hit by every client at the same instant
+        const delay = Math.round(backoff * (0.8 + Math.random() * 0.4));
+        console.log(`🔄 Reconnecting in ${delay}ms (attempt ${attempt})`);
+        this.setStatus({ state: 'reconnecting', attempt, retryInMs: delay });
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+    }
+
+    private clearReconnectTimer() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+    }
+
+    private setStatus(status: ConnectionStatus) {
+        this.status = status;
+        this.options.onStatus(status);
+    }
+}
@@ -0,0 +1,491 @@
+import { TutorConnection } from './connection';
+import { EngineState, INITIAL_ENGINE_STATE, PanelCommand, applyTranscriptUpdate } from './messages';
+import type { TutorProfile } from '../profile';
+import type { PageContext } from '../pageContext';
+import type { AnswerEvent } from '../siteAdapters';
+import { EMPTY_WHITEBOARD, applyWhiteboardCommands, clearWhiteboard } from '../whiteboard';
+import { AUDIO_FORMAT } from '../../shared/protocol';
+
+// Convert 16-bit PCM bytes (base64 JSON or a binary frame) to Float32Array for playback
+const convertPCMToFloat32 = (input: string | Uint8Array): Float32Array | null => {
+    try {
+        let bytes: Uint8Array;
+        if (typeof input === 'string') {
+            const binaryString = atob(input);
+            bytes = new Uint8Array(binaryString.length);
+            for (let i = 0; i < binaryString.length; i++) {
+                bytes[i] = binaryString.charCodeAt(i);
+            }
+        } else {
+            // Copy so the samples start on a 2-byte boundary
+            bytes = input.slice();
+        }
+
+        const pcmData = new Int16Array(bytes.buffer, 0, bytes.byteLength / 2);
+        const float32Data = new Float32Array(pcmData.length);
+
+        for (let i = 0; i < pcmData.length; i++) {
+            float32Data[i] = pcmData[i] / 32768.0;
+        }
+
+        return float32Data;
+    } catch (error) {
+        console.error('Error converting PCM data:', error);
+        return null;
+    }
+};
+
+/**
+ * One tutoring session at a time: the server connection, mic capture with VAD and tutor
+ * playback. Lives in the offscreen document so it keeps running while the student moves
+ * between pages and tabs; side panels drive it with PanelCommands and render its state.
+ */
+export class TutorEngine {
+    private state: EngineState = INITIAL_ENGINE_STATE;
+    private listeners = new Set<(state: EngineState) => void>();
+    private connection: TutorConnection | null = null;
+    private audioContext: AudioContext | null = null;
+    private stream: MediaStream | null = null;
+    // Mic capture + VAD (public/audio-processor.js) and tutor playback (public/playback-processor.js)
+    private captureNode: AudioWorkletNode | null = null;
+    private playbackNode: AudioWorkletNode | null = null;
+    private lastSharedSelection: string | null = null;
+    // Noise floor from the last mic calibration, reused when the next session starts
+    private calibratedNoiseFloor: number | null = null;
+
+    /**
+     * Call `listener` with the current state now and after every change
+     */
+    subscribe(listener: (state: EngineState) => void) {
+        this.listeners.add(listener);
+        listener(this.state);
+        return () => {
+            this.listeners.delete(listener);
+        };
+    }
+
+    handleCommand(command: PanelCommand) {
+        switch (command.type) {
+            case 'start':
+                this.start(command);
+                break;
+            case 'stop':
+                this.stop();
+                break;
+            case 'text':
+                this.sendText(command.text, command.muteAudio);
+                break;
+            case 'image':
+                this.sendControl('image', { mimeType: 'image/png', data: command.data, source: command.source });
+                console.log('📷 Screenshot sent to agentic server');
+                break;
+            case 'page_context':
+                this.sharePageContext(command.context);
+                break;
+            case 'calibrate':
+                this.calibrateMicrophone();
+                break;
+            case 'force_end_speech':
+                console.log('🔧 Force ending speech (manual test)...');
+                this.captureNode?.port.postMessage({ type: 'forceEnd' });
+                break;
+            case 'force_resume_mic':
+                console.log('🔧 Force resuming microphone...');
+                this.stopAllPlayback();
+                this.update({ isUserSpeaking: false });
+                break;
+            case 'retry':
+                this.connection?.retryNow();
+                break;
+            case 'dismiss_hint':
+                this.update({ hint: null });
+                break;
+            case 'clear_whiteboard':
+                this.update({ whiteboard: clearWhiteboard(this.state.whiteboard) });
+                break;
+            case 'quiz_start':
+                this.sendControl('quiz_start', { topic: command.topic, like: command.like, length: command.length });
+                break;
+            case 'quiz_answer':
+                if (command.answer.trim()) this.sendControl('quiz_answer', { answer: command.answer.trim() });
+                break;
+            case 'quiz_stop':
+                this.sendControl('quiz_stop');
+                break;
+            case 'dismiss_quiz':
+                this.update({ quiz: null });
+                break;
+            case 'raise_hand':
+                // The button follows the server's hand_status, which also hears when the teacher lowers it
+                this.sendControl('raise_hand', { raised: command.raised });
+                break;
+            case 'dismiss_teacher_message':
+                this.update({ teacherMessage: null });
+                break;
+        }
+    }
+
+    /**
+     * The student highlighted something on a page - share it if it's new
+     */
+    handlePageSelection(context: PageContext) {
+        if (!this.state.isRecording || !context.selectedText || context.selectedText === this.lastSharedSelection) return;
+        this.sharePageContext(context);
+    }
+
+    /**
+     * A practice site checked an answer - the server decides whether the tutor steps in
+     */
+    handleAnswerSubmitted(event: AnswerEvent) {
+        if (!this.state.isRecording) return;
+        console.log(`📝 Answer on ${event.site} marked ${event.result}`);
+        this.sendControl('answer_event', event);
+    }
+
+    private update(changes: Partial<EngineState>) {
+        this.state = { ...this.state, ...changes };
+        this.listeners.forEach(listener => listener(this.state));
+    }
+
+    // Send a control message; the connection queues it while reconnecting
+    private sendControl(type: string, payload?: unknown) {
+        this.connection?.sendControl(type, payload);
+    }
+
+    /**
+     * Connect to the tutor. Without the microphone the session is typed-only (text chat mode).
+     */
+    private async start({ withMicrophone, profile, serverUrl, accessToken }: {
+        withMicrophone: boolean;
+        profile: TutorProfile;
+        serverUrl: string;
+        accessToken: string;
+    }) {
+        if (this.state.isRecording || this.state.isLoading) return;
+        this.update({ error: '', needsMicPermission: false, transcript: [], whiteboard: EMPTY_WHITEBOARD, quiz: null, teacherMessage: null, isLoading: true });
+
+        try {
+            // Get microphone access
+            let stream: MediaStream | null = null;
+            if (withMicrophone) {
+                stream = await navigator.mediaDevices.getUserMedia({
+                    audio: {
+                        sampleRate: 16000,
+                        channelCount: 1,
+                        echoCancellation: true,
+                        noiseSuppression: true,
+                        autoGainControl: true
+                    }
+                });
+                this.stream = stream;
+            }
+
+            // Connect to the tutor; the connection reconnects and resumes on its own after drops
+            let hasConnected = false;
+            const connection = new TutorConnection({
+                url: serverUrl,
+                accessToken,
+                sessionStart: profile,
+                onStatus: (status) => {
+                    this.update({ connectionStatus: status });
+                    if (status.state !== 'offline') return;
+                    if (!hasConnected) {
+                        // Never got through - nothing to resume
+                        this.update({
+                            error: `Failed to connect to the tutor server at ${serverUrl}. Make sure it is running, or change the address in the extension options.`,
+                            isLoading: false
+                        });
+                        this.stop();
+                    } else {
+                        this.update({ error: 'Lost the connection to the tutor server.' });
+                    }
+                },
+                onMessage: (message) => this.handleServerMessage(message),
+                onAudio: (pcm) => this.enqueuePlayback(convertPCMToFloat32(pcm)),
+                onWelcome: async ({ resumed, isReconnect }) => {
+                    this.update({ error: '' });
+                    if (isReconnect) {
+                        this.update({
+                            connectionNotice: resumed ? null : 'Reconnected, but the tutor had to start a new conversation.'
+                        });
+                        return;
+                    }
+
+                    hasConnected = true;
+                    this.update({ isLoading: false, isRecording: true, isMicEnabled: withMicrophone });
+                    try {
+                        await this.setupAudio(stream);
+                    } catch (audioError: any) {
+                        this.update({ error: audioError.message || 'Failed to set up audio' });
+                    }
+                }
+            });
+            this.connection = connection;
+            connection.connect();
+
+        } catch (error: any) {
+            console.error('❌ Failed to start recording:', error);
+            if (error.name === 'NotAllowedError') {
+                this.update({
+                    error: 'The tutor needs permission to use your microphone.',
+                    needsMicPermission: true,
+                    isLoading: false
+                });
+                return;
+            }
+            this.update({ error: error.message || 'Failed to access microphone', isLoading: false });
+        }
+    }
+
+    private async stop() {
+        if (this.connection) {
+            this.connection.close();
+            this.connection = null;
+        }
+
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+
+        this.stopAllPlayback();
+        const audioContext = this.audioContext;
+        this.audioContext = null;
+        this.captureNode = null;
+        this.playbackNode = null;
+        this.lastSharedSelection = null;
+        this.update({
+            isRecording: false,
+            isUserSpeaking: false,
+            isTutorSpeaking: false,
+            isMicEnabled: false,
+            hint: null,
+            handRaised: false,
+            pageContextSummary: null,
+            calibrationStatus: null,
+            connectionStatus: null,
+            connectionNotice: null
+        });
+        await audioContext?.close();
+    }
+
+    // Send a typed message - the tutor answers in the transcript, and out loud unless muted
+    private sendText(text: string, muteAudio: boolean) {
+        if (!text.trim() || !this.connection) return;
+        this.audioContext?.resume();
+        this.sendControl('text', { text: text.trim(), muteAudio });
+    }
+
+    // Share the problem read from the page DOM (selection, math source, input fields)
+    private sharePageContext(context: PageContext) {
+        if (!this.connection) return;
+        if (!context.selectedText && !context.problemText && context.math.length === 0 && context.inputs.length === 0) {
+            this.update({ pageContextSummary: 'Nothing to share - highlight the problem text first' });
+            return;
+        }
+
+        this.lastSharedSelection = context.selectedText;
+        this.sendControl('page_context', context);
+        console.log('📄 Page context sent to agentic server:', context);
+
+        const parts = [
+            context.selectedText ? `"${context.selectedText.slice(0, 40)}${context.selectedText.length > 40 ? '…' : ''}"` : null,
+            context.math.length ? `${context.math.length} equation${context.math.length === 1 ? '' : 's'}` : null,
+            context.inputs.length ? `${context.inputs.length} answer field${context.inputs.length === 1 ? '' : 's'}` : null
+        ].filter(Boolean);
+        this.update({ pageContextSummary: `Shared ${parts.length ? parts.join(', ') : 'the problem text'}` });
+    }
+
+    // Measure the room's background noise so the VAD knows what silence sounds like
+    private calibrateMicrophone() {
+        if (!this.captureNode) return;
+        this.update({ calibrationStatus: 'Calibrating... stay quiet for a moment' });
+        this.captureNode.port.postMessage({ type: 'calibrate' });
+    }
+
+    // Audio graph for a session: tutor playback always, mic capture + VAD when there is a stream
+    private async setupAudio(stream: MediaStream | null) {
+        const audioContext = new AudioContext({ sampleRate: 16000 });
+        this.audioContext = audioContext;
+        console.log('🎵 AudioContext sample rate:', audioContext.sampleRate);
+
+        try {
+            // Tutor playback: the worklet resamples 24kHz model audio to the context rate
+            console.log('📡 Loading playback AudioWorklet...');
+            await audioContext.audioWorklet.addModule(chrome.runtime.getURL('playback-processor.js'));
+            const playbackNode = new AudioWorkletNode(audioContext, 'audio-playback-processor', {
+                numberOfInputs: 0,
+                outputChannelCount: [1],
+                processorOptions: {
+                    inputSampleRate: AUDIO_FORMAT.output.sampleRate,
+                    jitterBufferMs: 80       // Rides out uneven chunk arrival without adding noticeable delay
+                }
+            });
+            playbackNode.port.onmessage = (event) => this.handlePlaybackMessage(event);
+            playbackNode.connect(audioContext.destination);
+            this.playbackNode = playbackNode;
+        } catch (playbackError) {
+            console.error('❌ Playback AudioWorklet setup failed:', playbackError);
+            this.update({ error: 'Could not set up audio playback.' });
+        }
+
+        // Text-only sessions still play the tutor's voice but skip the mic pipeline
+        if (!stream) return;
+
+        try {
+            console.log('📡 Loading AudioWorklet processor...');
+            await audioContext.audioWorklet.addModule(chrome.runtime.getURL('audio-processor.js'));
+
+            const captureNode = new AudioWorkletNode(audioContext, 'audio-capture-processor', {
+                processorOptions: {
+                    speechThreshold: 0.008,  // Never treat anything quieter than this as speech
+                    noiseFloorRatio: 3,      // Speech must be 3x louder than the room noise
+                    minSpeechMs: 40,         // Ignore clicks shorter than this
+                    silenceMs: 1500,         // Natural pause before the turn ends
+                    preRollMs: 300,          // Audio kept from just before speech starts
+                    initialNoiseFloor: this.calibratedNoiseFloor ?? undefined
+                }
+            });
+            captureNode.port.onmessage = (event) => this.handleCaptureMessage(event);
+            this.captureNode = captureNode;
+
+            // Don't connect the capture node to the destination, to avoid feedback
+            audioContext.createMediaStreamSource(stream).connect(captureNode);
+            console.log('✅ AudioWorklet VAD system ready');
+        } catch (workletError) {
+            console.error('❌ AudioWorklet setup failed:', workletError);
+            throw workletError;
+        }
+    }
+
+    // Messages from the playback worklet
+    private handlePlaybackMessage(event: MessageEvent) {
+        switch (event.data.type) {
+            case 'playing':
+                this.update({ isTutorSpeaking: true });
+                break;
+            case 'drained':
+                console.log('🔇 Playback buffer empty - AI finished speaking');
+                this.update({ isTutorSpeaking: false });
+                break;
+            case 'overflow':
+                console.warn('⚠️ Playback buffer full, dropped', event.data.droppedSamples, 'samples');
+                break;
+        }
+    }
+
+    // Messages from the capture worklet (VAD events)
+    private handleCaptureMessage(event: MessageEvent) {
+        const { type, data, preRoll } = event.data;
+
+        switch (type) {
+            case 'speechStart':
+                console.log('🎤 User started speaking');
+                // Barge-in: silence the tutor now and have the server cancel the rest of its reply
+                if (this.state.isTutorSpeaking) {
+                    console.log('🚫 User barge-in detected - cancelling tutor turn');
+                    this.stopAllPlayback();
+                    this.sendControl('cancel');
+                }
+                this.update({ isUserSpeaking: true });
+
+                // The audio just before speech was detected, so the first syllable isn't cut off
+                if (preRoll?.length) this.sendMicAudio(preRoll);
+                break;
+
+            case 'audioData':
+                this.sendMicAudio(data);
+                break;
+
+            case 'speechEnd':
+                console.log('🔇 User finished speaking - sending end_of_utterance');
+                this.update({ isUserSpeaking: false });
+                // The connection sends any batched audio first
+                this.sendControl('end_of_utterance');
+                break;
+
+            case 'calibrated':
+                console.log('🎚️ Mic calibrated - noise floor:', event.data.noiseFloor, 'threshold:', event.data.threshold);
+                this.calibratedNoiseFloor = event.data.noiseFloor;
+                this.update({ calibrationStatus: `Mic calibrated (noise level ${(event.data.noiseFloor * 100).toFixed(1)}%)` });
+                break;
+
+            default:
+                console.warn('Unknown worklet message type:', type);
+        }
+    }
+
+    // Send captured mic audio (Float32 from the worklet) as 16-bit PCM
+    private sendMicAudio(data: Float32Array) {
+        if (!this.connection) return;
+        const pcmData = new Int16Array(data.length);
+        for (let i = 0; i < data.length; i++) {
+            pcmData[i] = Math.max(-32768, Math.min(32767, Math.floor(data[i] * 32768)));
+        }
+        this.connection.sendAudio(pcmData);
+    }
+
+    // Hand decoded tutor audio to the playback worklet, which schedules it gap-free
+    private enqueuePlayback(audioData: Float32Array | null) {
+        // The student is talking over the tutor (barge-in) - drop its audio
+        if (this.state.isUserSpeaking) {
+            console.log('🚫 Ignoring AI audio - user is speaking (barge-in)');
+            return;
+        }
+        if (!audioData) return;
+        if (!this.playbackNode) {
+            console.warn('⚠️ Dropping AI audio - playback is not ready yet');
+            return;
+        }
+        this.playbackNode.port.postMessage({ type: 'audio', samples: audioData }, [audioData.buffer]);
+    }
+
+    // Handle control messages from the server (audio goes straight to enqueuePlayback)
+    private handleServerMessage(response: any) {
+        if (response.type === 'error') {
+            console.error(`❌ Server error (${response.payload.code}):`, response.payload.message);
+            if (response.payload.code === 'unsupported_protocol') {
+                this.update({ error: 'This extension is out of date for the tutor server. Please update it.' });
+            } else if (['unauthorized', 'rate_limited', 'quota_exceeded', 'quiz_unavailable'].includes(response.payload.code)) {
+                // The server words these for the student
+                this.update({ error: response.payload.message });
+            }
+        } else if (response.type === 'turn_complete') {
+            console.log('✅ Server indicated turn complete');
+            this.playbackNode?.port.postMessage({ type: 'endOfTurn' });
+        } else if (response.type === 'turn_cancelled') {
+            console.log('🚫 Server cancelled the tutor turn');
+            this.stopAllPlayback();
+        } else if (response.type === 'session_started') {
+            console.log('🎛️ Tutor profile applied:', response.payload.profile);
+        } else if (response.type === 'hint') {
+            console.log('💡 Tutor shared a hint:', response.payload.text);
+            this.update({ hint: response.payload });
+        } else if (response.type === 'quiz_problem') {
+            // A first problem starts a fresh quiz; later ones keep the feedback on the previous answer
+            const lastResult = response.payload.index > 1 ? this.state.quiz?.lastResult ?? null : null;
+            this.update({ quiz: { problem: response.payload, lastResult, summary: null } });
+        } else if (response.type === 'quiz_result') {
+            this.update({ quiz: { problem: this.state.quiz?.problem ?? null, summary: null, lastResult: response.payload } });
+        } else if (response.type === 'quiz_summary') {
+            console.log(`🏁 Quiz finished: ${response.payload.score}/${response.payload.total}`);
+            this.update({ quiz: { problem: null, lastResult: this.state.quiz?.lastResult ?? null, summary: response.payload } });
+        } else if (response.type === 'hand_status') {
+            this.update({ handRaised: response.payload.raised });
+        } else if (response.type === 'teacher_message') {
+            console.log(`🧑‍🏫 Teacher sent a ${response.payload.kind}:`, response.payload.text);
+            this.update({ teacherMessage: { kind: response.payload.kind, text: response.payload.text, from: response.payload.from ?? null } });
+        } else if (response.type === 'whiteboard') {
+            this.update({ whiteboard: applyWhiteboardCommands(this.state.whiteboard, response.payload.commands) });
+        } else if (response.type === 'transcript') {
+            this.update({ transcript: applyTranscriptUpdate(this.state.transcript, response.payload) });
+        }
+    }
+
+    // Barge-in: the playback worklet drops everything it has queued within one render quantum
+    private stopAllPlayback() {
+        console.log('🛑 Stopping all playback');
+        this.playbackNode?.port.postMessage({ type: 'clear' });
+        this.update({ isTutorSpeaking: false });
+    }
+}
@@ -0,0 +1,112 @@
+// Messages between the side panel and the tutor engine in the offscreen document.
+// The engine owns the WebSocket and all audio, so a session survives the panel closing,
+// page navigation and tab switches. Panels connect a port named ENGINE_PORT_NAME, send
+// PanelCommands and get the whole EngineState back after every change - a panel that
+// opens mid-session renders the same thing as one that was there all along.
+
+import type { ConnectionStatus } from './connection';
+import type { TutorProfile } from '../profile';
+import type { PageContext } from '../pageContext';
+import type { AnswerEvent } from '../siteAdapters';
+import { EMPTY_WHITEBOARD, WhiteboardState } from '../whiteboard';
+import type { QuizState } from '../quiz';
+
+export const ENGINE_PORT_NAME = 'tutor-engine';
+
+export type TranscriptEntry = {
+    role: 'student' | 'tutor';
+    text: string;
+    final: boolean;
+};
+
+// A message or hint pushed from the teacher's classroom dashboard
+export type TeacherMessage = {
+    kind: 'message' | 'hint';
+    text: string;
+    from: string | null;
+};
+
+export type EngineState = {
+    isRecording: boolean;      // A session is open (voice or text-only)
+    isLoading: boolean;        // Starting a session
+    isMicEnabled: boolean;
+    isUserSpeaking: boolean;
+    isTutorSpeaking: boolean;
+    connectionStatus: ConnectionStatus | null;
+    connectionNotice: string | null;
+    calibrationStatus: string | null;
+    pageContextSummary: string | null;
+    hint: { text: string; level: string } | null;
+    transcript: TranscriptEntry[];
+    whiteboard: WhiteboardState; // The tutor's drawing; kept after the session ends so it can still be read
+    quiz: QuizState | null;      // Practice quiz in progress, or its summary until dismissed
+    handRaised: boolean;         // Classroom mode: the student asked their teacher for help
+    teacherMessage: TeacherMessage | null;
+    error: string;
+    needsMicPermission: boolean; // The offscreen document can't prompt, so the panel sends the student to the options page
+};
+
+export const INITIAL_ENGINE_STATE: EngineState = {
+    isRecording: false,
+    isLoading: false,
+    isMicEnabled: false,
+    isUserSpeaking: false,
+    isTutorSpeaking: false,
+    connectionStatus: null,
+    connectionNotice: null,
+    calibrationStatus: null,
+    pageContextSummary: null,
+    hint: null,
+    transcript: [],
+    whiteboard: EMPTY_WHITEBOARD,
+    quiz: null,
+    handRaised: false,
+    teacherMessage: null,
+    error: '',
+    needsMicPermission: false
+};
+
+// Where a shared image came from; the server reads paper photos differently
+export type ImageSource = 'screen' | 'whiteboard' | 'paper';
+
+export type PanelCommand =
+    // The offscreen document has no chrome.storage, so the panel passes the settings along
+    | { type: 'start'; withMicrophone: boolean; profile: TutorProfile; serverUrl: string; accessToken: string }
+    | { type: 'stop' }
+    | { type: 'text'; text: string; muteAudio: boolean }
+    | { type: 'image'; data: string; source: ImageSource }
+    | { type: 'page_context'; context: PageContext }
+    | { type: 'calibrate' }
+    | { type: 'force_end_speech' }
+    | { type: 'force_resume_mic' }
+    | { type: 'retry' }
+    | { type: 'dismiss_hint' }
+    | { type: 'clear_whiteboard' }
+    | { type: 'quiz_start'; topic?: string; like?: string; length: number }
+    | { type: 'quiz_answer'; answer: string }
+    | { type: 'quiz_stop' }
+    | { type: 'dismiss_quiz' }
+    | { type: 'raise_hand'; raised: boolean }
+    | { type: 'dismiss_teacher_message' };
+
+export type EngineEvent = { type: 'state'; state: EngineState };
+
+// Sent by content scripts when the student highlights something on the page
+export type PageSelectionMessage = { type: 'PAGE_SELECTION'; context: PageContext };
+
+// Sent by content scripts when a practice site has checked an answer the student submitted
+export type AnswerSubmittedMessage = { type: 'ANSWER_SUBMITTED'; event: AnswerEvent };
+
+/**
+ * Apply a `transcript` message from the server: update the speaker's open entry, or start a new one
+ */
+export const applyTranscriptUpdate = (entries: TranscriptEntry[], update: TranscriptEntry): TranscriptEntry[] => {
+    for (let i = entries.length - 1; i >= 0; i--) {
+        if (entries[i].role === update.role && !entries[i].final) {
+            const next = [...entries];
+            next[i] = update;
+            return next;
+        }
+    }
+    return [...entries, update];
+};
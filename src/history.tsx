@@ -0,0 +1,13 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import HistoryPage from './history/HistoryPage';
+
+// Entry point for the extension's session history page (history.html)
+const container = document.getElementById('root');
+if (container) {
+  createRoot(container).render(
+    <React.StrictMode>
+      <HistoryPage />
+    </React.StrictMode>
+  );
+}
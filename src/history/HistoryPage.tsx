@@ -0,0 +1,393 @@
+import React, { useState, useEffect } from 'react';
+import { TutorText } from '../popup/Transcript';
+import { loadServerUrl, loadAccessToken, toHttpUrl, withAccessToken, fetchJson } from '../settings';
+
+// Longest pause between two events when replaying, so quiet stretches don't drag
+const MAX_REPLAY_GAP_MS = 2000;
+
+type SessionSummary = {
+    id: string;
+    startedAt: string;
+    endedAt: string | null;
+    turnCount: number;
+    screenshotCount: number;
+    toolCallCount: number;
+    preview: string | null;
+};
+
+type SessionEvent = {
+    at: string;
+    type: 'turn' | 'transcript' | 'screenshot' | 'page_context' | 'tool_call' | 'skill' | 'quiz_start' | 'quiz_answer' | 'quiz_summary' | 'raise_hand' | 'teacher_message' | 'guardrail' | 'answer' | 'turn_complete' | 'turn_cancelled';
+    source?: 'voice' | 'text' | 'proactive' | 'screen' | 'whiteboard' | 'paper'; // turns: how it was asked; screenshots: where the image came from
+    role?: 'student' | 'tutor';
+    text?: string;
+    file?: string;
+    url?: string;
+    name?: string;
+    args?: unknown;
+    response?: unknown;
+    skill?: string;
+    outcome?: 'correct' | 'needed_help' | 'incorrect';
+    topic?: string;
+    length?: number;
+    prompt?: string;
+    answer?: string;
+    expected?: string;
+    correct?: boolean;
+    score?: number;
+    total?: number;
+    raised?: boolean;
+    by?: 'student' | 'teacher';
+    kind?: 'message' | 'hint';
+    label?: string;
+    action?: 'block' | 'redirect' | 'flag';
+    site?: string;
+    problem?: string;
+    result?: 'correct' | 'incorrect';
+};
+
+const GUARDRAIL_ACTIONS = {
+    block: 'blocked',
+    redirect: 'steered back to math',
+    flag: 'flagged for review'
+};
+
+const OUTCOME_LABELS = {
+    correct: '✅ got it',
+    needed_help: '🤝 got it with help',
+    incorrect: '❌ not yet'
+};
+
+type SessionDetail = SessionSummary & { events: SessionEvent[] };
+
+const formatDate = (iso: string) => new Date(iso).toLocaleString();
+const formatTime = (iso: string) => new Date(iso).toLocaleTimeString();
+
+const formatDuration = (session: SessionSummary) => {
+    if (!session.endedAt) return 'in progress';
+    const minutes = Math.round((Date.parse(session.endedAt) - Date.parse(session.startedAt)) / 60000);
+    return minutes < 1 ? 'under a minute' : `${minutes} min`;
+};
+
+const EventView = ({ serverUrl, accessToken, sessionId, event }: { serverUrl: string; accessToken: string; sessionId: string; event: SessionEvent }) => {
+    switch (event.type) {
+        case 'turn':
+            return (
+                <div style={{ fontSize: '11px', color: '#999', textAlign: 'center', margin: '8px 0 2px' }}>
+                    {event.source === 'text' ? '⌨️ Typed question' : event.source === 'proactive' ? '💡 Tutor offered a hint' : '🎙️ Spoken question'} · {formatTime(event.at)}
+                </div>
+            );
+
+        case 'transcript':
+            return (
+                <div style={{
+                    alignSelf: event.role === 'student' ? 'flex-end' : 'flex-start',
+                    maxWidth: '75%',
+                    backgroundColor: event.role === 'student' ? '#e3f2fd' : '#f3e5f5',
+                    borderRadius: '8px',
+                    padding: '8px 10px',
+                    fontSize: '14px',
+                    lineHeight: '1.5'
+                }}>
+                    {event.role === 'tutor' ? <TutorText text={event.text || ''} /> : event.text}
+                </div>
+            );
+
+        case 'screenshot':
+            return (
+                <div style={{ alignSelf: 'flex-end', maxWidth: '75%' }}>
+                    <div style={{ fontSize: '11px', color: '#666', marginBottom: '4px' }}>
+                        {event.source === 'paper' ? '📝 Photo of paper work' : event.source === 'whiteboard' ? '📐 Shared whiteboard' : '📷 Shared screenshot'}
+                    </div>
+                    <img
+                        src={withAccessToken(`${serverUrl}/api/sessions/${sessionId}/screenshots/${event.file}`, accessToken)}
+                        alt="Screenshot shared with the tutor"
+                        style={{ maxWidth: '100%', maxHeight: '240px', border: '1px solid #ddd', borderRadius: '4px' }}
+                    />
+                </div>
+            );
+
+        case 'page_context':
+            return (
+                <details style={{ alignSelf: 'flex-end', fontSize: '12px', color: '#555' }}>
+                    <summary style={{ cursor: 'pointer' }}>📄 Shared problem text from {event.url}</summary>
+                    <pre style={{
+                        backgroundColor: '#f5f5f5',
+                        padding: '8px',
+                        borderRadius: '4px',
+                        whiteSpace: 'pre-wrap',
+                        fontSize: '11px'
+                    }}>
+                        {event.text}
+                    </pre>
+                </details>
+            );
+
+        case 'answer':
+            return (
+                <div style={{ alignSelf: 'flex-end', maxWidth: '75%', fontSize: '12px', color: '#555' }}>
+                    {event.result === 'correct' ? '✅' : '❌'} Answered{event.answer ? ` "${event.answer}"` : ''} on {event.site}: {event.problem}
+                </div>
+            );
+
+        case 'turn_cancelled':
+            return (
+                <div style={{ fontSize: '11px', color: '#999', textAlign: 'center' }}>
+                    ✋ Interrupted the tutor
+                </div>
+            );
+
+        case 'tool_call':
+            return (
+                <details style={{ alignSelf: 'flex-start', fontSize: '12px', color: '#555' }}>
+                    <summary style={{ cursor: 'pointer' }}>🔧 Tutor used {event.name}</summary>
+                    <pre style={{
+                        backgroundColor: '#f5f5f5',
+                        padding: '8px',
+                        borderRadius: '4px',
+                        whiteSpace: 'pre-wrap',
+                        fontSize: '11px'
+                    }}>
+                        {JSON.stringify({ args: event.args, result: event.response }, null, 2)}
+                    </pre>
+                </details>
+            );
+
+        case 'skill':
+            return (
+                <div style={{ alignSelf: 'flex-start', fontSize: '12px', color: '#555' }}>
+                    📈 Practised {event.skill?.replace(/_/g, ' ')} - {event.outcome && OUTCOME_LABELS[event.outcome]}
+                </div>
+            );
+
+        case 'quiz_start':
+            return (
+                <div style={{ alignSelf: 'center', fontSize: '12px', color: '#3949ab' }}>
+                    🎯 Started a {event.length}-problem quiz on {event.topic?.replace(/_/g, ' ')}
+                </div>
+            );
+
+        case 'quiz_answer':
+            return (
+                <div style={{ alignSelf: 'flex-start', fontSize: '12px', color: '#555' }}>
+                    {event.correct ? '✅' : '❌'} {event.prompt} - answered {event.answer}
+                    {!event.correct && ` (answer: ${event.expected})`}
+                </div>
+            );
+
+        case 'quiz_summary':
+            return (
+                <div style={{ alignSelf: 'center', fontSize: '12px', color: '#3949ab', fontWeight: 'bold' }}>
+                    🏁 Quiz finished: {event.score} of {event.total} right
+                </div>
+            );
+
+        case 'raise_hand':
+            return (
+                <div style={{ fontSize: '11px', color: '#c5221f', textAlign: 'center' }}>
+                    ✋ {event.raised ? 'Raised a hand for the teacher' : event.by === 'teacher' ? 'Teacher lowered the hand' : 'Lowered the hand'}
+                </div>
+            );
+
+        case 'teacher_message':
+            return (
+                <div style={{
+                    alignSelf: 'center',
+                    maxWidth: '75%',
+                    backgroundColor: '#e8f0fe',
+                    borderRadius: '8px',
+                    padding: '6px 10px',
+                    fontSize: '12px'
+                }}>
+                    🧑‍🏫 Teacher {event.kind === 'hint' ? 'hint' : 'message'}: {event.text}
+                </div>
+            );
+
+        case 'guardrail':
+            return (
+                <div style={{ fontSize: '11px', color: '#a94442', textAlign: 'center' }}>
+                    🚩 {event.label}: {event.role === 'tutor' ? "the tutor's" : "the student's"} message was {event.action && GUARDRAIL_ACTIONS[event.action]}
+                </div>
+            );
+
+        default:
+            return null;
+    }
+};
+
+const HistoryPage = () => {
+    const [sessions, setSessions] = useState<SessionSummary[]>([]);
+    const [selected, setSelected] = useState<SessionDetail | null>(null);
+    const [replayIndex, setReplayIndex] = useState<number | null>(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [serverUrl, setServerUrl] = useState<string | null>(null);
+    const [accessToken, setAccessToken] = useState('');
+
+    const loadSessions = async (baseUrl = serverUrl!, token = accessToken) => {
+        setIsLoading(true);
+        try {
+            const body = await fetchJson(baseUrl, token, '/api/sessions');
+            setSessions(body.sessions);
+            setError('');
+        } catch (error: any) {
+            console.error('❌ Failed to load sessions:', error);
+            // fetch() rejects with a TypeError when the server can't be reached at all
+            setError(error instanceof TypeError
+                ? `Couldn't reach the tutor server at ${baseUrl}. Make sure it is running.`
+                : error.message);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        Promise.all([loadServerUrl(), loadAccessToken()]).then(([url, token]) => {
+            const baseUrl = toHttpUrl(url);
+            setServerUrl(baseUrl);
+            setAccessToken(token);
+            loadSessions(baseUrl, token);
+        });
+    }, []);
+
+    // Step through the timeline one event at a time, keeping the original pacing
+    useEffect(() => {
+        if (replayIndex === null || !selected) return;
+        const current = selected.events[replayIndex];
+        const next = selected.events[replayIndex + 1];
+        if (!current || !next) {
+            setReplayIndex(null);
+            return;
+        }
+        const gap = Math.min(Date.parse(next.at) - Date.parse(current.at), MAX_REPLAY_GAP_MS);
+        const timer = setTimeout(() => setReplayIndex(replayIndex + 1), Math.max(gap, 0));
+        return () => clearTimeout(timer);
+    }, [replayIndex, selected]);
+
+    const openSession = async (id: string) => {
+        try {
+            setReplayIndex(null);
+            setSelected(await fetchJson(serverUrl!, accessToken, `/api/sessions/${id}`));
+        } catch (error: any) {
+            setError(error.message);
+        }
+    };
+
+    const deleteSession = async (id: string) => {
+        if (!window.confirm('Delete this session? This cannot be undone.')) return;
+        try {
+            await fetchJson(serverUrl!, accessToken, `/api/sessions/${id}`, { method: 'DELETE' });
+            if (selected?.id === id) setSelected(null);
+            await loadSessions();
+        } catch (error: any) {
+            setError(error.message);
+        }
+    };
+
+    const visibleEvents = selected
+        ? (replayIndex === null ? selected.events : selected.events.slice(0, replayIndex + 1))
+        : [];
+
+    return (
+        <div style={{ fontFamily: 'Arial, sans-serif', fontSize: '14px', color: '#333', height: '100vh', display: 'flex', flexDirection: 'column' }}>
+            {/* Header */}
+            <div style={{
+                backgroundColor: '#4285f4',
+                color: 'white',
+                padding: '12px 20px',
+                fontWeight: 'bold',
+                fontSize: '16px',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px'
+            }}>
+                <span>🎓</span>
+                Voyage AI Tutor - Past Sessions
+            </div>
+
+            {error && (
+                <div style={{ backgroundColor: '#ffebee', color: '#c62828', padding: '8px 20px', fontSize: '12px' }}>
+                    ❌ {error}
+                </div>
+            )}
+
+            <div style={{ display: 'flex', flex: 1, minHeight: 0 }}>
+                {/* Session list */}
+                <div style={{ width: '320px', borderRight: '1px solid #ddd', overflowY: 'auto' }}>
+                    {isLoading && <div style={{ padding: '16px', color: '#666' }}>Loading...</div>}
+                    {!isLoading && sessions.length === 0 && (
+                        <div style={{ padding: '16px', color: '#666' }}>No saved sessions yet.</div>
+                    )}
+                    {sessions.map(session => (
+                        <div
+                            key={session.id}
+                            onClick={() => openSession(session.id)}
+                            style={{
+                                padding: '12px 16px',
+                                borderBottom: '1px solid #eee',
+                                cursor: 'pointer',
+                                backgroundColor: selected?.id === session.id ? '#e8f0fe' : 'white'
+                            }}
+                        >
+                            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                                <strong style={{ fontSize: '13px' }}>{formatDate(session.startedAt)}</strong>
+                                <button
+                                    onClick={(event) => {
+                                        event.stopPropagation();
+                                        deleteSession(session.id);
+                                    }}
+                                    title="Delete session"
+                                    style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#999' }}
+                                >
+                                    🗑️
+                                </button>
+                            </div>
+                            <div style={{ fontSize: '12px', color: '#666', margin: '4px 0' }}>
+                                {session.preview || 'No transcript'}
+                            </div>
+                            <div style={{ fontSize: '11px', color: '#999' }}>
+                                {formatDuration(session)} · {session.turnCount} turns · {session.screenshotCount} screenshots
+                            </div>
+                        </div>
+                    ))}
+                </div>
+
+                {/* Session timeline */}
+                <div style={{ flex: 1, overflowY: 'auto', padding: '16px 24px' }}>
+                    {!selected && (
+                        <div style={{ color: '#666' }}>Pick a session to review what you worked on.</div>
+                    )}
+                    {selected && (
+                        <>
+                            <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '12px' }}>
+                                <strong>{formatDate(selected.startedAt)}</strong>
+                                <span style={{ fontSize: '12px', color: '#666' }}>{formatDuration(selected)}</span>
+                                <button
+                                    onClick={() => setReplayIndex(replayIndex === null ? 0 : null)}
+                                    disabled={selected.events.length === 0}
+                                    style={{
+                                        padding: '6px 12px',
+                                        backgroundColor: '#4285f4',
+                                        color: 'white',
+                                        border: 'none',
+                                        borderRadius: '4px',
+                                        cursor: 'pointer'
+                                    }}
+                                >
+                                    {replayIndex === null ? '▶ Replay' : '⏹ Show All'}
+                                </button>
+                            </div>
+                            <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                                {visibleEvents.map((event, index) => (
+                                    <EventView key={index} serverUrl={serverUrl!} accessToken={accessToken} sessionId={selected.id} event={event} />
+                                ))}
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default HistoryPage;
@@ -0,0 +1,23 @@
+import { TutorEngine } from './engine/engine';
+import { AnswerSubmittedMessage, ENGINE_PORT_NAME, EngineEvent, PageSelectionMessage, PanelCommand } from './engine/messages';
+
+// Entry point for the offscreen document (offscreen.html), created by the background
+// worker. It owns the tutor engine, so one session keeps going across pages and tabs.
+const engine = new TutorEngine();
+
+// Side panels (one per window) connect a port each and all see the same session
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== ENGINE_PORT_NAME) return;
+  const unsubscribe = engine.subscribe((state) => {
+    const event: EngineEvent = { type: 'state', state };
+    port.postMessage(event);
+  });
+  port.onMessage.addListener((command: PanelCommand) => engine.handleCommand(command));
+  port.onDisconnect.addListener(unsubscribe);
+});
+
+// Highlights and checked answers on the page come straight from the content scripts
+chrome.runtime.onMessage.addListener((message: PageSelectionMessage | AnswerSubmittedMessage) => {
+  if (message.type === 'PAGE_SELECTION') engine.handlePageSelection(message.context);
+  if (message.type === 'ANSWER_SUBMITTED') engine.handleAnswerSubmitted(message.event);
+});
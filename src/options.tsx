@@ -0,0 +1,13 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import OptionsPage from './options/OptionsPage';
+
+// Entry point for the extension's options page (options.html)
+const container = document.getElementById('root');
+if (container) {
+  createRoot(container).render(
+    <React.StrictMode>
+      <OptionsPage />
+    </React.StrictMode>
+  );
+}
@@ -0,0 +1,259 @@
+import React, { useState, useEffect } from 'react';
+import {
+    DEFAULT_SERVER_URL,
+    loadServerUrl,
+    saveServerUrl,
+    normalizeServerUrl,
+    loadAccessToken,
+    saveAccessToken,
+    loadProactiveHints,
+    saveProactiveHints,
+    withAccessToken
+} from '../settings';
+import { SUPPORTED_VERSIONS, SERVER_MESSAGES, encodeControlMessage, decodeControlMessage } from '../../shared/protocol';
+
+const OptionsPage = () => {
+    const [serverUrl, setServerUrl] = useState('');
+    const [accessToken, setAccessToken] = useState('');
+    const [status, setStatus] = useState<{ ok: boolean; text: string } | null>(null);
+    const [micStatus, setMicStatus] = useState<{ ok: boolean; text: string } | null>(null);
+    const [cameraStatus, setCameraStatus] = useState<{ ok: boolean; text: string } | null>(null);
+    const [proactiveHints, setProactiveHints] = useState(true);
+
+    useEffect(() => {
+        loadServerUrl().then(setServerUrl);
+        loadAccessToken().then(setAccessToken);
+        loadProactiveHints().then(setProactiveHints);
+    }, []);
+
+    const save = async (event: React.FormEvent) => {
+        event.preventDefault();
+        const normalized = normalizeServerUrl(serverUrl);
+        if (!normalized) {
+            setStatus({ ok: false, text: 'Enter a server address like ws://localhost:3001' });
+            return;
+        }
+        try {
+            await saveServerUrl(normalized);
+            await saveAccessToken(accessToken);
+            setServerUrl(normalized);
+            setAccessToken(accessToken.trim());
+            setStatus({ ok: true, text: 'Saved. New sessions will use this server.' });
+        } catch (error: any) {
+            setStatus({ ok: false, text: `Could not save: ${error.message}` });
+        }
+    };
+
+    const testConnection = () => {
+        const normalized = normalizeServerUrl(serverUrl);
+        if (!normalized) {
+            setStatus({ ok: false, text: 'Enter a server address like ws://localhost:3001' });
+            return;
+        }
+        setStatus({ ok: true, text: 'Checking...' });
+
+        // Do the same handshake the panel does and wait for the server's `welcome`
+        const socket = new WebSocket(withAccessToken(normalized, accessToken.trim()));
+        const timer = setTimeout(() => {
+            socket.close();
+            setStatus({ ok: false, text: `❌ No answer from ${normalized}. Is the server running?` });
+        }, 5000);
+        socket.onopen = () => {
+            socket.send(encodeControlMessage({ type: 'hello', payload: { protocolVersions: SUPPORTED_VERSIONS } }));
+        };
+        socket.onmessage = (event) => {
+            clearTimeout(timer);
+            socket.close();
+            try {
+                const message = decodeControlMessage(event.data, SERVER_MESSAGES);
+                if (message.type === 'welcome') {
+                    setStatus({ ok: true, text: `✅ Connected to the tutor server (protocol v${message.payload.protocolVersion}).` });
+                } else if (message.payload?.code === 'unauthorized') {
+                    setStatus({ ok: false, text: `🔒 The server didn't accept the access token. ${accessToken.trim() ? 'Check that it was copied correctly.' : 'Enter the token you were given.'}` });
+                } else {
+                    setStatus({ ok: false, text: `The server refused the connection: ${message.payload?.message || message.type}` });
+                }
+            } catch (error) {
+                setStatus({ ok: false, text: 'That address answered, but it is not a Voyage tutor server.' });
+            }
+        };
+        socket.onerror = () => {
+            clearTimeout(timer);
+            setStatus({ ok: false, text: `❌ Couldn't reach ${normalized}. Is the server running?` });
+        };
+    };
+
+    // The tutor records from an offscreen document, which can't ask for the microphone itself.
+    // Granting it once here, on a normal extension page, covers the whole extension.
+    const allowMicrophone = async () => {
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            stream.getTracks().forEach(track => track.stop());
+            setMicStatus({ ok: true, text: '✅ Microphone allowed. You can start a voice session from the tutor panel.' });
+        } catch (error: any) {
+            setMicStatus({
+                ok: false,
+                text: error.name === 'NotAllowedError'
+                    ? 'Microphone access was blocked. Click the icon at the end of the address bar to allow it, then try again.'
+                    : `Could not use the microphone: ${error.message}`
+            });
+        }
+    };
+
+    // The side panel can't show a permission prompt either, so "Show My Paper" sends students here
+    const allowCamera = async () => {
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({ video: true });
+            stream.getTracks().forEach(track => track.stop());
+            setCameraStatus({ ok: true, text: '✅ Camera allowed. Use "Show My Paper" in the tutor panel to share your written work.' });
+        } catch (error: any) {
+            setCameraStatus({
+                ok: false,
+                text: error.name === 'NotAllowedError'
+                    ? 'Camera access was blocked. Click the icon at the end of the address bar to allow it, then try again.'
+                    : `Could not use the camera: ${error.message}`
+            });
+        }
+    };
+
+    return (
+        <div style={{ fontFamily: 'Arial, sans-serif', fontSize: '14px', color: '#333' }}>
+            {/* Header */}
+            <div style={{
+                backgroundColor: '#4285f4',
+                color: 'white',
+                padding: '12px 20px',
+                fontWeight: 'bold',
+                fontSize: '16px',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px'
+            }}>
+                <span>🎓</span>
+                Voyage AI Tutor - Settings
+            </div>
+
+            <form onSubmit={save} style={{ padding: '20px', maxWidth: '520px' }}>
+                <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '6px' }}>
+                    Tutor server
+                </label>
+                <input
+                    type="text"
+                    value={serverUrl}
+                    onChange={(event) => setServerUrl(event.target.value)}
+                    placeholder={DEFAULT_SERVER_URL}
+                    style={{ width: '100%', padding: '8px', fontSize: '14px', border: '1px solid #ccc', borderRadius: '4px', boxSizing: 'border-box' }}
+                />
+                <div style={{ fontSize: '12px', color: '#666', margin: '6px 0 12px' }}>
+                    The WebSocket address of the Voyage tutor server. Use <code>wss://</code> for a server behind HTTPS.
+                </div>
+                <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '6px' }}>
+                    Access token
+                </label>
+                <input
+                    type="password"
+                    value={accessToken}
+                    onChange={(event) => setAccessToken(event.target.value)}
+                    placeholder="vt_..."
+                    autoComplete="off"
+                    style={{ width: '100%', padding: '8px', fontSize: '14px', border: '1px solid #ccc', borderRadius: '4px', boxSizing: 'border-box' }}
+                />
+                <div style={{ fontSize: '12px', color: '#666', margin: '6px 0 12px' }}>
+                    The token your teacher or the server's admin gave you. Leave it empty if the server doesn't require one.
+                </div>
+                <div style={{ display: 'flex', gap: '8px' }}>
+                    <button
+                        type="submit"
+                        style={{ padding: '8px 16px', backgroundColor: '#4285f4', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+                    >
+                        Save
+                    </button>
+                    <button
+                        type="button"
+                        onClick={testConnection}
+                        style={{ padding: '8px 16px', backgroundColor: '#f1f3f4', color: '#333', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+                    >
+                        Test Connection
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => setServerUrl(DEFAULT_SERVER_URL)}
+                        style={{ padding: '8px 16px', backgroundColor: 'white', color: '#666', border: '1px solid #ddd', borderRadius: '4px', cursor: 'pointer' }}
+                    >
+                        Reset to Default
+                    </button>
+                </div>
+                {status && (
+                    <div style={{ marginTop: '12px', fontSize: '13px', color: status.ok ? '#2e7d32' : '#c62828' }}>
+                        {status.text}
+                    </div>
+                )}
+            </form>
+
+            <div style={{ padding: '0 20px 20px', maxWidth: '520px' }}>
+                <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '6px' }}>
+                    Microphone
+                </label>
+                <div style={{ fontSize: '12px', color: '#666', marginBottom: '12px' }}>
+                    Voice sessions need permission to use your microphone. You only have to allow it once.
+                </div>
+                <button
+                    type="button"
+                    onClick={allowMicrophone}
+                    style={{ padding: '8px 16px', backgroundColor: '#f1f3f4', color: '#333', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+                >
+                    🎙️ Allow Microphone
+                </button>
+                {micStatus && (
+                    <div style={{ marginTop: '12px', fontSize: '13px', color: micStatus.ok ? '#2e7d32' : '#c62828' }}>
+                        {micStatus.text}
+                    </div>
+                )}
+            </div>
+
+            <div style={{ padding: '0 20px 20px', maxWidth: '520px' }}>
+                <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '6px' }}>
+                    Camera
+                </label>
+                <div style={{ fontSize: '12px', color: '#666', marginBottom: '12px' }}>
+                    "Show My Paper" uses your camera to photograph work you did on paper. Nothing is recorded until you take a photo.
+                </div>
+                <button
+                    type="button"
+                    onClick={allowCamera}
+                    style={{ padding: '8px 16px', backgroundColor: '#f1f3f4', color: '#333', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+                >
+                    📷 Allow Camera
+                </button>
+                {cameraStatus && (
+                    <div style={{ marginTop: '12px', fontSize: '13px', color: cameraStatus.ok ? '#2e7d32' : '#c62828' }}>
+                        {cameraStatus.text}
+                    </div>
+                )}
+            </div>
+
+            <div style={{ padding: '0 20px 20px', maxWidth: '520px' }}>
+                <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '6px' }}>
+                    Practice Sites
+                </label>
+                <div style={{ fontSize: '12px', color: '#666', marginBottom: '12px' }}>
+                    On Khan Academy, IXL and DeltaMath, the tutor can see when you submit an answer and whether the site marked it right.
+                    If you get the same problem wrong a few times, it offers a hint without being asked.
+                </div>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px' }}>
+                    <input
+                        type="checkbox"
+                        checked={proactiveHints}
+                        onChange={(event) => {
+                            setProactiveHints(event.target.checked);
+                            saveProactiveHints(event.target.checked);
+                        }}
+                    />
+                    💡 Share my answers on practice sites and offer hints
+                </label>
+            </div>
+        </div>
+    );
+};
+
+export default OptionsPage;
@@ -0,0 +1,168 @@
+// Reads the problem the student is working on straight from the page DOM so the
+// tutor gets exact text and equations instead of having to read a screenshot.
+// Looks at the current selection (or the focused field) and the block around it:
+// its text, any math it contains (KaTeX, MathJax or plain MathML) and nearby
+// input fields with what the student has typed so far.
+
+export type PageMath = { format: 'latex' | 'mathml'; source: string };
+export type PageInput = { label: string; type: string; value: string };
+
+export type PageContext = {
+    url: string;
+    title: string;
+    selectedText: string | null;
+    problemText: string | null;
+    math: PageMath[];
+    inputs: PageInput[];
+};
+
+const PANEL_ROOT_ID = 'voyage-ai-tutor-root';
+const MAX_TEXT_LENGTH = 1500;
+const MAX_MATH_ITEMS = 10;
+const MAX_MATH_SOURCE_LENGTH = 2000;
+const MAX_INPUTS = 15;
+const MAX_ANCESTOR_STEPS = 6;
+const MIN_PROBLEM_TEXT_LENGTH = 200;
+
+const truncate = (text: string, limit: number) => text.length > limit ? `${text.slice(0, limit)}…` : text;
+const cleanText = (text: string | null | undefined) => (text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * True for anything the extension itself put on the page (the panel renders math too)
+ */
+const isOwnUi = (element: Element) => Boolean(element.closest(`#${PANEL_ROOT_ID}, [data-voyage-overlay]`));
+
+const isInViewport = (element: Element) => {
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && rect.bottom > 0 && rect.right > 0
+        && rect.top < window.innerHeight && rect.left < window.innerWidth;
+};
+
+const hasProblemContent = (element: Element) =>
+    Boolean(element.querySelector('math, .katex, mjx-container, script[type^="math/"], input, textarea, select'))
+    || cleanText(element.textContent).length >= MIN_PROBLEM_TEXT_LENGTH;
+
+/**
+ * Walk up from where the student is looking to the block that holds the whole problem
+ */
+const findProblemRoot = (start: Element | null): Element | null => {
+    let element = start;
+    for (let step = 0; element && element !== document.body && step < MAX_ANCESTOR_STEPS; step++) {
+        if (hasProblemContent(element)) return element;
+        element = element.parentElement;
+    }
+    return null;
+};
+
+const getSelectionElement = (): { text: string; element: Element | null } | null => {
+    const selection = window.getSelection();
+    const text = cleanText(selection?.toString());
+    if (!selection || !text || selection.rangeCount === 0) return null;
+    const node = selection.getRangeAt(0).commonAncestorContainer;
+    const element = node instanceof Element ? node : node.parentElement;
+    if (element && isOwnUi(element)) return null;
+    return { text, element };
+};
+
+const getFocusedField = (): Element | null => {
+    const active = document.activeElement;
+    if (!active || active === document.body || isOwnUi(active)) return null;
+    return active.matches('input, textarea, select, [contenteditable="true"]') ? active : null;
+};
+
+const extractMath = (scope: Element, onlyVisible: boolean): PageMath[] => {
+    const math: PageMath[] = [];
+    const add = (format: PageMath['format'], source: string | null | undefined) => {
+        const cleaned = (source || '').trim();
+        if (cleaned && !math.some(item => item.source === cleaned)) {
+            math.push({ format, source: truncate(cleaned, MAX_MATH_SOURCE_LENGTH) });
+        }
+    };
+    const candidates = (selector: string) => Array.from(scope.querySelectorAll(selector))
+        .filter(element => !isOwnUi(element) && (!onlyVisible || isInViewport(element)));
+
+    // KaTeX keeps the original TeX in a MathML annotation
+    candidates('.katex').forEach(element => {
+        add('latex', element.querySelector('annotation[encoding="application/x-tex"]')?.textContent);
+    });
+
+    // MathJax 2 leaves the TeX or MathML source in script tags (which have no layout, so skip the visibility check)
+    Array.from(scope.querySelectorAll('script[type^="math/tex"], script[type^="math/mml"]')).forEach(script => {
+        add(script.getAttribute('type')?.startsWith('math/tex') ? 'latex' : 'mathml', script.textContent);
+    });
+
+    // MathJax 3 renders an assistive MathML copy next to its output
+    candidates('mjx-container').forEach(element => {
+        add('mathml', element.querySelector('mjx-assistive-mml math')?.outerHTML);
+    });
+
+    // Plain MathML that isn't part of KaTeX or MathJax output
+    candidates('math').forEach(element => {
+        if (element.closest('.katex, mjx-container')) return;
+        const tex = element.querySelector('annotation[encoding="application/x-tex"]')?.textContent;
+        if (tex) add('latex', tex);
+        else add('mathml', element.outerHTML);
+    });
+
+    return math.slice(0, MAX_MATH_ITEMS);
+};
+
+const labelFor = (field: HTMLElement): string => {
+    const ariaLabel = field.getAttribute('aria-label');
+    if (ariaLabel) return cleanText(ariaLabel);
+
+    const labelledBy = field.getAttribute('aria-labelledby');
+    if (labelledBy) {
+        const text = labelledBy.split(/\s+/).map(id => document.getElementById(id)?.textContent).join(' ');
+        if (cleanText(text)) return cleanText(text);
+    }
+
+    if (field.id) {
+        const label = document.querySelector(`label[for="${CSS.escape(field.id)}"]`);
+        if (label) return cleanText(label.textContent);
+    }
+
+    const wrappingLabel = field.closest('label');
+    if (wrappingLabel) return cleanText(wrappingLabel.textContent);
+
+    return cleanText(field.getAttribute('placeholder') || field.getAttribute('name') || '');
+};
+
+const extractInputs = (scope: Element, onlyVisible: boolean): PageInput[] => {
+    return Array.from(scope.querySelectorAll<HTMLElement>('input, textarea, select, [contenteditable="true"]'))
+        .filter(field => !isOwnUi(field) && (!onlyVisible || isInViewport(field)))
+        .filter(field => !(field instanceof HTMLInputElement) || !['password', 'hidden', 'submit', 'button', 'file'].includes(field.type))
+        .slice(0, MAX_INPUTS)
+        .map(field => {
+            if (field instanceof HTMLInputElement || field instanceof HTMLTextAreaElement || field instanceof HTMLSelectElement) {
+                const type = field instanceof HTMLInputElement ? field.type : field.tagName.toLowerCase();
+                const value = field instanceof HTMLInputElement && ['checkbox', 'radio'].includes(field.type)
+                    ? String(field.checked)
+                    : field.value;
+                return { label: labelFor(field), type, value: truncate(value, 500) };
+            }
+            return { label: labelFor(field), type: 'contenteditable', value: truncate(cleanText(field.textContent), 500) };
+        });
+};
+
+/**
+ * Extract the problem the student is working on from the page
+ */
+export const extractPageContext = (): PageContext => {
+    const selection = getSelectionElement();
+    const anchor = selection?.element || getFocusedField();
+    const problemRoot = findProblemRoot(anchor);
+
+    // Without a selection or focused field, fall back to whatever is on screen
+    const scope = problemRoot || document.body;
+    const onlyVisible = !problemRoot;
+
+    return {
+        url: window.location.href,
+        title: document.title,
+        selectedText: selection ? truncate(selection.text, MAX_TEXT_LENGTH) : null,
+        problemText: problemRoot ? truncate(cleanText((problemRoot as HTMLElement).innerText), MAX_TEXT_LENGTH) : null,
+        math: extractMath(scope, onlyVisible),
+        inputs: extractInputs(scope, onlyVisible)
+    };
+};
@@ -0,0 +1,300 @@
+// "Show my paper": finds a worksheet in a camera frame, flattens its perspective and
+// cleans it up so the tutor's vision model can read handwriting. Plain pixel math on
+// ImageData, so it runs in the side panel without a computer-vision library.
+
+export type Point = { x: number; y: number };
+
+// The sheet's corners as fractions of the frame: top-left, top-right, bottom-right, bottom-left
+export type PageCorners = [Point, Point, Point, Point];
+
+// Frames are scanned for the sheet at this width
+export const DETECT_WIDTH = 160;
+
+// The sheet must cover this much of the frame, and its bright region must fill the
+// four-cornered outline this well - a crumpled shape or a lamp in the corner isn't a page
+const MIN_PAGE_AREA = 0.15;
+const MAX_PAGE_AREA = 0.98;
+const MIN_PAGE_FILL = 0.85;
+
+// Corners that move less than this (as a fraction of the frame) are smoothed so the outline doesn't jitter
+const CORNER_SMOOTHING = 0.5;
+const MAX_SMOOTHED_JUMP = 0.05;
+
+// The flattened photo's longest side, in pixels
+const MAX_OUTPUT_SIDE = 1600;
+
+// Paper-white estimation: the frame is cut into blocks this size, and each block's
+// background is the brightness this far up its histogram (above most ink strokes)
+const BACKGROUND_BLOCK = 24;
+const BACKGROUND_PERCENTILE = 0.8;
+
+// After the paper is evened out, these levels become black and white
+const INK_LEVEL = 0.3;
+const PAPER_LEVEL = 0.88;
+
+const luminance = (r: number, g: number, b: number) => 0.299 * r + 0.587 * g + 0.114 * b;
+
+function grayscale(image: ImageData): Float32Array {
+    const { data, width, height } = image;
+    const gray = new Float32Array(width * height);
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = luminance(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+    }
+    return gray;
+}
+
+// 3x3 box blur, so paper texture and pen strokes don't break the sheet into pieces
+function blur(gray: Float32Array, width: number, height: number): Float32Array {
+    const out = new Float32Array(gray.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            let count = 0;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                    sum += gray[ny * width + nx];
+                    count++;
+                }
+            }
+            out[y * width + x] = sum / count;
+        }
+    }
+    return out;
+}
+
+// Otsu's method: the brightness that best splits the frame into two groups (page and desk)
+function otsuThreshold(gray: Float32Array): number {
+    const histogram = new Array(256).fill(0);
+    for (const value of gray) histogram[Math.min(255, Math.round(value))]++;
+    const total = gray.length;
+    const totalSum = histogram.reduce((sum, count, value) => sum + count * value, 0);
+
+    let best = 128;
+    let bestVariance = -1;
+    let backgroundCount = 0;
+    let backgroundSum = 0;
+    for (let t = 0; t < 256; t++) {
+        backgroundCount += histogram[t];
+        backgroundSum += histogram[t] * t;
+        const foregroundCount = total - backgroundCount;
+        if (backgroundCount === 0 || foregroundCount === 0) continue;
+        const meanDifference = backgroundSum / backgroundCount - (totalSum - backgroundSum) / foregroundCount;
+        const variance = backgroundCount * foregroundCount * meanDifference * meanDifference;
+        if (variance > bestVariance) {
+            bestVariance = variance;
+            best = t;
+        }
+    }
+    return best;
+}
+
+// Area of a polygon (shoelace formula)
+function polygonArea(points: Point[]): number {
+    let area = 0;
+    points.forEach((point, i) => {
+        const next = points[(i + 1) % points.length];
+        area += point.x * next.y - next.x * point.y;
+    });
+    return Math.abs(area) / 2;
+}
+
+function isConvex(corners: PageCorners): boolean {
+    let sign = 0;
+    for (let i = 0; i < 4; i++) {
+        const [a, b, c] = [corners[i], corners[(i + 1) % 4], corners[(i + 2) % 4]];
+        const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+        if (cross === 0) return false;
+        if (sign === 0) sign = Math.sign(cross);
+        else if (Math.sign(cross) !== sign) return false;
+    }
+    return true;
+}
+
+/**
+ * Find the sheet of paper in a small frame (about DETECT_WIDTH wide): the largest bright
+ * region, if it is big enough and four-cornered enough to be a page. Its corners are the
+ * region's extreme points along the diagonals. Returns null when there is no clear page.
+ */
+export function findPage(frame: ImageData): PageCorners | null {
+    const { width, height } = frame;
+    const gray = blur(grayscale(frame), width, height);
+    const threshold = otsuThreshold(gray);
+
+    // Largest connected bright region
+    const labels = new Int32Array(width * height).fill(-1);
+    const stack: number[] = [];
+    let best: { area: number; corners: PageCorners } | null = null;
+    for (let start = 0; start < labels.length; start++) {
+        if (labels[start] !== -1 || gray[start] <= threshold) continue;
+        labels[start] = start;
+        stack.push(start);
+        let area = 0;
+        // The region's extreme pixels along the two diagonals: x + y and x - y
+        let topLeft = start, topRight = start, bottomRight = start, bottomLeft = start;
+        let minSum = Infinity, maxSum = -Infinity, minDifference = Infinity, maxDifference = -Infinity;
+        while (stack.length > 0) {
+            const index = stack.pop()!;
+            area++;
+            const x = index % width;
+            const y = Math.floor(index / width);
+            if (x + y < minSum) { minSum = x + y; topLeft = index; }
+            if (x + y > maxSum) { maxSum = x + y; bottomRight = index; }
+            if (x - y > maxDifference) { maxDifference = x - y; topRight = index; }
+            if (x - y < minDifference) { minDifference = x - y; bottomLeft = index; }
+            const neighbors = [x > 0 ? index - 1 : -1, x < width - 1 ? index + 1 : -1, index - width, index + width];
+            for (const neighbor of neighbors) {
+                if (neighbor < 0 || neighbor >= labels.length) continue;
+                if (labels[neighbor] !== -1 || gray[neighbor] <= threshold) continue;
+                labels[neighbor] = start;
+                stack.push(neighbor);
+            }
+        }
+        if (!best || area > best.area) {
+            // Pixel centres, as fractions of the frame
+            const corner = (index: number) => ({ x: (index % width + 0.5) / width, y: (Math.floor(index / width) + 0.5) / height });
+            best = { area, corners: [corner(topLeft), corner(topRight), corner(bottomRight), corner(bottomLeft)] };
+        }
+    }
+    if (!best) return null;
+
+    const areaFraction = best.area / (width * height);
+    if (areaFraction < MIN_PAGE_AREA || areaFraction > MAX_PAGE_AREA) return null;
+    if (!isConvex(best.corners)) return null;
+    const outlineArea = polygonArea(best.corners);
+    if (outlineArea === 0 || areaFraction / outlineArea < MIN_PAGE_FILL) return null;
+    return best.corners;
+}
+
+/**
+ * Ease the outline toward newly found corners, so it doesn't shake with every frame.
+ * A big move (the student moved the page) jumps straight there.
+ */
+export function smoothCorners(previous: PageCorners | null, next: PageCorners | null): PageCorners | null {
+    if (!previous || !next) return next;
+    const jump = Math.max(...next.map((point, i) => Math.hypot(point.x - previous[i].x, point.y - previous[i].y)));
+    if (jump > MAX_SMOOTHED_JUMP) return next;
+    return next.map((point, i) => ({
+        x: previous[i].x + (point.x - previous[i].x) * CORNER_SMOOTHING,
+        y: previous[i].y + (point.y - previous[i].y) * CORNER_SMOOTHING
+    })) as PageCorners;
+}
+
+/**
+ * Map the unit square onto four corners (Heckbert's square-to-quad projective mapping).
+ * Returns (u, v) -> (x, y) with (0,0), (1,0), (1,1), (0,1) landing on the corners in order.
+ */
+function squareToQuad([p0, p1, p2, p3]: PageCorners) {
+    const sx = p0.x - p1.x + p2.x - p3.x;
+    const sy = p0.y - p1.y + p2.y - p3.y;
+    let a, b, d, e, g = 0, h = 0;
+    if (sx === 0 && sy === 0) {
+        // A parallelogram - no perspective to undo
+        a = p1.x - p0.x; b = p2.x - p1.x;
+        d = p1.y - p0.y; e = p2.y - p1.y;
+    } else {
+        const dx1 = p1.x - p2.x, dx2 = p3.x - p2.x;
+        const dy1 = p1.y - p2.y, dy2 = p3.y - p2.y;
+        const denominator = dx1 * dy2 - dx2 * dy1;
+        g = (sx * dy2 - dx2 * sy) / denominator;
+        h = (dx1 * sy - sx * dy1) / denominator;
+        a = p1.x - p0.x + g * p1.x; b = p3.x - p0.x + h * p3.x;
+        d = p1.y - p0.y + g * p1.y; e = p3.y - p0.y + h * p3.y;
+    }
+    return (u: number, v: number): Point => {
+        const w = g * u + h * v + 1;
+        return { x: (a * u + b * v + p0.x) / w, y: (d * u + e * v + p0.y) / w };
+    };
+}
+
+const distance = (a: Point, b: Point) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * Cut the page out of a full-size frame and flatten it into a rectangle, as if it had been
+ * photographed from straight above. Without corners the whole frame is kept, shrunk to size.
+ */
+export function flattenPage(frame: ImageData, corners: PageCorners | null): ImageData {
+    const { width, height, data } = frame;
+    const quad: PageCorners = corners
+        ? corners.map(point => ({ x: point.x * width, y: point.y * height })) as PageCorners
+        : [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+    const [topLeft, topRight, bottomRight, bottomLeft] = quad;
+
+    let outWidth = Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight));
+    let outHeight = Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight));
+    const scale = Math.min(1, MAX_OUTPUT_SIDE / Math.max(outWidth, outHeight));
+    outWidth = Math.max(1, Math.round(outWidth * scale));
+    outHeight = Math.max(1, Math.round(outHeight * scale));
+
+    const map = squareToQuad(quad);
+    const out = new ImageData(outWidth, outHeight);
+    for (let y = 0; y < outHeight; y++) {
+        for (let x = 0; x < outWidth; x++) {
+            // Bilinear sample of the source at the mapped point
+            const source = map((x + 0.5) / outWidth, (y + 0.5) / outHeight);
+            const sx = Math.min(width - 1, Math.max(0, source.x - 0.5));
+            const sy = Math.min(height - 1, Math.max(0, source.y - 0.5));
+            const x0 = Math.floor(sx), y0 = Math.floor(sy);
+            const x1 = Math.min(width - 1, x0 + 1), y1 = Math.min(height - 1, y0 + 1);
+            const fx = sx - x0, fy = sy - y0;
+            const target = (y * outWidth + x) * 4;
+            for (let channel = 0; channel < 3; channel++) {
+                const top = data[(y0 * width + x0) * 4 + channel] * (1 - fx) + data[(y0 * width + x1) * 4 + channel] * fx;
+                const bottom = data[(y1 * width + x0) * 4 + channel] * (1 - fx) + data[(y1 * width + x1) * 4 + channel] * fx;
+                out.data[target + channel] = top * (1 - fy) + bottom * fy;
+            }
+            out.data[target + 3] = 255;
+        }
+    }
+    return out;
+}
+
+/**
+ * Even out shadows and lighting, then push the paper to white and the ink toward black.
+ * Colours are kept, so red corrections and highlighter still show.
+ */
+export function enhanceContrast(image: ImageData): ImageData {
+    const { width, height, data } = image;
+    const gray = grayscale(image);
+
+    // How white the paper is in each block
+    const columns = Math.ceil(width / BACKGROUND_BLOCK);
+    const rows = Math.ceil(height / BACKGROUND_BLOCK);
+    const blocks = new Float32Array(columns * rows);
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const values: number[] = [];
+            for (let y = row * BACKGROUND_BLOCK; y < Math.min(height, (row + 1) * BACKGROUND_BLOCK); y += 2) {
+                for (let x = column * BACKGROUND_BLOCK; x < Math.min(width, (column + 1) * BACKGROUND_BLOCK); x += 2) {
+                    values.push(gray[y * width + x]);
+                }
+            }
+            values.sort((a, b) => a - b);
+            blocks[row * columns + column] = Math.max(1, values[Math.floor((values.length - 1) * BACKGROUND_PERCENTILE)]);
+        }
+    }
+    // Soften block edges before spreading the estimate back over the pixels
+    const background = blur(blocks, columns, rows);
+
+    const out = new ImageData(width, height);
+    for (let y = 0; y < height; y++) {
+        const by = Math.min(rows - 1, Math.max(0, (y + 0.5) / BACKGROUND_BLOCK - 0.5));
+        const row0 = Math.floor(by), row1 = Math.min(rows - 1, row0 + 1), fy = by - row0;
+        for (let x = 0; x < width; x++) {
+            const bx = Math.min(columns - 1, Math.max(0, (x + 0.5) / BACKGROUND_BLOCK - 0.5));
+            const column0 = Math.floor(bx), column1 = Math.min(columns - 1, column0 + 1), fx = bx - column0;
+            const paper =
+                (background[row0 * columns + column0] * (1 - fx) + background[row0 * columns + column1] * fx) * (1 - fy) +
+                (background[row1 * columns + column0] * (1 - fx) + background[row1 * columns + column1] * fx) * fy;
+            const index = (y * width + x) * 4;
+            for (let channel = 0; channel < 3; channel++) {
+                const level = (data[index + channel] / paper - INK_LEVEL) / (PAPER_LEVEL - INK_LEVEL);
+                out.data[index + channel] = Math.round(255 * Math.min(1, Math.max(0, level)));
+            }
+            out.data[index + 3] = 255;
+        }
+    }
+    return out;
+}
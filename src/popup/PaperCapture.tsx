@@ -0,0 +1,177 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { DETECT_WIDTH, PageCorners, enhanceContrast, findPage, flattenPage, smoothCorners } from '../paper';
+
+// "Show my paper": a live camera preview that outlines the worksheet it finds, then a
+// flattened, high-contrast photo of it for the tutor to read (see src/paper.ts).
+
+type Props = {
+    canSend: boolean;
+    onSend: (imageData: string) => void; // base64 PNG of the cleaned-up page
+    onClose: () => void;
+};
+
+// How often the preview is scanned for the page
+const DETECT_INTERVAL_MS = 250;
+
+const buttonStyle: React.CSSProperties = {
+    width: 'auto',
+    padding: '4px 8px',
+    backgroundColor: 'white',
+    color: '#333',
+    border: '1px solid #ccc',
+    borderRadius: '4px',
+    fontSize: '11px',
+    cursor: 'pointer'
+};
+
+const PaperCapture = ({ canSend, onSend, onClose }: Props) => {
+    const videoRef = useRef<HTMLVideoElement>(null);
+    const cornersRef = useRef<PageCorners | null>(null);
+    const [isLive, setIsLive] = useState(false);
+    const [corners, setCorners] = useState<PageCorners | null>(null);
+    const [photo, setPhoto] = useState<string | null>(null);
+    const [error, setError] = useState('');
+    const [needsPermission, setNeedsPermission] = useState(false);
+
+    // Open the camera (the back one on tablets) for as long as the capture is showing
+    useEffect(() => {
+        let stream: MediaStream | null = null;
+        let closed = false;
+        navigator.mediaDevices.getUserMedia({
+            video: { facingMode: 'environment', width: { ideal: 1920 }, height: { ideal: 1080 } },
+            audio: false
+        }).then(async (opened) => {
+            stream = opened;
+            if (closed || !videoRef.current) return;
+            videoRef.current.srcObject = opened;
+            await videoRef.current.play();
+            setIsLive(true);
+        }).catch((cameraError: any) => {
+            console.error('❌ Camera error:', cameraError);
+            setNeedsPermission(cameraError.name === 'NotAllowedError');
+            setError(cameraError.name === 'NotAllowedError'
+                ? 'Camera access is blocked. Allow it once on the settings page, then try again.'
+                : cameraError.name === 'NotFoundError'
+                    ? 'No camera was found. Plug one in, or take a screenshot instead.'
+                    : `Could not start the camera: ${cameraError.message}`);
+        });
+        return () => {
+            closed = true;
+            stream?.getTracks().forEach(track => track.stop());
+        };
+    }, []);
+
+    // Look for the page a few times a second while the preview is showing
+    useEffect(() => {
+        if (!isLive || photo) return;
+        const canvas = document.createElement('canvas');
+        const timer = setInterval(() => {
+            const video = videoRef.current;
+            if (!video?.videoWidth) return;
+            canvas.width = DETECT_WIDTH;
+            canvas.height = Math.round(DETECT_WIDTH * video.videoHeight / video.videoWidth);
+            const context = canvas.getContext('2d', { willReadFrequently: true })!;
+            context.drawImage(video, 0, 0, canvas.width, canvas.height);
+            cornersRef.current = smoothCorners(cornersRef.current, findPage(context.getImageData(0, 0, canvas.width, canvas.height)));
+            setCorners(cornersRef.current);
+        }, DETECT_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [isLive, photo]);
+
+    // Take the full-size frame, flatten the page found in it and clean it up
+    const capture = () => {
+        const video = videoRef.current;
+        if (!video?.videoWidth) return;
+        const canvas = document.createElement('canvas');
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        const context = canvas.getContext('2d', { willReadFrequently: true })!;
+        context.drawImage(video, 0, 0);
+        const page = enhanceContrast(flattenPage(context.getImageData(0, 0, canvas.width, canvas.height), cornersRef.current));
+        canvas.width = page.width;
+        canvas.height = page.height;
+        context.putImageData(page, 0, 0);
+        setPhoto(canvas.toDataURL('image/png').split(',')[1]);
+    };
+
+    if (error) {
+        return (
+            <div style={{ marginBottom: '12px', fontSize: '12px', color: '#c62828' }}>
+                📷 {error}
+                <div style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+                    {needsPermission && (
+                        <button onClick={() => chrome.runtime.openOptionsPage()} style={buttonStyle}>📷 Allow Camera</button>
+                    )}
+                    <button onClick={onClose} style={buttonStyle}>Close</button>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div style={{ marginBottom: '12px' }}>
+            <div style={{ position: 'relative', display: photo ? 'none' : 'block', marginBottom: '6px' }}>
+                <video
+                    ref={videoRef}
+                    muted
+                    playsInline
+                    style={{ width: '100%', display: 'block', borderRadius: '4px', backgroundColor: '#222', minHeight: '80px' }}
+                />
+                {corners && (
+                    <svg
+                        viewBox="0 0 1 1"
+                        preserveAspectRatio="none"
+                        style={{ position: 'absolute', top: 0, left: 0, width: '100%', height: '100%', pointerEvents: 'none' }}
+                    >
+                        <polygon
+                            points={corners.map(point => `${point.x},${point.y}`).join(' ')}
+                            fill="rgba(52, 168, 83, 0.15)"
+                            stroke="#34a853"
+                            strokeWidth={2}
+                            vectorEffect="non-scaling-stroke"
+                        />
+                    </svg>
+                )}
+            </div>
+            {photo && (
+                <img
+                    src={`data:image/png;base64,${photo}`}
+                    alt="Your paper, flattened"
+                    style={{ width: '100%', maxHeight: '320px', objectFit: 'contain', border: '1px solid #ddd', borderRadius: '4px', display: 'block', marginBottom: '6px' }}
+                />
+            )}
+            <div style={{ fontSize: '11px', color: '#666', marginBottom: '6px' }}>
+                {photo ? 'Can you read your writing? If not, retake it closer or in better light.'
+                    : !isLive ? 'Starting the camera...'
+                    : corners ? '✅ Found your page - hold still and take the photo.'
+                    : 'Point the camera at your paper. A darker table behind it helps find the edges.'}
+            </div>
+            <div style={{ display: 'flex', gap: '6px' }}>
+                <button onClick={onClose} style={buttonStyle}>Close</button>
+                {photo ? (
+                    <>
+                        <button onClick={() => setPhoto(null)} style={buttonStyle}>↩ Retake</button>
+                        <button
+                            onClick={() => onSend(photo)}
+                            disabled={!canSend}
+                            title={canSend ? 'Show the tutor your work' : 'Start a session to send your paper'}
+                            style={{ ...buttonStyle, marginLeft: 'auto', backgroundColor: canSend ? '#34a853' : '#ccc', color: 'white', border: 'none' }}
+                        >
+                            📤 Send to Tutor
+                        </button>
+                    </>
+                ) : (
+                    <button
+                        onClick={capture}
+                        disabled={!isLive}
+                        style={{ ...buttonStyle, marginLeft: 'auto', backgroundColor: isLive ? '#1a73e8' : '#ccc', color: 'white', border: 'none' }}
+                    >
+                        📸 Take Photo
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default PaperCapture;
@@ -1,415 +1,171 @@
-import React, { useState, useEffect, useRef } from 'react';
-
-// Chrome extension API type declaration
-declare const chrome: {
-    runtime: {
-        getURL: (path: string) => string;
-        sendMessage: (message: any, callback: (response: any) => void) => void;
-        lastError?: Error;
-    };
+import React, { useState, useEffect } from 'react';
+import Transcript from './Transcript';
+import ProfileSettings from './ProfileSettings';
+import Whiteboard from './Whiteboard';
+import PaperCapture from './PaperCapture';
+import QuizPanel from './QuizPanel';
+import { useTutorEngine } from './useTutorEngine';
+import { TutorProfile, DEFAULT_PROFILE, loadProfile, saveProfile } from '../profile';
+import { loadServerUrl, loadAccessToken } from '../settings';
+import type { PageContext } from '../pageContext';
+
+// The tab the side panel is showing, for screenshots and page context
+const getActiveTab = async () => {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.id) throw new Error('No active tab');
+    return tab as chrome.tabs.Tab & { id: number };
 };
 
+/**
+ * The tutor's side panel. The session itself runs in the offscreen engine, so this only
+ * renders its state and turns clicks into commands - closing the panel doesn't end it.
+ */
 const Popup = () => {
-    const [isRecording, setIsRecording] = useState(false);
-    const [isLoading, setIsLoading] = useState(false);
-    const [error, setError] = useState('');
-    const [isTutorSpeaking, setIsTutorSpeaking] = useState(false);
-    const [isAiCurrentlySpeaking, setIsAiCurrentlySpeaking] = useState(false);
-    const [isUserSpeaking, setIsUserSpeaking] = useState(false);
+    const { state, send } = useTutorEngine();
+    const {
+        isRecording,
+        isLoading,
+        isMicEnabled,
+        isUserSpeaking,
+        isTutorSpeaking,
+        connectionStatus,
+        connectionNotice,
+        calibrationStatus,
+        pageContextSummary,
+        hint,
+        transcript,
+        whiteboard,
+        quiz,
+        handRaised,
+        teacherMessage,
+        needsMicPermission
+    } = state;
+    const [panelError, setPanelError] = useState(''); // Failures in the panel itself, e.g. reading the page
     const [screenshot, setScreenshot] = useState<string | null>(null);
-
-    const ws = useRef<WebSocket | null>(null);
-    const audioContextRef = useRef<AudioContext | null>(null);
-    const workletNodeRef = useRef<AudioWorkletNode | null>(null);
-    const streamRef = useRef<MediaStream | null>(null);
-    
-    // Audio playback queue and streaming player
-    const audioQueueRef = useRef<Float32Array[]>([]);
-    const isPlayingRef = useRef<boolean>(false);
-    const aiSpeechTimeoutRef = useRef<NodeJS.Timeout | null>(null);
+    const [profile, setProfile] = useState<TutorProfile>(DEFAULT_PROFILE);
+    const [chatInput, setChatInput] = useState('');
+    const [isMuted, setIsMuted] = useState(false);
+    const [showWhiteboard, setShowWhiteboard] = useState(false);
+    const [showPaper, setShowPaper] = useState(false);
+    const error = panelError || state.error;
 
     useEffect(() => {
-        return () => {
-            // Cleanup on unmount
-            if (ws.current) ws.current.close();
-            if (audioContextRef.current) {
-                audioContextRef.current.close();
-            }
-            if (aiSpeechTimeoutRef.current) {
-                clearTimeout(aiSpeechTimeoutRef.current);
-            }
-        };
+        loadProfile().then(setProfile);
     }, []);
 
-    // Convert base64 PCM to Float32Array for playback
-    const convertPCMToFloat32 = (base64Data: string): Float32Array | null => {
-        try {
-            const binaryString = atob(base64Data);
-            const bytes = new Uint8Array(binaryString.length);
-            for (let i = 0; i < binaryString.length; i++) {
-                bytes[i] = binaryString.charCodeAt(i);
-            }
-            
-            const pcmData = new Int16Array(bytes.buffer);
-            const float32Data = new Float32Array(pcmData.length);
-            
-            for (let i = 0; i < pcmData.length; i++) {
-                float32Data[i] = pcmData[i] / 32768.0;
-            }
-            
-            return float32Data;
-        } catch (error) {
-            console.error('Error converting PCM data:', error);
-            return null;
-        }
+    // Open the whiteboard as soon as the tutor draws on it
+    useEffect(() => {
+        if (whiteboard.items.length > 0) setShowWhiteboard(true);
+    }, [whiteboard.revision]);
+
+    const handleProfileChange = (next: TutorProfile) => {
+        setProfile(next);
+        saveProfile(next);
     };
 
     /**
-     * Streaming playback processor - plays one chunk and automatically continues to the next
-     * This creates a self-perpetuating loop that ensures no audio chunks are lost
+     * Connect to the tutor. Without the microphone the session is typed-only (text chat mode).
      */
-    const processPlaybackQueue = () => {
-        if (audioQueueRef.current.length === 0 || !audioContextRef.current) {
-            console.log('🔇 Playback queue empty - AI finished speaking');
-            isPlayingRef.current = false;
-            setIsTutorSpeaking(false);
-            setIsAiCurrentlySpeaking(false);
-            return;
-        }
-
-        isPlayingRef.current = true;
-        setIsTutorSpeaking(true);
-        setIsAiCurrentlySpeaking(true);
+    const startSession = async (withMicrophone: boolean) => {
+        setPanelError('');
+        // The offscreen engine can't read chrome.storage, so the settings travel with the command
+        const [serverUrl, accessToken] = await Promise.all([loadServerUrl(), loadAccessToken()]);
+        send({ type: 'start', withMicrophone, profile, serverUrl, accessToken });
+    };
 
-        const audioData = audioQueueRef.current.shift();
-        if (!audioData) {
-            processPlaybackQueue(); // Safeguard - process next chunk
-            return;
+    const handleToggleRecording = async () => {
+        if (isRecording) {
+            send({ type: 'stop' });
+        } else {
+            await startSession(true);
         }
-
-        console.log(`🔊 Playing audio chunk: ${audioData.length} samples`);
-
-        // Create audio buffer with original Gemini sample rate (24kHz)
-        const audioBuffer = audioContextRef.current.createBuffer(1, audioData.length, 24000);
-        audioBuffer.getChannelData(0).set(audioData);
-
-        const source = audioContextRef.current.createBufferSource();
-        source.buffer = audioBuffer;
-        source.connect(audioContextRef.current.destination);
-        
-        // The key: onended automatically processes the next chunk
-        // This ensures continuous, gap-free playback
-        source.onended = () => {
-            console.log('📡 Audio chunk finished, processing next...');
-            processPlaybackQueue();
-        };
-        
-        source.start();
     };
 
-    // Handle messages from AudioWorklet (VAD events)
-    const handleWorkletMessage = (event: MessageEvent) => {
-        const { type, data } = event.data;
-        
-        switch (type) {
-            case 'speechStart':
-                console.log('🎤 User started speaking');
-                setIsUserSpeaking(true);
-                
-                // Barge-in: Simply clear the audio queue to interrupt AI
-                if (isTutorSpeaking || isAiCurrentlySpeaking) {
-                    console.log('🚫 User barge-in detected - clearing audio queue');
-                    stopAllPlayback();
-                }
-                break;
-                
-            case 'audioData':
-                // Send audio data to server using new agentic protocol
-                if (ws.current?.readyState === WebSocket.OPEN) {
-                    // Convert Float32Array to 16-bit PCM
-                    const pcmData = new Int16Array(data.length);
-                    for (let i = 0; i < data.length; i++) {
-                        pcmData[i] = Math.max(-32768, Math.min(32767, Math.floor(data[i] * 32768)));
-                    }
-                    
-                    // Convert to base64 and send using new protocol
-                    const base64Data = btoa(String.fromCharCode(...new Uint8Array(pcmData.buffer)));
-                    ws.current.send(JSON.stringify({
-                        type: 'audio',
-                        payload: base64Data
-                    }));
-                }
-                break;
-                
-            case 'speechEnd':
-                console.log('🔇 User finished speaking - sending end_of_utterance');
-                setIsUserSpeaking(false);
-                
-                // Send end_of_utterance signal to trigger agentic processing
-                if (ws.current?.readyState === WebSocket.OPEN) {
-                    ws.current.send(JSON.stringify({
-                        type: 'end_of_utterance'
-                    }));
-                }
-                break;
-                
-            default:
-                console.warn('Unknown worklet message type:', type);
-        }
+    // Send a typed message - the tutor answers in the transcript, and out loud unless muted
+    const handleSendText = (event: React.FormEvent) => {
+        event.preventDefault();
+        const text = chatInput.trim();
+        if (!text || !isRecording) return;
+        send({ type: 'text', text, muteAudio: isMuted });
+        setChatInput('');
     };
 
-    // Handle audio data from server with new protocol
-    const handleAudioDataFromServer = (data: any) => {
+    // Capture the tab, then let the student crop and mark it up on the page itself
+    const handleScreenshot = async () => {
+        setPanelError('');
         try {
-            const response = JSON.parse(data);
-            
-            if (response.type === 'audio') {
-                // If user is currently speaking (barge-in), ignore AI audio
-                if (isUserSpeaking) {
-                    console.log('🚫 Ignoring AI audio - user is speaking (barge-in)');
-                    return;
-                }
-
-                const audioData = convertPCMToFloat32(response.payload);
-                if (audioData) {
-                    console.log(`📥 Received audio chunk: ${audioData.length} samples`);
-                    audioQueueRef.current.push(audioData);
-                    
-                    // If playback loop isn't running, start it
-                    if (!isPlayingRef.current) {
-                        console.log('🔊 Starting playback loop');
-                        processPlaybackQueue();
-                    }
-                }
-            } else if (response.type === 'turn_complete') {
-                console.log('✅ Server indicated turn complete');
-            }
-        } catch (error) {
-            // Fallback for old format (raw base64 audio)
-            const audioData = convertPCMToFloat32(data);
-            if (audioData) {
-                console.log(`📥 Received audio chunk (legacy): ${audioData.length} samples`);
-                audioQueueRef.current.push(audioData);
-                
-                if (!isPlayingRef.current) {
-                    console.log('🔊 Starting playback loop');
-                    processPlaybackQueue();
-                }
+            const tab = await getActiveTab();
+            console.log('📷 Requesting screenshot...');
+            const response: { success: boolean; data?: string; error?: string } | undefined =
+                await chrome.runtime.sendMessage({ action: 'captureScreenshot' });
+            if (!response?.success || !response.data) {
+                throw new Error(response?.error || 'No response from background script');
             }
+
+            console.log('📷 Screenshot captured successfully - waiting for the student to pick a region');
+            const cropped: { data?: string } | undefined =
+                await chrome.tabs.sendMessage(tab.id, { type: 'CROP_SCREENSHOT', imageData: response.data });
+            if (!cropped?.data) return; // Cancelled
+
+            setScreenshot(cropped.data);
+            send({ type: 'image', data: cropped.data, source: 'screen' });
+        } catch (error: any) {
+            console.error('❌ Screenshot error:', error);
+            setPanelError('Failed to capture screenshot: ' + error.message);
         }
     };
 
-    // Simplified barge-in logic - just clear the queue
-    const stopAllPlayback = () => {
-        console.log('🛑 Stopping all playback');
-        audioQueueRef.current = []; // Clear queue
-        isPlayingRef.current = false;
-        setIsTutorSpeaking(false);
-        setIsAiCurrentlySpeaking(false);
-        
-        if (aiSpeechTimeoutRef.current) {
-            clearTimeout(aiSpeechTimeoutRef.current);
-            aiSpeechTimeoutRef.current = null;
+    // Ask the page's content script for the problem (selection, math source, input fields)
+    const sharePageContext = async () => {
+        setPanelError('');
+        try {
+            const tab = await getActiveTab();
+            const context: PageContext = await chrome.tabs.sendMessage(tab.id, { type: 'GET_PAGE_CONTEXT' });
+            send({ type: 'page_context', context });
+        } catch (error) {
+            console.error('❌ Could not read the page:', error);
+            setPanelError("Couldn't read this page. Reload it and try again (browser pages like chrome:// can't be read).");
         }
     };
 
-    const handleToggleRecording = async () => {
-        if (isRecording) {
-            // Stop recording
-            if (ws.current) {
-                ws.current.close();
-                ws.current = null;
-            }
-            
-            if (streamRef.current) {
-                streamRef.current.getTracks().forEach(track => track.stop());
-                streamRef.current = null;
-            }
-            
-            if (audioContextRef.current) {
-                await audioContextRef.current.close();
-                audioContextRef.current = null;
-            }
-            
-            workletNodeRef.current = null;
-            stopAllPlayback();
-            setIsRecording(false);
-            setIsAiCurrentlySpeaking(false);
-            setIsUserSpeaking(false);
-            setIsTutorSpeaking(false);
-            
-        } else {
-            // Start recording
-            setError('');
-            setIsLoading(true);
-
-            try {
-                // Get microphone access
-                const stream = await navigator.mediaDevices.getUserMedia({
-                    audio: {
-                        sampleRate: 16000,
-                        channelCount: 1,
-                        echoCancellation: true,
-                        noiseSuppression: true,
-                        autoGainControl: true
-                    }
-                });
-                streamRef.current = stream;
-
-                // Create WebSocket connection
-                ws.current = new WebSocket('ws://localhost:3001');
-                
-                ws.current.onopen = async () => {
-                    console.log('✅ WebSocket connected');
-                    setIsLoading(false);
-                    setIsRecording(true);
-                    
-                    // Handle audio data from server
-                    ws.current!.onmessage = (event) => {
-                        handleAudioDataFromServer(event.data);
-                    };
-                    
-                    ws.current!.onclose = () => {
-                        console.log('🔌 WebSocket disconnected');
-                    };
-                    
-                    ws.current!.onerror = (error) => {
-                        console.error('❌ WebSocket error:', error);
-                    };
-
-                            // Set up AudioContext and AudioWorklet
-        const audioContext = new AudioContext({ sampleRate: 16000 });
-        audioContextRef.current = audioContext;
-        
-        // Log the actual sample rate being used
-        console.log('🎵 AudioContext sample rate:', audioContext.sampleRate);
-
-                    try {
-                        // Load AudioWorklet processor
-                        console.log('📡 Loading AudioWorklet processor...');
-                        const workletUrl = chrome.runtime.getURL('audio-processor.js');
-                        await audioContext.audioWorklet.addModule(workletUrl);
-                        
-                        // Create AudioWorkletNode with VAD parameters
-                        const workletNode = new AudioWorkletNode(audioContext, 'audio-capture-processor', {
-                            processorOptions: {
-                                speechThreshold: 0.015,  // Lowered threshold to catch quieter speech
-                                silenceFrames: 188       // ~1.5 seconds of silence (188 frames * 128 samples/frame / 16000 Hz)
-                            }
-                        });
-                        
-                        workletNode.port.onmessage = handleWorkletMessage;
-                        workletNodeRef.current = workletNode;
-
-                        // Connect audio pipeline
-                        const source = audioContext.createMediaStreamSource(stream);
-                        source.connect(workletNode);
-                        // Note: Don't connect worklet to destination to avoid feedback
-                        
-                        console.log('✅ AudioWorklet VAD system ready');
-                        
-                    } catch (workletError) {
-                        console.error('❌ AudioWorklet setup failed:', workletError);
-                        throw workletError;
-                    }
-                };
-                
-                ws.current.onerror = (error) => {
-                    console.error('❌ WebSocket connection failed:', error);
-                    setError('Failed to connect to server. Make sure the server is running on port 3001.');
-                    setIsLoading(false);
-                };
-                
-            } catch (error: any) {
-                console.error('❌ Failed to start recording:', error);
-                setError(error.message || 'Failed to access microphone');
-                setIsLoading(false);
-            }
-        }
+    // Send the student's sketch (and the tutor's drawing under it) and ask the tutor to look
+    const handleSendWhiteboard = (imageData: string) => {
+        setScreenshot(imageData);
+        send({ type: 'image', data: imageData, source: 'whiteboard' });
+        send({ type: 'text', text: 'I sketched my work on the whiteboard. Can you take a look?', muteAudio: isMuted });
     };
 
-    const handleScreenshot = async () => {
-        try {
-            console.log('📷 Requesting screenshot...');
-            
-            // Send message to background script to capture screenshot
-            const response = await new Promise<{success: boolean, data?: string, error?: string}>((resolve, reject) => {
-                chrome.runtime.sendMessage({
-                    action: 'captureScreenshot'
-                }, (response) => {
-                    // Check if chrome.runtime.lastError occurred
-                    if (chrome.runtime.lastError) {
-                        console.error('❌ Chrome runtime error:', chrome.runtime.lastError);
-                        reject(new Error(chrome.runtime.lastError.message));
-                        return;
-                    }
-                    
-                    // Check if response is undefined (common issue)
-                    if (!response) {
-                        console.error('❌ No response from background script');
-                        reject(new Error('No response from background script'));
-                        return;
-                    }
-                    
-                    console.log('📷 Background script response:', response);
-                    resolve(response);
-                });
-            });
-            
-            if (response.success && response.data) {
-                console.log('📷 Screenshot captured successfully');
-                setScreenshot(response.data);
-                
-                // Send screenshot to server using new agentic protocol
-                if (ws.current?.readyState === WebSocket.OPEN) {
-                    ws.current.send(JSON.stringify({
-                        type: 'image',
-                        payload: {
-                            mimeType: 'image/png',
-                            data: response.data
-                        }
-                    }));
-                    console.log('📷 Screenshot sent to agentic server');
-                } else {
-                    console.warn('⚠️ WebSocket not connected, screenshot not sent to AI');
-                }
-            } else {
-                console.error('❌ Screenshot capture failed:', response.error);
-                setError(response.error || 'Failed to capture screenshot');
-            }
-        } catch (error: any) {
-            console.error('❌ Screenshot error:', error);
-            setError('Failed to capture screenshot: ' + error.message);
-        }
+    // Send the flattened photo of the student's paper and ask the tutor to find the mistake
+    const handleSendPaper = (imageData: string) => {
+        setScreenshot(imageData);
+        setShowPaper(false);
+        send({ type: 'image', data: imageData, source: 'paper' });
+        send({ type: 'text', text: "Here's a photo of my work on paper. Can you read my steps and tell me where I went wrong?", muteAudio: isMuted });
     };
 
-    const forceResumeMicrophone = () => {
-        console.log('🔧 Force resuming microphone...');
-        stopAllPlayback();
-        setIsAiCurrentlySpeaking(false);
-        setIsUserSpeaking(false);
-        setIsTutorSpeaking(false);
+    const openHistory = () => {
+        chrome.runtime.sendMessage({ action: 'openHistory' });
     };
 
-    // Debug function to force end speech
-    const forceEndSpeech = () => {
-        console.log('🔧 Force ending speech (manual test)...');
-        if (workletNodeRef.current) {
-            workletNodeRef.current.port.postMessage({ type: 'forceEnd' });
-        }
+    const openProgress = () => {
+        chrome.runtime.sendMessage({ action: 'openProgress' });
     };
 
+    const connectionState = isRecording ? connectionStatus?.state : null;
+    const connectionLabel =
+        connectionState === 'connected' ? (isMicEnabled ? 'Connected' : 'Connected (text only)')
+        : connectionState === 'reconnecting' ? `Reconnecting...${connectionStatus!.attempt ? ` (attempt ${connectionStatus!.attempt})` : ''}`
+        : connectionState === 'connecting' ? 'Connecting...'
+        : 'Disconnected';
+    const connectionColor =
+        connectionState === 'connected' ? '#34a853'
+        : connectionState === 'reconnecting' || connectionState === 'connecting' ? '#fbbc04'
+        : '#ea4335';
+
     return (
         <div style={{
-            position: 'fixed',
-            top: '20px',
-            right: '20px',
-            width: '320px',
+            minHeight: '100vh',
             backgroundColor: 'white',
-            border: '2px solid #4285f4',
-            borderRadius: '12px',
-            boxShadow: '0 4px 20px rgba(0,0,0,0.15)',
-            zIndex: 10000,
             fontFamily: 'Arial, sans-serif',
             fontSize: '14px'
         }}>
@@ -418,7 +174,6 @@ const Popup = () => {
                 backgroundColor: '#4285f4',
                 color: 'white',
                 padding: '12px 16px',
-                borderRadius: '10px 10px 0 0',
                 fontWeight: 'bold',
                 display: 'flex',
                 alignItems: 'center',
@@ -426,6 +181,39 @@ const Popup = () => {
             }}>
                 <span>🎓</span>
                 Voyage AI Tutor
+                <button
+                    onClick={openProgress}
+                    title="See which skills you've mastered"
+                    style={{
+                        marginLeft: 'auto',
+                        width: 'auto',
+                        background: 'none',
+                        border: '1px solid rgba(255,255,255,0.6)',
+                        borderRadius: '4px',
+                        color: 'white',
+                        fontSize: '11px',
+                        padding: '2px 8px',
+                        cursor: 'pointer'
+                    }}
+                >
+                    📈 Progress
+                </button>
+                <button
+                    onClick={openHistory}
+                    title="Review past sessions"
+                    style={{
+                        width: 'auto',
+                        background: 'none',
+                        border: '1px solid rgba(255,255,255,0.6)',
+                        borderRadius: '4px',
+                        color: 'white',
+                        fontSize: '11px',
+                        padding: '2px 8px',
+                        cursor: 'pointer'
+                    }}
+                >
+                    📚 History
+                </button>
             </div>
 
             {/* Content */}
@@ -442,10 +230,24 @@ const Popup = () => {
                             width: '8px', 
                             height: '8px', 
                             borderRadius: '50%', 
-                            backgroundColor: isRecording ? '#34a853' : '#ea4335' 
+                            backgroundColor: connectionColor
                         }}></span>
-                        <span>{isRecording ? 'Connected' : 'Disconnected'}</span>
+                        <span>{connectionLabel}</span>
+                        {isRecording && connectionStatus?.state === 'offline' && (
+                            <button
+                                onClick={() => send({ type: 'retry' })}
+                                style={{ padding: '2px 8px', fontSize: '11px', border: '1px solid #ccc', borderRadius: '4px', background: 'white', cursor: 'pointer' }}
+                            >
+                                Retry
+                            </button>
+                        )}
                     </div>
+
+                    {connectionNotice && (
+                        <div style={{ color: '#e37400', fontSize: '11px' }}>
+                            ⚠️ {connectionNotice}
+                        </div>
+                    )}
                     
                     {isUserSpeaking && (
                         <div style={{ color: '#1976d2', fontSize: '11px' }}>
@@ -460,6 +262,9 @@ const Popup = () => {
                     )}
                 </div>
 
+                {/* Grade, teaching mode, language and voice */}
+                <ProfileSettings profile={profile} onChange={handleProfileChange} disabled={isRecording || isLoading} />
+
                 {/* Main button */}
                 <button
                     onClick={handleToggleRecording}
@@ -481,6 +286,27 @@ const Popup = () => {
                     {isLoading ? 'Connecting...' : isRecording ? '🛑 Stop Session' : '🎙️ Start Voice Session'}
                 </button>
 
+                {/* Silent session for libraries and classrooms */}
+                {!isRecording && (
+                    <button
+                        onClick={() => startSession(false)}
+                        disabled={isLoading}
+                        style={{
+                            width: '100%',
+                            padding: '8px',
+                            backgroundColor: 'white',
+                            color: '#4285f4',
+                            border: '1px solid #4285f4',
+                            borderRadius: '6px',
+                            fontSize: '12px',
+                            cursor: isLoading ? 'not-allowed' : 'pointer',
+                            marginBottom: '12px'
+                        }}
+                    >
+                        ⌨️ Start Text-Only Session
+                    </button>
+                )}
+
                 {/* Screenshot button */}
                 <button
                     onClick={handleScreenshot}
@@ -500,11 +326,112 @@ const Popup = () => {
                     📷 Share Screenshot with AI
                 </button>
 
+                {/* Page text button */}
+                <button
+                    onClick={sharePageContext}
+                    disabled={!isRecording}
+                    style={{
+                        width: '100%',
+                        padding: '8px',
+                        backgroundColor: isRecording ? '#00897b' : '#ccc',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '6px',
+                        fontSize: '12px',
+                        cursor: isRecording ? 'pointer' : 'not-allowed',
+                        marginBottom: pageContextSummary ? '4px' : '12px'
+                    }}
+                >
+                    📄 Share Problem Text from Page
+                </button>
+                {pageContextSummary && (
+                    <div style={{ fontSize: '11px', color: '#666', marginBottom: '12px' }}>
+                        {pageContextSummary}
+                    </div>
+                )}
+
+                {/* Classroom mode: ask the teacher for help */}
+                {isRecording && (
+                    <button
+                        onClick={() => send({ type: 'raise_hand', raised: !handRaised })}
+                        style={{
+                            width: '100%',
+                            padding: '8px',
+                            backgroundColor: handRaised ? '#ea4335' : 'white',
+                            color: handRaised ? 'white' : '#ea4335',
+                            border: '1px solid #ea4335',
+                            borderRadius: '6px',
+                            fontSize: '12px',
+                            cursor: 'pointer',
+                            marginBottom: '12px'
+                        }}
+                    >
+                        ✋ {handRaised ? 'Hand Raised - Click to Lower' : 'Raise Hand for Your Teacher'}
+                    </button>
+                )}
+
+                {/* Practice quiz */}
+                <QuizPanel quiz={quiz} isRecording={isRecording} send={send} />
+
+                {/* Whiteboard button */}
+                <button
+                    onClick={() => setShowWhiteboard(!showWhiteboard)}
+                    style={{
+                        width: '100%',
+                        padding: '8px',
+                        backgroundColor: showWhiteboard ? '#5e35b1' : 'white',
+                        color: showWhiteboard ? 'white' : '#5e35b1',
+                        border: '1px solid #5e35b1',
+                        borderRadius: '6px',
+                        fontSize: '12px',
+                        cursor: 'pointer',
+                        marginBottom: '12px'
+                    }}
+                >
+                    📐 {showWhiteboard ? 'Hide Whiteboard' : 'Show Whiteboard'}
+                </button>
+
+                {/* Shared whiteboard */}
+                {showWhiteboard && (
+                    <Whiteboard
+                        board={whiteboard}
+                        canSend={isRecording}
+                        onSend={handleSendWhiteboard}
+                        onClear={() => send({ type: 'clear_whiteboard' })}
+                    />
+                )}
+
+                {/* Camera photo of written work */}
+                <button
+                    onClick={() => setShowPaper(!showPaper)}
+                    style={{
+                        width: '100%',
+                        padding: '8px',
+                        backgroundColor: showPaper ? '#1a73e8' : 'white',
+                        color: showPaper ? 'white' : '#1a73e8',
+                        border: '1px solid #1a73e8',
+                        borderRadius: '6px',
+                        fontSize: '12px',
+                        cursor: 'pointer',
+                        marginBottom: '12px'
+                    }}
+                >
+                    📝 {showPaper ? 'Put Camera Away' : 'Show My Paper'}
+                </button>
+
+                {showPaper && (
+                    <PaperCapture
+                        canSend={isRecording}
+                        onSend={handleSendPaper}
+                        onClose={() => setShowPaper(false)}
+                    />
+                )}
+
                 {/* Screenshot preview */}
                 {screenshot && (
                     <div style={{ marginBottom: '12px' }}>
                         <div style={{ fontSize: '11px', color: '#666', marginBottom: '4px' }}>
-                            Last screenshot sent:
+                            What the tutor sees:
                         </div>
                         <img 
                             src={`data:image/png;base64,${screenshot}`}
@@ -520,13 +447,155 @@ const Popup = () => {
                     </div>
                 )}
 
+                {/* Message or hint from the teacher's dashboard */}
+                {teacherMessage && (
+                    <div style={{
+                        backgroundColor: '#e8f0fe',
+                        border: '1px solid #aecbfa',
+                        borderRadius: '4px',
+                        padding: '8px',
+                        fontSize: '12px',
+                        marginBottom: '12px',
+                        display: 'flex',
+                        alignItems: 'flex-start',
+                        gap: '8px'
+                    }}>
+                        <span>🧑‍🏫</span>
+                        <span style={{ flex: 1 }}>
+                            <strong>{teacherMessage.from || 'Your teacher'}{teacherMessage.kind === 'hint' ? ' sent a hint' : ''}:</strong>{' '}
+                            {teacherMessage.text}
+                        </span>
+                        <button
+                            onClick={() => send({ type: 'dismiss_teacher_message' })}
+                            style={{
+                                background: 'none',
+                                border: 'none',
+                                color: '#666',
+                                cursor: 'pointer',
+                                fontSize: '12px',
+                                padding: 0,
+                                width: 'auto'
+                            }}
+                        >
+                            ✕
+                        </button>
+                    </div>
+                )}
+
+                {/* Hint from the tutor */}
+                {hint && (
+                    <div style={{
+                        backgroundColor: '#fff8e1',
+                        border: '1px solid #ffe082',
+                        borderRadius: '4px',
+                        padding: '8px',
+                        fontSize: '12px',
+                        marginBottom: '12px',
+                        display: 'flex',
+                        alignItems: 'flex-start',
+                        gap: '8px'
+                    }}>
+                        <span>💡</span>
+                        <span style={{ flex: 1 }}>{hint.text}</span>
+                        <button
+                            onClick={() => send({ type: 'dismiss_hint' })}
+                            style={{
+                                background: 'none',
+                                border: 'none',
+                                color: '#666',
+                                cursor: 'pointer',
+                                fontSize: '12px',
+                                padding: 0,
+                                width: 'auto'
+                            }}
+                        >
+                            ✕
+                        </button>
+                    </div>
+                )}
+
+                {/* Live transcript of both sides */}
+                <Transcript entries={transcript} />
+
+                {/* Typed chat */}
+                {isRecording && (
+                    <form onSubmit={handleSendText} style={{ marginBottom: '12px' }}>
+                        <div style={{ display: 'flex', gap: '6px', marginBottom: '4px' }}>
+                            <input
+                                type="text"
+                                value={chatInput}
+                                onChange={(event) => setChatInput(event.target.value)}
+                                placeholder="Type a question..."
+                                style={{
+                                    flex: 1,
+                                    padding: '6px 8px',
+                                    border: '1px solid #ccc',
+                                    borderRadius: '4px',
+                                    fontSize: '12px'
+                                }}
+                            />
+                            <button
+                                type="submit"
+                                disabled={!chatInput.trim()}
+                                style={{
+                                    width: 'auto',
+                                    padding: '6px 12px',
+                                    backgroundColor: chatInput.trim() ? '#4285f4' : '#ccc',
+                                    color: 'white',
+                                    border: 'none',
+                                    borderRadius: '4px',
+                                    fontSize: '12px',
+                                    cursor: chatInput.trim() ? 'pointer' : 'not-allowed'
+                                }}
+                            >
+                                Send
+                            </button>
+                        </div>
+                        <label style={{ fontSize: '11px', color: '#666', display: 'flex', alignItems: 'center', gap: '4px' }}>
+                            <input
+                                type="checkbox"
+                                checked={isMuted}
+                                onChange={(event) => setIsMuted(event.target.checked)}
+                            />
+                            🔇 Mute tutor voice for typed questions
+                        </label>
+                    </form>
+                )}
+
+                {/* Mic calibration */}
+                {isRecording && isMicEnabled && (
+                    <div style={{ marginBottom: '12px' }}>
+                        <button
+                            onClick={() => send({ type: 'calibrate' })}
+                            disabled={isUserSpeaking}
+                            style={{
+                                width: '100%',
+                                padding: '6px',
+                                backgroundColor: '#f1f3f4',
+                                color: '#333',
+                                border: 'none',
+                                borderRadius: '4px',
+                                fontSize: '12px',
+                                cursor: isUserSpeaking ? 'not-allowed' : 'pointer'
+                            }}
+                        >
+                            🎚️ Calibrate Mic for Background Noise
+                        </button>
+                        {calibrationStatus && (
+                            <div style={{ fontSize: '11px', color: '#666', marginTop: '4px' }}>
+                                {calibrationStatus}
+                            </div>
+                        )}
+                    </div>
+                )}
+
                 {/* Debug buttons */}
                 {isRecording && (
                     <div style={{ marginBottom: '12px', display: 'flex', gap: '8px' }}>
                         {/* Force resume button (emergency) */}
-                        {(isTutorSpeaking || isAiCurrentlySpeaking) && (
+                        {isTutorSpeaking && (
                             <button 
-                                onClick={forceResumeMicrophone}
+                                onClick={() => send({ type: 'force_resume_mic' })}
                                 style={{
                                     padding: '6px 12px',
                                     backgroundColor: '#ff9800',
@@ -545,7 +614,7 @@ const Popup = () => {
                         {/* Force end speech button (debug) */}
                         {isUserSpeaking && (
                             <button 
-                                onClick={forceEndSpeech}
+                                onClick={() => send({ type: 'force_end_speech' })}
                                 style={{
                                     padding: '6px 12px',
                                     backgroundColor: '#9c27b0',
@@ -574,6 +643,14 @@ const Popup = () => {
                         marginBottom: '8px'
                     }}>
                         ❌ {error}
+                        {needsMicPermission && (
+                            <button
+                                onClick={() => chrome.runtime.openOptionsPage()}
+                                style={{ display: 'block', marginTop: '6px', padding: '4px 10px', fontSize: '11px', border: '1px solid #c62828', borderRadius: '4px', background: 'white', color: '#c62828', cursor: 'pointer' }}
+                            >
+                                🎙️ Allow Microphone
+                            </button>
+                        )}
                     </div>
                 )}
 
@@ -587,10 +664,21 @@ const Popup = () => {
                         💡 <strong>How to use:</strong>
                     </p>
                     <ul style={{ margin: 0, paddingLeft: '16px' }}>
+                        <li>Pick your grade and how you like to learn under ⚙️</li>
                         <li>Click "Start Voice Session" to begin</li>
+                        <li>Can't talk out loud? Start a text-only session and type instead</li>
                         <li>Speak naturally - the AI will respond with voice</li>
-                        <li>Share screenshots for visual help</li>
+                        <li>Share a screenshot, then drag a box around one problem and mark it up</li>
+                        <li>Highlight a problem on the page to share its exact text and equations</li>
+                        <li>Open the whiteboard to sketch your work and send it - the tutor draws there too</li>
+                        <li>Working on paper? "Show My Paper" takes a flat, clear photo of it for the tutor to check</li>
+                        <li>Take a practice quiz, or ask for "five more like this one"</li>
+                        <li>On Khan Academy, IXL or DeltaMath, the tutor offers a hint if you miss the same problem a few times (you can turn this off in the extension options)</li>
+                        <li>Stuck in class? Raise your hand and your teacher sees it on their dashboard</li>
                         <li>The AI can see and discuss your screen content</li>
+                        <li>Scroll the transcript to re-read an explanation</li>
+                        <li>Your session keeps going when you switch tabs or open another page</li>
+                        <li>Open "History" to review past sessions, and "Progress" to see the skills you've mastered</li>
                     </ul>
                 </div>
             </div>
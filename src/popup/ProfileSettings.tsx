@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import {
+    TutorProfile,
+    GRADE_BAND_OPTIONS,
+    TEACHING_MODE_OPTIONS,
+    LANGUAGE_OPTIONS,
+    VOICE_OPTIONS
+} from '../profile';
+
+type Props = {
+    profile: TutorProfile;
+    onChange: (profile: TutorProfile) => void;
+    disabled: boolean; // The profile is fixed once a session has started
+};
+
+const labelOf = (options: { id: string; label: string }[], id: string) =>
+    options.find(option => option.id === id)?.label || id;
+
+const ProfileSettings = ({ profile, onChange, disabled }: Props) => {
+    const [isOpen, setIsOpen] = useState(false);
+
+    const field = (label: string, key: keyof TutorProfile, options: { id: string; label: string }[]) => (
+        <label style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px', marginBottom: '6px' }}>
+            <span>{label}</span>
+            <select
+                value={profile[key]}
+                disabled={disabled}
+                onChange={(event) => onChange({ ...profile, [key]: event.target.value })}
+                style={{ flex: 1, maxWidth: '170px', padding: '4px', fontSize: '12px', borderRadius: '4px', border: '1px solid #ccc' }}
+            >
+                {options.map(option => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+            </select>
+        </label>
+    );
+
+    const mode = TEACHING_MODE_OPTIONS.find(option => option.id === profile.mode);
+
+    return (
+        <div style={{ marginBottom: '12px', fontSize: '12px' }}>
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                style={{
+                    width: '100%',
+                    padding: '6px 8px',
+                    backgroundColor: '#f1f3f4',
+                    color: '#333',
+                    border: 'none',
+                    borderRadius: '4px',
+                    fontSize: '12px',
+                    textAlign: 'left',
+                    cursor: 'pointer'
+                }}
+            >
+                ⚙️ {labelOf(GRADE_BAND_OPTIONS, profile.gradeBand)} · {mode?.label || profile.mode} · {labelOf(LANGUAGE_OPTIONS, profile.language)} {isOpen ? '▴' : '▾'}
+            </button>
+            {isOpen && (
+                <div style={{ padding: '8px 4px 0' }}>
+                    {field('Grade', 'gradeBand', GRADE_BAND_OPTIONS)}
+                    {field('Teaching', 'mode', TEACHING_MODE_OPTIONS)}
+                    {mode && <div style={{ fontSize: '11px', color: '#666', margin: '-2px 0 6px' }}>{mode.description}</div>}
+                    {field('Language', 'language', LANGUAGE_OPTIONS)}
+                    {field('Voice', 'voice', VOICE_OPTIONS)}
+                    {disabled && (
+                        <div style={{ fontSize: '11px', color: '#666' }}>Stop the session to change these settings.</div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ProfileSettings;
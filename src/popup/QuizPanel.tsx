@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import { TutorText } from './Transcript';
+import { QUIZ_TOPIC_OPTIONS, QUIZ_LENGTH_OPTIONS, QuizState } from '../quiz';
+import type { PanelCommand } from '../engine/messages';
+
+// Quiz mode in the panel: pick a topic (or paste a problem to get more like it), answer
+// generated problems one at a time - typed here or said out loud - and see the score at the end.
+
+type Props = {
+    quiz: QuizState | null;
+    isRecording: boolean;
+    send: (command: PanelCommand) => void;
+};
+
+// Pseudo-topic for "more like this one"
+const LIKE_A_PROBLEM = 'like';
+
+const DIFFICULTY_LABELS = ['', 'Warm-up', 'Core', 'Challenge'];
+
+const buttonStyle = (color: string, enabled = true): React.CSSProperties => ({
+    width: 'auto',
+    padding: '6px 12px',
+    backgroundColor: enabled ? color : '#ccc',
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    fontSize: '12px',
+    cursor: enabled ? 'pointer' : 'not-allowed'
+});
+
+const inputStyle: React.CSSProperties = {
+    flex: 1,
+    padding: '6px 8px',
+    border: '1px solid #ccc',
+    borderRadius: '4px',
+    fontSize: '12px'
+};
+
+const QuizPanel = ({ quiz, isRecording, send }: Props) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [topic, setTopic] = useState(QUIZ_TOPIC_OPTIONS[0].id);
+    const [like, setLike] = useState('');
+    const [length, setLength] = useState(QUIZ_LENGTH_OPTIONS[0]);
+    const [answer, setAnswer] = useState('');
+
+    const canStart = isRecording && (topic !== LIKE_A_PROBLEM || Boolean(like.trim()));
+
+    const startQuiz = () => {
+        if (!canStart) return;
+        send(topic === LIKE_A_PROBLEM
+            ? { type: 'quiz_start', like: like.trim(), length }
+            : { type: 'quiz_start', topic, length });
+    };
+
+    const submitAnswer = (event: React.FormEvent) => {
+        event.preventDefault();
+        if (!answer.trim()) return;
+        send({ type: 'quiz_answer', answer });
+        setAnswer('');
+    };
+
+    const boxStyle: React.CSSProperties = {
+        border: '1px solid #c5cae9',
+        backgroundColor: '#f5f6fc',
+        borderRadius: '6px',
+        padding: '10px',
+        marginBottom: '12px',
+        fontSize: '12px'
+    };
+
+    // Summary at the end of a quiz
+    if (quiz?.summary) {
+        const { summary } = quiz;
+        return (
+            <div style={boxStyle}>
+                <div style={{ fontWeight: 'bold', fontSize: '14px', marginBottom: '6px' }}>
+                    🏁 {summary.score} of {summary.total} right · {summary.label}
+                </div>
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', marginBottom: '8px' }}>
+                    {summary.results.map(result => (
+                        <div key={result.index}>
+                            {result.correct ? '✅' : '❌'} <TutorText text={result.prompt} />
+                            {!result.correct && <span style={{ color: '#666' }}> - answer: {result.expected}</span>}
+                        </div>
+                    ))}
+                </div>
+                <div style={{ display: 'flex', gap: '6px' }}>
+                    <button
+                        onClick={() => send({ type: 'quiz_start', topic: summary.topic, length: summary.length })}
+                        disabled={!isRecording}
+                        style={buttonStyle('#3949ab', isRecording)}
+                    >
+                        🔁 Practice Again
+                    </button>
+                    <button onClick={() => send({ type: 'dismiss_quiz' })} style={{ ...buttonStyle('#757575') }}>
+                        Done
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
+    // A problem waiting for an answer
+    if (quiz?.problem) {
+        const { problem, lastResult } = quiz;
+        return (
+            <div style={boxStyle}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', color: '#3949ab', marginBottom: '6px' }}>
+                    <span>🎯 {problem.label} · Problem {problem.index} of {problem.total}</span>
+                    <span>{DIFFICULTY_LABELS[problem.difficulty]}</span>
+                </div>
+                {lastResult && (
+                    <div style={{ color: lastResult.correct ? '#2e7d32' : '#c62828', marginBottom: '6px' }}>
+                        {lastResult.correct ? '✅' : '❌'} {lastResult.feedback}
+                        {!lastResult.correct && ` The answer was ${lastResult.expected}.`}
+                    </div>
+                )}
+                <div style={{ fontSize: '14px', marginBottom: '8px' }}>
+                    <TutorText text={problem.prompt} />
+                </div>
+                <form onSubmit={submitAnswer} style={{ display: 'flex', gap: '6px', marginBottom: '4px' }}>
+                    <input
+                        type="text"
+                        value={answer}
+                        onChange={(event) => setAnswer(event.target.value)}
+                        placeholder="Your answer, e.g. 3/4 or x = 5"
+                        style={inputStyle}
+                    />
+                    <button type="submit" disabled={!answer.trim()} style={buttonStyle('#3949ab', Boolean(answer.trim()))}>
+                        Check
+                    </button>
+                </form>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', color: '#666', fontSize: '11px' }}>
+                    <span>Or say your answer out loud</span>
+                    <button
+                        onClick={() => send({ type: 'quiz_stop' })}
+                        style={{ background: 'none', border: 'none', color: '#666', textDecoration: 'underline', cursor: 'pointer', fontSize: '11px', padding: 0, width: 'auto' }}
+                    >
+                        End quiz
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
+    // Setup
+    return (
+        <div style={{ marginBottom: '12px' }}>
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                style={{
+                    width: '100%',
+                    padding: '8px',
+                    backgroundColor: isOpen ? '#3949ab' : 'white',
+                    color: isOpen ? 'white' : '#3949ab',
+                    border: '1px solid #3949ab',
+                    borderRadius: '6px',
+                    fontSize: '12px',
+                    cursor: 'pointer',
+                    marginBottom: isOpen ? '8px' : 0
+                }}
+            >
+                🎯 Practice Quiz
+            </button>
+            {isOpen && (
+                <div style={boxStyle}>
+                    <div style={{ display: 'flex', gap: '6px', marginBottom: '6px' }}>
+                        <select value={topic} onChange={(event) => setTopic(event.target.value)} style={inputStyle}>
+                            {QUIZ_TOPIC_OPTIONS.map(option => (
+                                <option key={option.id} value={option.id}>{option.label}</option>
+                            ))}
+                            <option value={LIKE_A_PROBLEM}>More like a problem...</option>
+                        </select>
+                        <select value={length} onChange={(event) => setLength(Number(event.target.value))} style={{ ...inputStyle, flex: 'none' }}>
+                            {QUIZ_LENGTH_OPTIONS.map(option => (
+                                <option key={option} value={option}>{option} problems</option>
+                            ))}
+                        </select>
+                    </div>
+                    {topic === LIKE_A_PROBLEM && (
+                        <input
+                            type="text"
+                            value={like}
+                            onChange={(event) => setLike(event.target.value)}
+                            placeholder="Paste a problem, e.g. 2x + 3 = 11"
+                            style={{ ...inputStyle, width: '100%', boxSizing: 'border-box', marginBottom: '6px' }}
+                        />
+                    )}
+                    <button onClick={startQuiz} disabled={!canStart} style={{ ...buttonStyle('#3949ab', canStart), width: '100%' }}>
+                        {isRecording ? 'Start Quiz' : 'Start a session to take a quiz'}
+                    </button>
+                    <div style={{ color: '#666', fontSize: '11px', marginTop: '6px' }}>
+                        Problems get harder as you get them right, and easier if you miss one.
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default QuizPanel;
@@ -0,0 +1,71 @@
+import React, { useEffect, useRef } from 'react';
+import { splitMathSegments } from './mathText';
+import type { TranscriptEntry } from '../engine/messages';
+
+/**
+ * Tutor text with its math typeset
+ */
+export const TutorText = ({ text }: { text: string }) => (
+    <>
+        {splitMathSegments(text).map((segment, index) =>
+            segment.kind === 'text'
+                ? <span key={index}>{segment.text}</span>
+                : <span key={index} dangerouslySetInnerHTML={{ __html: segment.html }} />
+        )}
+    </>
+);
+
+const Transcript = ({ entries }: { entries: TranscriptEntry[] }) => {
+    const scrollRef = useRef<HTMLDivElement | null>(null);
+
+    // Keep the newest line in view as the conversation grows
+    useEffect(() => {
+        if (scrollRef.current) {
+            scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+        }
+    }, [entries]);
+
+    if (entries.length === 0) return null;
+
+    return (
+        <div style={{ marginBottom: '12px' }}>
+            <div style={{ fontSize: '11px', color: '#666', marginBottom: '4px' }}>
+                Transcript
+            </div>
+            <div
+                ref={scrollRef}
+                style={{
+                    maxHeight: '200px',
+                    overflowY: 'auto',
+                    border: '1px solid #ddd',
+                    borderRadius: '4px',
+                    padding: '8px',
+                    display: 'flex',
+                    flexDirection: 'column',
+                    gap: '6px'
+                }}
+            >
+                {entries.map((entry, index) => (
+                    <div
+                        key={index}
+                        style={{
+                            alignSelf: entry.role === 'student' ? 'flex-end' : 'flex-start',
+                            maxWidth: '85%',
+                            backgroundColor: entry.role === 'student' ? '#e3f2fd' : '#f3e5f5',
+                            color: '#333',
+                            borderRadius: '8px',
+                            padding: '6px 8px',
+                            fontSize: '12px',
+                            lineHeight: '1.4',
+                            opacity: entry.final ? 1 : 0.7
+                        }}
+                    >
+                        {entry.role === 'tutor' ? <TutorText text={entry.text} /> : entry.text}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default Transcript;
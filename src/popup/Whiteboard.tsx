@@ -0,0 +1,346 @@
+import React, { useState, useEffect, useRef } from 'react';
+import type { WhiteboardItem, WhiteboardPoint, WhiteboardState, WhiteboardView } from '../whiteboard';
+
+// Drawing board in the panel, shared by the student and the tutor. The tutor's drawing
+// arrives as draw commands (see src/whiteboard.ts); the student sketches on top with a pen
+// and sends the whole board to the tutor as an image.
+
+type Props = {
+    board: WhiteboardState;
+    canSend: boolean;
+    onSend: (imageData: string) => void; // base64 PNG of the board
+    onClear: () => void;
+};
+
+// Square drawing surface in canvas pixels, scaled to the panel's width by CSS
+const BOARD_SIZE = 600;
+const STUDENT_INK = '#333333';
+const COLORS: Record<string, string> = {
+    blue: '#1e88e5',
+    red: '#e53935',
+    green: '#43a047',
+    orange: '#fb8c00',
+    purple: '#8e24aa',
+    black: '#212121'
+};
+const LABEL_FONT = 'bold 18px Arial, sans-serif';
+const TICK_FONT = '13px Arial, sans-serif';
+const TARGET_TICKS = 10;
+
+const toCanvas = (view: WhiteboardView, [x, y]: WhiteboardPoint): WhiteboardPoint => [
+    (x - view.xMin) / (view.xMax - view.xMin) * BOARD_SIZE,
+    BOARD_SIZE - (y - view.yMin) / (view.yMax - view.yMin) * BOARD_SIZE
+];
+
+const toBoard = (view: WhiteboardView, [x, y]: WhiteboardPoint): WhiteboardPoint => [
+    view.xMin + x / BOARD_SIZE * (view.xMax - view.xMin),
+    view.yMin + (BOARD_SIZE - y) / BOARD_SIZE * (view.yMax - view.yMin)
+];
+
+// 1, 2 or 5 times a power of ten, giving about TARGET_TICKS ticks across the span
+const tickStep = (span: number) => {
+    const rough = span / TARGET_TICKS;
+    const power = 10 ** Math.floor(Math.log10(rough));
+    const step = [1, 2, 5, 10].find(multiple => multiple * power >= rough) || 10;
+    return step * power;
+};
+
+const ticks = (min: number, max: number) => {
+    const step = tickStep(max - min);
+    const values: number[] = [];
+    for (let value = Math.ceil(min / step) * step; value <= max + step / 1e6; value += step) {
+        values.push(Math.round(value / step) * step);
+    }
+    return values;
+};
+
+const formatTick = (value: number) => String(Number(value.toPrecision(6)));
+
+const drawAxes = (context: CanvasRenderingContext2D, view: WhiteboardView) => {
+    if (view.axes === 'none') return;
+    const [originX, originY] = toCanvas(view, [0, 0]);
+    // Keep the axes (and their numbers) on the board when zero is off to one side
+    const axisY = view.axes === 'number_line' ? BOARD_SIZE / 2 : Math.min(Math.max(originY, 0), BOARD_SIZE);
+    const axisX = Math.min(Math.max(originX, 0), BOARD_SIZE);
+
+    context.font = TICK_FONT;
+    context.lineWidth = 1;
+
+    if (view.axes === 'xy') {
+        context.strokeStyle = '#eeeeee';
+        for (const x of ticks(view.xMin, view.xMax)) {
+            const [px] = toCanvas(view, [x, 0]);
+            context.beginPath();
+            context.moveTo(px, 0);
+            context.lineTo(px, BOARD_SIZE);
+            context.stroke();
+        }
+        for (const y of ticks(view.yMin, view.yMax)) {
+            const [, py] = toCanvas(view, [0, y]);
+            context.beginPath();
+            context.moveTo(0, py);
+            context.lineTo(BOARD_SIZE, py);
+            context.stroke();
+        }
+    }
+
+    context.strokeStyle = '#757575';
+    context.fillStyle = '#757575';
+    context.lineWidth = 2;
+    context.beginPath();
+    context.moveTo(0, axisY);
+    context.lineTo(BOARD_SIZE, axisY);
+    if (view.axes === 'xy') {
+        context.moveTo(axisX, 0);
+        context.lineTo(axisX, BOARD_SIZE);
+    }
+    context.stroke();
+
+    context.textAlign = 'center';
+    context.textBaseline = 'top';
+    for (const x of ticks(view.xMin, view.xMax)) {
+        if (x === 0 && view.axes === 'xy') continue;
+        const [px] = toCanvas(view, [x, 0]);
+        context.beginPath();
+        context.moveTo(px, axisY - 5);
+        context.lineTo(px, axisY + 5);
+        context.stroke();
+        context.fillText(formatTick(x), px, Math.min(axisY + 8, BOARD_SIZE - 16));
+    }
+
+    if (view.axes === 'xy') {
+        context.textAlign = 'right';
+        context.textBaseline = 'middle';
+        for (const y of ticks(view.yMin, view.yMax)) {
+            if (y === 0) continue;
+            const [, py] = toCanvas(view, [0, y]);
+            context.beginPath();
+            context.moveTo(axisX - 5, py);
+            context.lineTo(axisX + 5, py);
+            context.stroke();
+            context.fillText(formatTick(y), Math.max(axisX - 8, 24), py);
+        }
+    }
+};
+
+const drawLabel = (context: CanvasRenderingContext2D, text: string, [x, y]: WhiteboardPoint, color: string) => {
+    context.font = LABEL_FONT;
+    context.fillStyle = color;
+    context.textAlign = 'left';
+    context.textBaseline = 'bottom';
+    context.fillText(text, x, y);
+};
+
+const drawItem = (context: CanvasRenderingContext2D, view: WhiteboardView, item: WhiteboardItem) => {
+    const color = COLORS[item.color] || COLORS.blue;
+    context.strokeStyle = color;
+    context.fillStyle = color;
+    context.lineWidth = 3;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+
+    switch (item.op) {
+        case 'point': {
+            const [x, y] = toCanvas(view, [item.x, item.y]);
+            context.beginPath();
+            context.arc(x, y, 6, 0, Math.PI * 2);
+            context.fill();
+            if (item.label) drawLabel(context, item.label, [x + 8, y - 8], color);
+            break;
+        }
+        case 'line': {
+            let from = item.from;
+            let to = item.to;
+            // Rays and lines run off the board; the canvas clips them
+            const reach = 4 * Math.max(view.xMax - view.xMin, view.yMax - view.yMin);
+            const length = Math.hypot(to[0] - from[0], to[1] - from[1]);
+            const unit: WhiteboardPoint = [(to[0] - from[0]) / length, (to[1] - from[1]) / length];
+            if (item.kind !== 'segment') to = [from[0] + unit[0] * reach, from[1] + unit[1] * reach];
+            if (item.kind === 'line') from = [from[0] - unit[0] * reach, from[1] - unit[1] * reach];
+            const [x1, y1] = toCanvas(view, from);
+            const [x2, y2] = toCanvas(view, to);
+            context.beginPath();
+            context.moveTo(x1, y1);
+            context.lineTo(x2, y2);
+            context.stroke();
+            if (item.label) {
+                const [mx, my] = toCanvas(view, [(item.from[0] + item.to[0]) / 2, (item.from[1] + item.to[1]) / 2]);
+                drawLabel(context, item.label, [mx + 8, my - 8], color);
+            }
+            break;
+        }
+        case 'curve': {
+            for (const segment of item.segments) {
+                context.beginPath();
+                segment.forEach((point, index) => {
+                    const [x, y] = toCanvas(view, point);
+                    if (index === 0) context.moveTo(x, y);
+                    else context.lineTo(x, y);
+                });
+                context.stroke();
+            }
+            const lastSegment = item.segments[item.segments.length - 1];
+            if (item.label && lastSegment) {
+                const [x, y] = toCanvas(view, lastSegment[lastSegment.length - 1]);
+                drawLabel(context, item.label, [Math.min(x, BOARD_SIZE - 100), Math.max(y, 24)], color);
+            }
+            break;
+        }
+        case 'circle': {
+            const [x, y] = toCanvas(view, item.center);
+            const radiusX = item.radius / (view.xMax - view.xMin) * BOARD_SIZE;
+            const radiusY = item.radius / (view.yMax - view.yMin) * BOARD_SIZE;
+            context.beginPath();
+            context.ellipse(x, y, radiusX, radiusY, 0, 0, Math.PI * 2);
+            if (item.fill) {
+                context.globalAlpha = 0.15;
+                context.fill();
+                context.globalAlpha = 1;
+            }
+            context.stroke();
+            if (item.label) drawLabel(context, item.label, [x + 6, y - 6], color);
+            break;
+        }
+        case 'polygon': {
+            context.beginPath();
+            item.points.forEach((point, index) => {
+                const [x, y] = toCanvas(view, point);
+                if (index === 0) context.moveTo(x, y);
+                else context.lineTo(x, y);
+            });
+            context.closePath();
+            if (item.fill) {
+                context.globalAlpha = 0.15;
+                context.fill();
+                context.globalAlpha = 1;
+            }
+            context.stroke();
+            if (item.label) {
+                const center: WhiteboardPoint = [
+                    item.points.reduce((sum, [x]) => sum + x, 0) / item.points.length,
+                    item.points.reduce((sum, [, y]) => sum + y, 0) / item.points.length
+                ];
+                drawLabel(context, item.label, toCanvas(view, center), color);
+            }
+            break;
+        }
+        case 'label':
+            drawLabel(context, item.text, toCanvas(view, [item.x, item.y]), color);
+            break;
+    }
+};
+
+const toolbarButtonStyle: React.CSSProperties = {
+    width: 'auto',
+    padding: '4px 8px',
+    backgroundColor: 'white',
+    color: '#333',
+    border: '1px solid #ccc',
+    borderRadius: '4px',
+    fontSize: '11px',
+    cursor: 'pointer'
+};
+
+const Whiteboard = ({ board, canSend, onSend, onClear }: Props) => {
+    // The student's pen strokes, in board coordinates so they line up with the tutor's drawing
+    const [strokes, setStrokes] = useState<WhiteboardPoint[][]>([]);
+    const [draftStroke, setDraftStroke] = useState<WhiteboardPoint[] | null>(null);
+    const canvasRef = useRef<HTMLCanvasElement | null>(null);
+
+    // A cleared board takes the student's sketch with it
+    useEffect(() => {
+        setStrokes([]);
+        setDraftStroke(null);
+    }, [board.boardId]);
+
+    useEffect(() => {
+        const context = canvasRef.current?.getContext('2d');
+        if (!context) return;
+        context.fillStyle = 'white';
+        context.fillRect(0, 0, BOARD_SIZE, BOARD_SIZE);
+        drawAxes(context, board.view);
+        board.items.forEach(item => drawItem(context, board.view, item));
+
+        context.strokeStyle = STUDENT_INK;
+        context.lineWidth = 3;
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+        for (const stroke of [...strokes, ...(draftStroke ? [draftStroke] : [])]) {
+            context.beginPath();
+            stroke.forEach((point, index) => {
+                const [x, y] = toCanvas(board.view, point);
+                if (index === 0) context.moveTo(x, y);
+                else context.lineTo(x, y);
+            });
+            // A single tap still leaves a dot
+            if (stroke.length === 1) context.lineTo(...toCanvas(board.view, stroke[0]));
+            context.stroke();
+        }
+    }, [board, strokes, draftStroke]);
+
+    const boardPoint = (event: React.PointerEvent<HTMLCanvasElement>): WhiteboardPoint => {
+        const rect = event.currentTarget.getBoundingClientRect();
+        const x = (event.clientX - rect.left) / rect.width * BOARD_SIZE;
+        const y = (event.clientY - rect.top) / rect.height * BOARD_SIZE;
+        return toBoard(board.view, [x, y]);
+    };
+
+    const handleSend = () => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        onSend(canvas.toDataURL('image/png').split(',')[1]);
+    };
+
+    return (
+        <div style={{ marginBottom: '12px' }}>
+            <canvas
+                ref={canvasRef}
+                width={BOARD_SIZE}
+                height={BOARD_SIZE}
+                onPointerDown={(event) => {
+                    event.currentTarget.setPointerCapture(event.pointerId);
+                    setDraftStroke([boardPoint(event)]);
+                }}
+                onPointerMove={(event) => {
+                    if (draftStroke) setDraftStroke([...draftStroke, boardPoint(event)]);
+                }}
+                onPointerUp={() => {
+                    if (draftStroke) setStrokes([...strokes, draftStroke]);
+                    setDraftStroke(null);
+                }}
+                style={{
+                    width: '100%',
+                    aspectRatio: '1',
+                    border: '1px solid #ddd',
+                    borderRadius: '4px',
+                    cursor: 'crosshair',
+                    touchAction: 'none',
+                    display: 'block',
+                    marginBottom: '6px'
+                }}
+            />
+            <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+                <button onClick={() => setStrokes(strokes.slice(0, -1))} disabled={strokes.length === 0} style={toolbarButtonStyle}>↩ Undo</button>
+                <button onClick={() => setStrokes([])} disabled={strokes.length === 0} style={toolbarButtonStyle}>Erase my sketch</button>
+                <button onClick={onClear} style={toolbarButtonStyle}>🧹 Clear board</button>
+                <button
+                    onClick={handleSend}
+                    disabled={!canSend}
+                    title={canSend ? 'Show the tutor your work' : 'Start a session to send your sketch'}
+                    style={{
+                        ...toolbarButtonStyle,
+                        marginLeft: 'auto',
+                        backgroundColor: canSend ? '#34a853' : '#ccc',
+                        color: 'white',
+                        border: 'none',
+                        cursor: canSend ? 'pointer' : 'not-allowed'
+                    }}
+                >
+                    📤 Send to Tutor
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default Whiteboard;
@@ -0,0 +1,101 @@
+import katex from 'katex';
+
+// Turns tutor transcript text into plain-text and math segments so formulas can be typeset.
+// Handles explicit LaTeX ($...$, \(...\), \[...\]), typed math like "x^2 + 3x = 10",
+// and the common ways math is spoken aloud ("x squared plus 3 equals 7").
+
+export type MathSegment =
+    | { kind: 'text'; text: string }
+    | { kind: 'math'; html: string };
+
+const LATEX_DELIMITED = /\$\$([^$]+)\$\$|\$([^$]+)\$|\\\((.+?)\\\)|\\\[(.+?)\\\]/g;
+
+// A single operand: 3, 2.5, x, 2x, 3xy, x^2, x², √16, (x, y)
+const ATOM = String.raw`√?\(?(?:\d+(?:\.\d+)?[a-zA-Z]{0,2}|[a-zA-Z])(?:\^\d+|[²³])?\)?`;
+const OPERATOR = String.raw`\s*(?:<=|>=|[+\-−*/×÷=<>≤≥])\s*`;
+const POWER_OR_ROOT = String.raw`√(?:\d+|[a-zA-Z])|(?:\d+|[a-zA-Z])(?:\^\d+|[²³])`;
+const INLINE_MATH = new RegExp(
+    String.raw`(?<![\w^])(?:${ATOM}(?:${OPERATOR}${ATOM})+|${POWER_OR_ROOT})(?![\w^])`,
+    'g'
+);
+
+const SPOKEN_OPERAND = String.raw`((?<![\w^])(?:\d+(?:\.\d+)?[a-zA-Z]?|[a-zA-Z])(?:\^\d+)?(?![\w^]))`;
+const SPOKEN_REPLACEMENTS: [RegExp, string][] = [
+    [/\b(\d+|[a-zA-Z])\s+squared\b/g, '$1^2'],
+    [/\b(\d+|[a-zA-Z])\s+cubed\b/g, '$1^3'],
+    [/\b(\d+|[a-zA-Z])\s+to the (?:power of\s+)?(\d+)(?:st|nd|rd|th)?(?: power)?\b/g, '$1^$2'],
+    [/\bsquare root of\s+(\d+|[a-zA-Z])\b/g, '√$1'],
+    [/\b(\d+)\s+over\s+(\d+)\b/g, '$1/$2'],
+    [/\b(\d+)\s+(?:times|multiplied by)\s+(\d+)\b/g, '$1 × $2'],
+    [/\b(\d+)\s+divided by\s+(\d+)\b/g, '$1 ÷ $2'],
+    [new RegExp(String.raw`${SPOKEN_OPERAND}\s+plus\s+${SPOKEN_OPERAND}`, 'g'), '$1 + $2'],
+    [new RegExp(String.raw`${SPOKEN_OPERAND}\s+minus\s+${SPOKEN_OPERAND}`, 'g'), '$1 - $2'],
+    [new RegExp(String.raw`${SPOKEN_OPERAND}\s+(?:equals|is equal to)\s+${SPOKEN_OPERAND}`, 'g'), '$1 = $2']
+];
+
+/**
+ * Rewrite spoken math ("x squared plus 3") into symbols ("x^2 + 3").
+ * Repeats until nothing changes so chains like "a plus b plus c" are fully rewritten.
+ */
+export const normalizeSpokenMath = (text: string): string => {
+    let current = text;
+    for (let pass = 0; pass < 5; pass++) {
+        const next = SPOKEN_REPLACEMENTS.reduce((acc, [pattern, replacement]) => acc.replace(pattern, replacement), current);
+        if (next === current) break;
+        current = next;
+    }
+    return current;
+};
+
+/**
+ * Convert a typed math expression to LaTeX
+ */
+export const toLatex = (expression: string): string => {
+    return expression
+        .replace(/−/g, '-')
+        .replace(/²/g, '^2')
+        .replace(/³/g, '^3')
+        .replace(/√\(([^)]+)\)/g, '\\sqrt{$1}')
+        .replace(/√(\d+(?:\.\d+)?|[a-zA-Z])/g, '\\sqrt{$1}')
+        .replace(/(\d+(?:\.\d+)?|[a-zA-Z])\s*\/\s*(\d+(?:\.\d+)?|[a-zA-Z])/g, '\\frac{$1}{$2}')
+        .replace(/\^(\d+)/g, '^{$1}')
+        .replace(/[*×]/g, ' \\times ')
+        .replace(/÷/g, ' \\div ')
+        .replace(/<=|≤/g, ' \\le ')
+        .replace(/>=|≥/g, ' \\ge ');
+};
+
+const renderLatex = (latex: string, displayMode = false): string => {
+    // MathML output is rendered natively by the browser, so no KaTeX fonts or CSS need injecting into the page
+    return katex.renderToString(latex, { output: 'mathml', throwOnError: false, displayMode });
+};
+
+const splitInlineMath = (text: string): MathSegment[] => {
+    const segments: MathSegment[] = [];
+    let lastIndex = 0;
+    for (const match of text.matchAll(INLINE_MATH)) {
+        const start = match.index ?? 0;
+        if (start > lastIndex) segments.push({ kind: 'text', text: text.slice(lastIndex, start) });
+        segments.push({ kind: 'math', html: renderLatex(toLatex(match[0])) });
+        lastIndex = start + match[0].length;
+    }
+    if (lastIndex < text.length) segments.push({ kind: 'text', text: text.slice(lastIndex) });
+    return segments;
+};
+
+/**
+ * Split tutor text into plain-text and rendered-math segments
+ */
+export const splitMathSegments = (text: string): MathSegment[] => {
+    const segments: MathSegment[] = [];
+    let lastIndex = 0;
+    for (const match of text.matchAll(LATEX_DELIMITED)) {
+        const start = match.index ?? 0;
+        if (start > lastIndex) segments.push(...splitInlineMath(normalizeSpokenMath(text.slice(lastIndex, start))));
+        const [, display, inline, paren, bracket] = match;
+        segments.push({ kind: 'math', html: renderLatex(display ?? inline ?? paren ?? bracket, Boolean(display ?? bracket)) });
+        lastIndex = start + match[0].length;
+    }
+    if (lastIndex < text.length) segments.push(...splitInlineMath(normalizeSpokenMath(text.slice(lastIndex))));
+    return segments;
+};
@@ -0,0 +1,56 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { ENGINE_PORT_NAME, EngineEvent, EngineState, INITIAL_ENGINE_STATE, PanelCommand } from '../engine/messages';
+
+// How long to wait before reconnecting to an engine that went away (e.g. the offscreen document was closed)
+const ENGINE_RECONNECT_DELAY_MS = 500;
+
+/**
+ * Connect the panel to the tutor engine in the offscreen document, asking the background
+ * worker to create it first. Returns the engine's latest state and a way to send it commands.
+ */
+export const useTutorEngine = () => {
+    const [state, setState] = useState<EngineState>(INITIAL_ENGINE_STATE);
+    const portRef = useRef<chrome.runtime.Port | null>(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        let retryTimer: ReturnType<typeof setTimeout> | null = null;
+
+        const connect = async () => {
+            try {
+                await chrome.runtime.sendMessage({ action: 'ensureTutorEngine' });
+            } catch (error) {
+                console.error('❌ Could not start the tutor engine:', error);
+            }
+            if (cancelled) return;
+
+            const port = chrome.runtime.connect({ name: ENGINE_PORT_NAME });
+            port.onMessage.addListener((event: EngineEvent) => {
+                if (event.type === 'state') setState(event.state);
+            });
+            port.onDisconnect.addListener(() => {
+                if (portRef.current === port) portRef.current = null;
+                if (!cancelled) retryTimer = setTimeout(connect, ENGINE_RECONNECT_DELAY_MS);
+            });
+            portRef.current = port;
+        };
+
+        connect();
+        return () => {
+            cancelled = true;
+            if (retryTimer) clearTimeout(retryTimer);
+            portRef.current?.disconnect();
+            portRef.current = null;
+        };
+    }, []);
+
+    const send = useCallback((command: PanelCommand) => {
+        if (!portRef.current) {
+            console.warn('⚠️ Tutor engine not connected yet, dropping command:', command.type);
+            return;
+        }
+        portRef.current.postMessage(command);
+    }, []);
+
+    return { state, send };
+};
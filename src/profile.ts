@@ -0,0 +1,66 @@
+// Tutor profile picked in the panel and sent to the server in `session_start`.
+// Option ids mirror server/profiles.js - keep them in sync.
+
+export type TutorProfile = {
+    gradeBand: string;
+    language: string;
+    voice: string;
+    mode: string;
+};
+
+export const GRADE_BAND_OPTIONS = [
+    { id: 'any', label: 'Any grade' },
+    { id: 'k-2', label: 'Grades K-2' },
+    { id: '3-5', label: 'Grades 3-5' },
+    { id: '6-8', label: 'Grades 6-8' },
+    { id: '9-12', label: 'Grades 9-12' },
+    { id: 'college', label: 'College' }
+];
+
+export const TEACHING_MODE_OPTIONS = [
+    { id: 'guided', label: 'Guided steps', description: 'Explains step by step' },
+    { id: 'socratic', label: 'Socratic', description: 'Asks questions, never gives the answer' },
+    { id: 'worked_example', label: 'Worked example', description: 'Solves a similar problem first' },
+    { id: 'quick_check', label: 'Quick check', description: 'Just checks your answer' }
+];
+
+export const LANGUAGE_OPTIONS = [
+    { id: 'en-US', label: 'English' },
+    { id: 'es-US', label: 'Spanish' },
+    { id: 'fr-FR', label: 'French' },
+    { id: 'de-DE', label: 'German' },
+    { id: 'pt-BR', label: 'Portuguese' },
+    { id: 'hi-IN', label: 'Hindi' }
+];
+
+export const VOICE_OPTIONS = ['Zephyr', 'Puck', 'Charon', 'Kore', 'Fenrir', 'Aoede', 'Leda', 'Orus'].map(voice => ({ id: voice, label: voice }));
+
+export const DEFAULT_PROFILE: TutorProfile = {
+    gradeBand: 'any',
+    language: 'en-US',
+    voice: 'Zephyr',
+    mode: 'guided'
+};
+
+const STORAGE_KEY = 'tutorProfile';
+
+/**
+ * Load the saved profile, filling in defaults for anything missing
+ */
+export const loadProfile = async (): Promise<TutorProfile> => {
+    try {
+        const stored = await chrome.storage.local.get(STORAGE_KEY);
+        return { ...DEFAULT_PROFILE, ...(stored[STORAGE_KEY] as Partial<TutorProfile> | undefined) };
+    } catch (error) {
+        console.warn('⚠️ Could not load tutor profile, using defaults:', error);
+        return DEFAULT_PROFILE;
+    }
+};
+
+export const saveProfile = async (profile: TutorProfile) => {
+    try {
+        await chrome.storage.local.set({ [STORAGE_KEY]: profile });
+    } catch (error) {
+        console.warn('⚠️ Could not save tutor profile:', error);
+    }
+};
@@ -0,0 +1,13 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import ProgressPage from './progress/ProgressPage';
+
+// Entry point for the extension's progress page (progress.html)
+const container = document.getElementById('root');
+if (container) {
+  createRoot(container).render(
+    <React.StrictMode>
+      <ProgressPage />
+    </React.StrictMode>
+  );
+}
@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import { loadServerUrl, loadAccessToken, toHttpUrl, fetchJson } from '../settings';
+
+// The student's skill mastery from GET /api/progress (server/mastery.js): one row per
+// practised skill, weakest first, with how its mastery moved day by day.
+
+type SkillProgress = {
+    skill: string;
+    label: string;
+    mastery: number; // 0-1
+    attempts: number;
+    correct: number;
+    lastPracticed: string | null;
+    status: 'new' | 'weak' | 'practising' | 'mastered';
+    history: { date: string; mastery: number; attempts: number; correct: number }[];
+};
+
+const STATUS_STYLES: Record<SkillProgress['status'], { label: string; color: string; background: string }> = {
+    new: { label: 'Just started', color: '#666', background: '#f1f3f4' },
+    weak: { label: 'Needs practice', color: '#c62828', background: '#ffebee' },
+    practising: { label: 'Getting there', color: '#e37400', background: '#fff8e1' },
+    mastered: { label: 'Mastered', color: '#2e7d32', background: '#e8f5e9' }
+};
+
+const SPARKLINE_WIDTH = 160;
+const SPARKLINE_HEIGHT = 36;
+
+const formatDate = (iso: string) => new Date(iso).toLocaleDateString();
+
+/**
+ * Mastery over time for one skill, one point per day practised
+ */
+const Sparkline = ({ history }: { history: SkillProgress['history'] }) => {
+    if (history.length < 2) {
+        return <span style={{ fontSize: '11px', color: '#999' }}>Practise on another day to see a trend</span>;
+    }
+    const points = history.map((day, index) => {
+        const x = index / (history.length - 1) * SPARKLINE_WIDTH;
+        const y = SPARKLINE_HEIGHT - day.mastery * SPARKLINE_HEIGHT;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+    const [first, last] = [history[0], history[history.length - 1]];
+    return (
+        <svg
+            width={SPARKLINE_WIDTH}
+            height={SPARKLINE_HEIGHT}
+            style={{ overflow: 'visible' }}
+        >
+            <title>{`${formatDate(first.date)}: ${Math.round(first.mastery * 100)}% → ${formatDate(last.date)}: ${Math.round(last.mastery * 100)}%`}</title>
+            <line x1={0} y1={SPARKLINE_HEIGHT / 2} x2={SPARKLINE_WIDTH} y2={SPARKLINE_HEIGHT / 2} stroke="#eee" />
+            <polyline points={points.join(' ')} fill="none" stroke="#4285f4" strokeWidth={2} strokeLinejoin="round" />
+        </svg>
+    );
+};
+
+const SkillRow = ({ progress }: { progress: SkillProgress }) => {
+    const status = STATUS_STYLES[progress.status];
+    const percent = Math.round(progress.mastery * 100);
+    return (
+        <div style={{
+            display: 'grid',
+            gridTemplateColumns: '1fr 200px 180px',
+            alignItems: 'center',
+            gap: '16px',
+            padding: '12px 0',
+            borderBottom: '1px solid #eee'
+        }}>
+            <div>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '4px' }}>
+                    <strong>{progress.label}</strong>
+                    <span style={{
+                        fontSize: '11px',
+                        color: status.color,
+                        backgroundColor: status.background,
+                        borderRadius: '10px',
+                        padding: '2px 8px'
+                    }}>
+                        {status.label}
+                    </span>
+                </div>
+                <div style={{ fontSize: '12px', color: '#666' }}>
+                    {progress.correct} of {progress.attempts} right
+                    {progress.lastPracticed && ` · last practised ${formatDate(progress.lastPracticed)}`}
+                </div>
+            </div>
+            <div>
+                <div style={{ height: '8px', backgroundColor: '#f1f3f4', borderRadius: '4px', overflow: 'hidden' }}>
+                    <div style={{ width: `${percent}%`, height: '100%', backgroundColor: status.color }} />
+                </div>
+                <div style={{ fontSize: '11px', color: '#666', marginTop: '4px' }}>{percent}% mastery</div>
+            </div>
+            <Sparkline history={progress.history} />
+        </div>
+    );
+};
+
+const ProgressPage = () => {
+    const [skills, setSkills] = useState<SkillProgress[]>([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        Promise.all([loadServerUrl(), loadAccessToken()]).then(async ([url, token]) => {
+            const baseUrl = toHttpUrl(url);
+            try {
+                const body = await fetchJson(baseUrl, token, '/api/progress');
+                setSkills(body.skills);
+            } catch (error: any) {
+                console.error('❌ Failed to load progress:', error);
+                setError(error instanceof TypeError
+                    ? `Couldn't reach the tutor server at ${baseUrl}. Make sure it is running.`
+                    : error.message);
+            } finally {
+                setIsLoading(false);
+            }
+        });
+    }, []);
+
+    const weak = skills.filter(skill => skill.status === 'weak');
+    const mastered = skills.filter(skill => skill.status === 'mastered');
+
+    return (
+        <div style={{ fontFamily: 'Arial, sans-serif', fontSize: '14px', color: '#333', minHeight: '100vh' }}>
+            {/* Header */}
+            <div style={{
+                backgroundColor: '#4285f4',
+                color: 'white',
+                padding: '12px 20px',
+                fontWeight: 'bold',
+                fontSize: '16px',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px'
+            }}>
+                <span>🎓</span>
+                Voyage AI Tutor - My Progress
+            </div>
+
+            {error && (
+                <div style={{ backgroundColor: '#ffebee', color: '#c62828', padding: '8px 20px', fontSize: '12px' }}>
+                    ❌ {error}
+                </div>
+            )}
+
+            <div style={{ maxWidth: '720px', margin: '0 auto', padding: '16px 24px' }}>
+                {isLoading && <div style={{ color: '#666' }}>Loading...</div>}
+                {!isLoading && !error && skills.length === 0 && (
+                    <div style={{ color: '#666' }}>
+                        No progress yet. As you work through problems with the tutor, the skills you practise show up here.
+                    </div>
+                )}
+
+                {skills.length > 0 && (
+                    <>
+                        {/* Summary */}
+                        <div style={{ display: 'flex', gap: '12px', marginBottom: '16px' }}>
+                            {[
+                                { label: 'Skills practised', value: skills.length },
+                                { label: 'Mastered', value: mastered.length },
+                                { label: 'Need practice', value: weak.length }
+                            ].map(card => (
+                                <div key={card.label} style={{ flex: 1, border: '1px solid #ddd', borderRadius: '6px', padding: '12px' }}>
+                                    <div style={{ fontSize: '22px', fontWeight: 'bold' }}>{card.value}</div>
+                                    <div style={{ fontSize: '12px', color: '#666' }}>{card.label}</div>
+                                </div>
+                            ))}
+                        </div>
+
+                        {weak.length > 0 && (
+                            <div style={{
+                                backgroundColor: '#fff8e1',
+                                border: '1px solid #ffe082',
+                                borderRadius: '4px',
+                                padding: '8px 12px',
+                                fontSize: '13px',
+                                marginBottom: '16px'
+                            }}>
+                                💡 Good things to practise next: {weak.map(skill => skill.label).join(', ')}. The tutor knows, and will take extra care with them.
+                            </div>
+                        )}
+
+                        {skills.map(progress => <SkillRow key={progress.skill} progress={progress} />)}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ProgressPage;
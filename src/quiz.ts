@@ -0,0 +1,51 @@
+// Quiz mode: generated practice problems graded by the server (server/quiz/).
+// Topic ids mirror QUIZ_TOPICS in server/quiz/templates.js - keep them in sync.
+
+export const QUIZ_TOPIC_OPTIONS = [
+    { id: 'arithmetic', label: 'Arithmetic' },
+    { id: 'fractions', label: 'Fractions' },
+    { id: 'decimals_percents', label: 'Decimals and percents' },
+    { id: 'exponents_roots', label: 'Exponents and roots' },
+    { id: 'expressions', label: 'Simplifying expressions' },
+    { id: 'linear_equations', label: 'Linear equations' },
+    { id: 'quadratics', label: 'Quadratic equations' }
+];
+
+export const QUIZ_LENGTH_OPTIONS = [5, 10];
+
+export type QuizProblem = {
+    topic: string;
+    label: string;
+    index: number;      // 1-based
+    total: number;
+    prompt: string;
+    difficulty: number; // 1-3
+};
+
+export type QuizResult = {
+    index: number;
+    prompt: string;
+    answer: string;
+    expected: string;
+    correct: boolean;
+    feedback: string;
+    difficulty: number;
+    source: 'typed' | 'spoken';
+};
+
+export type QuizSummary = {
+    topic: string;
+    label: string;
+    score: number;
+    total: number;      // problems answered, fewer than length if the quiz was ended early
+    length: number;
+    finalDifficulty: number;
+    results: QuizResult[];
+};
+
+// What the panel shows: the problem being answered, how the last answer went, and the summary at the end
+export type QuizState = {
+    problem: QuizProblem | null;
+    lastResult: QuizResult | null;
+    summary: QuizSummary | null;
+};
@@ -0,0 +1,111 @@
+// Extension settings edited on the options page (options.html).
+
+export const DEFAULT_SERVER_URL = 'ws://localhost:3001';
+
+const SERVER_URL_KEY = 'serverUrl';
+const ACCESS_TOKEN_KEY = 'accessToken';
+const PROACTIVE_HINTS_KEY = 'proactiveHints';
+
+/**
+ * Turn what the user typed into a WebSocket URL (http -> ws, https -> wss), or null if it isn't one
+ */
+export const normalizeServerUrl = (input: string): string | null => {
+    const trimmed = input.trim();
+    if (!trimmed) return null;
+    try {
+        const url = new URL(/^[a-z]+:\/\//i.test(trimmed) ? trimmed : `ws://${trimmed}`);
+        if (url.protocol === 'http:') url.protocol = 'ws:';
+        if (url.protocol === 'https:') url.protocol = 'wss:';
+        if (url.protocol !== 'ws:' && url.protocol !== 'wss:') return null;
+        return url.toString().replace(/\/$/, '');
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * The HTTP base URL of the same server, for the REST endpoints
+ */
+export const toHttpUrl = (serverUrl: string) => serverUrl.replace(/^ws(s?):/, 'http$1:');
+
+export const loadServerUrl = async (): Promise<string> => {
+    try {
+        const stored = await chrome.storage.local.get(SERVER_URL_KEY);
+        return normalizeServerUrl(stored[SERVER_URL_KEY] || '') || DEFAULT_SERVER_URL;
+    } catch (error) {
+        console.warn('⚠️ Could not load server URL, using the default:', error);
+        return DEFAULT_SERVER_URL;
+    }
+};
+
+export const saveServerUrl = async (serverUrl: string) => {
+    await chrome.storage.local.set({ [SERVER_URL_KEY]: serverUrl });
+};
+
+/**
+ * The student's API token from the tutor server's admin, or '' if none is set
+ */
+export const loadAccessToken = async (): Promise<string> => {
+    try {
+        const stored = await chrome.storage.local.get(ACCESS_TOKEN_KEY);
+        return (stored[ACCESS_TOKEN_KEY] || '').trim();
+    } catch (error) {
+        console.warn('⚠️ Could not load access token:', error);
+        return '';
+    }
+};
+
+export const saveAccessToken = async (accessToken: string) => {
+    await chrome.storage.local.set({ [ACCESS_TOKEN_KEY]: accessToken.trim() });
+};
+
+/**
+ * Whether answers checked on supported practice sites go to the tutor, so it can offer a hint
+ * after repeated wrong answers (see siteAdapters.ts). On unless the student turned it off.
+ */
+export const loadProactiveHints = async (): Promise<boolean> => {
+    try {
+        const stored = await chrome.storage.local.get(PROACTIVE_HINTS_KEY);
+        return stored[PROACTIVE_HINTS_KEY] !== false;
+    } catch (error) {
+        console.warn('⚠️ Could not load the proactive hints setting:', error);
+        return true;
+    }
+};
+
+export const saveProactiveHints = async (enabled: boolean) => {
+    await chrome.storage.local.set({ [PROACTIVE_HINTS_KEY]: enabled });
+};
+
+/**
+ * Call `listener` whenever the proactive hints setting changes on the options page
+ */
+export const onProactiveHintsChanged = (listener: (enabled: boolean) => void) => {
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && PROACTIVE_HINTS_KEY in changes) listener(changes[PROACTIVE_HINTS_KEY].newValue !== false);
+    });
+};
+
+/**
+ * Add the access token to a server URL. Browsers can't set headers on a WebSocket, so it goes in the query string.
+ */
+export const withAccessToken = (url: string, accessToken: string) => {
+    if (!accessToken) return url;
+    const withToken = new URL(url);
+    withToken.searchParams.set('token', accessToken);
+    return withToken.toString();
+};
+
+/**
+ * Call one of the server's REST endpoints with the student's token. Fails with the server's message, or
+ * with fetch()'s TypeError when the server can't be reached at all.
+ */
+export const fetchJson = async (serverUrl: string, accessToken: string, path: string, init?: RequestInit) => {
+    // Keep the caller's headers (e.g. Content-Type) and add the token to them
+    const headers = new Headers(init?.headers);
+    if (accessToken) headers.set('Authorization', `Bearer ${accessToken}`);
+    const response = await fetch(`${serverUrl}${path}`, { ...init, headers });
+    const body = await response.json();
+    if (!response.ok) throw new Error(body.error || `Request failed (${response.status})`);
+    return body;
+};
@@ -0,0 +1,13 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import Popup from './popup/Popup';
+
+// Entry point for the tutor's Chrome side panel (sidepanel.html)
+const container = document.getElementById('root');
+if (container) {
+  createRoot(container).render(
+    <React.StrictMode>
+      <Popup />
+    </React.StrictMode>
+  );
+}
@@ -0,0 +1,197 @@
+// Site adapters for math practice platforms. Each adapter covers the pages matching its
+// URL patterns and says which button submits an answer, where the problem is and where
+// the site announces whether the answer was right. The content script calls
+// watchAnswerSubmissions() and reports every checked answer to the tutor, which offers a
+// hint after repeated wrong answers on one problem (server/answer-events.js).
+// Sites change their markup often, so the built-in adapters go by roles, button labels
+// and feedback wording rather than generated class names. Add a site with registerSiteAdapter().
+
+export type AnswerResult = 'correct' | 'incorrect';
+
+// Sent to the server as an `answer_event`
+export type AnswerEvent = {
+    site: string;
+    url: string;
+    problemText: string;
+    answer: string;
+    result: AnswerResult;
+};
+
+export type SiteAdapter = {
+    id: string;
+    label: string;       // What the tutor calls the site, e.g. 'Khan Academy'
+    matches: RegExp[];   // Page URLs the adapter handles
+    submit: string;      // Buttons that may submit an answer...
+    submitText: RegExp;  // ...and the label the one that does has ("Check", "Submit")
+    problem: string;     // The current problem, with its answer fields
+    feedback: string;    // Where the site says right or wrong
+    incorrect: RegExp;   // Feedback wording for a wrong answer, checked first ("incorrect" contains "correct")
+    correct: RegExp;     // ...and for a right one
+};
+
+// How long to wait for the site to say whether a submitted answer was right
+const RESULT_TIMEOUT_MS = 8000;
+const MAX_PROBLEM_LENGTH = 1500;
+const MAX_ANSWER_LENGTH = 300;
+
+// Where most sites announce a result to screen readers
+const LIVE_REGIONS = '[role="alert"], [role="status"], [aria-live="polite"], [aria-live="assertive"]';
+
+const adapters: SiteAdapter[] = [];
+
+/**
+ * Add an adapter. The first one whose pattern matches a page handles it.
+ */
+export const registerSiteAdapter = (adapter: SiteAdapter) => {
+    adapters.push(adapter);
+};
+
+export const findSiteAdapter = (url: string): SiteAdapter | null =>
+    adapters.find(adapter => adapter.matches.some(pattern => pattern.test(url))) || null;
+
+registerSiteAdapter({
+    id: 'khan-academy',
+    label: 'Khan Academy',
+    matches: [/^https:\/\/([a-z-]+\.)?khanacademy\.org\//],
+    submit: 'button',
+    submitText: /^(check|check answer|submit)$/i,
+    problem: '.perseus-renderer, [data-test-id="exercise-question-renderer"]',
+    feedback: `${LIVE_REGIONS}, [data-test-id*="feedback"]`,
+    incorrect: /\b(not quite|try again|incorrect)\b/i,
+    correct: /\b(good work|great work|nice( work| job)?|correct|you got it|keep it up)\b/i
+});
+
+registerSiteAdapter({
+    id: 'ixl',
+    label: 'IXL',
+    matches: [/^https:\/\/([a-z-]+\.)?ixl\.com\//],
+    submit: 'button, input[type="submit"]',
+    submitText: /^submit$/i,
+    problem: '[class*="question-component"], [class*="question-view"]',
+    feedback: `${LIVE_REGIONS}, [class*="feedback"], [class*="explanation"]`,
+    incorrect: /\b(sorry|incorrect)\b/i,
+    correct: /\b(correct|great job|excellent|awesome|nice work|fantastic|you got it)\b/i
+});
+
+registerSiteAdapter({
+    id: 'deltamath',
+    label: 'DeltaMath',
+    matches: [/^https:\/\/([a-z-]+\.)?deltamath\.com\//],
+    submit: 'button, input[type="submit"], input[type="button"]',
+    submitText: /^(submit|submit answer|check)$/i,
+    problem: '#problemPrompt, [class*="problem-prompt"], [class*="problemPrompt"]',
+    feedback: `${LIVE_REGIONS}, [class*="feedback"], [class*="result"], .alert`,
+    incorrect: /\b(incorrect|not correct|wrong)\b/i,
+    correct: /\bcorrect\b/i
+});
+
+const cleanText = (text: string | null | undefined) => (text || '').replace(/\s+/g, ' ').trim();
+const truncate = (text: string, limit: number) => text.length > limit ? `${text.slice(0, limit)}…` : text;
+
+const labelOf = (element: Element) =>
+    cleanText(element.getAttribute('aria-label') || element.textContent || (element as HTMLInputElement).value);
+
+/**
+ * The problem a submit button belongs to: the adapter's problem element, or the button's form
+ */
+const findProblem = (adapter: SiteAdapter, button: Element): Element | null => {
+    const problems = Array.from(document.querySelectorAll(adapter.problem));
+    return problems.find(problem => problem.contains(button)) || problems[0] || button.closest('form');
+};
+
+/**
+ * What the student entered: the problem's answer fields, including MathQuill math boxes
+ */
+const readAnswer = (problem: Element): string => {
+    const values = Array.from(problem.querySelectorAll<HTMLElement>('input, textarea, select, .mq-root-block'))
+        .map(field => {
+            if (field instanceof HTMLInputElement) {
+                if (['hidden', 'submit', 'button', 'password', 'file'].includes(field.type)) return '';
+                if (['checkbox', 'radio'].includes(field.type)) return field.checked ? labelOf(field.closest('label') || field) : '';
+                return field.value;
+            }
+            if (field instanceof HTMLTextAreaElement || field instanceof HTMLSelectElement) return field.value;
+            return field.textContent || '';
+        })
+        .map(cleanText)
+        .filter(Boolean);
+    return truncate(values.join('; '), MAX_ANSWER_LENGTH);
+};
+
+/**
+ * Feedback elements that changed in a batch of DOM mutations
+ */
+const changedFeedback = (mutations: MutationRecord[], selector: string): Set<Element> => {
+    const found = new Set<Element>();
+    const add = (element: Element | null) => {
+        if (element) found.add(element);
+    };
+    for (const mutation of mutations) {
+        const target = mutation.target instanceof Element ? mutation.target : mutation.target.parentElement;
+        add(target?.closest(selector) || null);
+        mutation.addedNodes.forEach(node => {
+            if (!(node instanceof Element)) return;
+            add(node.closest(selector));
+            node.querySelectorAll(selector).forEach(add);
+        });
+    }
+    return found;
+};
+
+/**
+ * Report every answer the student submits on a supported site, once the site has said
+ * whether it was right. Answers the site never rules on are not reported.
+ * `isEnabled` is checked on every submission, so the opt-out takes effect straight away.
+ */
+export const watchAnswerSubmissions = (onAnswer: (event: AnswerEvent) => void, isEnabled: () => boolean) => {
+    let stopWaiting: (() => void) | null = null;
+
+    const submitted = (adapter: SiteAdapter, problem: Element | null) => {
+        // Read now - sites clear the fields or move on to the next problem once it is checked
+        const problemText = truncate(cleanText((problem as HTMLElement | null)?.innerText), MAX_PROBLEM_LENGTH);
+        if (!problem || !problemText) return;
+        const answer = readAnswer(problem);
+
+        stopWaiting?.(); // A new submission replaces one the site never ruled on
+        const observer = new MutationObserver((mutations) => {
+            for (const element of changedFeedback(mutations, adapter.feedback)) {
+                const feedback = cleanText(element.textContent);
+                const result: AnswerResult | null = adapter.incorrect.test(feedback) ? 'incorrect'
+                    : adapter.correct.test(feedback) ? 'correct'
+                    : null;
+                if (!result) continue;
+                stop();
+                onAnswer({ site: adapter.label, url: window.location.href, problemText, answer, result });
+                return;
+            }
+        });
+        const timer = setTimeout(() => stop(), RESULT_TIMEOUT_MS);
+        const stop = () => {
+            observer.disconnect();
+            clearTimeout(timer);
+            if (stopWaiting === stop) stopWaiting = null;
+        };
+        stopWaiting = stop;
+        observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+    };
+
+    // Capture phase, so the answer is read before the site's own handler runs.
+    // The adapter is looked up each time because practice sites change pages without reloading.
+    document.addEventListener('click', (event) => {
+        if (!isEnabled()) return;
+        const adapter = findSiteAdapter(window.location.href);
+        const button = adapter && event.target instanceof Element ? event.target.closest(adapter.submit) : null;
+        if (!adapter || !button || !adapter.submitText.test(labelOf(button))) return;
+        submitted(adapter, findProblem(adapter, button));
+    }, true);
+
+    // Enter in an answer field submits on most sites; if it doesn't, no feedback arrives and nothing is reported
+    document.addEventListener('keydown', (event) => {
+        if (event.key !== 'Enter' || event.shiftKey || !isEnabled()) return;
+        const adapter = findSiteAdapter(window.location.href);
+        const field = event.target instanceof Element ? event.target : null;
+        if (!adapter || !field?.matches('input, textarea, [contenteditable="true"]')) return;
+        const problem = field.closest(adapter.problem);
+        if (problem) submitted(adapter, problem);
+    }, true);
+};
@@ -0,0 +1,68 @@
+// Whiteboard shared by the student and the tutor. The tutor draws through its whiteboard
+// tools, which stream the draw commands below in `whiteboard` messages - they mirror
+// server/tools/whiteboard.js, keep them in sync. Coordinates are math coordinates (y up).
+
+export type WhiteboardPoint = [number, number];
+
+export type WhiteboardView = {
+    xMin: number;
+    xMax: number;
+    yMin: number;
+    yMax: number;
+    axes: 'xy' | 'number_line' | 'none';
+};
+
+type Styled = { color: string; label?: string };
+
+export type WhiteboardItem =
+    | ({ op: 'point'; x: number; y: number } & Styled)
+    | ({ op: 'line'; from: WhiteboardPoint; to: WhiteboardPoint; kind: 'segment' | 'line' | 'ray' } & Styled)
+    | ({ op: 'curve'; segments: WhiteboardPoint[][] } & Styled)
+    | ({ op: 'circle'; center: WhiteboardPoint; radius: number; fill: boolean } & Styled)
+    | ({ op: 'polygon'; points: WhiteboardPoint[]; fill: boolean } & Styled)
+    | { op: 'label'; x: number; y: number; text: string; color: string };
+
+export type WhiteboardCommand = { op: 'clear'; view: WhiteboardView } | WhiteboardItem;
+
+export type WhiteboardState = {
+    view: WhiteboardView;
+    items: WhiteboardItem[];
+    boardId: number;   // Bumped when the board is cleared - the student's own sketch goes with it
+    revision: number;  // Bumped on every change, so the panel can open the board when the tutor draws
+};
+
+export const DEFAULT_WHITEBOARD_VIEW: WhiteboardView = { xMin: -10, xMax: 10, yMin: -10, yMax: 10, axes: 'xy' };
+
+export const EMPTY_WHITEBOARD: WhiteboardState = {
+    view: DEFAULT_WHITEBOARD_VIEW,
+    items: [],
+    boardId: 0,
+    revision: 0
+};
+
+/**
+ * Apply the commands from one `whiteboard` message
+ */
+export const applyWhiteboardCommands = (board: WhiteboardState, commands: WhiteboardCommand[]): WhiteboardState => {
+    let { view, items, boardId } = board;
+    for (const command of commands) {
+        if (command.op === 'clear') {
+            view = command.view;
+            items = [];
+            boardId++;
+        } else {
+            items = [...items, command];
+        }
+    }
+    return { view, items, boardId, revision: board.revision + 1 };
+};
+
+/**
+ * Wipe the tutor's drawing too, keeping the view it chose
+ */
+export const clearWhiteboard = (board: WhiteboardState): WhiteboardState => ({
+    view: board.view,
+    items: [],
+    boardId: board.boardId + 1,
+    revision: board.revision + 1
+});
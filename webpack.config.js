@@ -5,6 +5,11 @@ module.exports = {
   entry: {
     background: './src/background.ts',
     content: './src/content.tsx',
+    history: './src/history.tsx',
+    progress: './src/progress.tsx',
+    options: './src/options.tsx',
+    sidepanel: './src/sidepanel.tsx',
+    offscreen: './src/offscreen.ts',
   },
   output: {
     path: path.resolve(__dirname, 'dist'),